@@ -0,0 +1,184 @@
+// Seeded sample data for the mock server. The generator is seeded, so punches
+// stay the same between restarts on the same day.
+
+// employee_id links a login to its employee record. Managers see the
+// employees whose Manager_ID is theirs; employees see only themselves.
+const users = [
+  { email: 'admin@artpark.com', password: 'password123', name: 'Admin', role: 'admin' },
+  { email: 'manager@artpark.com', password: 'password123', name: 'Asha Rao', role: 'manager', employee_id: '101' },
+  { email: 'employee@artpark.com', password: 'password123', name: 'Rahul Nair', role: 'employee', employee_id: '104' },
+];
+
+// Department, Team, Designation and Manager_ID are edited from the dashboard
+// or imported from CSV; Manager_ID is the reporting manager's Employee_ID.
+const employees = [
+  { Employee_ID: '101', Employee_Name: 'Asha Rao', Department: 'Engineering', Team: 'Platform', Designation: 'Engineering Manager', Manager_ID: '' },
+  { Employee_ID: '102', Employee_Name: 'Vikram Shetty', Department: 'Engineering', Team: 'Platform', Designation: 'Software Engineer', Manager_ID: '101' },
+  { Employee_ID: '103', Employee_Name: 'Meera Iyer', Department: 'Engineering', Team: 'Robotics', Designation: 'Research Engineer', Manager_ID: '101' },
+  { Employee_ID: '104', Employee_Name: 'Rahul Nair', Department: 'Engineering', Team: 'Robotics', Designation: 'Software Engineer', Manager_ID: '101' },
+  { Employee_ID: '105', Employee_Name: 'Priya Kulkarni', Department: 'Operations', Team: 'Facilities', Designation: 'Operations Manager', Manager_ID: '' },
+  { Employee_ID: '106', Employee_Name: 'Arjun Menon', Department: 'Operations', Team: 'Security', Designation: 'Security Supervisor', Manager_ID: '105' },
+];
+
+// Shift policies in the shape the frontend edits; 106 works nights.
+const shiftConfig = {
+  policies: [
+    { id: 'default', name: 'General (09:30 - 17:00)', start: '09:30', end: '17:00', graceMinutes: 0, maxHours: 7.5, halfDayHours: 4 },
+    { id: 'night', name: 'Night (22:00 - 06:00)', start: '22:00', end: '06:00', graceMinutes: 10, maxHours: 8, halfDayHours: 4 },
+  ],
+  assignments: {
+    employees: { '106': 'night' },
+    groups: [],
+  },
+};
+
+// Holidays and weekly offs in the shape the frontend edits
+const workCalendar = {
+  holidays: [
+    { date: '2026-01-26', name: 'Republic Day' },
+    { date: '2026-05-01', name: 'May Day' },
+    { date: '2026-08-15', name: 'Independence Day' },
+    { date: '2026-09-14', name: 'Ganesh Chaturthi' },
+    { date: '2026-10-02', name: 'Gandhi Jayanti' },
+    { date: '2026-11-01', name: 'Kannada Rajyotsava' },
+    { date: '2026-12-25', name: 'Christmas' },
+  ],
+  weeklyOffs: [
+    { weekday: 0, weeks: 'all' },
+    { weekday: 6, weeks: 'all' },
+  ],
+};
+
+// Leave records: { id, employeeId, type, fromDate, toDate, reason }
+const leaveTypes = ['sick', 'casual', 'earned', 'half_day', 'on_duty'];
+const leaveEntitlements = { sick: 12, casual: 12, earned: 18 };
+const leaves = [];
+const payrollSettings = { weekdayOvertimeMultiplier: 1.5, offDayOvertimeMultiplier: 2 };
+const regularizations = []; // Punch correction requests, see POST /api/regularizations
+
+// Alert rules the dashboard evaluates, in the shape src/alertRules.js uses
+const alertConfig = {
+  rules: [
+    { id: 'late-3-in-7', type: 'late_count', enabled: true, threshold: 3, windowDays: 7 },
+    { id: 'absent-2-days', type: 'consecutive_absence', enabled: true, threshold: 2 },
+    { id: 'avg-below-6', type: 'low_avg_hours', enabled: true, threshold: 6 },
+  ],
+  emailDigest: false,
+};
+const notifications = []; // { id, recipient, key, ruleId, employeeId, message, link, createdAt, read }
+
+// Roughly the last six months up to today, so "this month" always has data
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATA_END = new Date().toISOString().split('T')[0];
+const DATA_START = new Date(Date.now() - 182 * DAY_MS).toISOString().split('T')[0];
+
+// mulberry32: small seeded PRNG
+const createRandom = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+const formatTime = (hours) => {
+  const totalMinutes = Math.round((hours % 24) * 60);
+  return `${pad(Math.floor(totalMinutes / 60))}:${pad(totalMinutes % 60)}:00`;
+};
+
+// Walks calendar dates in UTC so the output does not depend on the host timezone.
+const eachDate = (from, to, callback) => {
+  const end = new Date(`${to}T00:00:00Z`);
+  for (let d = new Date(`${from}T00:00:00Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    callback(d.toISOString().split('T')[0], d.getUTCDay());
+  }
+};
+
+const generateRecords = () => {
+  const random = createRandom(20250101);
+  const records = [];
+  employees.forEach((employee) => {
+    eachDate(DATA_START, DATA_END, (date, weekday) => {
+      const isOffDay = weekday === 0 || weekday === 6 || workCalendar.holidays.some(h => h.date === date);
+      const roll = random();
+      if (isOffDay && roll > 0.08) return; // occasional weekend or holiday work
+      if (!isOffDay && roll < 0.05) return; // no record at all
+
+      const base = { Employee_ID: employee.Employee_ID, Employee_Name: employee.Employee_Name, Date: date };
+      if (!isOffDay && roll < 0.09) {
+        records.push({ ...base, Check_In: 'N/A', Check_Out: 'N/A', Working_Hours: 'N/A', Late_Minutes: 0, Status: 'ABSENT', Late_Flag: false });
+        return;
+      }
+
+      // Night shift punches run from ~22:00 to ~06:00 the next morning
+      const nightShift = shiftConfig.assignments.employees[employee.Employee_ID] === 'night';
+      const shiftStart = nightShift ? 22 : 9.5;
+      const checkIn = shiftStart - 1 + random() * 2;
+      const checkOut = checkIn + 7 + random() * 2.5;
+      const missingIn = random() < 0.03;
+      const missingOut = !missingIn && random() < 0.04;
+      const lateMinutes = Math.max(0, Math.round((checkIn - shiftStart) * 60));
+      records.push({
+        ...base,
+        Check_In: missingIn ? 'N/A' : formatTime(checkIn),
+        Check_Out: missingOut ? 'N/A' : formatTime(checkOut),
+        Working_Hours: missingIn || missingOut ? 'N/A' : (checkOut - checkIn).toFixed(2),
+        Late_Minutes: missingIn ? 0 : lateMinutes,
+        Status: 'PRESENT',
+        Late_Flag: !missingIn && lateMinutes > 0,
+      });
+    });
+  });
+  return records.sort((a, b) => a.Date.localeCompare(b.Date) || a.Employee_ID.localeCompare(b.Employee_ID));
+};
+
+const records = generateRecords();
+
+// Record count per employee ID
+const countByEmployee = (rows) => rows.reduce((counts, row) => {
+  counts[row.Employee_ID] = (counts[row.Employee_ID] || 0) + 1;
+  return counts;
+}, {});
+
+// Past uploads, newest first. The generated data stands in for the first one.
+const uploadHistory = [
+  {
+    id: 'seed',
+    uploaded_at: new Date(`${DATA_END}T06:00:00Z`).toISOString(),
+    uploaded_by: 'admin@artpark.com',
+    files: [
+      { name: 'user.dat', size: 18432, kind: 'employee' },
+      { name: 'attlog.dat', size: records.length * 80, kind: 'attendance' },
+    ],
+    date_range: { from: DATA_START, to: DATA_END },
+    record_count: records.length,
+    records_by_employee: countByEmployee(records),
+    active: true,
+  },
+];
+
+// Employee IDs whose data the given user may read
+const visibleEmployeeIds = (user) => {
+  if (user.role === 'admin') return employees.map(e => e.Employee_ID);
+  if (user.role === 'manager') return employees.filter(e => e.Manager_ID === user.employee_id).map(e => e.Employee_ID);
+  return user.employee_id ? [user.employee_id] : [];
+};
+
+module.exports = {
+  users,
+  employees,
+  records,
+  shiftConfig,
+  workCalendar,
+  leaveTypes,
+  leaveEntitlements,
+  leaves,
+  regularizations,
+  payrollSettings,
+  alertConfig,
+  notifications,
+  uploadHistory,
+  visibleEmployeeIds,
+};
@@ -0,0 +1,62 @@
+// Pluggable mail senders for the alert digest. Pick one with MOCK_MAIL_SENDER:
+//
+//   log   (default) print each message to the console
+//   smtp  deliver to an SMTP server at MOCK_SMTP_HOST:MOCK_SMTP_PORT
+//         (default localhost:1025, where MailHog or `python -m smtpd` listen)
+//
+// A sender is { name, send({ to, subject, text }) } returning a promise, so
+// another transport only has to implement that.
+const net = require('net');
+
+const FROM = process.env.MOCK_MAIL_FROM || 'attendance-alerts@artpark.com';
+
+const logSender = {
+  name: 'log',
+  send: async ({ to, subject, text }) => {
+    console.log(`--- mail to ${to}: ${subject}\n${text}\n---`);
+  },
+};
+
+// Just enough SMTP for a local stand-in: no TLS and no auth
+const createSmtpSender = (host, port) => ({
+  name: `smtp://${host}:${port}`,
+  send: ({ to, subject, text }) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, host);
+    const body = text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+    const commands = [
+      'EHLO localhost',
+      `MAIL FROM:<${FROM}>`,
+      `RCPT TO:<${to}>`,
+      'DATA',
+      `From: ${FROM}\r\nTo: ${to}\r\nSubject: ${subject}\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${body}\r\n.`,
+      'QUIT',
+    ];
+    let buffer = '';
+    socket.setTimeout(10000, () => socket.destroy(new Error('SMTP server timed out.')));
+    socket.on('error', reject);
+    socket.on('close', () => (commands.length === 0 ? resolve() : reject(new Error('SMTP connection closed early.'))));
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      lines.forEach(line => {
+        // "250-..." continues a reply; "250 ..." ends it
+        if (line[3] === '-') return;
+        if (!/^[23]/.test(line)) {
+          socket.destroy(new Error(`SMTP server said: ${line}`));
+          return;
+        }
+        if (commands.length > 0) socket.write(`${commands.shift()}\r\n`);
+      });
+    });
+  }),
+});
+
+const createMailSender = () => {
+  if (process.env.MOCK_MAIL_SENDER === 'smtp') {
+    return createSmtpSender(process.env.MOCK_SMTP_HOST || 'localhost', Number(process.env.MOCK_SMTP_PORT) || 1025);
+  }
+  return logSender;
+};
+
+module.exports = { createMailSender };
@@ -0,0 +1,719 @@
+// Local stand-in for the biometric backend, used to exercise the frontend
+// without the real processing service.
+//
+//   npm run mock-server
+//
+// Listens on MOCK_PORT (default 10000, the frontend's default BACKEND_URL).
+// MOCK_TOKEN_TTL sets the token lifetime in seconds, so expiry can be tested
+// with a short value such as MOCK_TOKEN_TTL=30. MOCK_MAIL_SENDER picks where
+// alert digests go (see mailer.js).
+const http = require('http');
+const crypto = require('crypto');
+const data = require('./data');
+const { createMailSender } = require('./mailer');
+
+const PORT = Number(process.env.MOCK_PORT) || 10000;
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 8 * 60 * 60;
+const mailSender = createMailSender(); // MOCK_MAIL_SENDER, see mailer.js
+
+const sessions = new Map(); // token -> { user, expiresAt }
+const uploads = new Map(); // upload id -> { id, fileName, size, kind, chunks, received }
+const uploadJobs = new Map(); // job id -> { id, status, message }
+
+// Each upload covers the months its attendance log has dates in. Activating
+// one only deactivates uploads for any of the same months, so a batch of
+// monthly logs keeps every month active while a re-upload of a month replaces
+// it. An upload with no dates overlaps everything.
+const month = (date) => date.slice(0, 7);
+const datesOverlap = (a, b) => !a.date_range || !b.date_range
+  || (month(a.date_range.from) <= month(b.date_range.to) && month(b.date_range.from) <= month(a.date_range.to));
+
+const activateUpload = (version) => {
+  data.uploadHistory.forEach(entry => {
+    if (entry !== version && datesOverlap(entry, version)) entry.active = false;
+  });
+  version.active = true;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const readJson = async (req) => {
+  const body = await readBody(req);
+  if (!body.length) return {};
+  return JSON.parse(body.toString('utf8'));
+};
+
+// Returns the session for the request's bearer token, or null after sending a 401.
+const authenticate = (req, res) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = token && sessions.get(token);
+  if (!session) {
+    sendJson(res, 401, { message: 'Missing or invalid token.' });
+    return null;
+  }
+  if (Date.now() >= session.expiresAt) {
+    sessions.delete(token);
+    sendJson(res, 401, { message: 'Token expired.' });
+    return null;
+  }
+  return { ...session, token };
+};
+
+// Sends a 403 unless the session's user has one of the given roles.
+const requireRole = (session, res, ...roles) => {
+  if (roles.includes(session.user.role)) return true;
+  sendJson(res, 403, { message: 'You do not have permission to perform this action.' });
+  return false;
+};
+
+// Returns a stored leave record, or a string describing why the input is invalid.
+const validateLeave = (input, user) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const employeeId = String(input.employeeId || '');
+  if (!data.visibleEmployeeIds(user).includes(employeeId)) return 'Unknown employee or no access.';
+  if (!data.leaveTypes.includes(input.type)) return `Unknown leave type "${input.type}".`;
+  if (!datePattern.test(input.fromDate || '') || !datePattern.test(input.toDate || '')) return 'Dates must be YYYY-MM-DD.';
+  if (input.toDate < input.fromDate) return 'Leave ends before it starts.';
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    employeeId,
+    type: input.type,
+    fromDate: input.fromDate,
+    toDate: input.toDate,
+    reason: input.reason || '',
+  };
+};
+
+// Returns the employee's new department, team, designation and manager, or a
+// string describing why the input is invalid.
+const validateEmployeeDetails = (employeeId, input) => {
+  const employee = data.employees.find(e => e.Employee_ID === employeeId);
+  if (!employee) return 'Unknown employee.';
+  const managerId = String(input.managerId || '');
+  if (managerId === employeeId) return 'An employee cannot report to themselves.';
+  if (managerId && !data.employees.some(e => e.Employee_ID === managerId)) return `Unknown manager "${managerId}".`;
+  return {
+    employee,
+    details: {
+      Department: String(input.department || '').trim(),
+      Team: String(input.team || '').trim(),
+      Designation: String(input.designation || '').trim(),
+      Manager_ID: managerId,
+    },
+  };
+};
+
+// Returns a pending regularization request, or a string describing why the input is invalid.
+const validateRegularization = (input, user) => {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+  const employeeId = String(input.employeeId || '');
+  if (!data.visibleEmployeeIds(user).includes(employeeId)) return 'Unknown employee or no access.';
+  const record = data.records.find(r => r.Employee_ID === employeeId && r.Date === input.date);
+  if (!record) return `No attendance record for ${employeeId} on ${input.date || 'that date'}.`;
+  if (!timePattern.test(input.checkIn || '') || !timePattern.test(input.checkOut || '')) return 'Corrected times must be HH:MM.';
+  if (!input.reason || !String(input.reason).trim()) return 'A reason is required.';
+  if (data.regularizations.some(r => r.employeeId === employeeId && r.date === input.date && r.status === 'pending')) {
+    return 'There is already a pending request for this day.';
+  }
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    employeeId,
+    date: input.date,
+    checkIn: input.checkIn,
+    checkOut: input.checkOut,
+    reason: String(input.reason).trim(),
+    status: 'pending',
+    requestedBy: user.email,
+    requestedAt: new Date().toISOString(),
+    reviewedBy: null,
+    reviewNote: '',
+    originalCheckIn: record.Check_In,
+    originalCheckOut: record.Check_Out,
+  };
+};
+
+// Approves or rejects a pending regularization request
+const reviewRegularization = (status) => async (req, res, query, params) => {
+  const session = authenticate(req, res);
+  if (!session) return;
+  if (!requireRole(session, res, 'admin', 'manager')) return;
+  const request = data.regularizations.find(r => r.id === params.id && data.visibleEmployeeIds(session.user).includes(r.employeeId));
+  if (!request) {
+    sendJson(res, 404, { message: 'Request not found.' });
+    return;
+  }
+  if (request.status !== 'pending') {
+    sendJson(res, 409, { message: `Request was already ${request.status}.` });
+    return;
+  }
+  if (request.requestedBy === session.user.email) {
+    sendJson(res, 403, { message: 'You cannot review your own request.' });
+    return;
+  }
+  const { note } = await readJson(req);
+  Object.assign(request, { status, reviewedBy: session.user.email, reviewedAt: new Date().toISOString(), reviewNote: note || '' });
+  sendJson(res, 200, request);
+};
+
+// Emails `items` to `recipient` as one digest; failures are logged, not returned
+const sendDigest = async (recipient, items) => {
+  const text = [
+    `${items.length} attendance alert${items.length === 1 ? '' : 's'}:`,
+    '',
+    ...items.map(n => `- ${n.message}`),
+  ].join('\n');
+  await mailSender.send({ to: recipient, subject: `Attendance alerts (${items.length})`, text });
+};
+
+const routes = {
+  'POST /api/auth/login': async (req, res) => {
+    const { email, password } = await readJson(req);
+    const user = data.users.find(u => u.email === email && u.password === password);
+    if (!user) {
+      sendJson(res, 401, { message: 'Invalid email or password' });
+      return;
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    const { password: _password, ...publicUser } = user;
+    sessions.set(token, { user: publicUser, expiresAt: Date.now() + TOKEN_TTL * 1000 });
+    sendJson(res, 200, { token, expires_in: TOKEN_TTL, user: publicUser });
+  },
+
+  'POST /api/auth/logout': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    sessions.delete(session.token);
+    sendJson(res, 200, { message: 'Logged out.' });
+  },
+
+  'GET /api/employees': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const visible = data.visibleEmployeeIds(session.user);
+    sendJson(res, 200, { employees: data.employees.filter(e => visible.includes(e.Employee_ID)) });
+  },
+
+  'PUT /api/employees/:id': async (req, res, query, params) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const result = validateEmployeeDetails(params.id, await readJson(req));
+    if (typeof result === 'string') {
+      sendJson(res, 400, { message: result });
+      return;
+    }
+    Object.assign(result.employee, result.details);
+    sendJson(res, 200, result.employee);
+  },
+
+  'POST /api/employees/import': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const { employees } = await readJson(req);
+    const errors = [];
+    let imported = 0;
+    (employees || []).forEach((input, index) => {
+      const result = validateEmployeeDetails(String(input.employeeId || ''), input);
+      if (typeof result === 'string') {
+        errors.push(`Row ${index + 1} (${input.employeeId || 'no employee'}): ${result}`);
+      } else {
+        Object.assign(result.employee, result.details);
+        imported++;
+      }
+    });
+    sendJson(res, 200, { imported, errors });
+  },
+
+  'GET /api/search': async (req, res, query) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const employeeId = query.get('employee_id') || '';
+    const fromDate = query.get('from_date') || '';
+    const toDate = query.get('to_date') || '';
+    const department = query.get('department') || '';
+    const team = query.get('team') || '';
+    const visible = data.visibleEmployeeIds(session.user);
+    if (employeeId && !visible.includes(employeeId)) {
+      sendJson(res, 403, { message: 'You do not have access to this employee.' });
+      return;
+    }
+    // Department and team narrow the search to the employees in that group
+    const inGroup = new Set(data.employees
+      .filter(e => (!department || e.Department === department) && (!team || e.Team === team))
+      .map(e => e.Employee_ID));
+    const records = data.records.filter(r =>
+      visible.includes(r.Employee_ID) &&
+      inGroup.has(r.Employee_ID) &&
+      (!employeeId || r.Employee_ID === employeeId) &&
+      (!fromDate || r.Date >= fromDate) &&
+      (!toDate || r.Date <= toDate)
+    );
+    sendJson(res, 200, {
+      records,
+      message: records.length === 0 ? 'No records found for the selected criteria.' : undefined,
+    });
+  },
+
+  'GET /api/shift-policies': async (req, res) => {
+    if (!authenticate(req, res)) return;
+    sendJson(res, 200, data.shiftConfig);
+  },
+
+  'PUT /api/shift-policies': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const { policies, assignments } = await readJson(req);
+    if (!Array.isArray(policies) || !policies.some(p => p.id === 'default')) {
+      sendJson(res, 400, { message: 'Policies must include the default policy.' });
+      return;
+    }
+    data.shiftConfig.policies = policies;
+    data.shiftConfig.assignments = { employees: {}, groups: [], ...assignments };
+    sendJson(res, 200, data.shiftConfig);
+  },
+
+  'GET /api/work-calendar': async (req, res) => {
+    if (!authenticate(req, res)) return;
+    sendJson(res, 200, data.workCalendar);
+  },
+
+  'PUT /api/work-calendar': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const { holidays, weeklyOffs } = await readJson(req);
+    if (!Array.isArray(holidays) || !Array.isArray(weeklyOffs)) {
+      sendJson(res, 400, { message: 'holidays and weeklyOffs must be lists.' });
+      return;
+    }
+    data.workCalendar.holidays = holidays;
+    data.workCalendar.weeklyOffs = weeklyOffs;
+    sendJson(res, 200, data.workCalendar);
+  },
+
+  'GET /api/payroll-settings': async (req, res) => {
+    if (!authenticate(req, res)) return;
+    sendJson(res, 200, data.payrollSettings);
+  },
+
+  'PUT /api/payroll-settings': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const { weekdayOvertimeMultiplier, offDayOvertimeMultiplier } = await readJson(req);
+    if (!(Number(weekdayOvertimeMultiplier) >= 1) || !(Number(offDayOvertimeMultiplier) >= 1)) {
+      sendJson(res, 400, { message: 'Overtime multipliers must be numbers of at least 1.' });
+      return;
+    }
+    data.payrollSettings.weekdayOvertimeMultiplier = Number(weekdayOvertimeMultiplier);
+    data.payrollSettings.offDayOvertimeMultiplier = Number(offDayOvertimeMultiplier);
+    sendJson(res, 200, data.payrollSettings);
+  },
+
+  'GET /api/alert-rules': async (req, res) => {
+    if (!authenticate(req, res)) return;
+    sendJson(res, 200, data.alertConfig);
+  },
+
+  'PUT /api/alert-rules': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin', 'manager')) return;
+    const { rules, emailDigest } = await readJson(req);
+    if (!Array.isArray(rules) || rules.some(rule => !rule.id || !rule.type || !(Number(rule.threshold) > 0))) {
+      sendJson(res, 400, { message: 'Every rule needs an id, a type and a threshold above 0.' });
+      return;
+    }
+    data.alertConfig.rules = rules;
+    data.alertConfig.emailDigest = !!emailDigest;
+    sendJson(res, 200, data.alertConfig);
+  },
+
+  'GET /api/notifications': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const notifications = data.notifications
+      .filter(n => n.recipient === session.user.email)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    sendJson(res, 200, { notifications });
+  },
+
+  // Stores alerts for the calling user, skipping keys they already have
+  'POST /api/notifications': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const { alerts } = await readJson(req);
+    const visible = data.visibleEmployeeIds(session.user);
+    const recipient = session.user.email;
+    const added = (alerts || [])
+      .filter(alert => alert.key && visible.includes(String(alert.employeeId)))
+      .filter(alert => !data.notifications.some(n => n.recipient === recipient && n.key === alert.key))
+      .map(alert => ({
+        id: crypto.randomBytes(8).toString('hex'),
+        recipient,
+        key: alert.key,
+        ruleId: alert.ruleId,
+        employeeId: String(alert.employeeId),
+        message: alert.message,
+        link: alert.link,
+        createdAt: new Date().toISOString(),
+        read: false,
+      }));
+    data.notifications.push(...added);
+    if (added.length > 0 && data.alertConfig.emailDigest) {
+      sendDigest(recipient, added).catch(err => console.error(`Failed to email the digest via ${mailSender.name}:`, err.message));
+    }
+    sendJson(res, 200, { added: added.length });
+  },
+
+  'POST /api/notifications/read': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const { ids, all } = await readJson(req);
+    data.notifications
+      .filter(n => n.recipient === session.user.email && (all || (ids || []).includes(n.id)))
+      .forEach(n => { n.read = true; });
+    sendJson(res, 200, { message: 'Marked as read.' });
+  },
+
+  // Emails the caller's unread notifications right away
+  'POST /api/notifications/digest': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const unread = data.notifications.filter(n => n.recipient === session.user.email && !n.read);
+    if (unread.length === 0) {
+      sendJson(res, 200, { message: 'No unread alerts to send.' });
+      return;
+    }
+    try {
+      await sendDigest(session.user.email, unread);
+      sendJson(res, 200, { message: `Emailed ${unread.length} unread alert${unread.length === 1 ? '' : 's'} to ${session.user.email}.` });
+    } catch (err) {
+      sendJson(res, 502, { message: `Failed to send the digest via ${mailSender.name}: ${err.message}` });
+    }
+  },
+
+  'GET /api/leaves': async (req, res, query) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const visible = data.visibleEmployeeIds(session.user);
+    const employeeId = query.get('employee_id') || '';
+    const fromDate = query.get('from_date') || '';
+    const toDate = query.get('to_date') || '';
+    const leaves = data.leaves.filter(l =>
+      visible.includes(l.employeeId) &&
+      (!employeeId || l.employeeId === employeeId) &&
+      (!toDate || l.fromDate <= toDate) &&
+      (!fromDate || l.toDate >= fromDate)
+    );
+    sendJson(res, 200, { leaves });
+  },
+
+  'GET /api/leave-entitlements': async (req, res) => {
+    if (!authenticate(req, res)) return;
+    sendJson(res, 200, { entitlements: data.leaveEntitlements });
+  },
+
+  'POST /api/leaves': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin', 'manager')) return;
+    const result = validateLeave(await readJson(req), session.user);
+    if (typeof result === 'string') {
+      sendJson(res, 400, { message: result });
+      return;
+    }
+    data.leaves.push(result);
+    sendJson(res, 201, result);
+  },
+
+  'POST /api/leaves/import': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin', 'manager')) return;
+    const { leaves } = await readJson(req);
+    const errors = [];
+    let imported = 0;
+    (leaves || []).forEach((leave, index) => {
+      const result = validateLeave(leave, session.user);
+      if (typeof result === 'string') {
+        errors.push(`Row ${index + 1} (${leave.employeeId || 'no employee'}): ${result}`);
+      } else {
+        data.leaves.push(result);
+        imported++;
+      }
+    });
+    sendJson(res, 200, { imported, errors });
+  },
+
+  'DELETE /api/leaves/:id': async (req, res, query, params) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin', 'manager')) return;
+    const index = data.leaves.findIndex(l => l.id === params.id && data.visibleEmployeeIds(session.user).includes(l.employeeId));
+    if (index === -1) {
+      sendJson(res, 404, { message: 'Leave not found.' });
+      return;
+    }
+    data.leaves.splice(index, 1);
+    sendJson(res, 200, { message: 'Leave removed.' });
+  },
+
+  'GET /api/regularizations': async (req, res, query) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const visible = data.visibleEmployeeIds(session.user);
+    const employeeId = query.get('employee_id') || '';
+    const fromDate = query.get('from_date') || '';
+    const toDate = query.get('to_date') || '';
+    const status = query.get('status') || '';
+    const regularizations = data.regularizations.filter(r =>
+      visible.includes(r.employeeId) &&
+      (!employeeId || r.employeeId === employeeId) &&
+      (!fromDate || r.date >= fromDate) &&
+      (!toDate || r.date <= toDate) &&
+      (!status || r.status === status)
+    );
+    sendJson(res, 200, { regularizations });
+  },
+
+  // Anyone may ask for a correction on a record they can see; a reviewer approves it
+  'POST /api/regularizations': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const result = validateRegularization(await readJson(req), session.user);
+    if (typeof result === 'string') {
+      sendJson(res, 400, { message: result });
+      return;
+    }
+    data.regularizations.push(result);
+    sendJson(res, 201, result);
+  },
+
+  'POST /api/regularizations/:id/approve': reviewRegularization('approved'),
+
+  'POST /api/regularizations/:id/reject': reviewRegularization('rejected'),
+
+  // Chunked uploads: register the file, then PUT it in order with ?offset=
+  'POST /api/uploads': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const { file_name: fileName, size, kind } = await readJson(req);
+    if (!fileName || !Number.isInteger(size) || size < 0 || !['employee', 'attendance'].includes(kind)) {
+      sendJson(res, 400, { message: 'file_name, size and kind (employee or attendance) are required.' });
+      return;
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    uploads.set(id, { id, fileName, size, kind, chunks: [], received: 0 });
+    sendJson(res, 201, { upload_id: id, received: 0 });
+  },
+
+  'GET /api/uploads/:id': async (req, res, query, params) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const upload = uploads.get(params.id);
+    if (!upload) {
+      sendJson(res, 404, { message: 'Upload not found.' });
+      return;
+    }
+    sendJson(res, 200, { upload_id: upload.id, file_name: upload.fileName, size: upload.size, received: upload.received });
+  },
+
+  'PUT /api/uploads/:id/chunk': async (req, res, query, params) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const upload = uploads.get(params.id);
+    if (!upload) {
+      sendJson(res, 404, { message: 'Upload not found.' });
+      return;
+    }
+    const body = await readBody(req);
+    // Out-of-order chunk: tell the client where to carry on from
+    if (Number(query.get('offset')) !== upload.received) {
+      sendJson(res, 409, { message: 'Unexpected offset.', received: upload.received });
+      return;
+    }
+    if (upload.received + body.length > upload.size) {
+      sendJson(res, 400, { message: 'Chunk goes past the declared file size.' });
+      return;
+    }
+    upload.chunks.push(body);
+    upload.received += body.length;
+    sendJson(res, 200, { received: upload.received });
+  },
+
+  // Pretends to process for a few seconds, counting the punch lines
+  'POST /api/uploads/process': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const { employee_upload_id: employeeUploadId, attendance_upload_id: attendanceUploadId } = await readJson(req);
+    const employeeUpload = uploads.get(employeeUploadId);
+    const attendanceUpload = uploads.get(attendanceUploadId);
+    if (!employeeUpload || !attendanceUpload) {
+      sendJson(res, 404, { message: 'Upload not found.' });
+      return;
+    }
+    if (employeeUpload.received < employeeUpload.size || attendanceUpload.received < attendanceUpload.size) {
+      sendJson(res, 409, { message: 'Upload is not complete yet.' });
+      return;
+    }
+    const text = Buffer.concat(attendanceUpload.chunks).toString('utf8');
+    const punches = text.split(/\r?\n/)
+      .map(line => line.split('\t').map(field => field.trim()))
+      .filter(fields => fields.length >= 2 && /^\d{4}-\d{2}-\d{2}/.test(fields[1]));
+    const dates = punches.map(fields => fields[1].slice(0, 10)).sort();
+    const job = { id: crypto.randomBytes(8).toString('hex'), status: 'queued', message: 'Waiting to be processed.' };
+    uploadJobs.set(job.id, job);
+    setTimeout(() => Object.assign(job, { status: 'processing', message: 'Matching punches to employees.' }), 1000);
+    setTimeout(() => {
+      // The new upload becomes the active one for its dates
+      const version = {
+        id: crypto.randomBytes(8).toString('hex'),
+        uploaded_at: new Date().toISOString(),
+        uploaded_by: session.user.email,
+        files: [employeeUpload, attendanceUpload].map(upload => ({ name: upload.fileName, size: upload.size, kind: upload.kind })),
+        date_range: dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : null,
+        record_count: punches.length,
+        records_by_employee: punches.reduce((counts, fields) => {
+          counts[fields[0]] = (counts[fields[0]] || 0) + 1;
+          return counts;
+        }, {}),
+        active: false,
+      };
+      data.uploadHistory.unshift(version);
+      activateUpload(version);
+      Object.assign(job, {
+        status: 'done',
+        message: `Processed ${punches.length} punches from ${attendanceUpload.fileName}. Mock server keeps its generated data.`,
+        download_url: `/api/upload-history/${version.id}/dashboard`,
+      });
+    }, 4000);
+    sendJson(res, 202, { job_id: job.id, status: job.status });
+  },
+
+  'GET /api/upload-jobs/:id': async (req, res, query, params) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    const job = uploadJobs.get(params.id);
+    if (!job) {
+      sendJson(res, 404, { message: 'Job not found.' });
+      return;
+    }
+    sendJson(res, 200, { job_id: job.id, status: job.status, message: job.message, download_url: job.download_url });
+  },
+
+  'GET /api/upload-history': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    sendJson(res, 200, {
+      uploads: data.uploadHistory.map(entry => ({ ...entry, download_url: `/api/upload-history/${entry.id}/dashboard` })),
+    });
+  },
+
+  // Stand-in for the generated dashboard: a CSV of records per employee.
+  // Plain link like the real backend's download_url, so no token is needed.
+  'GET /api/upload-history/:id/dashboard': async (req, res, query, params) => {
+    const entry = data.uploadHistory.find(e => e.id === params.id);
+    if (!entry) {
+      sendJson(res, 404, { message: 'Upload not found.' });
+      return;
+    }
+    const lines = ['Employee_ID,Records', ...Object.entries(entry.records_by_employee).map(([id, count]) => `${id},${count}`)];
+    res.writeHead(200, {
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="dashboard_${entry.id}.csv"`,
+    });
+    res.end(lines.join('\n'));
+  },
+
+  // Rolls the dates an upload covers back (or forward) to that upload
+  'POST /api/upload-history/:id/activate': async (req, res, query, params) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const entry = data.uploadHistory.find(e => e.id === params.id);
+    if (!entry) {
+      sendJson(res, 404, { message: 'Upload not found.' });
+      return;
+    }
+    activateUpload(entry);
+    sendJson(res, 200, { message: `Upload from ${entry.uploaded_at} is now active for its months. Mock server keeps its generated data.` });
+  },
+
+  'POST /api/upload': async (req, res) => {
+    const session = authenticate(req, res);
+    if (!session) return;
+    if (!requireRole(session, res, 'admin')) return;
+    const body = await readBody(req);
+    sendJson(res, 200, {
+      message: `Files received (${body.length} bytes). Mock server keeps its generated data.`,
+    });
+  },
+};
+
+// Finds the handler for a request; ":name" segments in route paths become params.
+const matchRoute = (method, pathname) => {
+  for (const key of Object.keys(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod !== method) continue;
+    const names = [];
+    const pattern = new RegExp(`^${routePath.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    const match = pathname.match(pattern);
+    if (match) {
+      const params = {};
+      names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+      return { handler: routes[key], params };
+    }
+  }
+  return null;
+};
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = matchRoute(req.method, url.pathname);
+  if (!route) {
+    sendJson(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+    return;
+  }
+  try {
+    await route.handler(req, res, url.searchParams, route.params);
+  } catch (err) {
+    console.error(`Error handling ${req.method} ${url.pathname}:`, err);
+    sendJson(res, 500, { message: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock biometric backend listening on http://localhost:${PORT}`);
+  console.log(`Token lifetime: ${TOKEN_TTL} seconds`);
+  console.log(`Alert digests go to the ${mailSender.name} mail sender`);
+});
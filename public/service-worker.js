@@ -0,0 +1,73 @@
+// Keeps the app shell available offline. Page loads go to the network first
+// and fall back to the cached index.html; the built scripts, styles, images
+// and the CDN stylesheet and fonts are served from the cache once seen. API
+// calls are left alone: the app caches their answers itself in IndexedDB.
+//
+// index.js registers this worker with the build id (?build=), so every deploy
+// is a new worker with its own cache, and activating it deletes the caches of
+// earlier builds along with their hashed bundles.
+const CACHE_PREFIX = 'biometric-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${new URL(self.location.href).searchParams.get('build') || 'dev'}`;
+const SHELL_FILES = ['./', './index.html', './logo.png'];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const shellUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES.map(shellUrl)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Older shell caches hold scripts the new index.html no longer points to
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isStaticAsset = (url) => {
+  if (CDN_HOSTS.includes(url.hostname)) return true;
+  return url.origin === self.location.origin && !url.pathname.startsWith('/api/');
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // Every route is the same single page, so one cached index.html serves
+    // them all. An error page is passed on but never replaces it.
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(shellUrl('./index.html'), copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(shellUrl('./index.html')))
+    );
+    return;
+  }
+
+  if (!isStaticAsset(url)) return;
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      // Opaque CDN responses have status 0 but are still worth keeping
+      if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -1,6 +1,60 @@
-import { useState, useEffect, useRef } from 'react';
-import { motion } from 'framer-motion';
-import axios from 'axios';
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { motion, MotionConfig } from 'framer-motion';
+import { Navigate, NavLink, useLocation, useNavigate } from 'react-router-dom';
+import api, { BACKEND_URL, login, logout, setUnauthorizedHandler, getErrorMessage } from './api';
+import { getSession, clearSession } from './auth';
+import { cachedGet, clearCachedResponses, clearQueuedUploads, listQueuedUploads } from './offlineStore';
+import { sendQueuedUploads } from './uploads';
+import { ROLE_LABELS, getRole, canUpload, canManageSettings, canManageLeave, canReviewRegularizations, canViewPayroll, canManageAlerts, canSelectEmployee, canEditEmployeeDetails, getOwnEmployeeId } from './roles';
+import {
+  EMPTY_SHIFT_CONFIG,
+  resolvePolicy,
+  timeToHours,
+  isMissingTime,
+  isLate as isLateForPolicy,
+  getWorkingHours as getWorkingHoursForPolicy,
+  getCheckInDistribution,
+} from './shiftPolicies';
+import { DEFAULT_WORK_CALENDAR, describeWeeklyOffs } from './workCalendar';
+import CollapsiblePanel from './components/CollapsiblePanel';
+import ShiftPolicyEditor from './components/ShiftPolicyEditor';
+import HolidayCalendarEditor from './components/HolidayCalendarEditor';
+import LeaveManager from './components/LeaveManager';
+import RegularizationManager from './components/RegularizationManager';
+import PayrollSummary from './components/PayrollSummary';
+import AnomalyPanel from './components/AnomalyPanel';
+import NotificationInbox from './components/NotificationInbox';
+import AlertRulesEditor from './components/AlertRulesEditor';
+import EmployeeDetailsEditor from './components/EmployeeDetailsEditor';
+import DepartmentComparison from './components/DepartmentComparison';
+import { getDepartments, getTeams, isInGroup } from './employeeDetails';
+import ComparePeriodPicker from './components/ComparePeriodPicker';
+import MetricDelta from './components/MetricDelta';
+import { getComparisonRange, pairDate, describeRange } from './periodComparison';
+import { LEAVE_TYPES, getLeaveType, indexLeavesByDate } from './leaves';
+import { sumOvertime } from './payroll';
+import { QUICK_RANGES, getQuickRange, isQuickRange } from './quickRanges';
+import { getSavedViews, storeSavedViews, createView, getViewSearch, getDefaultView } from './savedViews';
+import { detectAnomalies } from './anomalies';
+import { evaluateAlertRules } from './alertRules';
+import { fetchAlertConfig, saveAlertConfig, fetchNotifications, publishAlerts, markNotificationsRead, sendDigestNow, checkRecentAlerts } from './notifications';
+import { indexApprovedRegularizations, applyRegularizations, describeOriginalPunches } from './regularizations';
+import { summarizeAttendance, summarizeTeamByDate, groupRecordsByEmployee } from './attendance';
+import TeamSummaryTable from './components/TeamSummaryTable';
+import TeamCharts from './components/TeamCharts';
+import { exportCsv, exportXlsx, exportPdf, captureCharts, captureChartTables } from './exportReport';
+import UploadPanel from './components/UploadPanel';
+import UploadHistory from './components/UploadHistory';
+import AttendanceCalendar from './components/AttendanceCalendar';
+import RecordsTable from './components/RecordsTable';
+import ChartCard from './components/ChartCard';
+import EmployeePicker from './components/EmployeePicker';
+import EmployeeComparison from './components/EmployeeComparison';
+import SavedViewsManager from './components/SavedViewsManager';
+import { shouldReduceMotion, getStoredMotionPreference, storeMotionPreference, watchSystemMotionPreference } from './motionPreference';
+import { ROUTES, getLoginRedirect, isSearchPage, readSearchFromLocation, searchPath } from './routes';
+import { todayIn, startOfMonth } from './calendarDates';
+import { t, withLanguage, setLanguage, getLanguage, getLocale, LANGUAGES, formatNumber, formatDate, formatDateLabel, formatTime, formatDateTime } from './i18n';
 import { Line, Pie, Bar } from 'react-chartjs-2';
 import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, ArcElement, Title, Tooltip, Legend, BarElement } from 'chart.js';
 import * as THREE from 'three';
@@ -8,29 +62,93 @@ import "vanta/dist/vanta.dots.min";
 
 ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, ArcElement, Title, Tooltip, Legend, BarElement);
 
+// Chart.js reads its defaults on every update, so switching them before the
+// charts re-render is enough to stop or restart their animations
+const CHART_ANIMATION = ChartJS.defaults.animation;
+const setChartAnimations = (enabled) => {
+  ChartJS.defaults.animation = enabled ? CHART_ANIMATION : false;
+};
+
+// Handed to MotionConfig in reduced-motion mode: every framer animation jumps straight to its end
+const INSTANT_TRANSITION = { type: false };
+
+// Columns of the records table, shared with the CSV/XLSX/PDF exports
+const RECORD_HEADERS = ['Employee ID', 'Name', 'Date', 'Check In', 'Check Out', 'Hours', 'Late Minutes', 'Status', 'Late Flag', 'Computed Is Late', 'Original Punches'];
+// The same columns as shown on screen, in the UI language
+const RECORD_HEADER_KEYS = ['employeeId', 'name', 'date', 'checkIn', 'checkOut', 'hours', 'lateMinutes', 'status', 'lateFlag', 'computedIsLate', 'originalPunches'];
+
+// State update recording when one kind of data on screen was fetched, if it came
+// from the offline cache, so the banner can say how old it is
+const withCacheTime = (kind, cachedAt) => (prev) => (prev[kind] === cachedAt ? prev : { ...prev, [kind]: cachedAt });
+
 function App() {
-  const [employeeId, setEmployeeId] = useState('');
+  const [selectedEmployeeIds, setSelectedEmployeeIds] = useState([]); // Picked in the search bar; none means everyone
+  const employeeId = selectedEmployeeIds.length === 1 ? selectedEmployeeIds[0] : '';
   const [employees, setEmployees] = useState([]);
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
-  const [records, setRecords] = useState([]);
+  const [department, setDepartment] = useState(''); // Narrows an all-employee search
+  const [team, setTeam] = useState('');
+  const [quickRangeId, setQuickRangeId] = useState(''); // Last quick range picked; only counts while the dates still match it
+  const [savedViews, setSavedViews] = useState([]); // The logged-in user's saved views
+  const [rawRecords, setRawRecords] = useState([]); // As the backend returns them, before approved punch corrections
+  const [activeSearch, setActiveSearch] = useState(null); // Filters behind the records on screen
+  const [leaves, setLeaves] = useState([]); // Leave overlapping the active search
+  const [regularizations, setRegularizations] = useState([]); // Approved punch corrections in the active search
+  const [teamSearch, setTeamSearch] = useState(null); // Team search to return to after drilling into one employee
+  const [compareMode, setCompareMode] = useState(''); // '' or a COMPARISON_MODES id
+  const [compareCustomRange, setCompareCustomRange] = useState({ fromDate: '', toDate: '' });
+  const [comparison, setComparison] = useState(null); // { fromDate, toDate, rawRecords, leaves, regularizations } in compare mode
+  const [comparisonLoading, setComparisonLoading] = useState(false);
+  const [comparisonError, setComparisonError] = useState('');
+  const [exportError, setExportError] = useState('');
+  const [recordFocus, setRecordFocus] = useState(null); // { label, rows } when an anomaly narrows the records table
+  const recordsTableRef = useRef(null);
+  const [datasetVersion, setDatasetVersion] = useState(0); // Bumped whenever an upload or rollback changes the data
+  const chartsRef = useRef(null); // Wraps the charts so the PDF export can snapshot them
   const [loading, setLoading] = useState(false); // For search loading
   const [error, setError] = useState(null);
   const [theme, setTheme] = useState('light');
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [reduceMotion, setReduceMotion] = useState(() => {
+    const reduce = shouldReduceMotion();
+    setChartAnimations(!reduce);
+    return reduce;
+  });
+  const [language, setLanguageState] = useState(getLanguage); // Mirrors i18n's current language so switching re-renders
+  const [session, setSession] = useState(() => getSession()); // Restored from localStorage on reload
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loginError, setLoginError] = useState('');
+  const [loginLoading, setLoginLoading] = useState(false);
+  const isLoggedIn = !!session;
+  const currentUser = session ? session.user : null;
   const vantaRef = useRef(null);
   const vantaEffect = useRef(null);
+  const expireSessionRef = useRef(null); // Latest expireSession, for the 401 handler and expiry timer
+  const fetchRecordsRef = useRef(null); // Latest fetchRecords, for the URL effect
+  const location = useLocation();
+  const navigate = useNavigate();
+  const isUploadPage = location.pathname === ROUTES.upload;
+
 
-  const [employeeFile, setEmployeeFile] = useState(null);
-  const [attendanceFile, setAttendanceFile] = useState(null);
-  const [uploadMessage, setUploadMessage] = useState('');
-  const [uploadLoading, setUploadLoading] = useState(false); // Separate loading for upload
-  const [dashboardDownloadUrl, setDashboardDownloadUrl] = useState('');
+  const [shiftConfig, setShiftConfig] = useState(EMPTY_SHIFT_CONFIG);
+  const [shiftSaving, setShiftSaving] = useState(false);
+  const [workCalendar, setWorkCalendar] = useState(DEFAULT_WORK_CALENDAR);
+  const [calendarSaving, setCalendarSaving] = useState(false);
+  const [settingsMessage, setSettingsMessage] = useState(null); // { text, error } from loading/saving shift policies, the calendar or alerts
+  const [alertConfig, setAlertConfig] = useState(null); // { rules, emailDigest }; null until loaded, and alerts wait for it
+  const [alertSaving, setAlertSaving] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [cachedTimes, setCachedTimes] = useState({}); // When each piece of data on screen was fetched, if it came from the offline cache
+  const [queuedUploadCount, setQueuedUploadCount] = useState(0);
+  const [uploadQueueMessage, setUploadQueueMessage] = useState(null); // { text, error } from sending queued uploads after reconnecting
+  const syncWhenOnlineRef = useRef(null); // Latest syncWhenOnline, for the connectivity effect
+  const syncingRef = useRef(false);
 
-  const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:10000';
+  const refreshQueuedUploads = () => {
+    listQueuedUploads().then(batches => setQueuedUploadCount(batches.length));
+  };
 
   // Function to fetch employees (now a standalone function)
   const fetchEmployees = async () => {
@@ -39,9 +157,10 @@ function App() {
     try {
       console.log('Fetching employees from:', `${BACKEND_URL}/api/employees`);
       // INCREASED TIMEOUT HERE TO 30 SECONDS (or more if needed)
-      const response = await axios.get(`${BACKEND_URL}/api/employees`, { timeout: 30000 }); 
+      const response = await cachedGet('/api/employees', { timeout: 30000 });
       console.log('Employees API Response:', response.data);
       setEmployees(response.data.employees);
+      setCachedTimes(withCacheTime('employees', response.cachedAt));
       if (response.data.message) {
           setError(response.data.message);
       } else {
@@ -49,11 +168,11 @@ function App() {
       }
     } catch (err) {
       console.error('Error fetching employees:', err);
-      let errorMessage = 'Failed to fetch employee list. Please ensure the backend server is running and data has been processed.';
+      let errorMessage = t('employees.fetchFailed');
       if (err.code === 'ECONNABORTED' && err.message.includes('timeout')) {
-          errorMessage = 'Request to fetch employees timed out. Backend might be busy or slow.';
+          errorMessage = t('employees.timedOut');
       } else if (err.response) {
-          errorMessage = `Server responded with status ${err.response.status}: ${err.response.data.message || err.message}`;
+          errorMessage = t('error.serverResponded', { status: err.response.status, message: err.response.data.message || err.message });
       }
       setError(errorMessage);
       setEmployees([]); // Clear employees on error
@@ -63,18 +182,23 @@ function App() {
   };
 
   // Function to fetch records (now a standalone function)
-  const fetchRecords = async () => {
+  // `filters` overrides the current form values, for searches started before state has updated
+  const fetchRecords = async (filters = {}) => {
     setLoading(true); // Indicate loading for records
     setError(null);
-    setUploadMessage('');
-    setDashboardDownloadUrl('');
 
-    const trimmedEmployeeId = employeeId.trim();
-    const trimmedFromDate = fromDate.trim();
-    const trimmedToDate = toDate.trim();
+    // Self-service users can only ever search their own records
+    const ownEmployeeId = getOwnEmployeeId(currentUser);
+    const pickedEmployeeIds = ownEmployeeId ? [ownEmployeeId] : (filters.employeeIds ?? selectedEmployeeIds);
+    const trimmedEmployeeId = pickedEmployeeIds.length === 1 ? pickedEmployeeIds[0].trim() : '';
+    const trimmedFromDate = (filters.fromDate ?? fromDate).trim();
+    const trimmedToDate = (filters.toDate ?? toDate).trim();
+    // A department or team only applies when no employees are picked
+    const groupDepartment = pickedEmployeeIds.length > 0 ? '' : (filters.department ?? department);
+    const groupTeam = pickedEmployeeIds.length > 0 ? '' : (filters.team ?? team);
 
-    if (!trimmedEmployeeId && (!trimmedFromDate && !trimmedToDate)) {
-      setError('Please select an employee or a date range to search.');
+    if (pickedEmployeeIds.length === 0 && !groupDepartment && !groupTeam && (!trimmedFromDate && !trimmedToDate)) {
+      setError(t('search.needFilters'));
       setLoading(false);
       return;
     }
@@ -88,59 +212,283 @@ function App() {
 
     try {
       console.log('Fetching records from:', `${BACKEND_URL}/api/search`);
-      const response = await axios.get(`${BACKEND_URL}/api/search`, {
-        params: { employee_id: trimmedEmployeeId, from_date: trimmedFromDate, to_date: trimmedToDate },
-        timeout: 15000 // Keep this reasonable, but can be increased if search is slow
-      });
+      const response = pickedEmployeeIds.length > 1
+        ? await fetchPickedEmployees(pickedEmployeeIds, trimmedFromDate, trimmedToDate)
+        : await cachedGet('/api/search', {
+          params: { employee_id: trimmedEmployeeId, from_date: trimmedFromDate, to_date: trimmedToDate, department: groupDepartment, team: groupTeam },
+          timeout: 15000 // Keep this reasonable, but can be increased if search is slow
+        });
+      setCachedTimes(withCacheTime('records', response.cachedAt));
       console.log('API Request URL:', `${BACKEND_URL}/api/search?employee_id=${trimmedEmployeeId}&from_date=${trimmedFromDate}&to_date=${trimmedToDate}`);
       console.log('API Response:', response.data);
-      setRecords(response.data.records);
+      setRawRecords(response.data.records);
+      const search = { employeeId: trimmedEmployeeId, employeeIds: pickedEmployeeIds, fromDate: trimmedFromDate, toDate: trimmedToDate, department: groupDepartment, team: groupTeam };
+      setActiveSearch(search);
+      // Alerts wait for leave and corrections, or every leave day would look like an absence
+      Promise.all([fetchLeaves(search), fetchRegularizations(search)])
+        .then(([searchLeaves, searchRegularizations]) => runAlertRules(response.data.records, searchLeaves, searchRegularizations, search));
       if (response.data.records.length === 0) {
-        setError(response.data.message || 'No records found for the selected criteria.');
+        setError(response.data.message || t('search.noRecords'));
       } else {
           setError(null);
       }
     } catch (err) {
       console.error('Error fetching records:', err);
-      let errorMessage = 'Failed to fetch records: ' + err.message;
+      let errorMessage = t('search.failed', { message: err.message });
       if (err.code === 'ECONNREFUSED') {
-        errorMessage = 'Cannot connect to the backend server. Please ensure it is running and accessible.';
+        errorMessage = t('error.backendUnreachable');
       } else if (err.response) {
-        errorMessage = `Server responded with status ${err.response.status}: ${err.response.data.message || err.message}`;
+        errorMessage = t('error.serverResponded', { status: err.response.status, message: err.response.data.message || err.message });
       } else if (err.code === 'ERR_CORS') {
-        errorMessage = 'CORS issue detected. Check your backend CORS configuration.';
+        errorMessage = t('error.cors');
       } else if (err.code === 'ERR_NETWORK') {
-        errorMessage = 'Network error. Please check your internet connection.';
+        errorMessage = t('error.network');
       } else if (err.code === 'ECONNABORTED' && err.message.includes('timeout')) {
-          errorMessage = 'Request to fetch records timed out. Backend might be busy or slow.';
+          errorMessage = t('search.timedOut');
       } else if (err.code === 'ERR_BAD_RESPONSE') {
-        errorMessage = 'Received a bad response from the server. Check backend logs.';
+        errorMessage = t('error.badResponse');
       }
       setError(errorMessage);
-      setRecords([]);
+      setRawRecords([]);
+      setActiveSearch(null);
+      setLeaves([]);
+      setRegularizations([]);
     } finally {
       setLoading(false); // End loading for records
     }
   };
 
+  fetchRecordsRef.current = fetchRecords;
 
-  // Initialize VANTA effect only once on mount
-  useEffect(() => {
-    if (vantaRef.current && !vantaEffect.current) {
-      vantaEffect.current = window.VANTA.DOTS({
-        el: vantaRef.current,
-        THREE: THREE,
-        mouseControls: true,
-        touchControls: true,
-        gyroControls: false,
-        minHeight: 200.0,
-        minWidth: 200.0,
-        scale: 1.0,
-        scaleMobile: 1.0,
-        color: theme === 'dark' ? 0xdddddd : 0x222222,
-        backgroundColor: theme === 'dark' ? 0x1a202c : 0xf7fafc
+  // One search per picked employee, merged into the shape a single search returns.
+  // Cached data from any of them dates the whole result.
+  const fetchPickedEmployees = async (ids, from, to) => {
+    const responses = await Promise.all(ids.map(id => cachedGet('/api/search', {
+      params: { employee_id: id, from_date: from, to_date: to },
+      timeout: 15000
+    })));
+    const cacheTimes = responses.map(response => response.cachedAt).filter(Boolean);
+    return {
+      data: { records: responses.flatMap(response => response.data.records || []) },
+      cachedAt: cacheTimes.length > 0 ? Math.min(...cacheTimes) : null,
+    };
+  };
+
+  // Leave covering the searched range, used to split absences into leave and unplanned
+  const fetchLeaves = async (search = activeSearch) => {
+    if (!search) return;
+    try {
+      const response = await cachedGet('/api/leaves', {
+        params: { employee_id: search.employeeId, from_date: search.fromDate, to_date: search.toDate },
+        timeout: 15000
+      });
+      setCachedTimes(withCacheTime('leaves', response.cachedAt));
+      setLeaves(response.data.leaves || []);
+      return response.data.leaves || [];
+    } catch (err) {
+      console.error('Error fetching leave:', err);
+      setLeaves([]);
+      setError(getErrorMessage(err, t('leave.loadFailedForSearch')));
+      return null;
+    }
+  };
+
+  // Approved punch corrections covering the searched range; they override the raw punches on screen
+  const fetchRegularizations = async (search = activeSearch) => {
+    if (!search) return;
+    try {
+      const response = await cachedGet('/api/regularizations', {
+        params: { employee_id: search.employeeId, from_date: search.fromDate, to_date: search.toDate, status: 'approved' },
+        timeout: 15000
       });
+      setCachedTimes(withCacheTime('regularizations', response.cachedAt));
+      setRegularizations(response.data.regularizations || []);
+      return response.data.regularizations || [];
+    } catch (err) {
+      console.error('Error fetching regularizations:', err);
+      setRegularizations([]);
+      setError(getErrorMessage(err, t('regularization.loadFailedForSearch')));
+      return null;
+    }
+  };
+
+  // Alert rules and the inbox, for the users who get alerts
+  const fetchAlerts = async () => {
+    try {
+      const [config, inbox] = await Promise.all([fetchAlertConfig(), fetchNotifications()]);
+      setAlertConfig(config);
+      setNotifications(inbox);
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+      setSettingsMessage({ text: getErrorMessage(err, t('alerts.loadFailed')), error: true });
+    }
+  };
+
+  const refreshNotifications = async () => {
+    try {
+      setNotifications(await fetchNotifications());
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  };
+
+  // Every search runs the alert rules over what it fetched; the backend drops alerts it already has
+  const runAlertRules = async (searchRecords, searchLeaves, searchRegularizations, search) => {
+    if (!alertConfig || !canManageAlerts(currentUser) || !searchLeaves || !searchRegularizations) return;
+    // Everyone the search covers, so someone away for the whole range is still checked
+    const searchedEmployees = search.employeeIds.length > 0
+      ? employees.filter(employee => search.employeeIds.includes(String(employee.Employee_ID)))
+      : employees.filter(employee => isInGroup(employee, search));
+    try {
+      const alerts = evaluateAlertRules(
+        alertConfig.rules,
+        applyRegularizations(searchRecords, indexApprovedRegularizations(searchRegularizations), getPolicy),
+        {
+          fromDate: search.fromDate,
+          toDate: search.toDate,
+          today: todayIn(),
+          calendar: workCalendar,
+          leaveIndex: indexLeavesByDate(searchLeaves, workCalendar),
+          getPolicy,
+          employees: searchedEmployees,
+        }
+      );
+      if (await publishAlerts(alerts) > 0) refreshNotifications();
+    } catch (err) {
+      console.error('Error raising alerts:', err);
+    }
+  };
+
+  const saveAlertRules = async (config) => {
+    setAlertSaving(true);
+    setSettingsMessage(null);
+    try {
+      setAlertConfig(await saveAlertConfig(config));
+      setSettingsMessage({ text: t('alerts.saved'), error: false });
+    } catch (err) {
+      console.error('Error saving alert rules:', err);
+      setSettingsMessage({ text: getErrorMessage(err, t('alerts.saveFailed')), error: true });
+    } finally {
+      setAlertSaving(false);
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (notification.link) navigate(searchPath(notification.link));
+    if (notification.read) return;
+    try {
+      await markNotificationsRead([notification.id]);
+      refreshNotifications();
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markNotificationsRead();
+      refreshNotifications();
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+      setSettingsMessage({ text: getErrorMessage(err, t('alerts.markReadFailed')), error: true });
+    }
+  };
+
+  const handleSendDigest = async () => {
+    try {
+      setSettingsMessage({ text: await sendDigestNow(), error: false });
+    } catch (err) {
+      console.error('Error sending digest:', err);
+      setSettingsMessage({ text: getErrorMessage(err, t('alerts.digestFailed')), error: true });
+    }
+  };
+
+  // Shift policies and assignments; every lateness and hours calculation depends on them
+  const fetchShiftConfig = async () => {
+    try {
+      const response = await cachedGet('/api/shift-policies', { timeout: 15000 });
+      setCachedTimes(withCacheTime('shiftConfig', response.cachedAt));
+      setShiftConfig({
+        policies: response.data.policies && response.data.policies.length > 0 ? response.data.policies : EMPTY_SHIFT_CONFIG.policies,
+        assignments: { ...EMPTY_SHIFT_CONFIG.assignments, ...response.data.assignments },
+      });
+    } catch (err) {
+      console.error('Error fetching shift policies:', err);
+      setShiftConfig(EMPTY_SHIFT_CONFIG);
+      setSettingsMessage({ text: t('shift.loadFailed'), error: true });
+    }
+  };
+
+  const saveShiftConfig = async (config) => {
+    setShiftSaving(true);
+    setSettingsMessage(null);
+    try {
+      const response = await api.put('/api/shift-policies', config, { timeout: 15000 });
+      setShiftConfig({
+        policies: response.data.policies,
+        assignments: { ...EMPTY_SHIFT_CONFIG.assignments, ...response.data.assignments },
+      });
+      setSettingsMessage({ text: t('shift.saved'), error: false });
+    } catch (err) {
+      console.error('Error saving shift policies:', err);
+      let errorMessage = t('shift.saveFailed', { message: err.message });
+      if (err.response) {
+        errorMessage = t('shift.saveFailedStatus', { status: err.response.status, message: (err.response.data && err.response.data.message) || err.message });
+      }
+      setSettingsMessage({ text: errorMessage, error: true });
+    } finally {
+      setShiftSaving(false);
+    }
+  };
+
+  // Holidays and weekly offs decide which days without a record count as absences
+  const fetchWorkCalendar = async () => {
+    try {
+      const response = await cachedGet('/api/work-calendar', { timeout: 15000 });
+      setCachedTimes(withCacheTime('workCalendar', response.cachedAt));
+      setWorkCalendar({ ...DEFAULT_WORK_CALENDAR, ...response.data });
+    } catch (err) {
+      console.error('Error fetching work calendar:', err);
+      setWorkCalendar(DEFAULT_WORK_CALENDAR);
+      setSettingsMessage({ text: t('calendar.loadFailed'), error: true });
+    }
+  };
+
+  const saveWorkCalendar = async (calendar) => {
+    setCalendarSaving(true);
+    setSettingsMessage(null);
+    try {
+      const response = await api.put('/api/work-calendar', calendar, { timeout: 15000 });
+      setWorkCalendar({ ...DEFAULT_WORK_CALENDAR, ...response.data });
+      setSettingsMessage({ text: t('calendar.saved'), error: false });
+    } catch (err) {
+      console.error('Error saving work calendar:', err);
+      let errorMessage = t('calendar.saveFailed', { message: err.message });
+      if (err.response) {
+        errorMessage = t('calendar.saveFailedStatus', { status: err.response.status, message: (err.response.data && err.response.data.message) || err.message });
+      }
+      setSettingsMessage({ text: errorMessage, error: true });
+    } finally {
+      setCalendarSaving(false);
     }
+  };
+
+  // Run VANTA unless motion is reduced; switching reduced motion on tears it down
+  useEffect(() => {
+    if (reduceMotion || !vantaRef.current || vantaEffect.current) return undefined;
+    vantaEffect.current = window.VANTA.DOTS({
+      el: vantaRef.current,
+      THREE: THREE,
+      mouseControls: true,
+      touchControls: true,
+      gyroControls: false,
+      minHeight: 200.0,
+      minWidth: 200.0,
+      scale: 1.0,
+      scaleMobile: 1.0,
+      color: theme === 'dark' ? 0xdddddd : 0x222222,
+      backgroundColor: theme === 'dark' ? 0x1a202c : 0xf7fafc
+    });
 
     return () => {
       if (vantaEffect.current && typeof vantaEffect.current.destroy === 'function') {
@@ -148,7 +496,7 @@ function App() {
       }
       vantaEffect.current = null;
     };
-  }, []);
+  }, [reduceMotion]);
 
   // Update VANTA background color on theme change
   useEffect(() => {
@@ -169,191 +517,590 @@ function App() {
     }
   }, [theme]);
 
+  // Also stops the CSS transitions and spinners, see index.css
+  useEffect(() => {
+    document.documentElement.classList.toggle('reduce-motion', reduceMotion);
+  }, [reduceMotion]);
+
+  // Follow the OS setting live until the user picks with the toggle
+  useEffect(() => watchSystemMotionPreference((matches) => {
+    if (getStoredMotionPreference() !== null) return;
+    setChartAnimations(!matches);
+    setReduceMotion(matches);
+  }), []);
+
+  // Screen readers go by the page language; Chart.js formats tick numbers in its own locale
+  useEffect(() => {
+    document.documentElement.lang = language;
+    ChartJS.defaults.locale = getLocale();
+  }, [language]);
+
+  // Any 401 from the API means the token is no longer valid
+  useEffect(() => {
+    setUnauthorizedHandler(() => expireSessionRef.current());
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // Track connectivity for the offline banner and to send queued uploads
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // On login and whenever the connection returns; offline, just show what is waiting
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    if (isOnline) {
+      syncWhenOnlineRef.current();
+    } else {
+      listQueuedUploads().then(batches => setQueuedUploadCount(batches.length));
+    }
+  }, [isLoggedIn, isOnline]);
+
+  // Auto-logout when the token reaches its expiry time
+  useEffect(() => {
+    if (!session || !session.expiresAt) return undefined;
+    const timer = setTimeout(() => expireSessionRef.current(), Math.max(0, session.expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [session]);
+
   // Fetch employees on component mount and after successful upload
   useEffect(() => {
     if (isLoggedIn) {
         fetchEmployees(); // Call the standalone function
     }
-  }, [isLoggedIn, uploadMessage]); // Re-fetch when uploadMessage changes (after successful upload) or login state changes
+  }, [isLoggedIn]); // UploadPanel refreshes the list itself after an upload
+
+  useEffect(() => {
+    if (isLoggedIn) {
+      fetchShiftConfig();
+      fetchWorkCalendar();
+    }
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    if (isLoggedIn && canManageAlerts(currentUser)) fetchAlerts();
+  }, [isLoggedIn, currentUser]);
+
+  useEffect(() => {
+    setSavedViews(currentUser ? getSavedViews(currentUser) : []);
+  }, [currentUser]);
 
-  const handleLogin = (e) => {
+  // Focused rows are indexes into the old records, so they go when the records change
+  useEffect(() => {
+    setRecordFocus(null);
+  }, [rawRecords]);
+
+  // The URL drives the search, so shared links, reloads and back/forward all end up here
+  useEffect(() => {
+    if (!isLoggedIn || !isSearchPage(location.pathname)) return;
+    const search = readSearchFromLocation(location);
+    if (!search) {
+      // Employees land straight on their own attendance for the current month
+      const ownEmployeeId = getOwnEmployeeId(currentUser);
+      if (ownEmployeeId) {
+        const today = todayIn();
+        navigate(searchPath({ employeeId: ownEmployeeId, fromDate: startOfMonth(today), toDate: today }), { replace: true });
+        return;
+      }
+      setSelectedEmployeeIds([]);
+      setFromDate('');
+      setToDate('');
+      setDepartment('');
+      setTeam('');
+      setRawRecords([]);
+      setActiveSearch(null);
+      setLeaves([]);
+      setRegularizations([]);
+      setError(null);
+      return;
+    }
+    setSelectedEmployeeIds(search.employeeIds);
+    setFromDate(search.fromDate);
+    setToDate(search.toDate);
+    setDepartment(search.department);
+    setTeam(search.team);
+    fetchRecordsRef.current(search);
+  }, [isLoggedIn, location, navigate, currentUser]);
+
+  // A login headed for the bare dashboard opens the user's default view
+  // instead; a link with a search in it still wins
+  const getLoginDefaultView = (user) => (
+    getLoginRedirect(location.search) === ROUTES.dashboard ? getDefaultView(getSavedViews(user)) : null
+  );
+
+  const handleLogin = async (e) => {
     e.preventDefault();
-    if (email === 'admin@artpark.com' && password === 'password123') {
-      setIsLoggedIn(true);
-      setLoginError('');
+    setLoginLoading(true);
+    setLoginError('');
+    try {
+      const newSession = await login(email.trim(), password);
+      const defaultView = getLoginDefaultView(newSession.user);
+      if (defaultView) setQuickRangeId(defaultView.rangeId); // The login page's redirect opens it
+      setSession(newSession);
+      setPassword('');
       // No need to call handleSearch here, useEffect will fetch employees
       // and initial data will be loaded when an employee is selected or search is performed.
-    } else {
-      setLoginError('Invalid email or password');
+    } catch (err) {
+      console.error('Error logging in:', err);
+      let errorMessage = t('login.failed', { message: err.message });
+      if (err.response && (err.response.status === 401 || err.response.status === 403)) {
+        errorMessage = t('login.invalid');
+      } else if (err.response) {
+        errorMessage = t('error.serverResponded', { status: err.response.status, message: (err.response.data && err.response.data.message) || err.message });
+      } else if (err.code === 'ERR_NETWORK' || err.code === 'ECONNREFUSED') {
+        errorMessage = t('error.backendUnreachable');
+      } else if (err.code === 'ECONNABORTED' && err.message.includes('timeout')) {
+        errorMessage = t('login.timedOut');
+      }
+      setLoginError(errorMessage);
+    } finally {
+      setLoginLoading(false);
     }
   };
 
-  const handleLogout = () => {
-    setIsLoggedIn(false);
+  // Clears all dashboard state; shared by manual logout and session expiry
+  const resetDashboard = () => {
+    setSession(null);
     setEmail('');
     setPassword('');
-    setRecords([]);
-    setEmployeeId('');
+    setRawRecords([]);
+    setActiveSearch(null);
+    setLeaves([]);
+    setRegularizations([]);
+    setTeamSearch(null);
+    setCompareMode('');
+    setCompareCustomRange({ fromDate: '', toDate: '' });
+    setComparison(null);
+    setSelectedEmployeeIds([]);
     setFromDate('');
     setToDate('');
+    setDepartment('');
+    setTeam('');
+    setQuickRangeId('');
     setError(null);
-    setUploadMessage('');
-    setDashboardDownloadUrl('');
     setEmployees([]); // Clear employees on logout
+    setShiftConfig(EMPTY_SHIFT_CONFIG);
+    setWorkCalendar(DEFAULT_WORK_CALENDAR);
+    setSettingsMessage(null);
+    setAlertConfig(null);
+    setNotifications([]);
+    setCachedTimes({});
+    setQueuedUploadCount(0);
+    setUploadQueueMessage(null);
   };
 
-  const toggleTheme = () => {
-    setTheme(prevTheme => (prevTheme === 'light' ? 'dark' : 'light'));
+  const handleLogout = () => {
+    clearQueuedUploads(); // Reads the user from the session, so before logout clears it
+    logout(); // Revokes the token on the backend and clears the stored session
+    clearCachedResponses();
+    resetDashboard();
+    navigate(ROUTES.login);
+    setLoginError('');
   };
 
-  // Changed handleSearch to call the standalone fetchRecords
-  const handleSearch = () => {
-    fetchRecords();
+  // Called when the token expires or any API call comes back with a 401
+  const expireSession = () => {
+    clearQueuedUploads();
+    clearSession();
+    clearCachedResponses();
+    resetDashboard();
+    setLoginError(t('login.sessionExpired'));
   };
+  expireSessionRef.current = expireSession;
 
-  const handleEmployeeFileChange = (e) => {
-    setEmployeeFile(e.target.files[0]);
-    setUploadMessage('');
-    setDashboardDownloadUrl('');
+  const toggleTheme = () => {
+    setTheme(prevTheme => (prevTheme === 'light' ? 'dark' : 'light'));
   };
 
-  const handleAttendanceFileChange = (e) => {
-    setAttendanceFile(e.target.files[0]);
-    setUploadMessage('');
-    setDashboardDownloadUrl('');
+  // Once toggled, the choice wins over the OS setting in this browser
+  const toggleReduceMotion = () => {
+    storeMotionPreference(!reduceMotion);
+    setChartAnimations(reduceMotion);
+    setReduceMotion(!reduceMotion);
   };
 
-  const handleUpload = async () => {
-    if (!employeeFile || !attendanceFile) {
-      setUploadMessage('Please select both Employee Data (binary) and Attendance Data (.dat/.txt) files.');
+  const handleLanguageChange = (e) => {
+    setLanguage(e.target.value);
+    setLanguageState(e.target.value);
+  };
+
+  // Searching only changes the URL; the URL effect runs fetchRecords.
+  // `range` replaces the date inputs, for quick ranges.
+  const handleSearch = (range = { fromDate, toDate }) => {
+    setTeamSearch(null);
+    const ownEmployeeId = getOwnEmployeeId(currentUser);
+    const filters = {
+      employeeId: ownEmployeeId || employeeId.trim(),
+      employeeIds: ownEmployeeId ? [ownEmployeeId] : selectedEmployeeIds,
+      fromDate: range.fromDate.trim(),
+      toDate: range.toDate.trim(),
+      department,
+      team,
+    };
+    if (filters.employeeIds.length === 0 && !filters.department && !filters.team && !filters.fromDate && !filters.toDate) {
+      setError(t('search.needFilters'));
       return;
     }
+    navigate(searchPath(filters));
+  };
 
-    setUploadLoading(true);
-    setUploadMessage('');
-    setError(null);
-    setDashboardDownloadUrl('');
+  // A quick range fills in the dates and searches with them straight away
+  const handleQuickRange = (id) => {
+    const range = getQuickRange(id);
+    setQuickRangeId(id);
+    setFromDate(range.fromDate);
+    setToDate(range.toDate);
+    handleSearch(range);
+  };
+
+  const updateSavedViews = (views) => {
+    setSavedViews(views);
+    storeSavedViews(currentUser, views);
+  };
+
+  // Saves the search on screen, keeping a quick range as one so it moves with the calendar
+  const handleSaveView = (name) => {
+    const rangeId = isQuickRange(quickRangeId, activeSearch.fromDate, activeSearch.toDate) ? quickRangeId : '';
+    updateSavedViews([...savedViews, createView(name, activeSearch, rangeId)]);
+  };
+
+  const handleOpenView = (view) => {
+    setTeamSearch(null);
+    setQuickRangeId(view.rangeId);
+    navigate(searchPath(getViewSearch(view, todayIn())));
+  };
+
+  // Picking a department drops a team or employees outside it
+  const keepPickedIn = (group) => {
+    setSelectedEmployeeIds(prev => prev.filter(id => {
+      const employee = employees.find(emp => String(emp.Employee_ID) === id);
+      return !employee || isInGroup(employee, group);
+    }));
+  };
+
+  const handleDepartmentChange = (value) => {
+    setDepartment(value);
+    if (team && !getTeams(employees, value).includes(team)) setTeam('');
+    keepPickedIn({ department: value });
+  };
+
+  const handleTeamChange = (value) => {
+    setTeam(value);
+    keepPickedIn({ department, team: value });
+  };
 
-    const formData = new FormData();
-    formData.append('employee_file', employeeFile);
-    formData.append('attendance_file', attendanceFile);
+  // Exports describe the search behind the records, not whatever is in the inputs now
+  const getExportFilters = () => {
+    const employee = employees.find(emp => String(emp.Employee_ID) === String(activeSearch.employeeId));
+    return {
+      ...activeSearch,
+      employeeName: employee ? employee.Employee_Name : '',
+      generatedBy: currentUser ? currentUser.email : '',
+      generatedAt: new Date(),
+    };
+  };
 
+  // Exports stay in English whatever the UI language: jsPDF's built-in fonts
+  // have no Devanagari or Kannada glyphs, and payroll reads the headers
+  const handleExport = (format) => {
+    setExportError('');
     try {
-      console.log('Uploading files to:', `${BACKEND_URL}/api/upload`);
-      // INCREASED TIMEOUT FOR UPLOAD TO 2 MINUTES (120000 ms)
-      const response = await axios.post(`${BACKEND_URL}/api/upload`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        timeout: 120000 
+      withLanguage('en', () => exportRecords(format));
+    } catch (err) {
+      console.error('Error exporting records:', err);
+      setExportError(t('export.failed', { format: format.toUpperCase(), message: err.message }));
+    }
+  };
+
+  const exportRecords = (format) => {
+    const filters = getExportFilters();
+    const rows = records.map(getRecordRow);
+    // Day names in the summary were worked out in the UI language
+    const { absentDates, extraWorkingDates } = summarizeAttendance(records, { ...summaryOptions, employeeId: searchedEmployeeId || undefined });
+    if (format === 'csv') {
+      exportCsv(filters, RECORD_HEADERS, rows);
+    } else if (format === 'xlsx') {
+      exportXlsx(filters, RECORD_HEADERS, rows);
+    } else {
+      exportPdf(filters, {
+        title: isTeamView ? 'Team Attendance Report' : isPickedComparison ? 'Employee Comparison Report' : 'Attendance Report',
+        summary: !isSingleView ? [] : [
+          ['Total Attendance', `${totalAttendance} days`],
+          ['Total Days', `${totalDays} days`],
+          ['Total Absent', `${totalAbsent} days`],
+          ...(leaveAbsenceCounts.length > 0
+            ? [['Unplanned', `${totalUnplannedAbsent} days`], ...leaveAbsenceCounts.map(({ type, count }) => [type.label, `${count} days`])]
+            : []),
+          ['Holidays', `${holidaysInRange.length} days`],
+          ['Half Days', `${totalHalfDays} days`],
+          ['Total Extra Working', `${totalExtraWorking} days`],
+          ['Avg Working Hours', `${avgWorkingHours.toFixed(2)} hrs`],
+          ['Weekday Overtime', `${overtime.weekdayOvertimeHours.toFixed(2)} hrs`],
+          ['Weekend / Holiday Overtime', `${overtime.offDayOvertimeHours.toFixed(2)} hrs`],
+        ],
+        lists: !isSingleView ? [] : [
+          {
+            title: 'Absent Dates',
+            items: absentDates.map(({ date, day, leave }) => `${date} (${day})${leave ? ` - ${getLeaveType(leave.type).label}` : ''}`),
+          },
+          { title: 'Extra Working Dates', items: extraWorkingDates.map(({ date, day }) => `${date} (${day})`) },
+        ],
+        tables: [
+          ...(!isSingleView ? [{
+            title: isTeamView ? 'Team Summary' : 'Employee Comparison',
+            headers: ['Employee ID', 'Name', 'Present', 'Absent', 'Late', 'Avg Hours', 'Extra Days'],
+            rows: (isTeamView ? teamSummaries : pickedSummaries).map(s => [s.employeeId, s.employeeName, s.totalAttendance, s.totalAbsent, s.lateCount, s.avgWorkingHours.toFixed(2), s.totalExtraWorking]),
+          }] : []),
+          // Charts switched to a table have no canvas, so their table goes in instead
+          ...captureChartTables(chartsRef.current),
+        ],
+        charts: captureCharts(chartsRef.current, theme === 'dark' ? '#374151' : '#FFFFFF'),
+        headers: RECORD_HEADERS,
+        rows,
       });
-      console.log('Upload API Response:', response.data);
-      setUploadMessage(response.data.message || 'Files uploaded and processed successfully!');
-      if (response.data.download_url) {
-          setDashboardDownloadUrl(`${BACKEND_URL}${response.data.download_url}`); // Ensure correct URL construction
+    }
+  };
+
+  const handleShowAnomalyRows = (label, rows) => {
+    setRecordFocus({ label, rows });
+    if (recordsTableRef.current) recordsTableRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  // Drill from the team summary into one employee over the same range
+  const handleSelectTeamMember = (id) => {
+    setTeamSearch(activeSearch);
+    navigate(searchPath({ employeeId: id, fromDate: activeSearch.fromDate, toDate: activeSearch.toDate }));
+  };
+
+  const handleBackToTeam = () => {
+    navigate(searchPath(teamSearch));
+    setTeamSearch(null);
+  };
+
+  // Processed uploads and rollbacks can change the employees and the records on screen
+  const handleDatasetChanged = () => {
+    setDatasetVersion(prev => prev + 1);
+    fetchEmployees();
+    if (activeSearch) fetchRecords(activeSearch);
+    // New data can trip rules for anyone, not just whoever is on screen
+    if (alertConfig && canManageAlerts(currentUser)) {
+      checkRecentAlerts({ rules: alertConfig.rules, calendar: workCalendar, getPolicy, today: todayIn(), employees })
+        .then(added => { if (added > 0) refreshNotifications(); })
+        .catch(err => console.error('Error raising alerts after new data:', err));
+    }
+  };
+
+  // Sends uploads queued while offline, then swaps any cached data on screen for fresh data
+  const syncWhenOnline = async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    let processed = 0;
+    try {
+      if (canUpload(currentUser)) {
+        const result = await sendQueuedUploads();
+        processed = result.processed;
+        if (result.processed > 0 || result.failures.length > 0) {
+          setUploadQueueMessage(result.failures.length > 0
+            ? { text: `${t('offline.queueFailed', { count: result.failures.length })} ${result.failures.join(' ')}`, error: true }
+            : { text: t('offline.queueSent', { count: result.processed }), error: false });
+        }
       }
-      // After successful upload and processing, trigger a refresh of employees and records
-      fetchEmployees(); // Refresh employee list
-      fetchRecords();   // Refresh records based on current filters (or clear if no filters)
     } catch (err) {
-      console.error('Error uploading files:', err);
-      let errorMessage = 'Failed to upload and process files.';
-      if (err.response && err.response.data && err.response.data.error) {
-        errorMessage = `Error: ${err.response.data.error}`;
-      } else if (err.code === 'ECONNREFUSED') {
-          errorMessage = 'Cannot connect to the backend server. Please ensure it is running.';
-      } else if (err.code === 'ERR_NETWORK') {
-          errorMessage = 'Network error during upload. Please check your connection.';
-      } else if (err.code === 'ECONNABORTED' && err.message.includes('timeout')) {
-          errorMessage = 'Upload request timed out. Backend processing is taking too long.';
-      }
-      setUploadMessage(errorMessage);
-      setError(errorMessage);
+      console.error('Error sending queued uploads:', err);
+      setUploadQueueMessage({ text: t('offline.queueError', { message: err.message }), error: true });
     } finally {
-      setUploadLoading(false);
-      // Clear selected files after upload attempt (success or failure)
-      setEmployeeFile(null);
-      setAttendanceFile(null);
-      // Reset file input elements manually if needed, or rely on state clearing
-      document.querySelectorAll('input[type="file"]').forEach(input => input.value = '');
+      syncingRef.current = false;
+      refreshQueuedUploads();
     }
+    if (processed > 0 || cachedTimes.employees || cachedTimes.records) handleDatasetChanged();
+    if (cachedTimes.shiftConfig) fetchShiftConfig();
+    if (cachedTimes.workCalendar) fetchWorkCalendar();
   };
-  // --- END NEW FILE UPLOAD HANDLERS ---
+  syncWhenOnlineRef.current = syncWhenOnline;
 
-  // --- Existing helper functions (no changes needed) ---
-  const timeToHours = (time) => {
-    if (!time || time === 'N/A' || time === '') return 0;
-    const [hours, minutes, seconds] = time.split(':').map(Number);
-    return hours + minutes / 60 + (seconds || 0) / 3600;
-  };
+  // Oldest cached data on screen, or null when everything is live
+  const cachedSince = Object.values(cachedTimes).filter(Boolean).reduce((oldest, time) => (oldest && oldest < time ? oldest : time), null);
 
-  const isLate = (checkIn) => {
-    if (!checkIn || checkIn === 'N/A' || checkIn === '') return false;
-    const checkInTime = timeToHours(checkIn);
-    return checkInTime > 9.5;
-  };
+  // --- Attendance helpers, driven by each employee's assigned shift policy ---
+  // Stable until the shifts change, so the memoized records below are too
+  const getPolicy = useCallback((record) => resolvePolicy(shiftConfig, record.Employee_ID), [shiftConfig]);
+  const isLate = useCallback((record) => isLateForPolicy(record.Check_In, getPolicy(record)), [getPolicy]);
+  const getWorkingHours = (record, cap = true) => getWorkingHoursForPolicy(record, getPolicy(record), cap);
+  const getRecordRow = useCallback((record) => [
+    record.Employee_ID,
+    record.Employee_Name,
+    record.Date,
+    record.Check_In,
+    record.Check_Out,
+    record.Working_Hours,
+    record.Late_Minutes,
+    record.Status,
+    record.Late_Flag ? 'Yes' : 'No',
+    isLate(record) ? 'Yes' : 'No',
+    describeOriginalPunches(record),
+  ], [isLate]);
+
+  // Approved corrections replace the raw punches everywhere below; the originals ride along on each record
+  const records = useMemo(
+    () => applyRegularizations(rawRecords, indexApprovedRegularizations(regularizations), getPolicy),
+    [rawRecords, regularizations, getPolicy]
+  );
+
+  const leaveIndex = indexLeavesByDate(leaves, workCalendar);
+  // Figures follow the search behind the records, not inputs edited since
+  const { fromDate: searchedFromDate = '', toDate: searchedToDate = '', employeeId: searchedEmployeeId = '' } = activeSearch || {};
+  const summaryOptions = { fromDate: searchedFromDate, toDate: searchedToDate, calendar: workCalendar, leaveIndex, getPolicy };
+
+  // Several employees in the result switch the dashboard to the team view
+  const employeeGroups = groupRecordsByEmployee(records);
+  // Several picked employees get side-by-side columns instead, even if only one has records
+  const pickedEmployeeIds = activeSearch && activeSearch.employeeIds ? activeSearch.employeeIds : [];
+  const isPickedComparison = pickedEmployeeIds.length > 1;
+  const isTeamView = employeeGroups.size > 1 && !isPickedComparison;
+  const isSingleView = !isTeamView && !isPickedComparison;
+  const departments = getDepartments(employees);
+
+  // Compare mode fetches a second range for the same employee; the team view doesn't use it
+  const comparisonRange = isSingleView ? getComparisonRange(compareMode, activeSearch, compareCustomRange) : null;
+  const comparisonFrom = comparisonRange ? comparisonRange.fromDate : '';
+  const comparisonTo = comparisonRange ? comparisonRange.toDate : '';
+  const comparisonEmployeeId = searchedEmployeeId;
+  const comparisonDepartment = activeSearch ? activeSearch.department : '';
+  const comparisonTeam = activeSearch ? activeSearch.team : '';
+  useEffect(() => {
+    if (!comparisonFrom) {
+      setComparison(null);
+      setComparisonError('');
+      return undefined;
+    }
+    let cancelled = false;
+    const params = { employee_id: comparisonEmployeeId, from_date: comparisonFrom, to_date: comparisonTo };
+    const searchParams = { ...params, department: comparisonDepartment, team: comparisonTeam };
+    setComparisonLoading(true);
+    setComparisonError('');
+    Promise.all([
+      cachedGet('/api/search', { params: searchParams, timeout: 15000 }),
+      cachedGet('/api/leaves', { params, timeout: 15000 }),
+      cachedGet('/api/regularizations', { params: { ...params, status: 'approved' }, timeout: 15000 }),
+    ])
+      .then(([recordsResponse, leavesResponse, regularizationsResponse]) => {
+        if (cancelled) return;
+        setComparison({
+          fromDate: comparisonFrom,
+          toDate: comparisonTo,
+          rawRecords: recordsResponse.data.records || [],
+          leaves: leavesResponse.data.leaves || [],
+          regularizations: regularizationsResponse.data.regularizations || [],
+        });
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error fetching comparison period:', err);
+        setComparison(null);
+        setComparisonError(getErrorMessage(err, t('compare.loadFailed')));
+      })
+      .finally(() => {
+        if (!cancelled) setComparisonLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [comparisonFrom, comparisonTo, comparisonEmployeeId, comparisonDepartment, comparisonTeam, datasetVersion]);
 
-  const getWorkingHours = (record, cap = true) => {
-    const startTimeHours = 9.5;
-    const endTimeHours = 17.0;
-    const maxWorkHours = 7.5;
+  // Only a comparison for the range on screen counts; a stale one waits for its refetch
+  const activeComparison = comparison && comparison.fromDate === comparisonFrom && comparison.toDate === comparisonTo ? comparison : null;
+  const comparisonRecords = activeComparison
+    ? applyRegularizations(activeComparison.rawRecords, indexApprovedRegularizations(activeComparison.regularizations), getPolicy)
+    : [];
+  const comparisonSummary = activeComparison
+    ? summarizeAttendance(comparisonRecords, {
+        ...summaryOptions,
+        fromDate: activeComparison.fromDate,
+        toDate: activeComparison.toDate,
+        leaveIndex: indexLeavesByDate(activeComparison.leaves, workCalendar),
+        employeeId: comparisonEmployeeId || undefined,
+      })
+    : null;
+  const comparisonOvertime = activeComparison ? sumOvertime(comparisonRecords, { calendar: workCalendar, getPolicy }) : null;
+  // Comparison dates moved onto the searched range, so both periods share the charts' x axis
+  const toSearchedDate = (date) => pairDate(date, activeComparison.fromDate, activeSearch.fromDate);
+  // Everyone in the searched department or team, so those with no punches at all show up as absent
+  const teamMemberIds = isTeamView
+    ? Array.from(new Set([
+        ...employees.filter(employee => isInGroup(employee, activeSearch)).map(employee => String(employee.Employee_ID)),
+        ...employeeGroups.keys(),
+      ]))
+    : [];
+  const teamSummaries = teamMemberIds.map(id => {
+    const employeeRecords = employeeGroups.get(id) || [];
+    const employee = employees.find(emp => String(emp.Employee_ID) === id);
+    return {
+      employeeId: id,
+      employeeName: employee ? employee.Employee_Name : employeeRecords[0].Employee_Name,
+      ...summarizeAttendance(employeeRecords, { ...summaryOptions, employeeId: id }),
+    };
+  });
+  // In pick order, with everyone picked, records or not
+  const pickedSummaries = isPickedComparison
+    ? pickedEmployeeIds.map(id => {
+        const employeeRecords = employeeGroups.get(id) || [];
+        const employee = employees.find(emp => String(emp.Employee_ID) === id);
+        return {
+          employeeId: id,
+          employeeName: employee ? employee.Employee_Name : (employeeRecords[0] ? employeeRecords[0].Employee_Name : id),
+          overtime: sumOvertime(employeeRecords, { calendar: workCalendar, getPolicy }),
+          ...summarizeAttendance(employeeRecords, { ...summaryOptions, employeeId: id }),
+        };
+      })
+    : [];
 
-    const checkInHours = timeToHours(record.Check_In);
-    const checkOutHours = timeToHours(record.Check_Out);
+  const summary = summarizeAttendance(records, { ...summaryOptions, employeeId: searchedEmployeeId || undefined });
+  const {
+    totalAttendance,
+    totalDays,
+    absentDates,
+    extraWorkingDates,
+    holidaysInRange,
+    totalAbsent,
+    totalUnplannedAbsent,
+    leaveAbsenceCounts,
+    totalExtraWorking,
+    totalHalfDays,
+  } = summary;
+  const avgWorkingHours = records.length > 0 ? summary.avgWorkingHours : 0;
+  const overtime = sumOvertime(records, { calendar: workCalendar, getPolicy });
+  const anomalies = useMemo(() => detectAnomalies(records, getPolicy), [records, getPolicy]);
+  // The table resets its scroll when these change, so they only change with the records
+  const recordRows = useMemo(() => records.map(getRecordRow), [records, getRecordRow]);
+  const flaggedRecordRows = useMemo(() => new Set(anomalies.flatMap(a => a.rows)), [anomalies]);
 
-    if (!record.Check_In || record.Check_In === 'N/A' || record.Check_In === '') {
-      if (record.Check_Out && record.Check_Out !== 'N/A' && record.Check_Out !== '') {
-        const rawHours = checkOutHours - startTimeHours;
-        return cap ? Math.max(0, Math.min(rawHours, maxWorkHours)) : rawHours;
+  // In the team view the pie adds up every employee's own summary
+  const distribution = isTeamView
+    ? {
+        onTime: teamSummaries.reduce((sum, s) => sum + s.onTimeCount, 0),
+        late: teamSummaries.reduce((sum, s) => sum + s.lateCount, 0),
+        unplannedAbsent: teamSummaries.reduce((sum, s) => sum + s.totalUnplannedAbsent, 0),
+        leaveCounts: LEAVE_TYPES
+          .map(type => ({
+            type,
+            count: teamSummaries.reduce((sum, s) => {
+              const entry = s.leaveAbsenceCounts.find(c => c.type.id === type.id);
+              return sum + (entry ? entry.count : 0);
+            }, 0),
+          }))
+          .filter(({ count }) => count > 0),
       }
-      return 0;
-    }
-
-    if (!record.Check_Out || record.Check_Out === 'N/A' || record.Check_Out === '') {
-      const rawHours = endTimeHours - checkInHours;
-      return cap ? Math.max(0, Math.min(rawHours, maxWorkHours)) : rawHours;
-    }
-
-    const rawHours = checkOutHours - checkInHours;
-    const actualWorkingHours = parseFloat(record.Working_Hours);
-    return !isNaN(actualWorkingHours) && record.Working_Hours !== 'N/A' 
-      ? (cap ? Math.min(actualWorkingHours, maxWorkHours) : actualWorkingHours)
-      : (cap ? Math.max(0, Math.min(rawHours, maxWorkHours)) : rawHours);
-  };
-
-  const totalAttendance = records.filter(r => r.Status === 'PRESENT').length;
-  const totalDays = fromDate && toDate 
-    ? Math.floor((new Date(toDate) - new Date(fromDate)) / (1000 * 60 * 60 * 24)) + 1 
-    : records.length;
-  const getAbsentDates = () => {
-    if (!fromDate || !toDate) return [];
-    const start = new Date(fromDate);
-    const end = new Date(toDate);
-    const absentDates = [];
-    const recordDates = new Set(records.map(r => r.Date));
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toISOString().split('T')[0];
-      const dayOfWeek = d.toLocaleDateString('en-US', { weekday: 'long' });
-      const isWeekend = dayOfWeek === 'Saturday' || dayOfWeek === 'Sunday';
-      const isAbsent = (!recordDates.has(dateStr) && !isWeekend) || (records.find(r => r.Date === dateStr && r.Status === 'ABSENT'));
-      if (isAbsent) absentDates.push({ date: dateStr, day: dayOfWeek });
-    }
-    return absentDates;
-  };
-  const getExtraWorkingDates = () => records.filter(r => {
-    const dayOfWeek = new Date(r.Date).toLocaleDateString('en-US', { weekday: 'long' });
-    return r.Status === 'PRESENT' && (dayOfWeek === 'Saturday' || dayOfWeek === 'Sunday');
-  }).map(r => ({ date: r.Date, day: new Date(r.Date).toLocaleDateString('en-US', { weekday: 'long' }) }));
-  const absentDates = getAbsentDates();
-  const extraWorkingDates = getExtraWorkingDates();
-  const totalAbsent = absentDates.length;
-  const totalExtraWorking = extraWorkingDates.length;
-  const avgWorkingHours = records.length > 0 ? (records.reduce((sum, r) => sum + getWorkingHours(r), 0) / records.length).toFixed(2) : 0;
+    : { onTime: summary.onTimeCount, late: summary.lateCount, unplannedAbsent: totalUnplannedAbsent, leaveCounts: leaveAbsenceCounts };
 
   const workingHoursChartData = {
-    labels: records.map(record => record.Date),
+    labels: records.map(record => formatDateLabel(record.Date)),
     datasets: [{
-      label: 'Working Hours',
+      label: t('chart.workingHours'),
       data: records.map(record => getWorkingHours(record, false)),
       borderColor: '#0055A4',
       backgroundColor: 'rgba(0, 85, 164, 0.2)',
@@ -365,44 +1112,64 @@ function App() {
       pointHoverBorderColor: '#0055A4',
     }]
   };
+  if (activeComparison) {
+    const comparisonByDate = new Map(comparisonRecords.map(record => [toSearchedDate(record.Date), record]));
+    workingHoursChartData.datasets.push({
+      label: t('compare.series', { label: t('chart.workingHours'), range: describeRange(activeComparison) }),
+      data: records.map(record => (comparisonByDate.has(record.Date) ? getWorkingHours(comparisonByDate.get(record.Date), false) : null)),
+      borderColor: '#9E9E9E',
+      backgroundColor: 'rgba(158, 158, 158, 0.2)',
+      borderDash: [6, 4],
+      fill: false,
+      tension: 0.4,
+      pointBackgroundColor: '#9E9E9E',
+      pointBorderColor: '#fff',
+    });
+  }
 
   const checkInOutChartData = {
-    labels: records.map(record => record.Date),
+    labels: records.map(record => formatDateLabel(record.Date)),
     datasets: [{
-      label: 'Check In Time',
-      data: records.map(record => record.Check_In && record.Check_In !== 'N/A' ? timeToHours(record.Check_In) : 0),
+      label: t('chart.checkInTime'),
+      data: records.map(record => !isMissingTime(record.Check_In) ? timeToHours(record.Check_In) : 0),
       borderColor: '#36A2EB',
       backgroundColor: 'rgba(54, 162, 235, 0.2)',
       fill: false,
       tension: 0.4,
       pointBackgroundColor: '#36A2EB',
       pointBorderColor: '#fff',
-      pointRadius: records.map(record => record.Check_In && record.Check_In !== 'N/A' ? 5 : 0),
+      pointRadius: records.map(record => !isMissingTime(record.Check_In) ? 5 : 0),
       pointHoverRadius: 7,
     }, {
-      label: 'Check Out Time',
-      data: records.map(record => record.Check_Out && record.Check_Out !== 'N/A' ? timeToHours(record.Check_Out) : 24),
+      label: t('chart.checkOutTime'),
+      data: records.map(record => {
+        if (isMissingTime(record.Check_Out)) return 24;
+        const checkOutHours = timeToHours(record.Check_Out);
+        // Plot a night-shift check-out after midnight above its check-in
+        return !isMissingTime(record.Check_In) && checkOutHours < timeToHours(record.Check_In) ? checkOutHours + 24 : checkOutHours;
+      }),
       borderColor: '#FF6384',
       backgroundColor: 'rgba(255, 99, 132, 0.2)',
       fill: false,
       tension: 0.4,
       pointBackgroundColor: '#FF6384',
       pointBorderColor: '#fff',
-      pointRadius: records.map(record => record.Check_Out && record.Check_Out !== 'N/A' ? 5 : 0),
+      pointRadius: records.map(record => !isMissingTime(record.Check_Out) ? 5 : 0),
       pointHoverRadius: 7,
     }]
   };
 
   const attendanceChartData = {
-    labels: ['Present (On Time)', 'Present (Late)', 'Absent'],
+    labels: [t('chart.presentOnTime'), t('chart.presentLate'), t('chart.absentUnplanned'), ...distribution.leaveCounts.map(({ type }) => type.label)],
     datasets: [{
-      label: 'Attendance Distribution',
+      label: t('chart.attendanceDistribution'),
       data: [
-        records.filter(r => r.Status === 'PRESENT' && !isLate(r.Check_In)).length,
-        records.filter(r => r.Status === 'PRESENT' && isLate(r.Check_In)).length,
-        totalAbsent
+        distribution.onTime,
+        distribution.late,
+        distribution.unplannedAbsent,
+        ...distribution.leaveCounts.map(({ count }) => count)
       ],
-      backgroundColor: ['#4CAF50', '#FFC107', '#F44336'],
+      backgroundColor: ['#4CAF50', '#FFC107', '#F44336', ...distribution.leaveCounts.map(({ type }) => type.color)],
       borderColor: theme === 'dark' ? '#333' : '#fff',
       borderWidth: 2
     }]
@@ -411,64 +1178,51 @@ function App() {
   const dailyLateArrivalsData = () => {
     const lateCounts = {};
     records.forEach(record => {
-      if (isLate(record.Check_In)) {
+      if (isLate(record)) {
         lateCounts[record.Date] = (lateCounts[record.Date] || 0) + 1;
       }
     });
-    const dates = Object.keys(lateCounts).sort();
-    const data = dates.map(date => lateCounts[date]);
-    return {
-      labels: dates,
-      datasets: [{
-        label: 'Number of Late Arrivals',
-        data: data,
-        backgroundColor: '#FF9800',
-        borderColor: '#E65100',
+    // The comparison's late days sit on the matching day of the searched range;
+    // any past its end (a longer custom range) are left off
+    const comparisonLateCounts = {};
+    if (activeComparison) {
+      comparisonRecords.forEach(record => {
+        const date = toSearchedDate(record.Date);
+        if (isLate(record) && date <= activeSearch.toDate) {
+          comparisonLateCounts[date] = (comparisonLateCounts[date] || 0) + 1;
+        }
+      });
+    }
+    const dates = Array.from(new Set([...Object.keys(lateCounts), ...Object.keys(comparisonLateCounts)])).sort();
+    const data = dates.map(date => lateCounts[date] || 0);
+    const datasets = [{
+      label: t('chart.lateArrivalCount'),
+      data: data,
+      backgroundColor: '#FF9800',
+      borderColor: '#E65100',
+      borderWidth: 1,
+      hoverBackgroundColor: '#FFB74D',
+      hoverBorderColor: '#FB8C00',
+    }];
+    if (activeComparison) {
+      datasets.push({
+        label: t('compare.series', { label: t('chart.lateArrivalCount'), range: describeRange(activeComparison) }),
+        data: dates.map(date => comparisonLateCounts[date] || 0),
+        backgroundColor: '#BDBDBD',
+        borderColor: '#757575',
         borderWidth: 1,
-        hoverBackgroundColor: '#FFB74D',
-        hoverBorderColor: '#FB8C00',
-      }]
-    };
+      });
+    }
+    return { labels: dates.map(formatDateLabel), datasets };
   };
 
   const checkInDistributionData = () => {
-    const timeBins = {
-      'Before 8 AM': 0,
-      '8:00 - 8:59 AM': 0,
-      '9:00 - 9:29 AM': 0,
-      '9:30 - 10:29 AM (Late)': 0,
-      '10:30 - 11:29 AM (Late)': 0,
-      '11:30 AM - 12:29 PM (Late)': 0,
-      'After 12:30 PM (Late)': 0,
-      'Missing Check-In': 0,
-    };
-    records.forEach(record => {
-      if (record.Check_In && record.Check_In !== 'N/A' && record.Check_In !== '') {
-        const checkInHours = timeToHours(record.Check_In);
-        if (checkInHours < 8) {
-          timeBins['Before 8 AM']++;
-        } else if (checkInHours >= 8 && checkInHours < 9) {
-          timeBins['8:00 - 8:59 AM']++;
-        } else if (checkInHours >= 9 && checkInHours < 9.5) {
-          timeBins['9:00 - 9:29 AM']++;
-        } else if (checkInHours >= 9.5 && checkInHours < 10.5) {
-          timeBins['9:30 - 10:29 AM (Late)']++;
-        } else if (checkInHours >= 10.5 && checkInHours < 11.5) {
-          timeBins['10:30 - 11:29 AM (Late)']++;
-        } else if (checkInHours >= 11.5 && checkInHours < 12.5) {
-          timeBins['11:30 AM - 12:29 PM (Late)']++;
-        } else {
-          timeBins['After 12:30 PM (Late)']++;
-        }
-      } else {
-        timeBins['Missing Check-In']++;
-      }
-    });
+    const { labels, counts } = getCheckInDistribution(records, getPolicy);
     return {
-      labels: Object.keys(timeBins),
+      labels,
       datasets: [{
-        label: 'Number of Check-Ins',
-        data: Object.values(timeBins),
+        label: t('chart.checkInCount'),
+        data: counts,
         backgroundColor: ['#4CAF50', '#8BC34A', '#CDDC39', '#FFC107', '#FF9800', '#FF5722', '#F44336', '#9E9E9E'],
         borderColor: theme === 'dark' ? '#333' : '#fff',
         borderWidth: 1,
@@ -476,9 +1230,23 @@ function App() {
     };
   };
 
+  const lateArrivalsChartData = dailyLateArrivalsData();
+  const checkInChartData = checkInDistributionData();
+
+  // For the charts' text summaries and tables
+  const formatHours = (hours) => t('summary.hours', { hours: formatNumber(hours, 2) });
+  const formatDays = (count) => t('summary.days', { count });
+  const isMissingPunch = (datasetIndex, index) => isMissingTime(datasetIndex === 0 ? records[index].Check_In : records[index].Check_Out);
+
+  // Summary card deltas against the comparison period; `key` names the figure in the comparison's summary
+  const comparisonFigures = comparisonSummary && { ...comparisonSummary, ...comparisonOvertime, holidays: comparisonSummary.holidaysInRange.length };
+  const showDelta = (current, key, higherIsBetter = null, format = formatDays) => (comparisonFigures
+    ? <MetricDelta current={current} previous={comparisonFigures[key]} higherIsBetter={higherIsBetter} format={format} />
+    : null);
+
   const containerVariants = {
     hidden: { opacity: 0 },
-    show: { opacity: 1, transition: { staggerChildren: 0.05 } }
+    show: { opacity: 1, transition: reduceMotion ? INSTANT_TRANSITION : { staggerChildren: 0.05 } }
   };
 
   const itemVariants = {
@@ -486,29 +1254,47 @@ function App() {
     show: { opacity: 1, y: 0 }
   };
 
+  const languageSelect = (
+    <select
+      value={language}
+      onChange={handleLanguageChange}
+      className="p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600"
+      aria-label={t('app.language')}
+    >
+      {LANGUAGES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+    </select>
+  );
+
   if (!isLoggedIn) {
+    // Remember where the user was headed so a shared link still opens after login
+    if (location.pathname !== ROUTES.login) {
+      const redirect = encodeURIComponent(`${location.pathname}${location.search}`);
+      return <Navigate to={`${ROUTES.login}?redirect=${redirect}`} replace />;
+    }
     return (
+      <MotionConfig transition={reduceMotion ? INSTANT_TRANSITION : undefined}>
       <div className={`min-h-screen ${theme === 'dark' ? 'dark bg-gray-900' : 'bg-gray-100'} flex items-center justify-center p-4`}>
         <motion.div
           initial={{ opacity: 0, y: -50 }}
           animate={{ opacity: 1, y: 0 }}
-          transition={{ duration: 0.6 }}
+          transition={reduceMotion ? INSTANT_TRANSITION : { duration: 0.6 }}
           className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-lg w-full max-w-md"
         >
-          <h2 className="text-2xl font-bold mb-6 text-center text-gray-800 dark:text-gray-100">Login</h2>
+          <div className="flex justify-end mb-2">{languageSelect}</div>
+          <h2 className="text-2xl font-bold mb-6 text-center text-gray-800 dark:text-gray-100">{t('login.title')}</h2>
           <form onSubmit={handleLogin} className="space-y-4">
             <input
               type="email"
               value={email}
               onChange={(e) => setEmail(e.target.value)}
-              placeholder="Email"
+              placeholder={t('login.email')}
               className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600"
             />
             <input
               type="password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
-              placeholder="Password"
+              placeholder={t('login.password')}
               className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600"
             />
             {loginError && <p className="text-red-500 text-sm">{loginError}</p>}
@@ -516,29 +1302,44 @@ function App() {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               type="submit"
-              className="w-full bg-blue-600 text-white p-3 rounded-lg hover:bg-blue-700 transition-colors"
+              disabled={loginLoading}
+              className="w-full bg-blue-600 text-white p-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Login
+              {loginLoading ? t('login.loggingIn') : t('login.submit')}
             </motion.button>
           </form>
         </motion.div>
       </div>
+      </MotionConfig>
     );
   }
 
+  if (location.pathname === ROUTES.login) {
+    const defaultView = getLoginDefaultView(currentUser);
+    return <Navigate to={defaultView ? searchPath(getViewSearch(defaultView, todayIn())) : getLoginRedirect(location.search)} replace />;
+  }
+  if ((isUploadPage && !canUpload(currentUser)) || (!isUploadPage && !isSearchPage(location.pathname))) {
+    return <Navigate to={ROUTES.dashboard} replace />;
+  }
+
+  const navLinkClass = ({ isActive }) => `px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+    isActive ? 'bg-blue-600 text-white' : 'bg-blue-100 text-blue-800 hover:bg-blue-200 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600'
+  }`;
+
   return (
+    <MotionConfig transition={reduceMotion ? INSTANT_TRANSITION : undefined}>
     <div className={`min-h-screen font-inter ${theme === 'light' ? 'bg-gradient-to-br from-blue-500 via-purple-500 to-pink-500' : 'bg-gradient-to-br from-gray-900 via-black to-gray-950'} flex items-center justify-center p-4 sm:p-6 lg:p-8`}>
       <div ref={vantaRef} style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', zIndex: -1 }} />
       <motion.div
         initial={{ opacity: 0, y: -50 }}
         animate={{ opacity: 1, y: 0 }}
-        transition={{ duration: 0.6, ease: "easeOut" }}
+        transition={reduceMotion ? INSTANT_TRANSITION : { duration: 0.6, ease: "easeOut" }}
         className="bg-white dark:bg-gray-800 rounded-3xl shadow-2xl p-6 sm:p-8 lg:p-10 w-full max-w-7xl border border-gray-200 dark:border-gray-700 relative z-10"
       >
         <div className="flex flex-col items-center mb-6">
-          <img src="logo.png" className="h-18 sm:h-26 mb-6" alt="Comrdo Aerospace Logo" />
+          <img src={`${process.env.PUBLIC_URL}/logo.png`} className="h-18 sm:h-26 mb-6" alt={t('app.logoAlt')} />
           <h1 className="text-3xl sm:text-4xl font-extrabold text-blue-800 dark:text-yellow-400 text-center leading-tight">
-            Employee Biometric <span className="block sm:inline">Dashboard</span>
+            {t('app.titleStart')} <span className="block sm:inline">{t('app.titleEnd')}</span>
           </h1>
         </div>
 
@@ -554,17 +1355,30 @@ function App() {
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                     <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z" />
                 </svg>
-                Switch to Dark Mode
+                {t('app.darkMode')}
                 </>
             ) : (
                 <>
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                     <path fillRule="evenodd" d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.45 4.75a.75.75 0 001.06-1.06l-2-2a.75.75 0 00-1.06 1.06l2 2zM10 18a1 1 0 01-1-1v-1a1 1 0 112 0v1a1 1 0 01-1 1zm-4-4.45a.75.75 0 00-1.06-1.06l-2 2a.75.75 0 001.06 1.06l2-2zM4.25 10a.75.75 0 000-1.5H3a.75.75 0 000 1.5h1.25zm12.5 0a.75.75 0 000-1.5h-1.25a.75.75 0 000 1.5h1.25zM15.75 5.75a.75.75 0 00-1.06-1.06l-2 2a.75.75 0 001.06 1.06l2-2zM4.25 4.25a.75.75 0 00-1.06 1.06l2 2a.75.75 0 001.06-1.06l-2-2z" clipRule="evenodd" />
                 </svg>
-                Switch to Light Mode
+                {t('app.lightMode')}
                 </>
             )}
             </motion.button>
+            <button
+            onClick={toggleReduceMotion}
+            aria-pressed={reduceMotion}
+            className="px-4 py-2 rounded-full text-sm bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600 shadow-md"
+            >
+            {t('app.reduceMotion')}
+            </button>
+            {currentUser && (
+                <span className="text-sm text-gray-700 dark:text-gray-300 text-center">
+                    {t('app.signedInAs')} <span className="font-semibold">{currentUser.name || currentUser.email}</span> ({ROLE_LABELS[getRole(currentUser)]})
+                </span>
+            )}
+            {languageSelect}
             <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
@@ -574,133 +1388,238 @@ function App() {
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M3 3a1 1 0 00-1 1v12a1 1 0 102 0V4a1 1 0 00-1-1zm10.293 9.293a1 1 0 001.414 1.414l3-3a1 1 0 000-1.414l-3-3a1 1 0 10-1.414 1.414L14.586 9H7a1 1 0 100 2h7.586l-1.293 1.293z" clipRule="evenodd" />
                 </svg>
-                Logout
+                {t('app.logout')}
             </motion.button>
         </div>
-        
-        {/* --- NEW FILE UPLOAD SECTION --- */}
-        <motion.div
+
+        <nav className="flex gap-2 mb-8" aria-label={t('nav.label')}>
+          <NavLink to={activeSearch ? searchPath(activeSearch) : ROUTES.dashboard} className={() => navLinkClass({ isActive: !isUploadPage })}>
+            {t('nav.dashboard')}
+          </NavLink>
+          {canUpload(currentUser) && <NavLink to={ROUTES.upload} className={navLinkClass}>{t('nav.upload')}</NavLink>}
+          {canManageAlerts(currentUser) && (
+            <NotificationInbox
+              notifications={notifications}
+              onOpen={handleOpenNotification}
+              onMarkAllRead={handleMarkAllRead}
+              onSendDigest={handleSendDigest}
+            />
+          )}
+        </nav>
+
+        {(!isOnline || cachedSince || queuedUploadCount > 0) && (
+          <div role="status" className="mb-6 p-3 rounded-lg text-sm bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+            {!isOnline ? t('offline.offline') : cachedSince ? t('offline.serverUnreachable') : ''}
+            {cachedSince && ` ${t('offline.showingCached', { time: formatDateTime(cachedSince) })}`}
+            {queuedUploadCount > 0 && ` ${t('offline.queuedUploads', { count: queuedUploadCount })}`}
+          </div>
+        )}
+        {uploadQueueMessage && (
+          <p className={`mb-6 p-3 rounded-lg text-sm ${
+            uploadQueueMessage.error ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+          }`}>
+            {uploadQueueMessage.text}
+          </p>
+        )}
+
+        {isUploadPage ? (
+          <>
+            <UploadPanel variants={itemVariants} onUploaded={handleDatasetChanged} onQueued={refreshQueuedUploads} />
+            <CollapsiblePanel title={t('history.title')} openLabel={t('history.open')} summary={t('history.summary')} variants={itemVariants}>
+              <UploadHistory employees={employees} refreshKey={datasetVersion} onActivated={handleDatasetChanged} />
+            </CollapsiblePanel>
+          </>
+        ) : (
+        <>
+        {canManageSettings(currentUser) && (
+          <>
+            <CollapsiblePanel title={t('shift.title')} openLabel={t('shift.open')} variants={itemVariants}>
+              <ShiftPolicyEditor
+                config={shiftConfig}
+                employees={employees}
+                onSave={saveShiftConfig}
+                saving={shiftSaving}
+              />
+            </CollapsiblePanel>
+            <CollapsiblePanel
+              title={t('calendar.title')}
+              openLabel={t('calendar.open')}
+              summary={t('calendar.summary', { weeklyOffs: describeWeeklyOffs(workCalendar.weeklyOffs), count: workCalendar.holidays.length })}
+              variants={itemVariants}
+            >
+              <HolidayCalendarEditor
+                calendar={workCalendar}
+                onSave={saveWorkCalendar}
+                saving={calendarSaving}
+              />
+            </CollapsiblePanel>
+          </>
+        )}
+        {canEditEmployeeDetails(currentUser) && (
+          <CollapsiblePanel
+            title={t('employeeDetails.title')}
+            openLabel={t('employeeDetails.open')}
+            summary={t('employeeDetails.summary')}
             variants={itemVariants}
-            className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl mb-8 flex flex-col md:flex-row items-center space-y-4 md:space-y-0 md:space-x-4"
+          >
+            <EmployeeDetailsEditor employees={employees} onChanged={fetchEmployees} />
+          </CollapsiblePanel>
+        )}
+        <CollapsiblePanel
+          title={t('leave.title')}
+          openLabel={canManageLeave(currentUser) ? t('leave.openManage') : t('leave.openView')}
+          variants={itemVariants}
+        >
+          <LeaveManager
+            employees={employees}
+            calendar={workCalendar}
+            canEdit={canManageLeave(currentUser)}
+            lockedEmployeeId={getOwnEmployeeId(currentUser)}
+            onLeavesChanged={() => fetchLeaves()}
+          />
+        </CollapsiblePanel>
+        <CollapsiblePanel
+          title={t('regularization.title')}
+          openLabel={canReviewRegularizations(currentUser) ? t('regularization.openReview') : t('regularization.openRequest')}
+          summary={t('regularization.summary')}
+          variants={itemVariants}
         >
-            <h2 className="text-xl font-semibold text-blue-700 dark:text-blue-300 mr-auto md:mr-4">Upload Biometric Data Files:</h2>
-            
-            <div className="flex flex-col sm:flex-row gap-4 w-full md:w-auto">
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                    Employee Data (Binary .dat):
-                    <input
-                        type="file"
-                        onChange={handleEmployeeFileChange}
-                        className="mt-1 block w-full text-sm text-gray-500 dark:text-gray-400
-                        file:mr-4 file:py-2 file:px-4
-                        file:rounded-full file:border-0
-                        file:text-sm file:font-semibold
-                        file:bg-blue-50 file:text-blue-700
-                        hover:file:bg-blue-100 dark:file:bg-gray-700 dark:file:text-gray-100
-                        dark:hover:file:bg-gray-600 cursor-pointer"
-                        aria-label="Upload Employee Data File"
-                    />
-                </label>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                    Attendance Data (.dat/.txt):
-                    <input
-                        type="file"
-                        accept=".dat,.txt" // Allow both .dat and .txt for attendance
-                        onChange={handleAttendanceFileChange}
-                        className="mt-1 block w-full text-sm text-gray-500 dark:text-gray-400
-                        file:mr-4 file:py-2 file:px-4
-                        file:rounded-full file:border-0
-                        file:text-sm file:font-semibold
-                        file:bg-blue-50 file:text-blue-700
-                        hover:file:bg-blue-100 dark:file:bg-gray-700 dark:file:text-gray-100
-                        dark:hover:file:bg-gray-600 cursor-pointer"
-                        aria-label="Upload Attendance Data File"
-                    />
-                </label>
-            </div>
+          <RegularizationManager
+            employees={employees}
+            records={records}
+            canReview={canReviewRegularizations(currentUser)}
+            lockedEmployeeId={getOwnEmployeeId(currentUser)}
+            currentUserEmail={currentUser ? currentUser.email : ''}
+            onChanged={() => fetchRegularizations()}
+          />
+        </CollapsiblePanel>
+        {canManageAlerts(currentUser) && alertConfig && (
+          <CollapsiblePanel
+            title={t('alerts.title')}
+            openLabel={t('alerts.open')}
+            summary={t('alerts.summary', { count: alertConfig.rules.filter(rule => rule.enabled).length })}
+            variants={itemVariants}
+          >
+            <AlertRulesEditor config={alertConfig} onSave={saveAlertRules} saving={alertSaving} />
+          </CollapsiblePanel>
+        )}
+        {canViewPayroll(currentUser) && (
+          <CollapsiblePanel
+            title={t('payroll.title')}
+            openLabel={t('payroll.open')}
+            summary={t('payroll.summary')}
+            variants={itemVariants}
+          >
+            <PayrollSummary
+              employees={employees}
+              calendar={workCalendar}
+              getPolicy={getPolicy}
+              canEditSettings={canManageSettings(currentUser)}
+            />
+          </CollapsiblePanel>
+        )}
 
-            <motion.button
-                whileHover={{ scale: 1.05, boxShadow: "0px 8px 15px rgba(0, 0, 0, 0.2)" }}
-                whileTap={{ scale: 0.95 }}
-                onClick={handleUpload}
-                disabled={!employeeFile || !attendanceFile || uploadLoading}
-                className="px-6 py-3 bg-green-600 text-white font-semibold rounded-xl hover:bg-green-700 focus:outline-none focus:ring-4 focus:ring-green-300 dark:bg-green-700 dark:hover:bg-green-600 dark:focus:ring-green-800 shadow-md flex items-center justify-center space-x-2 transition duration-200 ease-in-out w-full md:w-auto"
-            >
-                {uploadLoading ? (
-                    <>
-                        <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                        </svg>
-                        <span>Processing...</span>
-                    </>
-                ) : (
-                    <>
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                            <path fillRule="evenodd" d="M3 17a1 1 0 01-1-1V6a1 1 0 011-1h5.172a2 2 0 011.414.586l2.828 2.828a2 2 0 001.414.586H17a1 1 0 011 1v6a1 1 0 01-1 1H3zm0-2h14V9h-3.172a2 2 0 00-1.414-.586L9.172 5.414A2 2 0 017.758 5H3v10z" clipRule="evenodd" />
-                        </svg>
-                        <span>Upload & Process</span>
-                    </>
-                )}
-            </motion.button>
-        </motion.div>
+        <CollapsiblePanel
+          title={t('savedViews.title')}
+          openLabel={t('savedViews.manage')}
+          summary={t('savedViews.summary', { count: savedViews.length })}
+          variants={itemVariants}
+        >
+          <SavedViewsManager
+            views={savedViews}
+            employees={employees}
+            canSave={!!activeSearch}
+            onSave={handleSaveView}
+            onOpen={handleOpenView}
+            onChange={updateSavedViews}
+          />
+        </CollapsiblePanel>
 
-        {uploadMessage && (
-            <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className={`p-4 rounded-lg shadow-md mb-8 ${
-                    uploadMessage.startsWith('Error') || uploadMessage.includes('Failed') ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
-                }`}
-            >
-                {uploadMessage}
-                {dashboardDownloadUrl && (
-                    <a href={dashboardDownloadUrl} target="_blank" rel="noopener noreferrer" className="ml-2 text-blue-600 dark:text-blue-300 underline hover:no-underline">
-                        Download Dashboard
-                    </a>
-                )}
-            </motion.div>
+        {settingsMessage && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className={`p-4 rounded-lg shadow-md mb-8 ${
+              settingsMessage.error ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+            }`}
+          >
+            {settingsMessage.text}
+          </motion.div>
+        )}
+
+        {savedViews.some(view => view.pinned) && (
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className="text-sm text-gray-600 dark:text-gray-300 mr-1">{t('savedViews.pinned')}</span>
+            {savedViews.filter(view => view.pinned).map(view => (
+              <motion.button
+                key={view.id}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => handleOpenView(view)}
+                className="px-3 py-1.5 text-sm rounded-lg bg-blue-100 text-blue-800 hover:bg-blue-200 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600"
+                title={view.isDefault ? t('savedViews.defaultBadge') : undefined}
+              >
+                {view.isDefault && <span aria-hidden="true">★ </span>}
+                {view.name}
+              </motion.button>
+            ))}
+          </div>
         )}
-        {/* --- END NEW FILE UPLOAD SECTION --- */}
 
-        <div className="flex flex-col md:flex-row gap-4 mb-8 items-stretch">
+        <div className="flex flex-col md:flex-row gap-4 mb-3 items-stretch">
           <div className="flex flex-col sm:flex-row gap-4 flex-1">
-            <motion.select
-              whileFocus={{ scale: 1.02 }}
-              value={employeeId}
-              onChange={(e) => setEmployeeId(e.target.value)}
-              className="p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-4 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 shadow-sm flex-1 min-w-[150px]"
-              aria-label="Select Employee"
-            >
-              <option value="">Select Employee</option>
-              {employees.map((employee) => (
-                <option key={employee.Employee_ID} value={employee.Employee_ID}>
-                  {employee.Employee_Name} (ID: {employee.Employee_ID})
-                </option>
-              ))}
-            </motion.select>
+            {canSelectEmployee(currentUser) && departments.length > 0 && (
+              <>
+                <motion.select
+                  whileFocus={{ scale: 1.02 }}
+                  value={department}
+                  onChange={(e) => handleDepartmentChange(e.target.value)}
+                  className="p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-4 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 shadow-sm flex-1 min-w-[150px]"
+                  aria-label={t('search.department')}
+                >
+                  <option value="">{t('search.allDepartments')}</option>
+                  {departments.map(name => <option key={name} value={name}>{name}</option>)}
+                </motion.select>
+                <motion.select
+                  whileFocus={{ scale: 1.02 }}
+                  value={team}
+                  onChange={(e) => handleTeamChange(e.target.value)}
+                  className="p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-4 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 shadow-sm flex-1 min-w-[150px]"
+                  aria-label={t('search.team')}
+                >
+                  <option value="">{t('search.allTeams')}</option>
+                  {getTeams(employees, department).map(name => <option key={name} value={name}>{name}</option>)}
+                </motion.select>
+              </>
+            )}
+            <EmployeePicker
+              employees={employees.filter(employee => isInGroup(employee, { department, team }))}
+              selectedIds={selectedEmployeeIds}
+              onChange={setSelectedEmployeeIds}
+              disabled={!canSelectEmployee(currentUser)}
+            />
             <motion.input
               whileFocus={{ scale: 1.02 }}
               type="date"
-              placeholder="From Date"
+              placeholder={t('search.fromDate')}
               value={fromDate}
               onChange={(e) => setFromDate(e.target.value)}
               className="p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-4 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 shadow-sm flex-1 min-w-[150px]"
-              aria-label="From Date"
+              aria-label={t('search.fromDate')}
             />
             <motion.input
               whileFocus={{ scale: 1.02 }}
               type="date"
-              placeholder="To Date"
+              placeholder={t('search.toDate')}
               value={toDate}
               onChange={(e) => setToDate(e.target.value)}
               className="p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-4 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 shadow-sm flex-1 min-w-[150px]"
-              aria-label="To Date"
+              aria-label={t('search.toDate')}
             />
             <motion.button
               whileHover={{ scale: 1.05, boxShadow: "0px 8px 15px rgba(0, 0, 0, 0.2)" }}
               whileTap={{ scale: 0.95 }}
-              onClick={handleSearch}
+              onClick={() => handleSearch()}
               disabled={loading}
               className="bg-gradient-to-r from-blue-600 to-indigo-700 text-white p-3 rounded-xl hover:from-blue-700 hover:to-indigo-800 transition-all duration-300 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 min-w-[120px]"
             >
@@ -710,20 +1629,42 @@ function App() {
                     <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                     <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                   </svg>
-                  Searching...
+                  {t('search.searching')}
                 </>
               ) : (
                 <>
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                     <path fillRule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clipRule="evenodd" />
                   </svg>
-                  Search
+                  {t('search.submit')}
                 </>
               )}
             </motion.button>
           </div>
         </div>
 
+        <div className="flex flex-wrap items-center gap-2 mb-8">
+          <span className="text-sm text-gray-600 dark:text-gray-300 mr-1">{t('quickRange.label')}</span>
+          {QUICK_RANGES.map(range => {
+            const active = isQuickRange(range.id, fromDate, toDate) && quickRangeId === range.id;
+            return (
+              <button
+                key={range.id}
+                onClick={() => handleQuickRange(range.id)}
+                disabled={loading}
+                className={`px-3 py-1 text-sm rounded-full disabled:opacity-50 ${
+                  active
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600'
+                }`}
+                aria-pressed={active}
+              >
+                {range.label}
+              </button>
+            );
+          })}
+        </div>
+
         {loading && (
           <motion.div
             initial={{ opacity: 0 }}
@@ -734,7 +1675,7 @@ function App() {
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
               <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
-            Fetching data...
+            {t('search.fetching')}
           </motion.div>
         )}
         {error && (
@@ -744,12 +1685,89 @@ function App() {
             className="bg-red-100 dark:bg-red-900 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg relative mb-6 text-center"
             role="alert"
           >
-            <strong className="font-bold">Error!</strong>
+            <strong className="font-bold">{t('app.errorTitle')}</strong>
             <span className="block sm:inline ml-2">{error}</span>
           </motion.div>
         )}
 
-        {records.length > 0 && !loading && (
+        {teamSearch && isSingleView && !loading && (
+          <button
+            onClick={handleBackToTeam}
+            className="mb-4 px-4 py-2 text-sm rounded-lg bg-blue-100 text-blue-800 hover:bg-blue-200 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600"
+          >
+            &larr; {(teamSearch.employeeIds || []).length > 1 ? t('search.backToComparison') : t('search.backToTeam')}
+          </button>
+        )}
+
+        {records.length > 0 && activeSearch && !loading && (
+          <div className="flex flex-wrap items-center justify-end gap-2 mb-4">
+            <span className="text-sm text-gray-600 dark:text-gray-300 mr-1">{t('export.label')}</span>
+            {[['csv', t('export.csv')], ['xlsx', t('export.xlsx')], ['pdf', t('export.pdf')]].map(([format, label]) => (
+              <motion.button
+                key={format}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => handleExport(format)}
+                className="px-3 py-1.5 text-sm rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600"
+              >
+                {label}
+              </motion.button>
+            ))}
+            {exportError && <p className="w-full text-right text-sm text-red-600 dark:text-red-400">{exportError}</p>}
+          </div>
+        )}
+
+        <div ref={chartsRef}>
+        {isTeamView && !loading && (
+          <>
+            <TeamSummaryTable summaries={teamSummaries} onSelectEmployee={handleSelectTeamMember} />
+            {departments.length > 0 && (
+              <DepartmentComparison
+                key={activeSearch ? activeSearch.department : ''}
+                summaries={teamSummaries}
+                employees={employees}
+                initialGroupBy={activeSearch && activeSearch.department ? 'team' : 'department'}
+                theme={theme}
+                containerVariants={containerVariants}
+                itemVariants={itemVariants}
+              />
+            )}
+            <TeamCharts
+              daily={summarizeTeamByDate(records, getPolicy)}
+              attendanceChartData={attendanceChartData}
+              checkInChartData={checkInChartData}
+              theme={theme}
+              containerVariants={containerVariants}
+              itemVariants={itemVariants}
+            />
+          </>
+        )}
+
+        {isPickedComparison && records.length > 0 && !loading && (
+          <EmployeeComparison
+            summaries={pickedSummaries}
+            records={records}
+            getPolicy={getPolicy}
+            theme={theme}
+            onSelectEmployee={handleSelectTeamMember}
+            containerVariants={containerVariants}
+            itemVariants={itemVariants}
+          />
+        )}
+
+        {records.length > 0 && isSingleView && !loading && (
+          <ComparePeriodPicker
+            mode={compareMode}
+            customRange={compareCustomRange}
+            onModeChange={setCompareMode}
+            onCustomRangeChange={setCompareCustomRange}
+            range={comparisonRange}
+            canCompare={!!(activeSearch && activeSearch.fromDate && activeSearch.toDate)}
+            loading={comparisonLoading}
+            error={comparisonError}
+          />
+        )}
+        {records.length > 0 && isSingleView && !loading && (
           <motion.div
             variants={containerVariants}
             initial="hidden"
@@ -760,37 +1778,60 @@ function App() {
               variants={itemVariants}
               className="bg-blue-50 dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-blue-200 dark:border-gray-600"
             >
-              <h2 className="text-2xl font-bold mb-4 text-blue-800 dark:text-yellow-300">Summary</h2>
-              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">Total Attendance: <span className="font-semibold">{totalAttendance} days</span></p>
-              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">Total Days: <span className="font-semibold">{totalDays} days</span></p>
-              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">Total Absent: <span className="font-semibold text-red-500">{totalAbsent} days</span></p>
-              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">Total Extra Working: <span className="font-semibold text-green-600">{totalExtraWorking} days</span></p>
-              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">Avg Working Hours: <span className="font-semibold">{avgWorkingHours} hrs</span></p>
+              <h2 className="text-2xl font-bold mb-4 text-blue-800 dark:text-yellow-300">{t('summary.title')}</h2>
+              {activeComparison && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 -mt-3 mb-3">{t('compare.against', { range: describeRange(activeComparison) })}</p>
+              )}
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.totalAttendance')} <span className="font-semibold">{t('summary.days', { count: totalAttendance })}</span>{showDelta(totalAttendance, 'totalAttendance', true)}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.totalDays')} <span className="font-semibold">{t('summary.days', { count: totalDays })}</span>{showDelta(totalDays, 'totalDays')}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.totalAbsent')} <span className="font-semibold text-red-500">{t('summary.days', { count: totalAbsent })}</span>{showDelta(totalAbsent, 'totalAbsent', false)}</p>
+              {leaveAbsenceCounts.length > 0 && (
+                <ul className="pl-5 mb-2 text-gray-900 dark:text-gray-100">
+                  <li>{t('summary.unplanned')} <span className="font-semibold text-red-500">{t('summary.days', { count: totalUnplannedAbsent })}</span>{showDelta(totalUnplannedAbsent, 'totalUnplannedAbsent', false)}</li>
+                  {leaveAbsenceCounts.map(({ type, count }) => (
+                    <li key={type.id}>{type.label}: <span className="font-semibold">{t('summary.days', { count })}</span></li>
+                  ))}
+                </ul>
+              )}
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.lateArrivals')} <span className="font-semibold text-yellow-600">{t('summary.days', { count: summary.lateCount })}</span>{showDelta(summary.lateCount, 'lateCount', false)}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.holidays')} <span className="font-semibold">{t('summary.days', { count: holidaysInRange.length })}</span>{showDelta(holidaysInRange.length, 'holidays')}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.halfDays')} <span className="font-semibold text-yellow-600">{t('summary.days', { count: totalHalfDays })}</span>{showDelta(totalHalfDays, 'totalHalfDays', false)}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.totalExtraWorking')} <span className="font-semibold text-green-600">{t('summary.days', { count: totalExtraWorking })}</span>{showDelta(totalExtraWorking, 'totalExtraWorking')}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.avgWorkingHours')} <span className="font-semibold">{t('summary.hours', { hours: formatNumber(avgWorkingHours, 2) })}</span>{showDelta(avgWorkingHours, 'avgWorkingHours', true, formatHours)}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.weekdayOvertime')} <span className="font-semibold text-green-600">{t('summary.hours', { hours: formatNumber(overtime.weekdayOvertimeHours, 2) })}</span>{showDelta(overtime.weekdayOvertimeHours, 'weekdayOvertimeHours', null, formatHours)}</p>
+              <p className="text-gray-900 dark:text-gray-100 text-lg mb-2">{t('summary.offDayOvertime')} <span className="font-semibold text-green-600">{t('summary.hours', { hours: formatNumber(overtime.offDayOvertimeHours, 2) })}</span>{showDelta(overtime.offDayOvertimeHours, 'offDayOvertimeHours', null, formatHours)}</p>
               {absentDates.length > 0 && (
                 <div className="mt-4">
-                  <p className="text-gray-900 dark:text-gray-100 font-semibold text-md mb-2">Absent Dates:</p>
+                  <p className="text-gray-900 dark:text-gray-100 font-semibold text-md mb-2">{t('summary.absentDates')}</p>
                   <ul className="list-disc pl-5 text-gray-900 dark:text-gray-100 max-h-24 overflow-y-auto custom-scrollbar">
-                    {absentDates.map(({ date, day }, index) => (
-                      <li key={index}>{date} (<span className="font-medium">{day}</span>)</li>
+                    {absentDates.map(({ date, day, leave }, index) => (
+                      <li key={index}>
+                        {formatDate(date)} (<span className="font-medium">{day}</span>)
+                        {leave && <span className="ml-1 text-sm text-purple-700 dark:text-purple-300">- {getLeaveType(leave.type).label}</span>}
+                      </li>
                     ))}
                   </ul>
                 </div>
               )}
               {extraWorkingDates.length > 0 && (
                 <div className="mt-4">
-                  <p className="text-gray-900 dark:text-gray-100 font-semibold text-md mb-2">Extra Working Dates:</p>
+                  <p className="text-gray-900 dark:text-gray-100 font-semibold text-md mb-2">{t('summary.extraWorkingDates')}</p>
                   <ul className="list-disc pl-5 text-gray-900 dark:text-gray-100 max-h-24 overflow-y-auto custom-scrollbar">
                     {extraWorkingDates.map(({ date, day }, index) => (
-                      <li key={index}>{date} (<span className="font-medium">{day}</span>)</li>
+                      <li key={index}>{formatDate(date)} (<span className="font-medium">{day}</span>)</li>
                     ))}
                   </ul>
                 </div>
               )}
             </motion.div>
 
-            <motion.div
+            <ChartCard
+              title={t('chart.dailyWorkingHours')}
+              type="line"
+              data={workingHoursChartData}
+              labelHeader={t('chart.date')}
+              format={formatHours}
               variants={itemVariants}
-              className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 h-96 flex items-center justify-center"
             >
               <Line
                 data={workingHoursChartData}
@@ -798,29 +1839,34 @@ function App() {
                   responsive: true,
                   maintainAspectRatio: false,
                   plugins: {
-                    title: { display: true, text: 'Daily Working Hours', font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
+                    title: { display: true, text: t('chart.dailyWorkingHours'), font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
                     tooltip: { mode: 'index', intersect: false }
                   },
                   scales: {
                     y: {
                       beginAtZero: true,
-                      title: { display: true, text: 'Hours', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.hours'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568' },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     },
                     x: {
-                      title: { display: true, text: 'Date', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.date'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568' },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     }
                   }
                 }}
               />
-            </motion.div>
+            </ChartCard>
 
-            <motion.div
+            <ChartCard
+              title={t('chart.dailyCheckInOut')}
+              type="line"
+              data={checkInOutChartData}
+              labelHeader={t('chart.date')}
+              format={formatTime}
+              isMissing={isMissingPunch}
               variants={itemVariants}
-              className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 h-96 flex items-center justify-center"
             >
               <Line
                 data={checkInOutChartData}
@@ -828,36 +1874,38 @@ function App() {
                   responsive: true,
                   maintainAspectRatio: false,
                   plugins: {
-                    title: { display: true, text: 'Daily Check-In & Check-Out', font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
+                    title: { display: true, text: t('chart.dailyCheckInOut'), font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
                     tooltip: { mode: 'index', intersect: false }
                   },
                   scales: {
                     y: {
                       beginAtZero: false,
-                      title: { display: true, text: 'Time (HH:MM)', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.time'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: {
                         callback: function(value) {
-                          const hours = Math.floor(value);
-                          const minutes = Math.round((value - hours) * 60);
-                          return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+                          return formatTime(value);
                         },
                         color: theme === 'dark' ? '#CBD5E0' : '#4A5568'
                       },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     },
                     x: {
-                      title: { display: true, text: 'Date', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.date'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568' },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     }
                   }
                 }}
               />
-            </motion.div>
+            </ChartCard>
 
-            <motion.div
+            <ChartCard
+              title={t('chart.attendanceDistribution')}
+              type="pie"
+              data={attendanceChartData}
+              labelHeader={t('records.header.status')}
+              format={formatDays}
               variants={itemVariants}
-              className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 h-96 flex items-center justify-center"
             >
               <Pie
                 data={attendanceChartData}
@@ -865,13 +1913,13 @@ function App() {
                   responsive: true,
                   maintainAspectRatio: false,
                   plugins: {
-                    title: { display: true, text: 'Attendance Distribution', font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
+                    title: { display: true, text: t('chart.attendanceDistribution'), font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
                     tooltip: {
                       callbacks: {
                         label: function(context) {
                           let label = context.label || '';
                           if (label) label += ': ';
-                          if (context.parsed !== null) label += context.parsed + ' days';
+                          if (context.parsed !== null) label += t('summary.days', { count: context.parsed });
                           return label;
                         }
                       }
@@ -879,111 +1927,118 @@ function App() {
                   }
                 }}
               />
-            </motion.div>
+            </ChartCard>
 
-            <motion.div
+            <ChartCard
+              title={t('chart.lateArrivalsTrend')}
+              type="bar"
+              data={lateArrivalsChartData}
+              labelHeader={t('chart.date')}
               variants={itemVariants}
-              className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 h-96 flex items-center justify-center"
             >
               <Bar
-                data={dailyLateArrivalsData()}
+                data={lateArrivalsChartData}
                 options={{
                   responsive: true,
                   maintainAspectRatio: false,
                   plugins: {
-                    title: { display: true, text: 'Late Arrivals Trend', font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
+                    title: { display: true, text: t('chart.lateArrivalsTrend'), font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
                     tooltip: { mode: 'index', intersect: false }
                   },
                   scales: {
                     y: {
                       beginAtZero: true,
-                      title: { display: true, text: 'Number of Late Arrivals', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.lateArrivalCount'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568', stepSize: 1 },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     },
                     x: {
-                      title: { display: true, text: 'Date', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.date'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568' },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     }
                   }
                 }}
               />
-            </motion.div>
+            </ChartCard>
 
-            <motion.div
+            <ChartCard
+              title={t('chart.checkInDistribution')}
+              type="bar"
+              data={checkInChartData}
+              labelHeader={t('chart.timeInterval')}
               variants={itemVariants}
-              className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 h-96 flex items-center justify-center"
             >
               <Bar
-                data={checkInDistributionData()}
+                data={checkInChartData}
                 options={{
                   responsive: true,
                   maintainAspectRatio: false,
                   plugins: {
-                    title: { display: true, text: 'Check-In Time Distribution', font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
+                    title: { display: true, text: t('chart.checkInDistribution'), font: { size: 20, weight: 'bold' }, color: theme === 'dark' ? '#E2E8F0' : '#1A202C' },
                     tooltip: { mode: 'index', intersect: false }
                   },
                   scales: {
                     y: {
                       beginAtZero: true,
-                      title: { display: true, text: 'Number of Check-Ins', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.checkInCount'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568', stepSize: 1 },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     },
                     x: {
-                      title: { display: true, text: 'Time Interval', color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+                      title: { display: true, text: t('chart.timeInterval'), color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
                       ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568', autoSkip: false, maxRotation: 45, minRotation: 45 },
                       grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }
                     }
                   }
                 }}
               />
-            </motion.div>
+            </ChartCard>
           </motion.div>
         )}
+        </div>
+
+        {records.length > 0 && isSingleView && !loading && (
+          <AttendanceCalendar
+            records={records}
+            fromDate={(activeSearch && activeSearch.fromDate) || records.reduce((min, r) => (r.Date < min ? r.Date : min), records[0].Date)}
+            toDate={(activeSearch && activeSearch.toDate) || records.reduce((max, r) => (r.Date > max ? r.Date : max), records[0].Date)}
+            today={todayIn()}
+            calendar={workCalendar}
+            getPolicy={getPolicy}
+            leaveIndex={leaveIndex}
+            employeeId={records[0].Employee_ID}
+          />
+        )}
+
         {records.length > 0 && !loading && (
-          <div className="text-center text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">
-            <motion.table
-              variants={containerVariants}
-              initial="hidden"
-              animate="show"
-              className="w-full text-left table-auto"
-            >
-              <thead className="bg-blue-600 dark:bg-blue-900 text-white sticky top-0 shadow-md">
-                <tr>
-                  {['Employee ID', 'Name', 'Date', 'Check In', 'Check Out', 'Hours', 'Late Minutes', 'Status', 'Late Flag', 'Computed Is Late'].map((header) => (
-                    <th key={header} className="py-3 px-4 text-sm font-semibold uppercase tracking-wider">
-                      {header}
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {records.map((record, index) => (
-                  <motion.tr
-                    key={record.Date + record.Employee_ID + index}
-                    variants={itemVariants}
-                    className="border-b border-gray-200 dark:border-gray-700 last:border-b-0 hover:bg-blue-50 dark:hover:bg-gray-700 transition-colors duration-200 ease-in-out"
-                  >
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Employee_ID}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Employee_Name}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Date}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Check_In}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Check_Out}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Working_Hours}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Late_Minutes}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Status}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{record.Late_Flag ? 'Yes' : 'No'}</td>
-                    <td className="py-3 px-4 text-gray-900 dark:text-gray-100 text-sm">{isLate(record.Check_In) ? 'Yes' : 'No'}</td>
-                  </motion.tr>
-                ))}
-              </tbody>
-            </motion.table>
-          </div>
+          <CollapsiblePanel
+            title={t('anomaly.title')}
+            openLabel={t('anomaly.open')}
+            summary={anomalies.length > 0 ? t('anomaly.summary', { count: anomalies.length }) : t('anomaly.none')}
+            variants={itemVariants}
+          >
+            <AnomalyPanel anomalies={anomalies} onShowRows={handleShowAnomalyRows} />
+          </CollapsiblePanel>
+        )}
+
+        {records.length > 0 && !loading && (
+          <motion.div ref={recordsTableRef} variants={itemVariants} initial="hidden" animate="show">
+            <RecordsTable
+              headers={RECORD_HEADERS}
+              headerLabels={RECORD_HEADER_KEYS.map(key => t(`records.header.${key}`))}
+              rows={recordRows}
+              flaggedRows={flaggedRecordRows}
+              focus={recordFocus}
+              onClearFocus={() => setRecordFocus(null)}
+            />
+          </motion.div>
+        )}
+        </>
         )}
       </motion.div>
     </div>
+    </MotionConfig>
   );
 }
 
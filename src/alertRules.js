@@ -0,0 +1,165 @@
+import { DEFAULT_POLICY, isLate, getWorkingHours } from './shiftPolicies';
+import { DEFAULT_WORK_CALENDAR, isNonWorkingDay } from './workCalendar';
+import { addDays, listDates, startOfMonth } from './calendarDates';
+import { groupRecordsByEmployee } from './attendance';
+import { t, formatDate, formatNumber } from './i18n';
+
+// Alert rules run over attendance records and raise alerts for the inbox.
+// A rule is { id, type, enabled, threshold, windowDays }; `windowDays` is only
+// used by the rolling late-arrival rule.
+//
+// Each alert carries a `key` that stays the same when the same episode is
+// found again (a late streak, an absence run, a month), so re-evaluating the
+// same data never raises it twice.
+//
+// Messages are written in the UI language of whoever ran the rules; the
+// backend stores them as they come.
+
+export const ALERT_RULE_TYPES = {
+  late_count: {
+    get label() { return t('alertRule.late_count.label'); },
+    describe: (rule) => t('alertRule.late_count.describe', { threshold: rule.threshold, windowDays: rule.windowDays }),
+    defaults: { threshold: 3, windowDays: 7 },
+  },
+  consecutive_absence: {
+    get label() { return t('alertRule.consecutive_absence.label'); },
+    describe: (rule) => t('alertRule.consecutive_absence.describe', { threshold: rule.threshold }),
+    defaults: { threshold: 2 },
+  },
+  low_avg_hours: {
+    get label() { return t('alertRule.low_avg_hours.label'); },
+    describe: (rule) => t('alertRule.low_avg_hours.describe', { threshold: rule.threshold }),
+    defaults: { threshold: 6 },
+  },
+};
+
+export const DEFAULT_ALERT_RULES = [
+  { id: 'late-3-in-7', type: 'late_count', enabled: true, threshold: 3, windowDays: 7 },
+  { id: 'absent-2-days', type: 'consecutive_absence', enabled: true, threshold: 2 },
+  { id: 'avg-below-6', type: 'low_avg_hours', enabled: true, threshold: 6 },
+];
+
+export const describeRule = (rule) => (ALERT_RULE_TYPES[rule.type] ? ALERT_RULE_TYPES[rule.type].describe(rule) : rule.type);
+
+// Problems with a rule, empty when it is valid
+export const validateRule = (rule) => {
+  const problems = [];
+  if (!ALERT_RULE_TYPES[rule.type]) problems.push(t('alertRule.problem.unknownType', { type: rule.type }));
+  if (!(Number(rule.threshold) > 0)) problems.push(t('alertRule.problem.threshold'));
+  if (rule.type === 'late_count' && !(Number.isInteger(Number(rule.windowDays)) && Number(rule.windowDays) > 0)) {
+    problems.push(t('alertRule.problem.window'));
+  }
+  return problems;
+};
+
+// Late dates, one alert each time `threshold` of them fall within `windowDays`.
+// Counting starts over after an alert, so one long streak isn't reported daily.
+const checkLateCount = (rule, employeeRecords, { getPolicy }) => {
+  const lateDates = employeeRecords
+    .filter(r => r.Status === 'PRESENT' && isLate(r.Check_In, getPolicy(r)))
+    .map(r => r.Date)
+    .sort();
+  const found = [];
+  let windowStart = 0;
+  for (let i = 0; i < lateDates.length; i++) {
+    while (lateDates[windowStart] <= addDays(lateDates[i], -rule.windowDays)) windowStart++;
+    if (i - windowStart + 1 >= rule.threshold) {
+      const dates = lateDates.slice(windowStart, i + 1);
+      found.push({ dates, message: t('alertRule.message.late', { count: dates.length, from: formatDate(dates[0]), to: formatDate(dates[dates.length - 1]) }) });
+      windowStart = i + 1;
+    }
+  }
+  return found;
+};
+
+// Runs of working days with no attendance and no leave, up to `today`
+const checkConsecutiveAbsence = (rule, employeeRecords, { employeeId, fromDate, toDate, calendar, leaveIndex, today }) => {
+  const presentDates = new Set(employeeRecords.filter(r => r.Status === 'PRESENT').map(r => r.Date));
+  const lastDate = today && today < toDate ? today : toDate;
+  const found = [];
+  let run = [];
+  const closeRun = () => {
+    if (run.length >= rule.threshold) {
+      found.push({ dates: run, message: t('alertRule.message.absent', { count: run.length, from: formatDate(run[0]), to: formatDate(run[run.length - 1]) }) });
+    }
+    run = [];
+  };
+  listDates(fromDate, lastDate).forEach(date => {
+    if (isNonWorkingDay(date, calendar)) return; // weekends and holidays neither break nor extend a run
+    if (presentDates.has(date) || leaveIndex.has(`${employeeId}|${date}`)) {
+      closeRun();
+    } else {
+      run.push(date);
+    }
+  });
+  closeRun();
+  return found;
+};
+
+// Average hours over the present days of `today`'s month
+const checkLowAverageHours = (rule, employeeRecords, { getPolicy, today }) => {
+  if (!today) return [];
+  const monthStart = startOfMonth(today);
+  const present = employeeRecords.filter(r => r.Status === 'PRESENT' && r.Date >= monthStart && r.Date <= today);
+  if (present.length === 0) return [];
+  const average = present.reduce((sum, r) => sum + getWorkingHours(r, getPolicy(r), false), 0) / present.length;
+  if (average >= rule.threshold) return [];
+  return [{
+    dates: [monthStart, today],
+    keyDate: monthStart.slice(0, 7),
+    message: t('alertRule.message.lowHours', { count: present.length, hours: formatNumber(average, 2) }),
+  }];
+};
+
+const CHECKS = {
+  late_count: checkLateCount,
+  consecutive_absence: checkConsecutiveAbsence,
+  low_avg_hours: checkLowAverageHours,
+};
+
+// Alerts from every enabled rule over `records`.
+// options: { fromDate, toDate, today, calendar, leaveIndex, getPolicy, employees };
+// the range defaults to the records' own first and last dates. `employees` are
+// everyone expected to attend in the range, so someone with no records at all
+// is still checked for absences.
+// Returns [{ key, ruleId, employeeId, employeeName, message, link: { employeeId, fromDate, toDate } }].
+export const evaluateAlertRules = (rules, records, options = {}) => {
+  const dates = records.map(r => r.Date).sort();
+  const fromDate = options.fromDate || dates[0];
+  const toDate = options.toDate || dates[dates.length - 1];
+  if (!fromDate || !toDate) return [];
+  const {
+    today,
+    calendar = DEFAULT_WORK_CALENDAR,
+    leaveIndex = new Map(),
+    getPolicy = () => DEFAULT_POLICY,
+    employees = [],
+  } = options;
+
+  const byEmployee = groupRecordsByEmployee(records);
+  employees.forEach(employee => {
+    const id = String(employee.Employee_ID);
+    if (!byEmployee.has(id)) byEmployee.set(id, []);
+  });
+
+  const alerts = [];
+  byEmployee.forEach((employeeRecords, employeeId) => {
+    const employee = employees.find(emp => String(emp.Employee_ID) === employeeId);
+    const employeeName = employee ? employee.Employee_Name : employeeRecords[0].Employee_Name;
+    rules.filter(rule => rule.enabled && CHECKS[rule.type]).forEach(rule => {
+      const settings = { ...rule, threshold: Number(rule.threshold), windowDays: Number(rule.windowDays) };
+      CHECKS[rule.type](settings, employeeRecords, { employeeId, fromDate, toDate, today, calendar, leaveIndex, getPolicy })
+        .forEach(({ dates: alertDates, keyDate, message }) => {
+          alerts.push({
+            key: `${rule.id}|${employeeId}|${keyDate || alertDates[0]}`,
+            ruleId: rule.id,
+            employeeId,
+            employeeName,
+            message: t('alertRule.message.forEmployee', { name: employeeName, id: employeeId, message }),
+            link: { employeeId, fromDate: alertDates[0], toDate: alertDates[alertDates.length - 1] },
+          });
+        });
+    });
+  });
+  return alerts;
+};
@@ -0,0 +1,42 @@
+import { evaluateAlertRules } from './alertRules';
+
+const absenceRule = { id: 'absent-2-days', type: 'consecutive_absence', enabled: true, threshold: 2 };
+
+const employees = [
+  { Employee_ID: '103', Employee_Name: 'Priya Menon' },
+  { Employee_ID: '104', Employee_Name: 'Rahul Nair' },
+];
+
+const present = (employeeId, date) => ({
+  Employee_ID: employeeId,
+  Employee_Name: employees.find(e => e.Employee_ID === employeeId).Employee_Name,
+  Date: date,
+  Check_In: '09:15',
+  Check_Out: '17:30',
+  Status: 'PRESENT',
+});
+
+describe('evaluateAlertRules', () => {
+  // Mon 6 to Fri 10 April 2026
+  const range = { fromDate: '2026-04-06', toDate: '2026-04-10', today: '2026-04-10', employees };
+
+  it('flags an employee with no records in the whole range', () => {
+    const records = ['2026-04-06', '2026-04-07', '2026-04-08', '2026-04-09', '2026-04-10'].map(date => present('103', date));
+    const alerts = evaluateAlertRules([absenceRule], records, range);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      employeeId: '104',
+      employeeName: 'Rahul Nair',
+      link: { employeeId: '104', fromDate: '2026-04-06', toDate: '2026-04-10' },
+    });
+  });
+
+  it('flags everyone when nobody has records', () => {
+    const alerts = evaluateAlertRules([absenceRule], [], range);
+    expect(alerts.map(alert => alert.employeeId)).toEqual(['103', '104']);
+  });
+
+  it('needs a range when there are no records to take one from', () => {
+    expect(evaluateAlertRules([absenceRule], [], { employees })).toEqual([]);
+  });
+});
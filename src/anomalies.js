@@ -0,0 +1,147 @@
+import { DEFAULT_POLICY, isMissingTime, timeToHours, isOvernight, isLate, getLateMinutes, getWorkingHours } from './shiftPolicies';
+import { t, formatNumber } from './i18n';
+
+// Checks for punch data that is impossible or suspicious. Each anomaly names
+// the rows it was found on as indexes into the `records` array it was given,
+// so the records table can jump straight to them.
+
+// Label and description in the current language
+const anomalyType = (type) => ({
+  get label() { return t(`anomaly.${type}.label`); },
+  get description() { return t(`anomaly.${type}.description`); },
+});
+
+export const ANOMALY_TYPES = {
+  checkout_before_checkin: anomalyType('checkout_before_checkin'),
+  long_shift: anomalyType('long_shift'),
+  present_without_punches: anomalyType('present_without_punches'),
+  duplicate_rows: anomalyType('duplicate_rows'),
+  late_mismatch: anomalyType('late_mismatch'),
+  identical_punches: anomalyType('identical_punches'),
+};
+
+export const DEFAULT_ANOMALY_OPTIONS = {
+  maxShiftHours: 14,
+  minIdenticalRun: 5, // days in a row with the same punches
+  lateMinutesTolerance: 1, // rounding on either side
+};
+
+const hasBothPunches = (record) => !isMissingTime(record.Check_In) && !isMissingTime(record.Check_Out);
+
+// Anomalies within single records
+const checkRecord = (record, index, policy, options) => {
+  const found = [];
+  const anomaly = (type, message) => ({ type, employeeId: String(record.Employee_ID), dates: [record.Date], rows: [index], message });
+
+  if (record.Status === 'PRESENT' && isMissingTime(record.Check_In) && isMissingTime(record.Check_Out)) {
+    found.push(anomaly('present_without_punches', t('anomaly.present_without_punches.message', { employeeId: record.Employee_ID, date: record.Date })));
+  }
+
+  if (hasBothPunches(record)) {
+    // A check-out "before" check-in is normal on a night shift that crosses midnight
+    if (!isOvernight(policy) && timeToHours(record.Check_Out) < timeToHours(record.Check_In)) {
+      found.push(anomaly('checkout_before_checkin', t('anomaly.checkout_before_checkin.message', {
+        employeeId: record.Employee_ID,
+        date: record.Date,
+        checkOut: record.Check_Out,
+        checkIn: record.Check_In,
+      })));
+    } else {
+      const hours = getWorkingHours(record, policy, false);
+      if (hours > options.maxShiftHours) {
+        found.push(anomaly('long_shift', t('anomaly.long_shift.message', { employeeId: record.Employee_ID, date: record.Date, hours: formatNumber(hours, 2) })));
+      }
+    }
+  }
+
+  if (record.Status === 'PRESENT' && !isMissingTime(record.Check_In)) {
+    const computedLate = isLate(record.Check_In, policy);
+    const computedMinutes = getLateMinutes(record.Check_In, policy);
+    const backendMinutes = Number(record.Late_Minutes) || 0;
+    if (!!record.Late_Flag !== computedLate || Math.abs(backendMinutes - computedMinutes) > options.lateMinutesTolerance) {
+      found.push(anomaly('late_mismatch', t('anomaly.late_mismatch.message', {
+        employeeId: record.Employee_ID,
+        date: record.Date,
+        backend: t(record.Late_Flag ? 'anomaly.late' : 'anomaly.onTime'),
+        backendMinutes,
+        computed: t(computedLate ? 'anomaly.late' : 'anomaly.onTime'),
+        computedMinutes,
+      })));
+    }
+  }
+  return found;
+};
+
+// Anomalies across one employee's records, given as [{ record, index }] sorted by date
+const checkEmployee = (employeeId, entries, options) => {
+  const found = [];
+
+  const byDate = new Map();
+  entries.forEach(entry => {
+    if (!byDate.has(entry.record.Date)) byDate.set(entry.record.Date, []);
+    byDate.get(entry.record.Date).push(entry.index);
+  });
+  byDate.forEach((rows, date) => {
+    if (rows.length > 1) {
+      found.push({ type: 'duplicate_rows', employeeId, dates: [date], rows, message: t('anomaly.duplicate_rows.message', { employeeId, count: rows.length, date }) });
+    }
+  });
+
+  // Runs over consecutive records (one per date) with the exact same punches
+  const punched = entries
+    .filter(({ record }) => record.Status === 'PRESENT' && hasBothPunches(record))
+    .filter((entry, i, list) => i === 0 || entry.record.Date !== list[i - 1].record.Date);
+  let runStart = 0;
+  for (let i = 1; i <= punched.length; i++) {
+    const same = i < punched.length &&
+      punched[i].record.Check_In === punched[runStart].record.Check_In &&
+      punched[i].record.Check_Out === punched[runStart].record.Check_Out;
+    if (same) continue;
+    const run = punched.slice(runStart, i);
+    if (run.length >= options.minIdenticalRun) {
+      const { Check_In: checkIn, Check_Out: checkOut } = run[0].record;
+      found.push({
+        type: 'identical_punches',
+        employeeId,
+        dates: run.map(({ record }) => record.Date),
+        rows: run.map(({ index }) => index),
+        message: t('anomaly.identical_punches.message', {
+          employeeId,
+          checkIn,
+          checkOut,
+          count: run.length,
+          fromDate: run[0].record.Date,
+          toDate: run[run.length - 1].record.Date,
+        }),
+      });
+    }
+    runStart = i;
+  }
+  return found;
+};
+
+// Every anomaly in `records`, in ANOMALY_TYPES order
+export const detectAnomalies = (records, getPolicy = () => DEFAULT_POLICY, options = {}) => {
+  const settings = { ...DEFAULT_ANOMALY_OPTIONS, ...options };
+  const found = [];
+  const byEmployee = new Map();
+
+  records.forEach((record, index) => {
+    found.push(...checkRecord(record, index, getPolicy(record), settings));
+    const id = String(record.Employee_ID);
+    if (!byEmployee.has(id)) byEmployee.set(id, []);
+    byEmployee.get(id).push({ record, index });
+  });
+  byEmployee.forEach((entries, employeeId) => {
+    const sorted = [...entries].sort((a, b) => a.record.Date.localeCompare(b.record.Date));
+    found.push(...checkEmployee(employeeId, sorted, settings));
+  });
+
+  const order = Object.keys(ANOMALY_TYPES);
+  return found.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || a.dates[0].localeCompare(b.dates[0]));
+};
+
+// Anomalies per type, for the panel's headings
+export const groupAnomaliesByType = (anomalies) => Object.keys(ANOMALY_TYPES)
+  .map(type => ({ type, ...ANOMALY_TYPES[type], anomalies: anomalies.filter(a => a.type === type) }))
+  .filter(group => group.anomalies.length > 0);
@@ -0,0 +1,97 @@
+import { detectAnomalies, groupAnomaliesByType } from './anomalies';
+
+// On time under the default policy (09:30 - 17:00), so only the anomaly a test
+// sets up is found
+const record = (date, changes = {}) => ({
+  Employee_ID: '104',
+  Employee_Name: 'Rahul Nair',
+  Date: date,
+  Check_In: '09:15',
+  Check_Out: '17:30',
+  Late_Flag: false,
+  Late_Minutes: 0,
+  Status: 'PRESENT',
+  ...changes,
+});
+
+const NIGHT_POLICY = { id: 'night', start: '22:00', end: '06:00', graceMinutes: 0, maxHours: 8, halfDayHours: 4 };
+
+const typesOf = (anomalies) => anomalies.map(a => a.type);
+
+describe('detectAnomalies', () => {
+  it('finds nothing in clean records', () => {
+    expect(detectAnomalies([record('2026-04-06'), record('2026-04-07', { Check_In: '09:20' })])).toEqual([]);
+  });
+
+  it('flags a check-out before the check-in on a day shift only', () => {
+    const records = [record('2026-04-06', { Check_In: '17:00', Check_Out: '09:00', Late_Flag: true, Late_Minutes: 450 })];
+    expect(typesOf(detectAnomalies(records))).toEqual(['checkout_before_checkin']);
+
+    const nightShift = [record('2026-04-06', { Check_In: '22:00', Check_Out: '06:00' })];
+    expect(detectAnomalies(nightShift, () => NIGHT_POLICY)).toEqual([]);
+  });
+
+  it('flags shifts longer than the limit', () => {
+    const records = [record('2026-04-06', { Check_In: '06:00', Check_Out: '21:00' })];
+    expect(typesOf(detectAnomalies(records))).toEqual(['long_shift']);
+    expect(detectAnomalies(records, undefined, { maxShiftHours: 16 })).toEqual([]);
+  });
+
+  it('flags a present day with no punches', () => {
+    const records = [record('2026-04-06', { Check_In: 'N/A', Check_Out: 'N/A' })];
+    expect(typesOf(detectAnomalies(records))).toEqual(['present_without_punches']);
+  });
+
+  it('flags late flags and minutes that disagree with the shift policy', () => {
+    const records = [
+      record('2026-04-06', { Check_In: '10:00', Late_Flag: false }),
+      record('2026-04-07', { Check_In: '10:00', Late_Flag: true, Late_Minutes: 31 }), // within the rounding tolerance
+      record('2026-04-08', { Check_In: '10:00', Late_Flag: true, Late_Minutes: 45 }),
+    ];
+    const anomalies = detectAnomalies(records);
+    expect(typesOf(anomalies)).toEqual(['late_mismatch', 'late_mismatch']);
+    expect(anomalies.map(a => a.rows)).toEqual([[0], [2]]);
+  });
+
+  it('flags duplicate rows for one employee and date', () => {
+    const records = [record('2026-04-06'), record('2026-04-06', { Employee_ID: '105' }), record('2026-04-06', { Check_In: '09:20' })];
+    const [duplicate] = detectAnomalies(records);
+    expect(duplicate).toMatchObject({ type: 'duplicate_rows', employeeId: '104', dates: ['2026-04-06'], rows: [0, 2] });
+  });
+
+  it('flags a run of identical punches, whatever the record order', () => {
+    const dates = ['2026-04-10', '2026-04-06', '2026-04-08', '2026-04-07', '2026-04-09'];
+    const anomalies = detectAnomalies(dates.map(date => record(date)));
+    expect(anomalies).toHaveLength(1);
+    expect(anomalies[0]).toMatchObject({
+      type: 'identical_punches',
+      dates: ['2026-04-06', '2026-04-07', '2026-04-08', '2026-04-09', '2026-04-10'],
+      rows: [1, 3, 2, 4, 0],
+    });
+  });
+
+  it('lets a different day break the run', () => {
+    const records = ['2026-04-06', '2026-04-07', '2026-04-08', '2026-04-09', '2026-04-10'].map(date => record(date));
+    records[2] = record('2026-04-08', { Check_Out: '17:45' });
+    expect(detectAnomalies(records)).toEqual([]);
+    expect(typesOf(detectAnomalies(records, undefined, { minIdenticalRun: 2 }))).toEqual(['identical_punches', 'identical_punches']);
+  });
+
+  it('orders anomalies by type, then date', () => {
+    const records = [
+      record('2026-04-07', { Check_In: 'N/A', Check_Out: 'N/A' }),
+      record('2026-04-06', { Check_In: '06:00', Check_Out: '21:00' }),
+      record('2026-04-05', { Check_In: 'N/A', Check_Out: 'N/A' }),
+    ];
+    const anomalies = detectAnomalies(records);
+    expect(anomalies.map(a => [a.type, a.dates[0]])).toEqual([
+      ['long_shift', '2026-04-06'],
+      ['present_without_punches', '2026-04-05'],
+      ['present_without_punches', '2026-04-07'],
+    ]);
+    expect(groupAnomaliesByType(anomalies).map(group => [group.type, group.anomalies.length])).toEqual([
+      ['long_shift', 1],
+      ['present_without_punches', 2],
+    ]);
+  });
+});
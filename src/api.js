@@ -0,0 +1,82 @@
+import axios from 'axios';
+import { getSession, saveSession, clearSession, createSession } from './auth';
+import { t } from './i18n';
+
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:10000';
+
+const LOGIN_PATH = '/api/auth/login';
+const LOGOUT_PATH = '/api/auth/logout';
+
+// Shared axios instance: every request made through it carries the session token.
+const api = axios.create({ baseURL: BACKEND_URL });
+
+let unauthorizedHandler = null;
+
+// App registers a callback here so a 401 from any endpoint logs the user out.
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+api.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session) {
+    config.headers = config.headers || {};
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    // A 401 on the login call just means bad credentials, and one on logout
+    // means the token is already gone, so neither should trigger the handler.
+    const url = error.config && error.config.url;
+    const isAuthRequest = url === LOGIN_PATH || url === LOGOUT_PATH;
+    if (error.response && error.response.status === 401 && !isAuthRequest && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+// Human-readable message for a failed request, prefixed with what was being
+// done. `action` should already be translated; the backend's own message is
+// passed through as it is.
+export const getErrorMessage = (err, action) => {
+  if (err.response) {
+    const serverMessage = (err.response.data && (err.response.data.message || err.response.data.error)) || err.message;
+    return t('error.serverStatus', { action, status: err.response.status, message: serverMessage });
+  }
+  if (err.code === 'ERR_NETWORK' || err.code === 'ECONNREFUSED') {
+    return t('error.cannotConnect', { action });
+  }
+  if (err.code === 'ECONNABORTED' && err.message.includes('timeout')) {
+    return t('error.timedOut', { action });
+  }
+  return t('error.other', { action, message: err.message });
+};
+
+export const login = async (email, password) => {
+  const response = await api.post(LOGIN_PATH, { email, password }, { timeout: 15000 });
+  if (!response.data || !response.data.token) {
+    throw new Error(t('login.noToken'));
+  }
+  const session = createSession(response.data);
+  saveSession(session);
+  return session;
+};
+
+// Tells the backend to revoke the token. Failures are ignored because the
+// local session is cleared regardless.
+export const logout = async () => {
+  try {
+    await api.post(LOGOUT_PATH, null, { timeout: 5000 });
+  } catch (err) {
+    console.warn('Logout request failed:', err.message);
+  } finally {
+    clearSession();
+  }
+};
+
+export default api;
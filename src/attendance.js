@@ -0,0 +1,138 @@
+import { DEFAULT_POLICY, isLate, isHalfDay, getWorkingHours } from './shiftPolicies';
+import { DEFAULT_WORK_CALENDAR, isNonWorkingDay, getHoliday, getWeekdayName } from './workCalendar';
+import { LEAVE_TYPES } from './leaves';
+import { countDays, listDates } from './calendarDates';
+
+// Attendance figures for one employee's records over a date range.
+// All dates are plain calendar dates handled by calendarDates, never local Date objects.
+//
+// options:
+//   fromDate, toDate  - the searched range; absences need both
+//   employeeId        - whose leave to look up (defaults to the records' employee)
+//   calendar          - holidays and weekly offs
+//   leaveIndex        - from indexLeavesByDate
+//   getPolicy(record) - the shift policy for a record
+export const summarizeAttendance = (records, options = {}) => {
+  const {
+    fromDate,
+    toDate,
+    calendar = DEFAULT_WORK_CALENDAR,
+    leaveIndex = new Map(),
+    getPolicy = () => DEFAULT_POLICY,
+  } = options;
+  const employeeId = options.employeeId || (records[0] && records[0].Employee_ID);
+
+  const totalAttendance = records.filter(r => r.Status === 'PRESENT').length;
+  const totalDays = fromDate && toDate ? countDays(fromDate, toDate) : records.length;
+
+  const absentDates = [];
+  if (fromDate && toDate) {
+    const recordDates = new Set(records.map(r => r.Date));
+    listDates(fromDate, toDate).forEach(dateStr => {
+      // Holidays and weekly offs are never absences, even with an ABSENT record
+      if (isNonWorkingDay(dateStr, calendar)) return;
+      const isAbsent = !recordDates.has(dateStr) || records.find(r => r.Date === dateStr && r.Status === 'ABSENT');
+      if (isAbsent) {
+        absentDates.push({ date: dateStr, day: getWeekdayName(dateStr), leave: leaveIndex.get(`${employeeId}|${dateStr}`) || null });
+      }
+    });
+  }
+
+  // Days worked on a weekly off or a holiday
+  const extraWorkingDates = records
+    .filter(r => r.Status === 'PRESENT' && isNonWorkingDay(r.Date, calendar))
+    .map(r => {
+      const holiday = getHoliday(r.Date, calendar);
+      return { date: r.Date, day: holiday ? `${getWeekdayName(r.Date)}, ${holiday.name}` : getWeekdayName(r.Date) };
+    });
+
+  const holidaysInRange = fromDate && toDate
+    ? (calendar.holidays || []).filter(h => h.date >= fromDate && h.date <= toDate)
+    : [];
+
+  // Absences covered by leave, per leave type, in LEAVE_TYPES order
+  const leaveAbsenceCounts = LEAVE_TYPES
+    .map(type => ({ type, count: absentDates.filter(d => d.leave && d.leave.type === type.id).length }))
+    .filter(({ count }) => count > 0);
+
+  const presentRecords = records.filter(r => r.Status === 'PRESENT');
+  const lateCount = presentRecords.filter(r => isLate(r.Check_In, getPolicy(r))).length;
+  const avgWorkingHours = records.length > 0
+    ? records.reduce((sum, r) => sum + getWorkingHours(r, getPolicy(r)), 0) / records.length
+    : 0;
+
+  return {
+    totalAttendance,
+    totalDays,
+    absentDates,
+    totalAbsent: absentDates.length,
+    totalUnplannedAbsent: absentDates.filter(d => !d.leave).length,
+    leaveAbsenceCounts,
+    extraWorkingDates,
+    totalExtraWorking: extraWorkingDates.length,
+    holidaysInRange,
+    totalHalfDays: records.filter(r => isHalfDay(r, getPolicy(r))).length,
+    lateCount,
+    onTimeCount: presentRecords.length - lateCount,
+    avgWorkingHours,
+    recordCount: records.length,
+  };
+};
+
+// Records split by employee, keeping the first-seen order
+export const groupRecordsByEmployee = (records) => {
+  const groups = new Map();
+  records.forEach(record => {
+    const id = String(record.Employee_ID);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(record);
+  });
+  return groups;
+};
+
+// Per-date team figures: headcount present, late percentage and average hours.
+export const summarizeTeamByDate = (records, getPolicy = () => DEFAULT_POLICY) => {
+  const byDate = new Map();
+  records.forEach(record => {
+    if (!byDate.has(record.Date)) byDate.set(record.Date, []);
+    byDate.get(record.Date).push(record);
+  });
+  return Array.from(byDate.keys()).sort().map(date => {
+    const present = byDate.get(date).filter(r => r.Status === 'PRESENT');
+    const late = present.filter(r => isLate(r.Check_In, getPolicy(r))).length;
+    const hours = present.reduce((sum, r) => sum + getWorkingHours(r, getPolicy(r), false), 0);
+    return {
+      date,
+      present: present.length,
+      late,
+      latePercent: present.length > 0 ? (late / present.length) * 100 : 0,
+      avgHours: present.length > 0 ? hours / present.length : 0,
+    };
+  });
+};
+
+// Attendance rate, late percentage and average hours per group, from the
+// per-employee summaries of a team search. `getGroup(employeeId)` names the
+// group an employee belongs to. Rates count working days only, so days worked
+// on a weekly off or holiday don't push attendance past 100%.
+export const summarizeGroups = (summaries, getGroup) => {
+  const groups = new Map();
+  summaries.forEach(summary => {
+    const group = getGroup(summary.employeeId);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(summary);
+  });
+  return Array.from(groups, ([group, members]) => {
+    const total = (field) => members.reduce((sum, s) => sum + s[field], 0);
+    const presentOnWorkingDays = total('totalAttendance') - total('totalExtraWorking');
+    const workingDays = presentOnWorkingDays + total('totalAbsent');
+    const recordCount = total('recordCount');
+    return {
+      group,
+      employeeCount: members.length,
+      attendanceRate: workingDays > 0 ? (presentOnWorkingDays / workingDays) * 100 : 0,
+      latePercent: total('totalAttendance') > 0 ? (total('lateCount') / total('totalAttendance')) * 100 : 0,
+      avgHours: recordCount > 0 ? members.reduce((sum, s) => sum + s.avgWorkingHours * s.recordCount, 0) / recordCount : 0,
+    };
+  }).sort((a, b) => a.group.localeCompare(b.group));
+};
@@ -0,0 +1,64 @@
+import { summarizeAttendance } from './attendance';
+
+// Weekends are off in the default work calendar. Run under several TZ
+// settings by `npm run test:timezones`; the answers must not change.
+
+const present = (date, checkIn = '09:15', checkOut = '18:00') => ({
+  Employee_ID: '104',
+  Employee_Name: 'Rahul Nair',
+  Date: date,
+  Check_In: checkIn,
+  Check_Out: checkOut,
+  Status: 'PRESENT',
+});
+
+const absent = (date) => ({ ...present(date), Check_In: 'N/A', Check_Out: 'N/A', Status: 'ABSENT' });
+
+describe('summarizeAttendance', () => {
+  it('counts a range across a month end', () => {
+    // Fri 30 Jan to Mon 2 Feb 2026; the weekend between is off
+    const summary = summarizeAttendance([present('2026-01-30')], { fromDate: '2026-01-30', toDate: '2026-02-02' });
+    expect(summary.totalDays).toBe(4);
+    expect(summary.totalAttendance).toBe(1);
+    expect(summary.absentDates.map(d => d.date)).toEqual(['2026-02-02']);
+    expect(summary.absentDates[0].day).toBe('Monday');
+  });
+
+  it('counts a range across a leap day', () => {
+    const records = [present('2024-02-28'), present('2024-02-29'), absent('2024-03-01')];
+    const summary = summarizeAttendance(records, { fromDate: '2024-02-28', toDate: '2024-03-01' });
+    expect(summary.totalDays).toBe(3);
+    expect(summary.totalAttendance).toBe(2);
+    expect(summary.absentDates.map(d => d.date)).toEqual(['2024-03-01']);
+  });
+
+  it('is not thrown off by a DST change', () => {
+    // Fri 6 to Mon 9 March 2026; US clocks go forward on Sunday the 8th, which was worked
+    const records = [present('2026-03-06'), present('2026-03-08'), present('2026-03-09')];
+    const summary = summarizeAttendance(records, { fromDate: '2026-03-06', toDate: '2026-03-09' });
+    expect(summary.totalDays).toBe(4);
+    expect(summary.totalAbsent).toBe(0);
+    expect(summary.extraWorkingDates).toEqual([{ date: '2026-03-08', day: 'Sunday' }]);
+  });
+
+  it('matches leave to absences by employee and date', () => {
+    const leave = { employeeId: '104', type: 'casual' };
+    const leaveIndex = new Map([['104|2026-10-30', leave]]);
+    const summary = summarizeAttendance([present('2026-11-02')], { fromDate: '2026-10-30', toDate: '2026-11-02', leaveIndex });
+    expect(summary.totalAbsent).toBe(1);
+    expect(summary.totalUnplannedAbsent).toBe(0);
+    expect(summary.absentDates[0].leave).toBe(leave);
+  });
+
+  it('flags late check-ins against the default shift', () => {
+    const summary = summarizeAttendance([present('2026-04-06', '09:00'), present('2026-04-07', '11:00')], { fromDate: '2026-04-06', toDate: '2026-04-07' });
+    expect(summary.lateCount).toBe(1);
+    expect(summary.onTimeCount).toBe(1);
+  });
+
+  it('counts only the records without a range', () => {
+    const summary = summarizeAttendance([present('2026-04-06'), absent('2026-04-07')]);
+    expect(summary.totalDays).toBe(2);
+    expect(summary.absentDates).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+import { isMissingTime, isLate } from './shiftPolicies';
+import { DEFAULT_WORK_CALENDAR, getHoliday, isWeeklyOff } from './workCalendar';
+import { getWeekday, addDays, makeDate } from './calendarDates';
+import { t, formatMonth } from './i18n';
+
+// Day-by-day status for the calendar view of one employee's records.
+// Dates are "YYYY-MM-DD" strings, as everywhere else.
+
+// The label follows the current language
+const dayStatus = (status, className) => ({ get label() { return t(`dayStatus.${status}`); }, className });
+
+export const DAY_STATUSES = {
+  on_time: dayStatus('on_time', 'bg-green-500 text-white'),
+  late: dayStatus('late', 'bg-yellow-400 text-gray-900'),
+  missing_punch: dayStatus('missing_punch', 'bg-pink-500 text-white'),
+  absent: dayStatus('absent', 'bg-red-500 text-white'),
+  leave: dayStatus('leave', 'bg-indigo-300 text-gray-900'),
+  weekend_work: dayStatus('weekend_work', 'bg-purple-600 text-white'),
+  holiday: dayStatus('holiday', 'bg-blue-400 text-white'),
+  weekly_off: dayStatus('weekly_off', 'bg-gray-300 text-gray-700 dark:bg-gray-600 dark:text-gray-200'),
+  no_data: dayStatus('no_data', 'bg-gray-100 text-gray-400 dark:bg-gray-800 dark:text-gray-600'),
+};
+
+// Status of one date given its record (if any).
+// options: { calendar, getPolicy(record), leave, today } where leave is the leave
+// covering the date; days after `today` without a record have no data yet.
+export const getDayStatus = (dateStr, record, options = {}) => {
+  const { calendar = DEFAULT_WORK_CALENDAR, getPolicy, leave, today } = options;
+  const holiday = getHoliday(dateStr, calendar);
+  const weeklyOff = isWeeklyOff(dateStr, calendar);
+
+  if (record && record.Status === 'PRESENT') {
+    if (holiday || weeklyOff) return 'weekend_work';
+    if (isMissingTime(record.Check_In) || isMissingTime(record.Check_Out)) return 'missing_punch';
+    return getPolicy && isLate(record.Check_In, getPolicy(record)) ? 'late' : 'on_time';
+  }
+  if (holiday) return 'holiday';
+  if (weeklyOff) return 'weekly_off';
+  if (!record && today && dateStr > today) return 'no_data';
+  return leave ? 'leave' : 'absent';
+};
+
+// Month blocks covering fromDate..toDate. Each week is 7 cells starting on
+// Sunday; cells are { date, inRange } or null for padding outside the month.
+export const buildMonthGrid = (fromDate, toDate) => {
+  const months = [];
+  let [year, month] = fromDate.split('-').map(Number);
+  const [lastYear, lastMonth] = toDate.split('-').map(Number);
+  while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+    const first = makeDate(year, month, 1);
+    const cells = Array(getWeekday(first)).fill(null);
+    for (let date = first; date.startsWith(first.slice(0, 8)); date = addDays(date, 1)) {
+      cells.push({ date, inRange: date >= fromDate && date <= toDate });
+    }
+    while (cells.length % 7 !== 0) cells.push(null);
+
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    months.push({ key: first.slice(0, 7), label: formatMonth(first), weeks });
+
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+};
+
+// Number of in-range days per status, for the legend
+export const countDayStatuses = (statuses) => {
+  const counts = {};
+  statuses.forEach(status => { counts[status] = (counts[status] || 0) + 1; });
+  return counts;
+};
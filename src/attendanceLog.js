@@ -0,0 +1,119 @@
+import { normalizeDate } from './workCalendar';
+import { t } from './i18n';
+
+// Reader for the ZKTeco-style attendance log exported by the terminals
+// (attlog.dat / .txt). Each line is one punch, tab separated:
+//
+//   <user id>\t<YYYY-MM-DD HH:MM:SS>\t<verify mode>\t<in/out state>\t<work code>\t<reserved>
+//
+// The user id is usually right-aligned with spaces and the trailing columns
+// vary by firmware, so only the first two are required.
+
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// How much of a file to sniff when deciding whether it is binary
+const SNIFF_BYTES = 4096;
+
+const parseTimestamp = (value) => {
+  const match = (value || '').trim().match(TIMESTAMP_PATTERN);
+  if (!match) return null;
+  const date = normalizeDate(match[1]);
+  const [hours, minutes, seconds] = [Number(match[2]), Number(match[3]), Number(match[4] || 0)];
+  if (!date || hours > 23 || minutes > 59 || seconds > 59) return null;
+  const pad = (n) => n.toString().padStart(2, '0');
+  return { date, time: `${pad(hours)}:${pad(minutes)}:${pad(seconds)}` };
+};
+
+// Parses one line; returns { punch } or { error }
+export const parseAttendanceLine = (line) => {
+  const fields = line.split('\t').map(f => f.trim());
+  if (fields.length < 2) {
+    return { error: t('log.error.columns') };
+  }
+  const [employeeId, timestamp, verifyMode = '', state = '', workCode = ''] = fields;
+  if (!/^\d+$/.test(employeeId)) {
+    return { error: t('log.error.employeeId', { value: employeeId }) };
+  }
+  const parsed = parseTimestamp(timestamp);
+  if (!parsed) {
+    return { error: t('log.error.timestamp', { value: timestamp }) };
+  }
+  return { punch: { employeeId, date: parsed.date, time: parsed.time, verifyMode, state, workCode } };
+};
+
+// Parses the whole log.
+// Returns { punches, errors: [{ line, text, message }], totalLines, dateRange, punchesByEmployee }
+export const parseAttendanceLog = (text) => {
+  const punches = [];
+  const errors = [];
+  let totalLines = 0;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    totalLines++;
+    const { punch, error } = parseAttendanceLine(raw);
+    if (error) {
+      errors.push({ line: index + 1, text: raw, message: error });
+    } else {
+      punches.push({ ...punch, line: index + 1 });
+    }
+  });
+
+  let dateRange = null;
+  punches.forEach(({ date }) => {
+    if (!dateRange) dateRange = { from: date, to: date };
+    if (date < dateRange.from) dateRange.from = date;
+    if (date > dateRange.to) dateRange.to = date;
+  });
+
+  const counts = new Map();
+  punches.forEach(({ employeeId }) => counts.set(employeeId, (counts.get(employeeId) || 0) + 1));
+  const punchesByEmployee = Array.from(counts, ([employeeId, count]) => ({ employeeId, count }))
+    .sort((a, b) => Number(a.employeeId) - Number(b.employeeId));
+
+  return { punches, errors, totalLines, dateRange, punchesByEmployee };
+};
+
+// True when the bytes look like binary data rather than text: NUL bytes or a
+// high share of control characters other than tab and line breaks.
+export const looksBinary = (bytes) => {
+  const sample = bytes.subarray(0, SNIFF_BYTES);
+  if (sample.length === 0) return false;
+  let control = 0;
+  for (let i = 0; i < sample.length; i++) {
+    const byte = sample[i];
+    if (byte === 0) return true;
+    if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13) control++;
+  }
+  return control / sample.length > 0.1;
+};
+
+// Why an attendance log should not be uploaded, or '' when it looks fine
+export const getAttendanceLogProblem = (fileName, bytes, parsed) => {
+  if (looksBinary(bytes)) {
+    return t('log.problem.binary', { fileName });
+  }
+  if (parsed.totalLines === 0) {
+    return t('log.problem.empty', { fileName });
+  }
+  if (parsed.punches.length === 0) {
+    return t('log.problem.noPunches', { fileName });
+  }
+  // A few bad lines are normal; mostly bad lines means the wrong file
+  if (parsed.errors.length > parsed.punches.length) {
+    return t('log.problem.mostlyBad', { count: parsed.errors.length, total: parsed.totalLines, fileName });
+  }
+  return '';
+};
+
+// Why a file should not be uploaded as the employee data, or '' when it looks fine.
+// The employee file is binary, so readable punch lines mean the inputs were swapped.
+export const getEmployeeFileProblem = (fileName, bytes) => {
+  if (bytes.length === 0) return t('log.problem.empty', { fileName });
+  if (looksBinary(bytes)) return '';
+  const text = new TextDecoder().decode(bytes.subarray(0, SNIFF_BYTES));
+  const { punches } = parseAttendanceLog(text);
+  if (punches.length > 0) {
+    return t('log.problem.employeeLooksLikeLog', { fileName });
+  }
+  return '';
+};
@@ -0,0 +1,82 @@
+import { parseAttendanceLine, parseAttendanceLog, looksBinary, getAttendanceLogProblem } from './attendanceLog';
+
+const LOG = [
+  '      104\t2026-04-06 09:12:45\t1\t0\t0\t0',
+  '      103\t2026-04-06 09:30:02\t1\t0\t0\t0',
+  '      104\t2026-04-06 18:01:10\t1\t1\t0\t0',
+  '',
+  '      103\t2026-04-07 9:05\t15\t0',
+  'garbage line',
+  '      102\t2026-04-05 22:00:00',
+].join('\r\n');
+
+const bytesOf = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+
+describe('parseAttendanceLine', () => {
+  it('reads the id, timestamp and optional columns', () => {
+    expect(parseAttendanceLine('  104\t2026-04-06 09:12:45\t1\t0\t0\t0')).toEqual({
+      punch: { employeeId: '104', date: '2026-04-06', time: '09:12:45', verifyMode: '1', state: '0', workCode: '0' },
+    });
+  });
+
+  it('pads short times and fills in missing seconds', () => {
+    expect(parseAttendanceLine('104\t2026-04-06 9:05').punch.time).toBe('09:05:00');
+  });
+
+  it('rejects bad ids and impossible timestamps', () => {
+    expect(parseAttendanceLine('104').error).toBeTruthy();
+    expect(parseAttendanceLine('EMP104\t2026-04-06 09:00:00').error).toMatch('EMP104');
+    expect(parseAttendanceLine('104\t2026-04-06 24:00:00').error).toMatch('24:00:00');
+    expect(parseAttendanceLine('104\t2026-02-30 09:00:00').error).toBeTruthy();
+  });
+});
+
+describe('parseAttendanceLog', () => {
+  const parsed = parseAttendanceLog(LOG);
+
+  it('keeps punches with their line numbers and skips blank lines', () => {
+    expect(parsed.totalLines).toBe(6);
+    expect(parsed.punches.map(p => [p.employeeId, p.line])).toEqual([['104', 1], ['103', 2], ['104', 3], ['103', 5], ['102', 7]]);
+  });
+
+  it('reports bad lines as they appear in the file', () => {
+    expect(parsed.errors).toHaveLength(1);
+    expect(parsed.errors[0]).toMatchObject({ line: 6, text: 'garbage line' });
+  });
+
+  it('summarizes the dates and punches per employee', () => {
+    expect(parsed.dateRange).toEqual({ from: '2026-04-05', to: '2026-04-07' });
+    expect(parsed.punchesByEmployee).toEqual([
+      { employeeId: '102', count: 1 },
+      { employeeId: '103', count: 2 },
+      { employeeId: '104', count: 2 },
+    ]);
+  });
+
+  it('has no date range without punches', () => {
+    expect(parseAttendanceLog('\n\n').dateRange).toBeNull();
+  });
+});
+
+describe('looksBinary', () => {
+  it('tells text from binary', () => {
+    expect(looksBinary(bytesOf(LOG))).toBe(false);
+    expect(looksBinary(new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0x00, 0x00]))).toBe(true);
+    expect(looksBinary(new Uint8Array([1, 2, 3, 4, 65, 66]))).toBe(true);
+    expect(looksBinary(new Uint8Array())).toBe(false);
+  });
+});
+
+describe('getAttendanceLogProblem', () => {
+  const problemFor = (text) => getAttendanceLogProblem('attlog.dat', bytesOf(text), parseAttendanceLog(text));
+
+  it('accepts a log with a few bad lines', () => {
+    expect(problemFor(LOG)).toBe('');
+  });
+
+  it('rejects empty, unreadable and mostly bad files', () => {
+    expect(problemFor('')).toMatch('attlog.dat');
+    expect(problemFor('Employee_ID,Name\n104,Rahul Nair\n')).toMatch('attlog.dat');
+    expect(problemFor('104\t2026-04-06 09:00:00\nbad\nworse\n')).toMatch('attlog.dat');
+  });
+});
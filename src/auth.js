@@ -0,0 +1,46 @@
+// Session persistence for the token returned by /api/auth/login.
+// The session lives in localStorage so a page refresh keeps the user logged in.
+const SESSION_KEY = 'biometric_session';
+
+export const getSession = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!stored || !stored.token) return null;
+    if (isSessionExpired(stored)) {
+      clearSession();
+      return null;
+    }
+    return stored;
+  } catch (err) {
+    clearSession();
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+export const isSessionExpired = (session) => {
+  return !!session.expiresAt && Date.now() >= session.expiresAt;
+};
+
+// Builds the stored session from the login response. The backend sends either
+// `expires_in` (seconds) or an absolute `expires_at` timestamp.
+export const createSession = (data) => {
+  let expiresAt = null;
+  if (data.expires_at) {
+    expiresAt = new Date(data.expires_at).getTime();
+  } else if (data.expires_in) {
+    expiresAt = Date.now() + Number(data.expires_in) * 1000;
+  }
+  return {
+    token: data.token,
+    expiresAt,
+    user: data.user || null,
+  };
+};
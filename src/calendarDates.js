@@ -0,0 +1,70 @@
+// Plain calendar dates ("YYYY-MM-DD" strings) for all attendance date math.
+//
+// Attendance dates are calendar days at the organisation, not instants, so
+// they are never turned into local-time Date objects: `new Date('2026-04-06')`
+// is UTC midnight, and toISOString() on a local date shifts it by a day in
+// timezones east of UTC such as IST. Arithmetic here goes through Date.UTC
+// only, which gives the same answer whatever the browser's timezone is.
+//
+// "Today" is the only date that depends on a clock; it is read in the
+// organisation's timezone, set with REACT_APP_ORG_TIMEZONE (default Asia/Kolkata).
+// Formatting for display is in i18n, in the user's language.
+
+export const ORG_TIMEZONE = process.env.REACT_APP_ORG_TIMEZONE || 'Asia/Kolkata';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+export const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month, day };
+};
+
+const toUtcTime = (dateStr) => {
+  const { year, month, day } = parseDate(dateStr);
+  return Date.UTC(year, month - 1, day);
+};
+
+const fromUtcTime = (time) => {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// Builds a date from parts; out-of-range parts roll over (month 13 is next January)
+export const makeDate = (year, month, day) => fromUtcTime(Date.UTC(year, month - 1, day));
+
+export const addDays = (dateStr, days) => {
+  const { year, month, day } = parseDate(dateStr);
+  return makeDate(year, month, day + days);
+};
+
+// 0 (Sunday) to 6 (Saturday)
+export const getWeekday = (dateStr) => new Date(toUtcTime(dateStr)).getUTCDay();
+
+// Days in from..to counting both ends; 0 when the range is empty
+export const countDays = (fromDate, toDate) => {
+  if (toDate < fromDate) return 0;
+  return Math.round((toUtcTime(toDate) - toUtcTime(fromDate)) / DAY_MS) + 1;
+};
+
+// Every date in from..to, both ends included
+export const listDates = (fromDate, toDate) => {
+  const dates = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+export const startOfMonth = (dateStr) => `${dateStr.slice(0, 8)}01`;
+
+export const endOfMonth = (dateStr) => {
+  const { year, month } = parseDate(dateStr);
+  return makeDate(year, month + 1, 0);
+};
+
+// Today's date in `timeZone`. `now` is injectable for tests.
+export const todayIn = (timeZone = ORG_TIMEZONE, now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(now);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
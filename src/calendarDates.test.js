@@ -0,0 +1,84 @@
+import { addDays, countDays, listDates, getWeekday, endOfMonth, todayIn } from './calendarDates';
+
+// These must give the same answers whatever the machine's timezone is;
+// `npm run test:timezones` runs them under UTC, IST and US Pacific time.
+
+describe('countDays', () => {
+  it('counts both ends', () => {
+    expect(countDays('2026-04-01', '2026-04-30')).toBe(30);
+    expect(countDays('2026-04-06', '2026-04-06')).toBe(1);
+  });
+
+  it('is 0 for an empty range', () => {
+    expect(countDays('2026-04-07', '2026-04-06')).toBe(0);
+  });
+
+  it('crosses month and year ends', () => {
+    expect(countDays('2026-01-31', '2026-03-01')).toBe(30);
+    expect(countDays('2024-02-28', '2024-03-01')).toBe(3);
+    expect(countDays('2025-12-30', '2026-01-02')).toBe(4);
+  });
+
+  it('is not thrown off by DST changes', () => {
+    // US clocks go forward on 8 March 2026 and back on 1 November 2026
+    expect(countDays('2026-03-07', '2026-03-09')).toBe(3);
+    expect(countDays('2026-10-31', '2026-11-02')).toBe(3);
+    // Europe changes on 29 March 2026
+    expect(countDays('2026-03-01', '2026-03-31')).toBe(31);
+  });
+});
+
+describe('listDates', () => {
+  it('lists every date across a month end', () => {
+    expect(listDates('2026-02-27', '2026-03-02')).toEqual(['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+  });
+
+  it('neither skips nor repeats a date over DST changes', () => {
+    expect(listDates('2026-03-07', '2026-03-09')).toEqual(['2026-03-07', '2026-03-08', '2026-03-09']);
+    expect(listDates('2026-10-31', '2026-11-02')).toEqual(['2026-10-31', '2026-11-01', '2026-11-02']);
+  });
+
+  it('is empty when the range is', () => {
+    expect(listDates('2026-04-02', '2026-04-01')).toEqual([]);
+  });
+});
+
+describe('getWeekday', () => {
+  it('gives the calendar weekday, not a shifted one', () => {
+    expect(getWeekday('2026-04-06')).toBe(1); // Monday
+    expect(getWeekday('2026-03-08')).toBe(0); // Sunday, US DST starts
+    expect(getWeekday('2026-11-01')).toBe(0); // Sunday, US DST ends
+    expect(getWeekday('2026-01-01')).toBe(4); // Thursday
+  });
+});
+
+describe('addDays and endOfMonth', () => {
+  it('roll over month and year ends', () => {
+    expect(addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(endOfMonth('2024-02-10')).toBe('2024-02-29');
+  });
+});
+
+describe('todayIn', () => {
+  it('reads the date in the given timezone', () => {
+    const now = new Date('2026-04-05T20:00:00Z');
+    expect(todayIn('UTC', now)).toBe('2026-04-05');
+    expect(todayIn('Asia/Kolkata', now)).toBe('2026-04-06');
+    expect(todayIn('America/Los_Angeles', now)).toBe('2026-04-05');
+  });
+
+  it('handles the hours around a DST change', () => {
+    // 01:30 PST, half an hour before clocks go forward
+    expect(todayIn('America/Los_Angeles', new Date('2026-03-08T09:30:00Z'))).toBe('2026-03-08');
+    // 23:30 PST the evening before
+    expect(todayIn('America/Los_Angeles', new Date('2026-03-08T07:30:00Z'))).toBe('2026-03-07');
+  });
+
+  it('crosses a year end in IST before UTC', () => {
+    const now = new Date('2025-12-31T19:00:00Z');
+    expect(todayIn('UTC', now)).toBe('2025-12-31');
+    expect(todayIn('Asia/Kolkata', now)).toBe('2026-01-01');
+  });
+});
@@ -0,0 +1,61 @@
+import { t, formatNumber } from './i18n';
+
+// Text alternatives for the dashboard charts, built from the same chart.js data
+// objects the charts draw: a few generated sentences for screen readers and a
+// table with one row per label.
+//
+// `format(value, datasetIndex)` shows a value the way the chart's axis does. `isMissing(datasetIndex, index)`
+// marks points the chart plots without a real reading behind them (a missing
+// punch drawn at midnight), which the summary skips and the table leaves blank.
+
+const defaultFormat = (value) => formatNumber(value);
+const noneMissing = () => false;
+
+const pointsOf = (data, datasetIndex, isMissing) => data.datasets[datasetIndex].data
+  .map((value, index) => ({ value, index }))
+  .filter(({ value, index }) => typeof value === 'number' && !isMissing(datasetIndex, index));
+
+const describePie = (data, format) => {
+  const values = data.datasets[0].data;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return t('chart.a11y.empty');
+  const shares = data.labels
+    .map((label, index) => ({ label, value: values[index] }))
+    .filter(({ value }) => value > 0)
+    .map(({ label, value }) => t('chart.a11y.share', { label, value: format(value), percent: formatNumber((value / total) * 100, 0) }));
+  return t('chart.a11y.pie', { total: format(total), shares: shares.join('; ') });
+};
+
+// `type` is 'line', 'bar' or 'pie'
+export const describeChart = (type, data, { format = defaultFormat, isMissing = noneMissing } = {}) => {
+  if (data.labels.length === 0) return t('chart.a11y.empty');
+  if (type === 'pie') return describePie(data, format);
+
+  return data.datasets.map((dataset, datasetIndex) => {
+    const points = pointsOf(data, datasetIndex, isMissing);
+    if (points.length === 0) return t('chart.a11y.noValues', { label: dataset.label });
+    const highest = points.reduce((best, point) => (point.value > best.value ? point : best));
+    const lowest = points.reduce((best, point) => (point.value < best.value ? point : best));
+    const average = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    return t('chart.a11y.series', {
+      count: points.length,
+      label: dataset.label,
+      highest: format(highest.value, datasetIndex),
+      highestAt: data.labels[highest.index],
+      lowest: format(lowest.value, datasetIndex),
+      lowestAt: data.labels[lowest.index],
+      average: format(average, datasetIndex),
+    });
+  }).join(' ');
+};
+
+// { headers, rows } with the labels in the first column and a column per dataset
+export const getChartTable = (data, labelHeader, { format = defaultFormat, isMissing = noneMissing } = {}) => ({
+  headers: [labelHeader, ...data.datasets.map(dataset => dataset.label)],
+  rows: data.labels.map((label, index) => [
+    label,
+    ...data.datasets.map((dataset, datasetIndex) => (
+      typeof dataset.data[index] === 'number' && !isMissing(datasetIndex, index) ? format(dataset.data[index], datasetIndex) : '–'
+    )),
+  ]),
+});
@@ -0,0 +1,15 @@
+// Chart.js option pieces matching the dashboard's light and dark themes.
+
+export const chartTitle = (theme, text) => ({
+  display: true,
+  text,
+  font: { size: 20, weight: 'bold' },
+  color: theme === 'dark' ? '#E2E8F0' : '#1A202C',
+});
+
+export const chartAxis = (theme, text, extra = {}) => ({
+  ...extra,
+  title: { display: true, text, color: theme === 'dark' ? '#A0AEC0' : '#4A5568' },
+  ticks: { color: theme === 'dark' ? '#CBD5E0' : '#4A5568', ...extra.ticks },
+  grid: { color: theme === 'dark' ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' },
+});
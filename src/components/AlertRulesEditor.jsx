@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ALERT_RULE_TYPES, describeRule, validateRule } from '../alertRules';
+import { t } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+const newRuleId = () => `rule-${Date.now().toString(36)}`;
+
+// Editor for the alert rules and the email digest switch.
+function AlertRulesEditor({ config, onSave, saving }) {
+  const [draft, setDraft] = useState(config);
+  const [problems, setProblems] = useState([]);
+
+  // Reset the draft whenever fresh rules arrive from the backend
+  useEffect(() => {
+    setDraft(config);
+  }, [config]);
+
+  const updateRule = (id, changes) => {
+    setDraft(prev => ({ ...prev, rules: prev.rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)) }));
+  };
+
+  const addRule = (type) => {
+    setDraft(prev => ({ ...prev, rules: [...prev.rules, { id: newRuleId(), type, enabled: true, ...ALERT_RULE_TYPES[type].defaults }] }));
+  };
+
+  const removeRule = (id) => {
+    setDraft(prev => ({ ...prev, rules: prev.rules.filter(rule => rule.id !== id) }));
+  };
+
+  const handleSave = () => {
+    const found = draft.rules.flatMap(rule => validateRule(rule).map(problem => `${describeRule(rule)}: ${problem}`));
+    setProblems(found);
+    if (found.length > 0) return;
+    onSave({
+      ...draft,
+      rules: draft.rules.map(rule => ({ ...rule, threshold: Number(rule.threshold), ...(rule.windowDays !== undefined ? { windowDays: Number(rule.windowDays) } : {}) })),
+    });
+  };
+
+  return (
+    <div className="space-y-4 text-sm text-gray-800 dark:text-gray-100">
+      {draft.rules.length === 0 && <p className="text-gray-500 dark:text-gray-400">{t('alerts.noRules')}</p>}
+      {draft.rules.map(rule => (
+        <div key={rule.id} className="flex flex-col md:flex-row md:items-center gap-3 p-3 rounded-lg bg-blue-50 dark:bg-gray-700">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} />
+            <span className="font-semibold">{ALERT_RULE_TYPES[rule.type] ? ALERT_RULE_TYPES[rule.type].label : rule.type}</span>
+          </label>
+          <label className="flex items-center gap-2">
+            {rule.type === 'low_avg_hours' ? t('alerts.thresholdHours') : rule.type === 'late_count' ? t('alerts.thresholdLate') : t('alerts.thresholdDays')}
+            <input type="number" min="1" step={rule.type === 'low_avg_hours' ? '0.5' : '1'} value={rule.threshold} onChange={(e) => updateRule(rule.id, { threshold: e.target.value })} className={`${inputClass} w-24`} />
+          </label>
+          {rule.type === 'late_count' && (
+            <label className="flex items-center gap-2">
+              {t('alerts.windowDays')}
+              <input type="number" min="1" step="1" value={rule.windowDays} onChange={(e) => updateRule(rule.id, { windowDays: e.target.value })} className={`${inputClass} w-24`} />
+            </label>
+          )}
+          <span className="flex-1 text-gray-600 dark:text-gray-400">{describeRule(rule)}</span>
+          <button onClick={() => removeRule(rule.id)} className="text-red-600 dark:text-red-400 hover:underline">{t('common.remove')}</button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span>{t('alerts.addRule')}</span>
+        {Object.entries(ALERT_RULE_TYPES).map(([type, { label }]) => (
+          <button key={type} onClick={() => addRule(type)} className="px-3 py-1 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600">
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={draft.emailDigest} onChange={(e) => setDraft(prev => ({ ...prev, emailDigest: e.target.checked }))} />
+        {t('alerts.digestOption')}
+      </label>
+
+      {problems.length > 0 && (
+        <ul className="list-disc pl-5 text-red-600 dark:text-red-400">
+          {problems.map((problem, index) => <li key={index}>{problem}</li>)}
+        </ul>
+      )}
+
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={handleSave}
+        disabled={saving}
+        className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-60"
+      >
+        {saving ? t('common.saving') : t('alerts.save')}
+      </motion.button>
+    </div>
+  );
+}
+
+export default AlertRulesEditor;
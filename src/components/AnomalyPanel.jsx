@@ -0,0 +1,45 @@
+import { groupAnomaliesByType } from '../anomalies';
+import { t } from '../i18n';
+
+// Anomalies found in the records on screen, grouped by type. "Show rows"
+// narrows the records table to the rows behind an anomaly (or a whole type).
+function AnomalyPanel({ anomalies, onShowRows }) {
+  const groups = groupAnomaliesByType(anomalies);
+
+  if (groups.length === 0) {
+    return <p className="text-sm text-gray-600 dark:text-gray-400">{t('anomaly.noneFound')}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {groups.map(group => {
+        const allRows = Array.from(new Set(group.anomalies.flatMap(a => a.rows)));
+        return (
+          <div key={group.type} className="p-4 rounded-lg bg-yellow-50 dark:bg-gray-700 text-sm text-gray-800 dark:text-gray-100">
+            <div className="flex items-start justify-between gap-3 mb-2">
+              <div>
+                <p className="font-semibold">{group.label} ({group.anomalies.length})</p>
+                <p className="text-xs text-gray-600 dark:text-gray-400">{group.description}</p>
+              </div>
+              <button onClick={() => onShowRows(group.label, allRows)} className="text-blue-600 dark:text-blue-400 hover:underline whitespace-nowrap">
+                {t('anomaly.showAllRows', { count: allRows.length })}
+              </button>
+            </div>
+            <ul className="max-h-40 overflow-y-auto custom-scrollbar divide-y divide-yellow-200 dark:divide-gray-600">
+              {group.anomalies.map((anomaly, index) => (
+                <li key={index} className="flex items-center justify-between gap-3 py-1">
+                  <span>{anomaly.message}</span>
+                  <button onClick={() => onShowRows(anomaly.message, anomaly.rows)} className="text-blue-600 dark:text-blue-400 hover:underline whitespace-nowrap">
+                    {t('anomaly.showRows', { count: anomaly.rows.length })}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AnomalyPanel;
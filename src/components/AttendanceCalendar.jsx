@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { DAY_STATUSES, getDayStatus, buildMonthGrid, countDayStatuses } from '../attendanceCalendar';
+import { getHoliday } from '../workCalendar';
+import { getLeaveType } from '../leaves';
+import { isRegularized } from '../regularizations';
+import { t, formatDate, formatTime, formatNumber, formatWeekdayIndex } from '../i18n';
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Month-by-month calendar of one employee's searched range, each day colored by
+// status. Hovering (or focusing) a day shows its punches; clicking opens the raw record.
+function AttendanceCalendar({ records, fromDate, toDate, today, calendar, getPolicy, leaveIndex, employeeId }) {
+  const [hoveredDate, setHoveredDate] = useState(null);
+  const [openDate, setOpenDate] = useState(null);
+
+  const recordsByDate = new Map(records.map(record => [record.Date, record]));
+  const months = buildMonthGrid(fromDate, toDate);
+
+  const getDay = (date) => {
+    const record = recordsByDate.get(date) || null;
+    const leave = leaveIndex.get(`${employeeId}|${date}`) || null;
+    return { record, leave, status: getDayStatus(date, record, { calendar, getPolicy, leave, today }) };
+  };
+
+  const statusCounts = countDayStatuses(
+    months.flatMap(month => month.weeks.flat()).filter(cell => cell && cell.inRange).map(cell => getDay(cell.date).status)
+  );
+
+  const describeDay = (date, { record, leave, status }) => {
+    const holiday = getHoliday(date, calendar);
+    const lines = [`${formatDate(date)}: ${DAY_STATUSES[status].label}`];
+    if (holiday) lines.push(holiday.name);
+    if (leave) {
+      const type = getLeaveType(leave.type);
+      lines.push(type ? type.label : leave.type);
+    }
+    if (record) {
+      lines.push(t('attendanceCalendar.punches', { checkIn: formatTime(record.Check_In), checkOut: formatTime(record.Check_Out) }));
+      if (isRegularized(record)) {
+        lines.push(t('attendanceCalendar.corrected', { checkIn: formatTime(record.Original_Check_In), checkOut: formatTime(record.Original_Check_Out) }));
+      }
+      const hours = Number(record.Working_Hours);
+      lines.push(t('attendanceCalendar.hours', { hours: Number.isNaN(hours) ? record.Working_Hours : formatNumber(hours, 2) }));
+    }
+    return lines;
+  };
+
+  const openRecord = openDate ? recordsByDate.get(openDate) : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 mb-8">
+      <h2 className="text-2xl font-bold mb-4 text-blue-800 dark:text-yellow-300">{t('attendanceCalendar.title')}</h2>
+
+      <div className="flex flex-wrap gap-3 mb-6 text-sm text-gray-800 dark:text-gray-100">
+        {Object.entries(DAY_STATUSES).map(([status, { label, className }]) => (
+          <span key={status} className="flex items-center gap-1">
+            <span className={`inline-block w-4 h-4 rounded ${className}`} />
+            {label} ({formatNumber(statusCounts[status] || 0)})
+          </span>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+        {months.map(month => (
+          <div key={month.key}>
+            <p className="font-semibold mb-2 text-gray-800 dark:text-gray-100">{month.label}</p>
+            <table className="w-full table-fixed text-xs text-center">
+              <thead>
+                <tr>
+                  {WEEKDAYS.map(weekday => (
+                    <th key={weekday} className="pb-1 font-medium text-gray-500 dark:text-gray-400">{formatWeekdayIndex(weekday, 'narrow')}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {month.weeks.map((week, weekIndex) => (
+                  <tr key={weekIndex}>
+                    {week.map((cell, dayIndex) => {
+                      if (!cell) return <td key={dayIndex} />;
+                      const dayNumber = Number(cell.date.slice(8));
+                      if (!cell.inRange) {
+                        return <td key={dayIndex} className="p-0.5"><span className="block py-1 rounded text-gray-300 dark:text-gray-600">{dayNumber}</span></td>;
+                      }
+                      const day = getDay(cell.date);
+                      const details = describeDay(cell.date, day);
+                      return (
+                        <td key={dayIndex} className="p-0.5 relative">
+                          <button
+                            onClick={() => setOpenDate(cell.date)}
+                            onMouseEnter={() => setHoveredDate(cell.date)}
+                            onMouseLeave={() => setHoveredDate(null)}
+                            onFocus={() => setHoveredDate(cell.date)}
+                            onBlur={() => setHoveredDate(null)}
+                            className={`w-full py-1 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 ${DAY_STATUSES[day.status].className}`}
+                            aria-label={details.join(', ')}
+                          >
+                            {dayNumber}
+                          </button>
+                          {hoveredDate === cell.date && (
+                            <div className="absolute z-20 bottom-full left-1/2 transform -translate-x-1/2 mb-1 w-44 p-2 rounded-lg shadow-lg bg-gray-900 text-white text-left pointer-events-none">
+                              {details.map((line, index) => (
+                                <p key={index} className={index === 0 ? 'font-semibold' : ''}>{line}</p>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      {openDate && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={() => setOpenDate(null)}>
+          <div
+            className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 w-full max-w-md text-gray-900 dark:text-gray-100"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('attendanceCalendar.recordFor', { date: formatDate(openDate) })}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-semibold">{formatDate(openDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}</h3>
+              <button onClick={() => setOpenDate(null)} className="text-gray-500 hover:text-gray-800 dark:hover:text-gray-200" aria-label={t('common.close')}>&times;</button>
+            </div>
+            {openRecord ? (
+              <table className="w-full text-left text-sm">
+                <tbody>
+                  {Object.entries(openRecord).map(([field, value]) => (
+                    <tr key={field} className="border-b border-gray-200 dark:border-gray-700 last:border-b-0">
+                      <th className="py-1 pr-4 font-medium text-gray-600 dark:text-gray-400">{field}</th>
+                      <td className="py-1">{String(value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-sm text-gray-600 dark:text-gray-400">{t('attendanceCalendar.noRecord')}</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AttendanceCalendar;
@@ -0,0 +1,98 @@
+import { t, formatDate, formatTime } from '../i18n';
+
+const PREVIEW_ROWS = 10;
+const MAX_ERRORS_SHOWN = 50;
+
+// What the browser read from the attendance log before it is uploaded:
+// the first punches, the date range, punches per employee and bad lines.
+function AttendanceLogPreview({ fileName, parsed, problem }) {
+  const { punches, errors, totalLines, dateRange, punchesByEmployee } = parsed;
+
+  return (
+    <div className="space-y-4 text-sm text-gray-800 dark:text-gray-100">
+      {problem && (
+        <p className="p-3 rounded-lg bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">
+          {t('upload.blocked', { problem })}
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="p-3 rounded-lg bg-blue-50 dark:bg-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('logPreview.file')}</p>
+          <p className="font-semibold break-all">{fileName}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-blue-50 dark:bg-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('logPreview.punches')}</p>
+          <p className="font-semibold">{t('logPreview.punchesOfLines', { count: punches.length, total: totalLines })}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-blue-50 dark:bg-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('logPreview.dateRange')}</p>
+          <p className="font-semibold">{dateRange ? t('history.dateRange', { from: formatDate(dateRange.from), to: formatDate(dateRange.to) }) : '-'}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-blue-50 dark:bg-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('logPreview.employees')}</p>
+          <p className="font-semibold">{punchesByEmployee.length}</p>
+        </div>
+      </div>
+
+      {punches.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-2 overflow-x-auto">
+            <p className="font-semibold mb-2">{t('logPreview.firstPunches', { count: Math.min(PREVIEW_ROWS, punches.length) })}</p>
+            <table className="w-full text-left">
+              <thead>
+                <tr className="border-b border-gray-300 dark:border-gray-500">
+                  <th className="py-1 px-2">{t('logPreview.line')}</th>
+                  <th className="py-1 px-2">{t('records.header.employeeId')}</th>
+                  <th className="py-1 px-2">{t('records.header.date')}</th>
+                  <th className="py-1 px-2">{t('logPreview.time')}</th>
+                  <th className="py-1 px-2">{t('logPreview.verify')}</th>
+                  <th className="py-1 px-2">{t('logPreview.state')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {punches.slice(0, PREVIEW_ROWS).map(punch => (
+                  <tr key={punch.line} className="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+                    <td className="py-1 px-2 text-gray-500 dark:text-gray-400">{punch.line}</td>
+                    <td className="py-1 px-2">{punch.employeeId}</td>
+                    <td className="py-1 px-2">{formatDate(punch.date)}</td>
+                    <td className="py-1 px-2">{formatTime(punch.time)}</td>
+                    <td className="py-1 px-2">{punch.verifyMode}</td>
+                    <td className="py-1 px-2">{punch.state}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div>
+            <p className="font-semibold mb-2">{t('logPreview.perEmployee')}</p>
+            <ul className="max-h-48 overflow-y-auto custom-scrollbar">
+              {punchesByEmployee.map(({ employeeId, count }) => (
+                <li key={employeeId} className="flex justify-between py-0.5 pr-2">
+                  <span>{t('logPreview.employeeId', { id: employeeId })}</span>
+                  <span className="font-semibold">{count}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div>
+          <p className="font-semibold mb-2 text-red-600 dark:text-red-400">
+            {t('logPreview.badLines', { count: errors.length })}
+          </p>
+          <ul className="list-disc pl-5 max-h-32 overflow-y-auto custom-scrollbar text-red-600 dark:text-red-400">
+            {errors.slice(0, MAX_ERRORS_SHOWN).map(error => (
+              <li key={error.line}>{t('logPreview.lineError', { line: error.line, message: error.message })}</li>
+            ))}
+            {errors.length > MAX_ERRORS_SHOWN && <li>{t('logPreview.more', { count: errors.length - MAX_ERRORS_SHOWN })}</li>}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AttendanceLogPreview;
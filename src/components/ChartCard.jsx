@@ -0,0 +1,69 @@
+import { useState, useId } from 'react';
+import { motion } from 'framer-motion';
+import { describeChart, getChartTable } from '../chartSummaries';
+import { t } from '../i18n';
+
+// Dashboard card around one chart.js chart. The canvas is labelled with the
+// chart's title and a generated summary of its data, and "View as table"
+// swaps the chart for a table of the same numbers.
+//
+// `type` and `data` are what the chart draws; `labelHeader` heads the table's
+// label column, and `format` / `isMissing` are passed on to chartSummaries.
+function ChartCard({ title, type, data, labelHeader, format, isMissing, variants, children }) {
+  const [showTable, setShowTable] = useState(false);
+  const summaryId = useId();
+  const options = { format, isMissing };
+  const summary = describeChart(type, data, options);
+
+  return (
+    <motion.div
+      variants={variants}
+      className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 h-96 flex flex-col"
+    >
+      <div className="flex justify-end">
+        <button
+          onClick={() => setShowTable(prev => !prev)}
+          className="px-2 py-1 text-xs rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-100 dark:hover:bg-gray-500"
+          aria-pressed={showTable}
+          aria-label={showTable ? t('chart.a11y.viewChartOf', { title }) : t('chart.a11y.viewTableOf', { title })}
+        >
+          {showTable ? t('chart.a11y.viewChart') : t('chart.a11y.viewTable')}
+        </button>
+      </div>
+      {showTable ? (
+        <ChartTable title={title} table={getChartTable(data, labelHeader, options)} />
+      ) : (
+        <div role="img" aria-label={title} aria-describedby={summaryId} className="relative flex-1 min-h-0">
+          {children}
+        </div>
+      )}
+      <p id={summaryId} className="mt-2 text-xs text-gray-600 dark:text-gray-300">{summary}</p>
+    </motion.div>
+  );
+}
+
+function ChartTable({ title, table }) {
+  return (
+    <div className="flex-1 min-h-0 overflow-auto custom-scrollbar" tabIndex={0} role="region" aria-label={title}>
+      {/* Marked so the PDF export can take the table in place of the missing canvas */}
+      <table data-chart-table className="w-full text-left text-sm text-gray-900 dark:text-gray-100">
+        <caption className="text-left font-semibold mb-2">{title}</caption>
+        <thead>
+          <tr className="border-b border-gray-300 dark:border-gray-500">
+            {table.headers.map((header, index) => <th key={index} scope="col" className="py-1 px-2">{header}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map(([label, ...values], index) => (
+            <tr key={index} className="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+              <th scope="row" className="py-1 px-2 font-normal">{label}</th>
+              {values.map((value, column) => <td key={column} className="py-1 px-2">{value}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ChartCard;
@@ -0,0 +1,32 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { t } from '../i18n';
+
+// Dashboard card with a title and a show/hide toggle; children render only while open.
+function CollapsiblePanel({ title, openLabel, summary, variants, defaultOpen = false, children }) {
+  const [open, setOpen] = useState(defaultOpen);
+
+  return (
+    <motion.div
+      variants={variants}
+      className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl mb-8"
+    >
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-blue-700 dark:text-blue-300">{title}</h2>
+          {summary && <p className="text-sm text-gray-600 dark:text-gray-400">{summary}</p>}
+        </div>
+        <button
+          onClick={() => setOpen(prev => !prev)}
+          className="px-4 py-2 text-sm rounded-lg bg-blue-100 text-blue-800 hover:bg-blue-200 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600 whitespace-nowrap"
+          aria-expanded={open}
+        >
+          {open ? t('common.hide') : openLabel}
+        </button>
+      </div>
+      {open && <div className="mt-4">{children}</div>}
+    </motion.div>
+  );
+}
+
+export default CollapsiblePanel;
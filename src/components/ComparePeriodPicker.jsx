@@ -0,0 +1,51 @@
+import { COMPARISON_MODES, describeRange } from '../periodComparison';
+import { t } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+// Compare-mode controls above the single-employee dashboard. `range` is the
+// resolved comparison range, or null; comparing needs a search with both dates.
+function ComparePeriodPicker({ mode, customRange, onModeChange, onCustomRangeChange, range, canCompare, loading, error }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+      <label htmlFor="compare-mode">{t('compare.label')}</label>
+      <select
+        id="compare-mode"
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value)}
+        disabled={!canCompare}
+        className={`${inputClass} disabled:opacity-60`}
+      >
+        <option value="">{t('compare.mode.off')}</option>
+        {COMPARISON_MODES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+      </select>
+      {mode === 'custom' && canCompare && (
+        <>
+          <input
+            type="date"
+            value={customRange.fromDate}
+            onChange={(e) => onCustomRangeChange({ ...customRange, fromDate: e.target.value })}
+            className={inputClass}
+            aria-label={t('compare.customFrom')}
+          />
+          <input
+            type="date"
+            value={customRange.toDate}
+            onChange={(e) => onCustomRangeChange({ ...customRange, toDate: e.target.value })}
+            className={inputClass}
+            aria-label={t('compare.customTo')}
+          />
+        </>
+      )}
+      {!canCompare && <span className="text-gray-500 dark:text-gray-400">{t('compare.needRange')}</span>}
+      {canCompare && range && (
+        <span className="text-gray-500 dark:text-gray-400">
+          {loading ? t('compare.loading') : t('compare.against', { range: describeRange(range) })}
+        </span>
+      )}
+      {error && <span className="w-full text-red-600 dark:text-red-400">{error}</span>}
+    </div>
+  );
+}
+
+export default ComparePeriodPicker;
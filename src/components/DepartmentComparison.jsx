@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Bar } from 'react-chartjs-2';
+import { chartTitle, chartAxis } from '../chartTheme';
+import { summarizeGroups } from '../attendance';
+import { getEmployeeGroup } from '../employeeDetails';
+import { t, formatNumber } from '../i18n';
+import ChartCard from './ChartCard';
+
+const formatPercent = (value) => `${formatNumber(value, 1)}%`;
+const formatHours = (hours) => t('summary.hours', { hours: formatNumber(hours, 2) });
+
+// Attendance rate, late percentage and average hours side by side for each
+// department or team in a team search. `summaries` are the team table's rows.
+function DepartmentComparison({ summaries, employees, initialGroupBy = 'department', theme, containerVariants, itemVariants }) {
+  const [groupBy, setGroupBy] = useState(initialGroupBy);
+
+  const employeesById = new Map(employees.map(employee => [String(employee.Employee_ID), employee]));
+  const groups = summarizeGroups(summaries, (id) => getEmployeeGroup(employeesById.get(String(id)), groupBy));
+  const title = groupBy === 'team' ? t('comparison.teamTitle') : t('comparison.departmentTitle');
+
+  const comparisonData = {
+    labels: groups.map(group => group.group),
+    datasets: [
+      {
+        label: t('comparison.attendanceRate'),
+        data: groups.map(group => Number(group.attendanceRate.toFixed(1))),
+        backgroundColor: '#4CAF50',
+        yAxisID: 'y',
+      },
+      {
+        label: t('comparison.latePercent'),
+        data: groups.map(group => Number(group.latePercent.toFixed(1))),
+        backgroundColor: '#FF9800',
+        yAxisID: 'y',
+      },
+      {
+        label: t('comparison.avgHours'),
+        data: groups.map(group => Number(group.avgHours.toFixed(2))),
+        backgroundColor: '#0055A4',
+        yAxisID: 'hours',
+      },
+    ]
+  };
+
+  // The last dataset is hours, on its own axis
+  const formatValue = (value, datasetIndex) => (datasetIndex === 2 ? formatHours(value) : formatPercent(value));
+
+  return (
+    <motion.div variants={containerVariants} initial="hidden" animate="show" className="mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          {t('comparison.hint', { count: groups.length })}
+        </p>
+        <div className="flex gap-1" role="group" aria-label={t('comparison.groupBy')}>
+          {[['department', t('comparison.byDepartment')], ['team', t('comparison.byTeam')]].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setGroupBy(value)}
+              aria-pressed={groupBy === value}
+              className={`px-3 py-1 text-sm rounded-lg ${
+                groupBy === value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <ChartCard
+        title={title}
+        type="bar"
+        data={comparisonData}
+        labelHeader={groupBy === 'team' ? t('employeeDetails.team') : t('employeeDetails.department')}
+        format={formatValue}
+        variants={itemVariants}
+      >
+        <Bar
+          data={comparisonData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+              title: chartTitle(theme, title),
+              tooltip: {
+                mode: 'index',
+                intersect: false,
+                callbacks: {
+                  label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y, context.datasetIndex)}`
+                }
+              }
+            },
+            scales: {
+              y: chartAxis(theme, t('comparison.percentAxis'), { beginAtZero: true, max: 100 }),
+              hours: chartAxis(theme, t('chart.hours'), { beginAtZero: true, position: 'right' }),
+              x: chartAxis(theme, groupBy === 'team' ? t('employeeDetails.team') : t('employeeDetails.department')),
+            }
+          }}
+        />
+      </ChartCard>
+    </motion.div>
+  );
+}
+
+export default DepartmentComparison;
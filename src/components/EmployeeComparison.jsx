@@ -0,0 +1,187 @@
+import { motion } from 'framer-motion';
+import { Line } from 'react-chartjs-2';
+import { chartTitle, chartAxis } from '../chartTheme';
+import { isMissingTime, timeToHours, getWorkingHours } from '../shiftPolicies';
+import { t, formatNumber, formatDateLabel, formatTime } from '../i18n';
+import ChartCard from './ChartCard';
+
+// One colour per picked employee, reused in both charts
+const SERIES_COLORS = ['#0055A4', '#E91E63', '#4CAF50', '#FF9800', '#9C27B0', '#009688', '#795548', '#607D8B'];
+
+const formatHours = (hours) => t('summary.hours', { hours: formatNumber(hours, 2) });
+const formatDays = (count) => t('summary.days', { count });
+
+// Summary rows; `value` reads one employee's summary
+const SUMMARY_ROWS = [
+  { key: 'totalAttendance', value: s => s.totalAttendance, format: formatDays },
+  { key: 'totalDays', value: s => s.totalDays, format: formatDays },
+  { key: 'totalAbsent', value: s => s.totalAbsent, format: formatDays },
+  { key: 'unplanned', value: s => s.totalUnplannedAbsent, format: formatDays },
+  { key: 'late', value: s => s.lateCount, format: formatDays },
+  { key: 'halfDays', value: s => s.totalHalfDays, format: formatDays },
+  { key: 'extraWorking', value: s => s.totalExtraWorking, format: formatDays },
+  { key: 'avgWorkingHours', value: s => s.avgWorkingHours, format: formatHours },
+  { key: 'weekdayOvertime', value: s => s.overtime.weekdayOvertimeHours, format: formatHours },
+  { key: 'offDayOvertime', value: s => s.overtime.offDayOvertimeHours, format: formatHours },
+];
+
+// Side-by-side view for two or more employees picked in the search bar.
+// `summaries` are in pick order and carry each employee's `overtime`.
+function EmployeeComparison({ summaries, records, getPolicy, theme, onSelectEmployee, containerVariants, itemVariants }) {
+  const dates = Array.from(new Set(records.map(record => record.Date))).sort();
+  const labels = dates.map(formatDateLabel);
+  // "employeeId|date" -> record
+  const recordsByDay = new Map(records.map(record => [`${record.Employee_ID}|${record.Date}`, record]));
+  const recordFor = (employeeId, date) => recordsByDay.get(`${employeeId}|${date}`);
+
+  const colorOf = (index) => SERIES_COLORS[index % SERIES_COLORS.length];
+
+  const workingHoursData = {
+    labels,
+    datasets: summaries.map((summary, index) => ({
+      label: summary.employeeName,
+      data: dates.map(date => {
+        const record = recordFor(summary.employeeId, date);
+        return record ? getWorkingHours(record, getPolicy(record), false) : null;
+      }),
+      borderColor: colorOf(index),
+      backgroundColor: colorOf(index),
+      fill: false,
+      tension: 0.4,
+    })),
+  };
+
+  // Check-outs after midnight plot above their check-in, as on the single-employee chart
+  const checkOutHours = (record) => {
+    const hours = timeToHours(record.Check_Out);
+    return !isMissingTime(record.Check_In) && hours < timeToHours(record.Check_In) ? hours + 24 : hours;
+  };
+
+  const checkInOutData = {
+    labels,
+    datasets: summaries.flatMap((summary, index) => [
+      {
+        label: t('picked.checkIn', { name: summary.employeeName }),
+        data: dates.map(date => {
+          const record = recordFor(summary.employeeId, date);
+          return record && !isMissingTime(record.Check_In) ? timeToHours(record.Check_In) : null;
+        }),
+        borderColor: colorOf(index),
+        backgroundColor: colorOf(index),
+        fill: false,
+        tension: 0.4,
+      },
+      {
+        label: t('picked.checkOut', { name: summary.employeeName }),
+        data: dates.map(date => {
+          const record = recordFor(summary.employeeId, date);
+          return record && !isMissingTime(record.Check_Out) ? checkOutHours(record) : null;
+        }),
+        borderColor: colorOf(index),
+        backgroundColor: colorOf(index),
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0.4,
+      },
+    ]),
+  };
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-8"
+    >
+      <motion.div
+        variants={itemVariants}
+        className="xl:col-span-2 bg-blue-50 dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-blue-200 dark:border-gray-600 overflow-x-auto custom-scrollbar"
+      >
+        <table className="w-full text-left text-gray-900 dark:text-gray-100">
+          <caption className="text-left text-2xl font-bold mb-4 text-blue-800 dark:text-yellow-300">{t('picked.title')}</caption>
+          <thead>
+            <tr className="border-b border-blue-200 dark:border-gray-500">
+              <td className="py-2 pr-4" />
+              {summaries.map((summary, index) => (
+                <th key={summary.employeeId} scope="col" className="py-2 px-3 whitespace-nowrap">
+                  <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: colorOf(index) }} aria-hidden="true" />
+                  <button
+                    onClick={() => onSelectEmployee(summary.employeeId)}
+                    className="font-semibold text-blue-700 dark:text-blue-300 hover:underline"
+                    title={t('picked.open', { name: summary.employeeName })}
+                  >
+                    {summary.employeeName}
+                  </button>
+                  <span className="block text-xs font-normal text-gray-500 dark:text-gray-400">{t('team.employeeId', { id: summary.employeeId })}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {SUMMARY_ROWS.map(row => (
+              <tr key={row.key} className="border-b border-blue-100 dark:border-gray-600 last:border-b-0">
+                <th scope="row" className="py-2 pr-4 font-normal whitespace-nowrap">{t(`picked.row.${row.key}`)}</th>
+                {summaries.map(summary => (
+                  <td key={summary.employeeId} className="py-2 px-3 font-semibold whitespace-nowrap">{row.format(row.value(summary))}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </motion.div>
+
+      <ChartCard
+        title={t('chart.dailyWorkingHours')}
+        type="line"
+        data={workingHoursData}
+        labelHeader={t('chart.date')}
+        format={formatHours}
+        variants={itemVariants}
+      >
+        <Line
+          data={workingHoursData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { title: chartTitle(theme, t('chart.dailyWorkingHours')), tooltip: { mode: 'index', intersect: false } },
+            scales: {
+              y: chartAxis(theme, t('chart.hours'), { beginAtZero: true }),
+              x: chartAxis(theme, t('chart.date')),
+            }
+          }}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title={t('chart.dailyCheckInOut')}
+        type="line"
+        data={checkInOutData}
+        labelHeader={t('chart.date')}
+        format={formatTime}
+        variants={itemVariants}
+      >
+        <Line
+          data={checkInOutData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+              title: chartTitle(theme, t('chart.dailyCheckInOut')),
+              tooltip: {
+                mode: 'index',
+                intersect: false,
+                callbacks: { label: (context) => `${context.dataset.label}: ${formatTime(context.parsed.y)}` }
+              }
+            },
+            scales: {
+              y: chartAxis(theme, t('chart.time'), { ticks: { callback: (value) => formatTime(value) } }),
+              x: chartAxis(theme, t('chart.date')),
+            }
+          }}
+        />
+      </ChartCard>
+    </motion.div>
+  );
+}
+
+export default EmployeeComparison;
@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { getErrorMessage } from '../api';
+import {
+  getEmployeeDetails,
+  saveEmployeeDetails,
+  importEmployeeDetails,
+  parseEmployeeDetailsCsv,
+  getDepartments,
+  getTeams,
+} from '../employeeDetails';
+import { t } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm w-full';
+
+// Admin editor for each employee's department, team, designation and
+// reporting manager, one row at a time or from an HR CSV export.
+// `onChanged` reloads the employee list after a save or import.
+function EmployeeDetailsEditor({ employees, onChanged }) {
+  const [drafts, setDrafts] = useState({}); // Employee_ID -> edited details, until saved
+  const [savingId, setSavingId] = useState(null);
+  const [message, setMessage] = useState(null); // { text, error }
+  const [importErrors, setImportErrors] = useState([]);
+
+  const getDraft = (employee) => drafts[employee.Employee_ID] || getEmployeeDetails(employee);
+
+  const updateDraft = (employee, field, value) => {
+    setDrafts(prev => ({ ...prev, [employee.Employee_ID]: { ...getDraft(employee), [field]: value } }));
+  };
+
+  const discardDraft = (employeeId) => {
+    setDrafts(prev => {
+      const { [employeeId]: discarded, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSave = async (employee) => {
+    setSavingId(employee.Employee_ID);
+    try {
+      await saveEmployeeDetails(employee.Employee_ID, getDraft(employee));
+      discardDraft(employee.Employee_ID);
+      setMessage({ text: t('employeeDetails.saved', { name: employee.Employee_Name }), error: false });
+      onChanged();
+    } catch (err) {
+      console.error('Error saving employee details:', err);
+      setMessage({ text: getErrorMessage(err, t('employeeDetails.saveFailed', { name: employee.Employee_Name })), error: true });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { rows, errors } = parseEmployeeDetailsCsv(await file.text(), employees);
+      setImportErrors(errors);
+      if (rows.length === 0) {
+        setMessage({ text: t('employeeDetails.importEmpty', { fileName: file.name }), error: false });
+        return;
+      }
+      const result = await importEmployeeDetails(rows);
+      setImportErrors([...errors, ...result.errors]);
+      setMessage({ text: t('employeeDetails.imported', { count: result.imported, fileName: file.name }), error: false });
+      setDrafts({});
+      onChanged();
+    } catch (err) {
+      console.error('Error importing employee details:', err);
+      setMessage({ text: getErrorMessage(err, t('employeeDetails.importFailed', { fileName: file.name })), error: true });
+    }
+  };
+
+  const departments = getDepartments(employees);
+  const teams = getTeams(employees);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{t('employeeDetails.importHint')}</p>
+        <label className="px-3 py-2 text-sm rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 cursor-pointer text-center">
+          {t('employeeDetails.import')}
+          <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+
+      {message && <p className={`text-sm ${message.error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>{message.text}</p>}
+      {importErrors.length > 0 && (
+        <ul className="list-disc pl-5 text-sm text-red-600 dark:text-red-400 max-h-24 overflow-y-auto">
+          {importErrors.map((problem, index) => <li key={index}>{problem}</li>)}
+        </ul>
+      )}
+
+      <datalist id="employee-departments">
+        {departments.map(department => <option key={department} value={department} />)}
+      </datalist>
+      <datalist id="employee-teams">
+        {teams.map(team => <option key={team} value={team} />)}
+      </datalist>
+
+      {employees.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('employeeDetails.none')}</p>
+      ) : (
+        <div className="overflow-x-auto custom-scrollbar">
+          <table className="w-full text-left text-sm text-gray-700 dark:text-gray-300">
+            <thead>
+              <tr>
+                <th scope="col" className="py-2 pr-2">{t('employeeDetails.employee')}</th>
+                <th scope="col" className="py-2 pr-2">{t('employeeDetails.department')}</th>
+                <th scope="col" className="py-2 pr-2">{t('employeeDetails.team')}</th>
+                <th scope="col" className="py-2 pr-2">{t('employeeDetails.designation')}</th>
+                <th scope="col" className="py-2 pr-2">{t('employeeDetails.manager')}</th>
+                <th scope="col" className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {employees.map(employee => {
+                const draft = getDraft(employee);
+                const edited = !!drafts[employee.Employee_ID];
+                const label = (field) => t('employeeDetails.fieldFor', { field, name: employee.Employee_Name });
+                return (
+                  <tr key={employee.Employee_ID} className="border-t border-gray-200 dark:border-gray-600">
+                    <th scope="row" className="py-2 pr-2 font-normal whitespace-nowrap">
+                      {t('search.employeeOption', { name: employee.Employee_Name, id: employee.Employee_ID })}
+                    </th>
+                    <td className="py-2 pr-2">
+                      <input
+                        value={draft.department}
+                        onChange={(e) => updateDraft(employee, 'department', e.target.value)}
+                        list="employee-departments"
+                        className={inputClass}
+                        aria-label={label(t('employeeDetails.department'))}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <input
+                        value={draft.team}
+                        onChange={(e) => updateDraft(employee, 'team', e.target.value)}
+                        list="employee-teams"
+                        className={inputClass}
+                        aria-label={label(t('employeeDetails.team'))}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <input
+                        value={draft.designation}
+                        onChange={(e) => updateDraft(employee, 'designation', e.target.value)}
+                        className={inputClass}
+                        aria-label={label(t('employeeDetails.designation'))}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select
+                        value={draft.managerId}
+                        onChange={(e) => updateDraft(employee, 'managerId', e.target.value)}
+                        className={inputClass}
+                        aria-label={label(t('employeeDetails.manager'))}
+                      >
+                        <option value="">{t('employeeDetails.noManager')}</option>
+                        {employees.filter(other => other.Employee_ID !== employee.Employee_ID).map(other => (
+                          <option key={other.Employee_ID} value={other.Employee_ID}>
+                            {t('search.employeeOption', { name: other.Employee_Name, id: other.Employee_ID })}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 whitespace-nowrap">
+                      {edited && (
+                        <>
+                          <button
+                            onClick={() => handleSave(employee)}
+                            disabled={savingId === employee.Employee_ID}
+                            className="px-3 py-1 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                          >
+                            {savingId === employee.Employee_ID ? t('common.saving') : t('common.save')}
+                          </button>
+                          <button
+                            onClick={() => discardDraft(employee.Employee_ID)}
+                            className="ml-2 text-sm text-gray-600 dark:text-gray-300 hover:underline"
+                          >
+                            {t('common.cancel')}
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EmployeeDetailsEditor;
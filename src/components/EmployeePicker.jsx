@@ -0,0 +1,128 @@
+import { useState, useId } from 'react';
+import { t } from '../i18n';
+
+// Picks one or more employees for the search bar. Typing filters the list by
+// name or ID; picked employees show as chips in pick order. Arrow keys move
+// through the matches, Enter picks or unpicks, and Backspace in an empty box
+// removes the last chip. `selectedIds` and `onChange` use string IDs.
+function EmployeePicker({ employees, selectedIds, onChange, disabled }) {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listId = useId();
+
+  const nameOf = (id) => {
+    const employee = employees.find(emp => String(emp.Employee_ID) === id);
+    return employee ? employee.Employee_Name : id;
+  };
+
+  const needle = query.trim().toLowerCase();
+  const matches = employees.filter(employee => !needle
+    || employee.Employee_Name.toLowerCase().includes(needle)
+    || String(employee.Employee_ID).toLowerCase().includes(needle));
+
+  const toggle = (id) => {
+    onChange(selectedIds.includes(id) ? selectedIds.filter(other => other !== id) : [...selectedIds, id]);
+    setQuery('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        return;
+      }
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(prev => matches.length === 0 ? 0 : (prev + step + matches.length) % matches.length);
+    } else if (e.key === 'Enter' && open && matches[activeIndex]) {
+      e.preventDefault();
+      toggle(String(matches[activeIndex].Employee_ID));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'Backspace' && query === '' && selectedIds.length > 0) {
+      onChange(selectedIds.slice(0, -1));
+    }
+  };
+
+  const activeOptionId = open && matches[activeIndex] ? `${listId}-${matches[activeIndex].Employee_ID}` : undefined;
+
+  return (
+    <div className={`relative flex-1 min-w-[200px] ${disabled ? 'opacity-60' : ''}`}>
+      <div className="flex flex-wrap items-center gap-1 p-2 border border-gray-300 rounded-xl bg-white dark:bg-gray-700 dark:border-gray-600 shadow-sm focus-within:ring-4 focus-within:ring-blue-300 min-h-full">
+        {selectedIds.map(id => (
+          <span key={id} className="flex items-center gap-1 px-2 py-1 text-sm rounded-lg bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+            {nameOf(id)}
+            {!disabled && (
+              <button
+                onClick={() => onChange(selectedIds.filter(other => other !== id))}
+                className="leading-none hover:text-red-600 dark:hover:text-red-400"
+                aria-label={t('search.picker.remove', { name: nameOf(id) })}
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          placeholder={selectedIds.length === 0 ? t('search.selectEmployee') : t('search.picker.addMore')}
+          className="flex-1 min-w-[100px] p-1 bg-transparent focus:outline-none text-gray-900 dark:text-gray-100 disabled:cursor-not-allowed"
+          role="combobox"
+          aria-label={t('search.picker.label')}
+          aria-expanded={open}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeOptionId}
+        />
+      </div>
+      {open && !disabled && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-multiselectable="true"
+          aria-label={t('search.picker.label')}
+          className="absolute z-20 mt-1 w-full max-h-60 overflow-y-auto custom-scrollbar bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-xl shadow-lg"
+        >
+          {matches.length === 0 && (
+            <li className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400">{t('search.picker.noMatches')}</li>
+          )}
+          {matches.map((employee, index) => {
+            const id = String(employee.Employee_ID);
+            const picked = selectedIds.includes(id);
+            return (
+              <li
+                key={id}
+                id={`${listId}-${id}`}
+                role="option"
+                aria-selected={picked}
+                // Keep focus in the box so the list stays open while picking several
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => toggle(id)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`flex items-center gap-2 px-3 py-2 text-sm cursor-pointer text-gray-900 dark:text-gray-100 ${
+                  index === activeIndex ? 'bg-blue-100 dark:bg-gray-600' : ''
+                }`}
+              >
+                <input type="checkbox" checked={picked} readOnly tabIndex={-1} aria-hidden="true" />
+                {t('search.employeeOption', { name: employee.Employee_Name, id: employee.Employee_ID })}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default EmployeePicker;
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { getWeekdayNames, getWeekdayName, mergeHolidays, normalizeDate, parseHolidayFile } from '../workCalendar';
+import { t, formatDate } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+const WEEK_NUMBERS = [1, 2, 3, 4, 5];
+
+// Admin editor for public holidays (manual or imported from .ics/.csv) and weekly offs.
+function HolidayCalendarEditor({ calendar, onSave, saving }) {
+  const [draft, setDraft] = useState(calendar);
+  const [newDate, setNewDate] = useState('');
+  const [newName, setNewName] = useState('');
+  const [importMessage, setImportMessage] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+
+  // Reset the draft whenever a fresh calendar arrives from the backend
+  useEffect(() => {
+    setDraft(calendar);
+  }, [calendar]);
+
+  const getWeeklyOff = (weekday) => draft.weeklyOffs.find(off => off.weekday === weekday);
+
+  const setWeeklyOff = (weekday, weeks) => {
+    setDraft(prev => {
+      const others = prev.weeklyOffs.filter(off => off.weekday !== weekday);
+      const hasWeeks = weeks === 'all' || weeks.length > 0;
+      return {
+        ...prev,
+        weeklyOffs: hasWeeks ? [...others, { weekday, weeks }] : others,
+      };
+    });
+  };
+
+  const toggleEveryWeek = (weekday) => {
+    const off = getWeeklyOff(weekday);
+    setWeeklyOff(weekday, off && off.weeks === 'all' ? [] : 'all');
+  };
+
+  const toggleWeek = (weekday, week) => {
+    const off = getWeeklyOff(weekday);
+    const current = !off ? [] : off.weeks === 'all' ? [...WEEK_NUMBERS] : off.weeks;
+    const weeks = current.includes(week) ? current.filter(w => w !== week) : [...current, week].sort();
+    setWeeklyOff(weekday, weeks.length === WEEK_NUMBERS.length ? 'all' : weeks);
+  };
+
+  const addHoliday = () => {
+    const date = normalizeDate(newDate);
+    if (!date) return;
+    setDraft(prev => ({ ...prev, holidays: mergeHolidays(prev.holidays, [{ date, name: newName.trim() || t('calendar.defaultHolidayName') }]) }));
+    setNewDate('');
+    setNewName('');
+  };
+
+  const removeHoliday = (date) => {
+    setDraft(prev => ({ ...prev, holidays: prev.holidays.filter(h => h.date !== date) }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { holidays, errors } = parseHolidayFile(file.name, text);
+      setDraft(prev => ({ ...prev, holidays: mergeHolidays(prev.holidays, holidays) }));
+      setImportMessage(t('calendar.imported', { count: holidays.length, fileName: file.name }));
+      setImportErrors(errors);
+    } catch (err) {
+      console.error('Error importing holidays:', err);
+      setImportMessage(t('calendar.importFailed', { fileName: file.name, message: err.message }));
+      setImportErrors([]);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-3">{t('calendar.weeklyOffs')}</h3>
+        <div className="overflow-x-auto">
+          <table className="text-sm text-gray-700 dark:text-gray-300">
+            <thead>
+              <tr>
+                <th className="py-1 pr-4 text-left">{t('calendar.day')}</th>
+                <th className="py-1 px-2">{t('calendar.everyWeek')}</th>
+                {WEEK_NUMBERS.map(week => <th key={week} className="py-1 px-2">{t(`calendar.ordinal.${week}`)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {getWeekdayNames().map((dayName, weekday) => {
+                const off = getWeeklyOff(weekday);
+                const everyWeek = !!off && off.weeks === 'all';
+                return (
+                  <tr key={dayName}>
+                    <td className="py-1 pr-4">{dayName}</td>
+                    <td className="py-1 px-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={everyWeek}
+                        onChange={() => toggleEveryWeek(weekday)}
+                        aria-label={t('calendar.offEveryWeek', { weekday: dayName })}
+                      />
+                    </td>
+                    {WEEK_NUMBERS.map(week => (
+                      <td key={week} className="py-1 px-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={everyWeek || (!!off && off.weeks.includes(week))}
+                          onChange={() => toggleWeek(weekday, week)}
+                          aria-label={t('calendar.offOnWeek', { weeks: t(`calendar.ordinal.${week}`), weekday: dayName })}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-3">{t('calendar.holidays')}</h3>
+        <div className="flex flex-col sm:flex-row gap-2 mb-3">
+          <input type="date" value={newDate} onChange={(e) => setNewDate(e.target.value)} className={inputClass} aria-label={t('calendar.holidayDate')} />
+          <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder={t('calendar.holidayName')} className={`${inputClass} flex-1`} aria-label={t('calendar.holidayName')} />
+          <button onClick={addHoliday} disabled={!newDate} className="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">
+            {t('calendar.addHoliday')}
+          </button>
+          <label className="px-3 py-2 text-sm rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 cursor-pointer text-center">
+            {t('calendar.import')}
+            <input type="file" accept=".ics,.csv,text/calendar,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+        {importMessage && <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">{importMessage}</p>}
+        {importErrors.length > 0 && (
+          <ul className="list-disc pl-5 text-sm text-red-600 dark:text-red-400 mb-2 max-h-24 overflow-y-auto">
+            {importErrors.map((problem, index) => <li key={index}>{problem}</li>)}
+          </ul>
+        )}
+        {draft.holidays.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('calendar.noHolidays')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-600 max-h-64 overflow-y-auto text-sm text-gray-700 dark:text-gray-300">
+            {draft.holidays.map(holiday => (
+              <li key={holiday.date} className="flex items-center justify-between py-2">
+                <span>
+                  <span className="font-medium">{formatDate(holiday.date)}</span> ({getWeekdayName(holiday.date)}) - {holiday.name}
+                </span>
+                <button onClick={() => removeHoliday(holiday.date)} className="text-red-600 dark:text-red-400 hover:underline">
+                  {t('common.remove')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => onSave(draft)}
+        disabled={saving}
+        className="px-6 py-2 bg-green-600 text-white font-semibold rounded-xl hover:bg-green-700 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {saving ? t('common.saving') : t('calendar.save')}
+      </motion.button>
+    </div>
+  );
+}
+
+export default HolidayCalendarEditor;
@@ -0,0 +1,240 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import api, { getErrorMessage } from '../api';
+import { todayIn } from '../calendarDates';
+import { LEAVE_TYPES, DEFAULT_LEAVE_ENTITLEMENTS, getLeaveType, getLeaveDates, computeLeaveBalances, parseLeaveCsv } from '../leaves';
+import { t, formatDate, formatNumber } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+const EMPTY_FORM = { type: 'casual', fromDate: '', toDate: '', reason: '' };
+
+// Records leave against employees and shows their yearly balances.
+// Read-only unless `canEdit`; `lockedEmployeeId` pins the view to one employee.
+function LeaveManager({ employees, calendar, canEdit, lockedEmployeeId, onLeavesChanged }) {
+  const [selectedEmployeeId, setSelectedEmployeeId] = useState(lockedEmployeeId || '');
+  const [year, setYear] = useState(() => Number(todayIn().slice(0, 4)));
+  const [leaves, setLeaves] = useState([]);
+  const [entitlements, setEntitlements] = useState(DEFAULT_LEAVE_ENTITLEMENTS);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null); // { text, error }
+  const [importErrors, setImportErrors] = useState([]);
+
+  const employeeId = lockedEmployeeId || selectedEmployeeId;
+
+  const fetchLeaves = useCallback(async () => {
+    if (!employeeId) {
+      setLeaves([]);
+      return;
+    }
+    setLoading(true);
+    try {
+      const [leavesResponse, entitlementsResponse] = await Promise.all([
+        api.get('/api/leaves', { params: { employee_id: employeeId, from_date: `${year}-01-01`, to_date: `${year}-12-31` }, timeout: 15000 }),
+        api.get('/api/leave-entitlements', { params: { employee_id: employeeId }, timeout: 15000 }),
+      ]);
+      setLeaves(leavesResponse.data.leaves || []);
+      setEntitlements(entitlementsResponse.data.entitlements || DEFAULT_LEAVE_ENTITLEMENTS);
+    } catch (err) {
+      console.error('Error fetching leave:', err);
+      setMessage({ text: getErrorMessage(err, t('leave.loadFailed')), error: true });
+      setLeaves([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [employeeId, year]);
+
+  // Reload when the employee or year changes
+  useEffect(() => {
+    fetchLeaves();
+  }, [fetchLeaves]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const toDate = form.toDate || form.fromDate;
+    if (!employeeId || !form.fromDate) {
+      setMessage({ text: t('leave.problem.employeeAndDate'), error: false });
+      return;
+    }
+    if (toDate < form.fromDate) {
+      setMessage({ text: t('leave.problem.endsBeforeStart'), error: false });
+      return;
+    }
+    // Half-day leave only ever covers one day
+    const leave = { ...form, employeeId, toDate: form.type === 'half_day' ? form.fromDate : toDate };
+    if (getLeaveDates(leave, calendar).length === 0) {
+      setMessage({ text: t('leave.problem.noWorkingDays'), error: false });
+      return;
+    }
+    try {
+      await api.post('/api/leaves', leave, { timeout: 15000 });
+      setForm(EMPTY_FORM);
+      setMessage({ text: t('leave.recorded'), error: false });
+      await fetchLeaves();
+      onLeavesChanged();
+    } catch (err) {
+      console.error('Error saving leave:', err);
+      setMessage({ text: getErrorMessage(err, t('leave.saveFailed')), error: true });
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/api/leaves/${id}`, { timeout: 15000 });
+      setMessage({ text: t('leave.removed'), error: false });
+      await fetchLeaves();
+      onLeavesChanged();
+    } catch (err) {
+      console.error('Error deleting leave:', err);
+      setMessage({ text: getErrorMessage(err, t('leave.removeFailed')), error: true });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { leaves: imported, errors } = parseLeaveCsv(await file.text());
+      setImportErrors(errors);
+      if (imported.length === 0) {
+        setMessage({ text: t('leave.importEmpty', { fileName: file.name }), error: false });
+        return;
+      }
+      const response = await api.post('/api/leaves/import', { leaves: imported }, { timeout: 60000 });
+      const rejected = response.data.errors || [];
+      setImportErrors([...errors, ...rejected]);
+      setMessage({ text: t('leave.imported', { count: response.data.imported, fileName: file.name }), error: false });
+      await fetchLeaves();
+      onLeavesChanged();
+    } catch (err) {
+      console.error('Error importing leave:', err);
+      setMessage({ text: getErrorMessage(err, t('leave.importFailed', { fileName: file.name })), error: true });
+    }
+  };
+
+  const balances = computeLeaveBalances(leaves, year, entitlements, calendar);
+  const employeeName = (id) => {
+    const employee = employees.find(emp => emp.Employee_ID === id);
+    return employee ? employee.Employee_Name : id;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select
+          value={employeeId}
+          onChange={(e) => setSelectedEmployeeId(e.target.value)}
+          disabled={!!lockedEmployeeId}
+          className={`${inputClass} flex-1 disabled:opacity-60`}
+          aria-label={t('leave.employee')}
+        >
+          <option value="">{t('search.selectEmployee')}</option>
+          {employees.map(employee => (
+            <option key={employee.Employee_ID} value={employee.Employee_ID}>
+              {t('search.employeeOption', { name: employee.Employee_Name, id: employee.Employee_ID })}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={year}
+          onChange={(e) => setYear(Number(e.target.value))}
+          className={`${inputClass} w-28`}
+          aria-label={t('leave.year')}
+        />
+        {canEdit && (
+          <label className="px-3 py-2 text-sm rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 cursor-pointer text-center">
+            {t('leave.import')}
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+        )}
+      </div>
+
+      {message && <p className={`text-sm ${message.error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>{message.text}</p>}
+      {importErrors.length > 0 && (
+        <ul className="list-disc pl-5 text-sm text-red-600 dark:text-red-400 max-h-24 overflow-y-auto">
+          {importErrors.map((problem, index) => <li key={index}>{problem}</li>)}
+        </ul>
+      )}
+
+      {employeeId && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {balances.map(balance => (
+            <div key={balance.balance} className="p-3 rounded-lg bg-blue-50 dark:bg-gray-700 text-sm text-gray-800 dark:text-gray-100">
+              <p className="font-semibold">{balance.label}</p>
+              <p>
+                <span className={`text-lg font-bold ${balance.remaining < 0 ? 'text-red-500' : ''}`}>{formatNumber(balance.remaining)}</span> {t('leave.balanceLeft', { count: balance.entitlement, entitlement: formatNumber(balance.entitlement) })}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">{t('leave.balanceUsed', { used: formatNumber(balance.used), year })}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canEdit && employeeId && (
+        <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-2">
+          <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className={inputClass} aria-label={t('leave.type')}>
+            {LEAVE_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+          </select>
+          <input type="date" value={form.fromDate} onChange={(e) => setForm({ ...form, fromDate: e.target.value })} className={inputClass} aria-label={t('leave.from')} />
+          {form.type !== 'half_day' && (
+            <input type="date" value={form.toDate} onChange={(e) => setForm({ ...form, toDate: e.target.value })} className={inputClass} aria-label={t('leave.to')} />
+          )}
+          <input value={form.reason} onChange={(e) => setForm({ ...form, reason: e.target.value })} placeholder={t('leave.reason')} className={`${inputClass} flex-1`} aria-label={t('leave.reason')} />
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            type="submit"
+            className="px-4 py-2 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700"
+          >
+            {t('leave.record')}
+          </motion.button>
+        </form>
+      )}
+
+      {employeeId && (
+        loading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('leave.loading')}</p>
+        ) : leaves.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('leave.none', { name: employeeName(employeeId), year })}</p>
+        ) : (
+          <table className="w-full text-left text-sm text-gray-700 dark:text-gray-300">
+            <thead>
+              <tr>
+                <th className="py-2">{t('leave.type')}</th>
+                <th className="py-2">{t('leave.from')}</th>
+                <th className="py-2">{t('leave.to')}</th>
+                <th className="py-2">{t('leave.days')}</th>
+                <th className="py-2">{t('leave.reason')}</th>
+                {canEdit && <th className="py-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {leaves.map(leave => {
+                const type = getLeaveType(leave.type);
+                return (
+                  <tr key={leave.id} className="border-t border-gray-200 dark:border-gray-600">
+                    <td className="py-2">{type ? type.label : leave.type}</td>
+                    <td className="py-2">{formatDate(leave.fromDate)}</td>
+                    <td className="py-2">{formatDate(leave.toDate)}</td>
+                    <td className="py-2">{formatNumber(getLeaveDates(leave, calendar).length * (type ? type.days : 1))}</td>
+                    <td className="py-2">{leave.reason}</td>
+                    {canEdit && (
+                      <td className="py-2">
+                        <button onClick={() => handleDelete(leave.id)} className="text-red-600 dark:text-red-400 hover:underline">{t('common.remove')}</button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
+
+export default LeaveManager;
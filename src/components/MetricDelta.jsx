@@ -0,0 +1,26 @@
+import { compareValues } from '../periodComparison';
+import { t } from '../i18n';
+
+const ARROWS = { up: '▲', down: '▼', same: '=' };
+
+const TONES = {
+  true: 'text-green-700 dark:text-green-300',
+  false: 'text-red-600 dark:text-red-400',
+  null: 'text-gray-500 dark:text-gray-400',
+};
+
+// Change in one Summary card metric against the comparison period, e.g. "▲ 2 days".
+// `format` shows a value in the metric's unit; green means better, red worse.
+function MetricDelta({ current, previous, higherIsBetter = null, format }) {
+  const { delta, direction, better } = compareValues(current, previous, higherIsBetter);
+  const description = t(`compare.delta.${direction}`, { change: format(Math.abs(delta)), previous: format(previous) });
+
+  return (
+    <span className={`ml-2 text-sm font-medium ${TONES[better]}`} title={description}>
+      <span aria-hidden="true">{ARROWS[direction]}{direction !== 'same' && ` ${format(Math.abs(delta))}`}</span>
+      <span className="sr-only">{description}</span>
+    </span>
+  );
+}
+
+export default MetricDelta;
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { t, formatDateTime } from '../i18n';
+
+// Bell with an unread count that opens the alert inbox. Opening a notification
+// marks it read and goes to the employee view it links to.
+function NotificationInbox({ notifications, onOpen, onMarkAllRead, onSendDigest }) {
+  const [open, setOpen] = useState(false);
+  const unreadCount = notifications.filter(n => !n.read).length;
+
+  const handleOpen = (notification) => {
+    setOpen(false);
+    onOpen(notification);
+  };
+
+  return (
+    <div className="relative ml-auto">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="relative px-4 py-2 rounded-lg text-sm font-semibold bg-white text-blue-700 hover:bg-blue-50 dark:bg-gray-800 dark:text-blue-300 dark:hover:bg-gray-700"
+        aria-expanded={open}
+        aria-label={t('alerts.bellLabel', { count: unreadCount })}
+      >
+        {t('alerts.bell')}
+        {unreadCount > 0 && (
+          <span className="ml-2 px-2 py-0.5 rounded-full bg-red-600 text-white text-xs">{unreadCount}</span>
+        )}
+      </button>
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-96 max-w-screen-sm rounded-lg shadow-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 text-left">
+          <div className="flex items-center justify-between gap-2 p-3 border-b border-gray-200 dark:border-gray-600 text-sm">
+            <span className="font-semibold text-gray-800 dark:text-gray-100">{t('alerts.bell')}</span>
+            <div className="flex gap-3">
+              <button onClick={onSendDigest} className="text-blue-600 dark:text-blue-400 hover:underline">{t('alerts.emailDigest')}</button>
+              <button onClick={onMarkAllRead} disabled={unreadCount === 0} className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50">{t('alerts.markAllRead')}</button>
+            </div>
+          </div>
+          {notifications.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500 dark:text-gray-400">{t('alerts.noAlerts')}</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto custom-scrollbar divide-y divide-gray-200 dark:divide-gray-700">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full p-3 text-left text-sm hover:bg-blue-50 dark:hover:bg-gray-700 ${
+                      notification.read ? 'text-gray-500 dark:text-gray-400' : 'font-semibold text-gray-900 dark:text-gray-100'
+                    }`}
+                  >
+                    {!notification.read && <span className="inline-block w-2 h-2 mr-2 rounded-full bg-blue-600" aria-label={t('alerts.unread')} />}
+                    {notification.message}
+                    <span className="block mt-1 text-xs font-normal text-gray-500 dark:text-gray-400">{formatDateTime(notification.createdAt)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationInbox;
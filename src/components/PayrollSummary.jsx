@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import api, { getErrorMessage } from '../api';
+import { cachedGet } from '../offlineStore';
+import { todayIn } from '../calendarDates';
+import { indexLeavesByDate } from '../leaves';
+import { indexApprovedRegularizations, applyRegularizations } from '../regularizations';
+import { DEFAULT_PAYROLL_SETTINGS, PAYROLL_COLUMNS, getPayPeriod, validatePayrollSettings, computePayroll, getPayrollTableRows } from '../payroll';
+import { exportPayroll } from '../exportReport';
+import { t, formatDate, formatNumber, formatDateTime } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+// On screen the figures follow the viewer's locale; the exported file keeps
+// the fixed layout from getPayrollTableRows. Column headers are the payroll
+// software's codes, so they aren't translated.
+const formatPayrollCell = (row, { key, decimals }) => {
+  if (key === 'fromDate' || key === 'toDate') return formatDate(row[key]);
+  return decimals === undefined ? row[key] : formatNumber(row[key], decimals);
+};
+
+// Payroll totals per employee for a pay period, exported in the fixed layout
+// the payroll software imports. Fetches its own records, leave and approved
+// punch corrections for the period, so it doesn't depend on the search above.
+function PayrollSummary({ employees, calendar, getPolicy, canEditSettings }) {
+  const [period, setPeriod] = useState(() => getPayPeriod(todayIn()));
+  const [settings, setSettings] = useState(DEFAULT_PAYROLL_SETTINGS);
+  const [payroll, setPayroll] = useState(null);
+  const [computedThrough, setComputedThrough] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null); // { text, error }
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await cachedGet('/api/payroll-settings', { timeout: 15000 });
+        setSettings({ ...DEFAULT_PAYROLL_SETTINGS, ...response.data });
+      } catch (err) {
+        console.error('Error fetching payroll settings:', err);
+        setMessage({ text: getErrorMessage(err, t('payroll.settingsLoadFailed')), error: true });
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleSaveSettings = async () => {
+    const problems = validatePayrollSettings(settings);
+    if (problems.length > 0) {
+      setMessage({ text: problems.join(' '), error: false });
+      return;
+    }
+    try {
+      const response = await api.put('/api/payroll-settings', settings, { timeout: 15000 });
+      setSettings({ ...DEFAULT_PAYROLL_SETTINGS, ...response.data });
+      setPayroll(null);
+      setMessage({ text: t('payroll.settingsSaved'), error: false });
+    } catch (err) {
+      console.error('Error saving payroll settings:', err);
+      setMessage({ text: getErrorMessage(err, t('payroll.settingsSaveFailed')), error: true });
+    }
+  };
+
+  const handleCalculate = async () => {
+    if (!period.fromDate || !period.toDate || period.toDate < period.fromDate) {
+      setMessage({ text: t('payroll.problem.period'), error: false });
+      return;
+    }
+    // Days that haven't happened yet would otherwise count as unpaid absences
+    const today = todayIn();
+    const throughDate = period.toDate > today ? today : period.toDate;
+    if (throughDate < period.fromDate) {
+      setMessage({ text: t('payroll.problem.notStarted'), error: false });
+      return;
+    }
+    setLoading(true);
+    setMessage(null);
+    try {
+      const params = { from_date: period.fromDate, to_date: throughDate };
+      const [recordsResponse, leavesResponse, regularizationsResponse] = await Promise.all([
+        cachedGet('/api/search', { params, timeout: 60000 }),
+        cachedGet('/api/leaves', { params, timeout: 15000 }),
+        cachedGet('/api/regularizations', { params: { ...params, status: 'approved' }, timeout: 15000 }),
+      ]);
+      const records = applyRegularizations(
+        recordsResponse.data.records || [],
+        indexApprovedRegularizations(regularizationsResponse.data.regularizations || []),
+        getPolicy
+      );
+      setPayroll(computePayroll(records, employees, {
+        fromDate: period.fromDate,
+        toDate: throughDate,
+        calendar,
+        leaveIndex: indexLeavesByDate(leavesResponse.data.leaves || [], calendar),
+        getPolicy,
+        settings,
+      }));
+      setComputedThrough(throughDate);
+      const cachedAt = [recordsResponse, leavesResponse, regularizationsResponse].map(r => r.cachedAt).filter(Boolean);
+      if (cachedAt.length > 0) setMessage({ text: t('payroll.fromCache', { time: formatDateTime(Math.min(...cachedAt)) }), error: false });
+    } catch (err) {
+      console.error('Error calculating payroll:', err);
+      setMessage({ text: getErrorMessage(err, t('payroll.calculateFailed')), error: true });
+      setPayroll(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = (format) => {
+    try {
+      exportPayroll(format, { fromDate: period.fromDate, toDate: computedThrough }, PAYROLL_COLUMNS.map(c => c.header), getPayrollTableRows(payroll));
+    } catch (err) {
+      console.error('Error exporting payroll:', err);
+      setMessage({ text: t('payroll.exportFailed', { format: format.toUpperCase(), message: err.message }), error: true });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end gap-3 text-sm text-gray-700 dark:text-gray-300">
+        <label className="flex flex-col">
+          {t('payroll.periodFrom')}
+          <input type="date" value={period.fromDate} onChange={(e) => setPeriod({ ...period, fromDate: e.target.value })} className={inputClass} />
+        </label>
+        <label className="flex flex-col">
+          {t('payroll.periodTo')}
+          <input type="date" value={period.toDate} onChange={(e) => setPeriod({ ...period, toDate: e.target.value })} className={inputClass} />
+        </label>
+        <label className="flex flex-col">
+          {t('payroll.weekdayMultiplier')}
+          <input
+            type="number"
+            min="1"
+            step="0.25"
+            value={settings.weekdayOvertimeMultiplier}
+            onChange={(e) => setSettings({ ...settings, weekdayOvertimeMultiplier: e.target.value })}
+            disabled={!canEditSettings}
+            className={`${inputClass} w-28 disabled:opacity-60`}
+          />
+        </label>
+        <label className="flex flex-col">
+          {t('payroll.offDayMultiplier')}
+          <input
+            type="number"
+            min="1"
+            step="0.25"
+            value={settings.offDayOvertimeMultiplier}
+            onChange={(e) => setSettings({ ...settings, offDayOvertimeMultiplier: e.target.value })}
+            disabled={!canEditSettings}
+            className={`${inputClass} w-28 disabled:opacity-60`}
+          />
+        </label>
+        {canEditSettings && (
+          <button onClick={handleSaveSettings} className="px-3 py-2 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600">
+            {t('payroll.saveMultipliers')}
+          </button>
+        )}
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={handleCalculate}
+          disabled={loading}
+          className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-60"
+        >
+          {loading ? t('payroll.calculating') : t('payroll.calculate')}
+        </motion.button>
+      </div>
+
+      {message && <p className={`text-sm ${message.error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>{message.text}</p>}
+
+      {payroll && (
+        <>
+          <div className="flex flex-wrap items-center gap-3">
+            {computedThrough < period.toDate && (
+              <p className="text-sm text-yellow-700 dark:text-yellow-300">{t('payroll.partialPeriod', { date: formatDate(computedThrough) })}</p>
+            )}
+            <div className="flex gap-2 ml-auto">
+              <button onClick={() => handleExport('csv')} className="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t('payroll.exportCsv')}</button>
+              <button onClick={() => handleExport('xlsx')} className="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700">{t('payroll.exportXlsx')}</button>
+            </div>
+          </div>
+          <div className="overflow-x-auto custom-scrollbar">
+            <table className="w-full text-left text-sm text-gray-700 dark:text-gray-300">
+              <thead>
+                <tr>
+                  {PAYROLL_COLUMNS.map(({ key, header }) => (
+                    <th key={key} className="py-2 pr-3 font-semibold whitespace-nowrap">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {payroll.map(row => (
+                  <tr key={row.employeeId} className="border-t border-gray-200 dark:border-gray-600">
+                    {PAYROLL_COLUMNS.map(column => (
+                      <td key={column.key} className="py-2 pr-3 whitespace-nowrap">{formatPayrollCell(row, column)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PayrollSummary;
@@ -0,0 +1,260 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { t, formatDate, formatTime, formatNumber } from '../i18n';
+
+const ROW_HEIGHT = 44; // px, fixed so only the visible rows need rendering
+const VIEWPORT_HEIGHT = 600;
+const OVERSCAN = 10;
+const HIDDEN_COLUMNS_KEY = 'biometric_hidden_columns';
+
+const EMPTY_FILTERS = { status: '', lateFlag: '', name: '', hoursBelow: '' };
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+const loadHiddenColumns = () => {
+  try {
+    return JSON.parse(localStorage.getItem(HIDDEN_COLUMNS_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+// How some columns are shown in the viewer's language and locale. Sorting and
+// filtering still go by the raw values, which are what the exports contain.
+const isNumeric = (value) => value !== '' && value !== null && !Number.isNaN(Number(value));
+// Statuses the backend doesn't send today are shown as they come
+const formatStatus = (value) => (['PRESENT', 'ABSENT'].includes(value) ? t(`records.status.${value}`) : value);
+const formatYesNo = (value) => (value === 'Yes' ? t('common.yes') : value === 'No' ? t('common.no') : value);
+const CELL_FORMATS = {
+  Date: (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? formatDate(value) : value),
+  'Check In': formatTime,
+  'Check Out': formatTime,
+  Hours: (value) => (isNumeric(value) ? formatNumber(Number(value), 2) : value),
+  'Late Minutes': (value) => (isNumeric(value) ? formatNumber(Number(value)) : value),
+  Status: formatStatus,
+  'Late Flag': formatYesNo,
+  'Computed Is Late': formatYesNo,
+};
+
+const formatCell = (header, value) => (CELL_FORMATS[header] ? CELL_FORMATS[header](value) : value);
+
+// Numbers sort numerically; 'N/A' and blanks always go last
+const compareValues = (a, b) => {
+  const missingA = a === '' || a === null || a === undefined || a === 'N/A';
+  const missingB = b === '' || b === null || b === undefined || b === 'N/A';
+  if (missingA || missingB) return missingA === missingB ? 0 : missingA ? 1 : -1;
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+  return String(a).localeCompare(String(b));
+};
+
+// The attendance records table: sortable columns, filters for status, late
+// flag, name and hours, and column show/hide remembered across sessions.
+// Rows are virtualized, so only the ones in view are in the DOM.
+//
+// `headers` and `rows` are the same arrays the exports use; `headerLabels`, if
+// given, are what the column headings show instead. Rows whose index is
+// in `flaggedRows` are highlighted; `focus` ({ label, rows }) narrows the table
+// to just those row indexes until `onClearFocus` is called.
+function RecordsTable({ headers, headerLabels = headers, rows, flaggedRows = new Set(), focus = null, onClearFocus }) {
+  const [sort, setSort] = useState({ column: -1, direction: 'asc' });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [hiddenColumns, setHiddenColumns] = useState(loadHiddenColumns);
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+  const columnButtonRef = useRef(null);
+
+  const visibleRows = useMemo(() => {
+    const nameColumn = headers.indexOf('Name');
+    const statusColumn = headers.indexOf('Status');
+    const lateFlagColumn = headers.indexOf('Late Flag');
+    const hoursColumn = headers.indexOf('Hours');
+    const name = filters.name.trim().toLowerCase();
+    const hoursBelow = filters.hoursBelow === '' ? null : Number(filters.hoursBelow);
+
+    // Rows keep their index into `rows`, which flags and focus refer to
+    const filtered = rows.map((row, index) => ({ row, index })).filter(({ row, index }) => {
+      if (focus && !focus.rows.includes(index)) return false;
+      if (filters.status && row[statusColumn] !== filters.status) return false;
+      if (filters.lateFlag && row[lateFlagColumn] !== filters.lateFlag) return false;
+      if (name && !String(row[nameColumn]).toLowerCase().includes(name)) return false;
+      if (hoursBelow !== null) {
+        const hours = Number(row[hoursColumn]);
+        if (Number.isNaN(hours) || hours >= hoursBelow) return false;
+      }
+      return true;
+    });
+    if (sort.column < 0) return filtered;
+    const sorted = [...filtered].sort((a, b) => compareValues(a.row[sort.column], b.row[sort.column]));
+    return sort.direction === 'asc' ? sorted : sorted.reverse();
+  }, [headers, rows, filters, sort, focus]);
+
+  // Jumping to an anomaly's rows starts back at the top too
+  useEffect(() => {
+    setScrollTop(0);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  }, [focus]);
+
+  const statuses = useMemo(() => {
+    const statusColumn = headers.indexOf('Status');
+    return Array.from(new Set(rows.map(row => row[statusColumn]))).sort();
+  }, [headers, rows]);
+
+  const handleSort = (index) => {
+    setSort(prev => (prev.column === index
+      ? { column: index, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { column: index, direction: 'asc' }));
+  };
+
+  const toggleColumn = (header) => {
+    setHiddenColumns(prev => {
+      const next = prev.includes(header) ? prev.filter(h => h !== header) : [...prev, header];
+      localStorage.setItem(HIDDEN_COLUMNS_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // Escape closes the column menu and puts focus back on its button
+  const handleColumnMenuKey = (e) => {
+    if (e.key !== 'Escape') return;
+    setShowColumnMenu(false);
+    if (columnButtonRef.current) columnButtonRef.current.focus();
+  };
+
+  // New filters start back at the top of the list
+  const applyFilters = (next) => {
+    setFilters(next);
+    setScrollTop(0);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  };
+
+  const updateFilter = (field, value) => applyFilters({ ...filters, [field]: value });
+
+  const shownColumns = headers.map((header, index) => ({ header, label: headerLabels[index], index })).filter(({ header }) => !hiddenColumns.includes(header));
+
+  // Only the rows in (or near) the viewport are rendered; spacers keep the scrollbar honest
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(visibleRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const renderedRows = visibleRows.slice(first, last);
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-end gap-3 mb-4 text-sm text-gray-700 dark:text-gray-300">
+        <label className="flex flex-col">
+          {headerLabels[headers.indexOf('Status')]}
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={inputClass}>
+            <option value="">{t('common.all')}</option>
+            {statuses.map(status => <option key={status} value={status}>{formatStatus(status)}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          {headerLabels[headers.indexOf('Late Flag')]}
+          <select value={filters.lateFlag} onChange={(e) => updateFilter('lateFlag', e.target.value)} className={inputClass}>
+            <option value="">{t('common.all')}</option>
+            <option value="Yes">{t('common.yes')}</option>
+            <option value="No">{t('common.no')}</option>
+          </select>
+        </label>
+        <label className="flex flex-col">
+          {t('records.nameContains')}
+          <input value={filters.name} onChange={(e) => updateFilter('name', e.target.value)} className={inputClass} placeholder={t('records.namePlaceholder')} />
+        </label>
+        <label className="flex flex-col">
+          {t('records.hoursBelow')}
+          <input type="number" min="0" step="0.5" value={filters.hoursBelow} onChange={(e) => updateFilter('hoursBelow', e.target.value)} className={`${inputClass} w-28`} />
+        </label>
+        <button onClick={() => applyFilters(EMPTY_FILTERS)} className="px-3 py-2 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600">
+          {t('records.clearFilters')}
+        </button>
+        <div className="relative ml-auto">
+          <button
+            ref={columnButtonRef}
+            onClick={() => setShowColumnMenu(prev => !prev)}
+            className="px-3 py-2 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-100 dark:hover:bg-gray-600"
+            aria-expanded={showColumnMenu}
+          >
+            {t('records.columns')}
+          </button>
+          {showColumnMenu && (
+            <div
+              className="absolute right-0 z-20 mt-1 w-52 p-3 rounded-lg shadow-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600"
+              onKeyDown={handleColumnMenuKey}
+            >
+              {headers.map((header, index) => (
+                <label key={header} className="flex items-center gap-2 py-0.5">
+                  <input type="checkbox" checked={!hiddenColumns.includes(header)} onChange={() => toggleColumn(header)} />
+                  {headerLabels[index]}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {focus && (
+        <div className="flex items-center justify-between gap-3 mb-2 p-2 rounded-lg bg-yellow-100 text-yellow-900 dark:bg-yellow-900 dark:text-yellow-100 text-sm text-left">
+          <span>{t('records.focus', { label: focus.label })}</span>
+          <button onClick={onClearFocus} className="underline whitespace-nowrap">{t('records.showAll')}</button>
+        </div>
+      )}
+      <p className="text-sm text-left text-gray-600 dark:text-gray-400 mb-2">
+        {t('records.showing', { shown: visibleRows.length, count: rows.length })}
+        {flaggedRows.size > 0 && <span className="ml-2 text-yellow-700 dark:text-yellow-300">{t('records.flagged')}</span>}
+      </p>
+
+      {/* Focusable so the arrow and page keys can scroll the rows */}
+      <div
+        ref={scrollRef}
+        tabIndex={0}
+        role="region"
+        aria-label={t('records.tableLabel')}
+        className="overflow-auto custom-scrollbar rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="w-full text-left table-auto">
+          <thead className="bg-blue-600 dark:bg-blue-900 text-white sticky top-0 shadow-md z-10">
+            <tr>
+              {shownColumns.map(({ header, label, index }) => (
+                <th
+                  key={header}
+                  scope="col"
+                  className="py-3 px-4 text-sm font-semibold uppercase tracking-wider select-none whitespace-nowrap"
+                  aria-sort={sort.column === index ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button onClick={() => handleSort(index)} className="uppercase tracking-wider font-semibold rounded focus:outline-none focus:ring-2 focus:ring-white">
+                    {label}
+                    {sort.column === index && <span className="ml-1" aria-hidden="true">{sort.direction === 'asc' ? '▲' : '▼'}</span>}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+            {renderedRows.map(({ row, index }) => (
+              <tr
+                key={index}
+                style={{ height: ROW_HEIGHT }}
+                className={`border-b border-gray-200 dark:border-gray-700 last:border-b-0 hover:bg-blue-50 dark:hover:bg-gray-700 transition-colors duration-200 ease-in-out ${
+                  flaggedRows.has(index) ? 'bg-yellow-50 dark:bg-yellow-900' : ''
+                }`}
+              >
+                {shownColumns.map(({ header, index }) => (
+                  <td key={header} className="py-2 px-4 text-gray-900 dark:text-gray-100 text-sm whitespace-nowrap">{formatCell(header, row[index])}</td>
+                ))}
+              </tr>
+            ))}
+            {last < visibleRows.length && <tr style={{ height: (visibleRows.length - last) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+        {visibleRows.length === 0 && (
+          <p className="py-6 text-sm text-gray-500 dark:text-gray-400">{t('records.noMatch')}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecordsTable;
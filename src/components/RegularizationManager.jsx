@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import api, { getErrorMessage } from '../api';
+import { isMissingTime } from '../shiftPolicies';
+import { REGULARIZATION_STATUSES, hasMissingPunch, validateRegularization } from '../regularizations';
+import { t, formatDate, formatTime } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+const EMPTY_FORM = { employeeId: '', date: '', checkIn: '', checkOut: '', reason: '' };
+
+// "HH:MM:SS" punches become "HH:MM" for <input type="time">; missing ones stay blank
+const toTimeInput = (time) => (isMissingTime(time) ? '' : time.slice(0, 5));
+
+// Punch correction requests. Anyone can flag a record from the current search
+// and propose corrected times; reviewers (`canReview`) approve or reject them.
+// `records` are the records on screen, already corrected by approved requests.
+function RegularizationManager({ employees, records, canReview, lockedEmployeeId, currentUserEmail, onChanged }) {
+  const [requests, setRequests] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [form, setForm] = useState({ ...EMPTY_FORM, employeeId: lockedEmployeeId || '' });
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null); // { text, error }
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/api/regularizations', {
+        params: { employee_id: lockedEmployeeId || '', status: statusFilter },
+        timeout: 15000,
+      });
+      setRequests(response.data.regularizations || []);
+    } catch (err) {
+      console.error('Error fetching regularizations:', err);
+      setMessage({ text: getErrorMessage(err, t('regularization.loadFailed')), error: true });
+      setRequests([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [lockedEmployeeId, statusFilter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  // Picking a day starts from the punches on record, so only the wrong one needs changing
+  const updateForm = (changes) => {
+    const next = { ...form, ...changes };
+    if (changes.employeeId !== undefined || changes.date !== undefined) {
+      const record = records.find(r => String(r.Employee_ID) === String(next.employeeId) && r.Date === next.date);
+      next.checkIn = record ? toTimeInput(record.Check_In) : '';
+      next.checkOut = record ? toTimeInput(record.Check_Out) : '';
+    }
+    setForm(next);
+  };
+
+  const flagRecord = (record) => {
+    setMessage(null);
+    updateForm({ employeeId: String(record.Employee_ID), date: record.Date });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problem = validateRegularization(form);
+    if (problem) {
+      setMessage({ text: problem, error: false });
+      return;
+    }
+    try {
+      await api.post('/api/regularizations', form, { timeout: 15000 });
+      setForm({ ...EMPTY_FORM, employeeId: lockedEmployeeId || '' });
+      setMessage({ text: t('regularization.requested'), error: false });
+      await fetchRequests();
+    } catch (err) {
+      console.error('Error requesting regularization:', err);
+      setMessage({ text: getErrorMessage(err, t('regularization.requestFailed')), error: true });
+    }
+  };
+
+  const handleReview = async (request, action) => {
+    let note = '';
+    if (action === 'reject') {
+      note = window.prompt(t('regularization.rejectPrompt', { employeeId: request.employeeId, date: formatDate(request.date) }));
+      if (note === null) return;
+    }
+    try {
+      await api.post(`/api/regularizations/${request.id}/${action}`, { note }, { timeout: 15000 });
+      setMessage({ text: action === 'approve' ? t('regularization.approved') : t('regularization.rejected'), error: false });
+      await fetchRequests();
+      onChanged();
+    } catch (err) {
+      console.error(`Error trying to ${action} regularization:`, err);
+      setMessage({ text: getErrorMessage(err, action === 'approve' ? t('regularization.approveFailed') : t('regularization.rejectFailed')), error: true });
+    }
+  };
+
+  const employeeName = (id) => {
+    const employee = employees.find(emp => String(emp.Employee_ID) === String(id));
+    return employee ? employee.Employee_Name : id;
+  };
+
+  const missingPunches = records.filter(hasMissingPunch);
+
+  return (
+    <div className="space-y-6">
+      {message && <p className={`text-sm ${message.error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>{message.text}</p>}
+
+      {missingPunches.length > 0 && (
+        <div>
+          <p className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-2">
+            {t('regularization.missingCount', { count: missingPunches.length })}
+          </p>
+          <ul className="max-h-40 overflow-y-auto custom-scrollbar text-sm text-gray-700 dark:text-gray-300 divide-y divide-gray-200 dark:divide-gray-600">
+            {missingPunches.map(record => (
+              <li key={`${record.Employee_ID}|${record.Date}`} className="flex items-center justify-between gap-3 py-1">
+                <span>
+                  {t('regularization.missingRecord', {
+                    name: record.Employee_Name,
+                    id: record.Employee_ID,
+                    date: formatDate(record.Date),
+                    checkIn: formatTime(record.Check_In),
+                    checkOut: formatTime(record.Check_Out),
+                  })}
+                </span>
+                <button onClick={() => flagRecord(record)} className="text-blue-600 dark:text-blue-400 hover:underline whitespace-nowrap">{t('regularization.requestFix')}</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-col md:flex-row gap-2">
+        <select
+          value={form.employeeId}
+          onChange={(e) => updateForm({ employeeId: e.target.value })}
+          disabled={!!lockedEmployeeId}
+          className={`${inputClass} disabled:opacity-60`}
+          aria-label={t('regularization.employee')}
+        >
+          <option value="">{t('search.selectEmployee')}</option>
+          {employees.map(employee => (
+            <option key={employee.Employee_ID} value={employee.Employee_ID}>
+              {t('search.employeeOption', { name: employee.Employee_Name, id: employee.Employee_ID })}
+            </option>
+          ))}
+        </select>
+        <input type="date" value={form.date} onChange={(e) => updateForm({ date: e.target.value })} className={inputClass} aria-label={t('regularization.date')} />
+        <input type="time" value={form.checkIn} onChange={(e) => updateForm({ checkIn: e.target.value })} className={inputClass} aria-label={t('regularization.correctedCheckIn')} />
+        <input type="time" value={form.checkOut} onChange={(e) => updateForm({ checkOut: e.target.value })} className={inputClass} aria-label={t('regularization.correctedCheckOut')} />
+        <input value={form.reason} onChange={(e) => updateForm({ reason: e.target.value })} placeholder={t('leave.reason')} className={`${inputClass} flex-1`} aria-label={t('regularization.reason')} />
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          type="submit"
+          className="px-4 py-2 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700 whitespace-nowrap"
+        >
+          {t('regularization.openRequest')}
+        </motion.button>
+      </form>
+
+      <div>
+        <div className="flex items-center gap-3 mb-2">
+          <p className="text-sm font-semibold text-gray-800 dark:text-gray-100">{t('regularization.requests')}</p>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={inputClass} aria-label={t('regularization.statusFilter')}>
+            <option value="">{t('common.all')}</option>
+            {Object.entries(REGULARIZATION_STATUSES).map(([status, { label }]) => <option key={status} value={status}>{label}</option>)}
+          </select>
+        </div>
+        {loading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('regularization.loading')}</p>
+        ) : requests.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t(`regularization.empty.${statusFilter || 'all'}`)}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm text-gray-700 dark:text-gray-300">
+              <thead>
+                <tr>
+                  <th className="py-2 pr-3">{t('history.employee')}</th>
+                  <th className="py-2 pr-3">{t('records.header.date')}</th>
+                  <th className="py-2 pr-3">{t('regularization.original')}</th>
+                  <th className="py-2 pr-3">{t('regularization.corrected')}</th>
+                  <th className="py-2 pr-3">{t('leave.reason')}</th>
+                  <th className="py-2 pr-3">{t('regularization.requestedBy')}</th>
+                  <th className="py-2 pr-3">{t('records.header.status')}</th>
+                  {canReview && <th className="py-2" />}
+                </tr>
+              </thead>
+              <tbody>
+                {requests.map(request => {
+                  const status = REGULARIZATION_STATUSES[request.status];
+                  const canReviewRequest = canReview && request.status === 'pending' && request.requestedBy !== currentUserEmail;
+                  return (
+                    <tr key={request.id} className="border-t border-gray-200 dark:border-gray-600">
+                      <td className="py-2 pr-3">{employeeName(request.employeeId)} ({request.employeeId})</td>
+                      <td className="py-2 pr-3 whitespace-nowrap">{formatDate(request.date)}</td>
+                      <td className="py-2 pr-3 whitespace-nowrap">{formatTime(request.originalCheckIn)} - {formatTime(request.originalCheckOut)}</td>
+                      <td className="py-2 pr-3 whitespace-nowrap">{formatTime(request.checkIn)} - {formatTime(request.checkOut)}</td>
+                      <td className="py-2 pr-3">{request.reason}</td>
+                      <td className="py-2 pr-3">{request.requestedBy}</td>
+                      <td className="py-2 pr-3">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status ? status.className : ''}`}>{status ? status.label : request.status}</span>
+                        {request.reviewedBy && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            {t('regularization.reviewedBy', { reviewer: request.reviewedBy })}{request.reviewNote ? `: ${request.reviewNote}` : ''}
+                          </p>
+                        )}
+                      </td>
+                      {canReview && (
+                        <td className="py-2 whitespace-nowrap">
+                          {canReviewRequest && (
+                            <>
+                              <button onClick={() => handleReview(request, 'approve')} className="text-green-600 dark:text-green-400 hover:underline mr-3">{t('regularization.approve')}</button>
+                              <button onClick={() => handleReview(request, 'reject')} className="text-red-600 dark:text-red-400 hover:underline">{t('regularization.reject')}</button>
+                            </>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RegularizationManager;
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { QUICK_RANGES } from '../quickRanges';
+import { setDefaultView } from '../savedViews';
+import { t, formatDate } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+const smallButtonClass = 'px-2 py-1 text-xs rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-100 dark:hover:bg-gray-500';
+
+// Saves the search on screen as a named view and manages the saved ones:
+// open, pin above the search bar, make the default after login, or delete.
+// `onSave(name)` saves the current search; `onChange(views)` stores the list.
+function SavedViewsManager({ views, employees, canSave, onSave, onOpen, onChange }) {
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null); // { text, error }
+
+  const nameOf = (id) => {
+    const employee = employees.find(emp => String(emp.Employee_ID) === id);
+    return employee ? employee.Employee_Name : id;
+  };
+
+  const describeView = (view) => {
+    const who = view.employeeIds.length > 0
+      ? view.employeeIds.map(nameOf).join(', ')
+      : [view.department, view.team].filter(Boolean).join(' / ') || t('savedViews.everyone');
+    const quickRange = QUICK_RANGES.find(range => range.id === view.rangeId);
+    const when = quickRange
+      ? quickRange.label
+      : view.fromDate || view.toDate
+        ? t('savedViews.range', { from: view.fromDate ? formatDate(view.fromDate) : '…', to: view.toDate ? formatDate(view.toDate) : '…' })
+        : t('savedViews.anyDates');
+    return `${who} · ${when}`;
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (views.some(view => view.name.toLowerCase() === trimmed.toLowerCase())) {
+      setMessage({ text: t('savedViews.nameTaken', { name: trimmed }), error: true });
+      return;
+    }
+    onSave(trimmed);
+    setName('');
+    setMessage({ text: t('savedViews.saved', { name: trimmed }), error: false });
+  };
+
+  const update = (id, changes) => onChange(views.map(view => (view.id === id ? { ...view, ...changes } : view)));
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('savedViews.namePlaceholder')}
+          disabled={!canSave}
+          className={`${inputClass} flex-1 min-w-[200px] disabled:opacity-60`}
+          aria-label={t('savedViews.name')}
+        />
+        <button
+          type="submit"
+          disabled={!canSave || !name.trim()}
+          className="px-3 py-2 text-sm rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+        >
+          {t('savedViews.save')}
+        </button>
+      </form>
+      {!canSave && <p className="text-sm text-gray-500 dark:text-gray-400">{t('savedViews.needSearch')}</p>}
+      {message && <p className={`text-sm ${message.error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}`}>{message.text}</p>}
+
+      {views.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('savedViews.none')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-600">
+          {views.map(view => (
+            <li key={view.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+              <div className="text-sm text-gray-700 dark:text-gray-300">
+                <span className="font-semibold">{view.name}</span>
+                {view.isDefault && (
+                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">{t('savedViews.defaultBadge')}</span>
+                )}
+                <span className="block text-gray-500 dark:text-gray-400">{describeView(view)}</span>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => onOpen(view)} className={smallButtonClass}>{t('savedViews.openView')}</button>
+                <button onClick={() => update(view.id, { pinned: !view.pinned })} className={smallButtonClass} aria-pressed={view.pinned}>
+                  {view.pinned ? t('savedViews.unpin') : t('savedViews.pin')}
+                </button>
+                <button onClick={() => onChange(setDefaultView(views, view.id))} className={smallButtonClass} aria-pressed={view.isDefault}>
+                  {view.isDefault ? t('savedViews.unsetDefault') : t('savedViews.setDefault')}
+                </button>
+                <button
+                  onClick={() => onChange(views.filter(other => other.id !== view.id))}
+                  className="px-2 py-1 text-xs rounded-lg text-red-600 hover:bg-red-100 dark:text-red-400 dark:hover:bg-gray-600"
+                  aria-label={t('savedViews.deleteView', { name: view.name })}
+                >
+                  {t('savedViews.delete')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-xs text-gray-500 dark:text-gray-400">{t('savedViews.defaultHint')}</p>
+    </div>
+  );
+}
+
+export default SavedViewsManager;
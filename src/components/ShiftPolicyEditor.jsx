@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { DEFAULT_POLICY, DEFAULT_POLICY_ID, isOvernight, validatePolicy } from '../shiftPolicies';
+import { t } from '../i18n';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 dark:bg-gray-700 dark:text-gray-100 dark:border-gray-600 text-sm';
+
+// Headings are looked up as shift.field.<key>
+const POLICY_FIELDS = [
+  { key: 'start', type: 'time' },
+  { key: 'end', type: 'time' },
+  { key: 'graceMinutes', type: 'number', step: 1 },
+  { key: 'maxHours', type: 'number', step: 0.25 },
+  { key: 'halfDayHours', type: 'number', step: 0.25 },
+];
+
+// Admin editor for shift policies and which employees or groups they apply to.
+function ShiftPolicyEditor({ config, employees, onSave, saving }) {
+  const [draft, setDraft] = useState(config);
+  const [errors, setErrors] = useState([]);
+
+  // Reset the draft whenever a fresh config arrives from the backend
+  useEffect(() => {
+    setDraft(config);
+    setErrors([]);
+  }, [config]);
+
+  const updatePolicy = (id, key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      policies: prev.policies.map(p => (p.id === id ? { ...p, [key]: value } : p)),
+    }));
+  };
+
+  const addPolicy = () => {
+    const id = `policy-${Date.now()}`;
+    setDraft(prev => ({
+      ...prev,
+      policies: [...prev.policies, { ...DEFAULT_POLICY, id, name: t('shift.newShift') }],
+    }));
+  };
+
+  // Removing a policy also drops every assignment that pointed at it
+  const removePolicy = (id) => {
+    setDraft(prev => {
+      const employeeAssignments = { ...prev.assignments.employees };
+      Object.keys(employeeAssignments).forEach(employeeId => {
+        if (employeeAssignments[employeeId] === id) delete employeeAssignments[employeeId];
+      });
+      return {
+        policies: prev.policies.filter(p => p.id !== id),
+        assignments: {
+          employees: employeeAssignments,
+          groups: prev.assignments.groups.map(g => (g.policyId === id ? { ...g, policyId: DEFAULT_POLICY_ID } : g)),
+        },
+      };
+    });
+  };
+
+  const assignEmployee = (employeeId, policyId) => {
+    setDraft(prev => {
+      const employeeAssignments = { ...prev.assignments.employees };
+      if (policyId) {
+        employeeAssignments[employeeId] = policyId;
+      } else {
+        delete employeeAssignments[employeeId];
+      }
+      return { ...prev, assignments: { ...prev.assignments, employees: employeeAssignments } };
+    });
+  };
+
+  const updateGroup = (id, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      assignments: {
+        ...prev.assignments,
+        groups: prev.assignments.groups.map(g => (g.id === id ? { ...g, ...changes } : g)),
+      },
+    }));
+  };
+
+  const addGroup = () => {
+    const id = `group-${Date.now()}`;
+    setDraft(prev => ({
+      ...prev,
+      assignments: {
+        ...prev.assignments,
+        groups: [...prev.assignments.groups, { id, name: t('shift.newGroup'), employeeIds: [], policyId: DEFAULT_POLICY_ID }],
+      },
+    }));
+  };
+
+  const removeGroup = (id) => {
+    setDraft(prev => ({
+      ...prev,
+      assignments: { ...prev.assignments, groups: prev.assignments.groups.filter(g => g.id !== id) },
+    }));
+  };
+
+  const handleSave = () => {
+    const problems = [];
+    draft.policies.forEach(policy => {
+      validatePolicy(policy).forEach(problem => problems.push(`${policy.name || t('shift.unnamedPolicy')}: ${problem}`));
+    });
+    draft.assignments.groups.forEach(group => {
+      if (!group.name || !group.name.trim()) problems.push(t('shift.problem.groupName'));
+    });
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    // Number inputs hand back strings; store them as numbers
+    onSave({
+      ...draft,
+      policies: draft.policies.map(p => ({
+        ...p,
+        graceMinutes: Number(p.graceMinutes),
+        maxHours: Number(p.maxHours),
+        halfDayHours: Number(p.halfDayHours),
+      })),
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{t('shift.policies')}</h3>
+          <button onClick={addPolicy} className="px-3 py-1 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700">
+            {t('shift.addPolicy')}
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead>
+              <tr className="text-gray-600 dark:text-gray-300">
+                <th className="py-2 pr-2">{t('shift.field.name')}</th>
+                {POLICY_FIELDS.map(field => <th key={field.key} className="py-2 pr-2">{t(`shift.field.${field.key}`)}</th>)}
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.policies.map(policy => (
+                <tr key={policy.id} className="border-t border-gray-200 dark:border-gray-600">
+                  <td className="py-2 pr-2">
+                    <input
+                      value={policy.name}
+                      onChange={(e) => updatePolicy(policy.id, 'name', e.target.value)}
+                      className={`${inputClass} w-48`}
+                      aria-label={t('shift.policyName')}
+                    />
+                    {isOvernight(policy) && (
+                      <span className="ml-2 text-xs text-purple-600 dark:text-purple-300">{t('shift.nightShift')}</span>
+                    )}
+                  </td>
+                  {POLICY_FIELDS.map(field => (
+                    <td key={field.key} className="py-2 pr-2">
+                      <input
+                        type={field.type}
+                        step={field.step}
+                        min={field.type === 'number' ? 0 : undefined}
+                        value={policy[field.key]}
+                        onChange={(e) => updatePolicy(policy.id, field.key, e.target.value)}
+                        className={`${inputClass} w-28`}
+                        aria-label={`${policy.name} ${t(`shift.field.${field.key}`)}`}
+                      />
+                    </td>
+                  ))}
+                  <td className="py-2">
+                    {policy.id !== DEFAULT_POLICY_ID && (
+                      <button onClick={() => removePolicy(policy.id)} className="text-red-600 dark:text-red-400 hover:underline">
+                        {t('common.remove')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{t('shift.groups')}</h3>
+          <button onClick={addGroup} className="px-3 py-1 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700">
+            {t('shift.addGroup')}
+          </button>
+        </div>
+        {draft.assignments.groups.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('shift.noGroups')}</p>
+        )}
+        <div className="space-y-3">
+          {draft.assignments.groups.map(group => (
+            <div key={group.id} className="flex flex-col md:flex-row gap-3 md:items-start border border-gray-200 dark:border-gray-600 rounded-lg p-3">
+              <input
+                value={group.name}
+                onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+                className={`${inputClass} md:w-48`}
+                aria-label={t('shift.groupName')}
+              />
+              <select
+                value={group.policyId}
+                onChange={(e) => updateGroup(group.id, { policyId: e.target.value })}
+                className={`${inputClass} md:w-56`}
+                aria-label={t('shift.groupPolicy', { group: group.name })}
+              >
+                {draft.policies.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+              <select
+                multiple
+                value={group.employeeIds}
+                onChange={(e) => updateGroup(group.id, { employeeIds: Array.from(e.target.selectedOptions, o => o.value) })}
+                className={`${inputClass} flex-1 h-28`}
+                aria-label={t('shift.groupMembers', { group: group.name })}
+              >
+                {employees.map(employee => (
+                  <option key={employee.Employee_ID} value={employee.Employee_ID}>
+                    {t('search.employeeOption', { name: employee.Employee_Name, id: employee.Employee_ID })}
+                  </option>
+                ))}
+              </select>
+              <button onClick={() => removeGroup(group.id)} className="text-sm text-red-600 dark:text-red-400 hover:underline">
+                {t('common.remove')}
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-3">{t('shift.overrides')}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 max-h-64 overflow-y-auto">
+          {employees.map(employee => (
+            <label key={employee.Employee_ID} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <span>{t('search.employeeOption', { name: employee.Employee_Name, id: employee.Employee_ID })}</span>
+              <select
+                value={draft.assignments.employees[employee.Employee_ID] || ''}
+                onChange={(e) => assignEmployee(employee.Employee_ID, e.target.value)}
+                className={inputClass}
+              >
+                <option value="">{t('shift.groupOrDefault')}</option>
+                {draft.policies.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="list-disc pl-5 text-sm text-red-600 dark:text-red-400">
+          {errors.map((problem, index) => <li key={index}>{problem}</li>)}
+        </ul>
+      )}
+
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={handleSave}
+        disabled={saving}
+        className="px-6 py-2 bg-green-600 text-white font-semibold rounded-xl hover:bg-green-700 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {saving ? t('common.saving') : t('shift.save')}
+      </motion.button>
+    </div>
+  );
+}
+
+export default ShiftPolicyEditor;
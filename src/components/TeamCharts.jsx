@@ -0,0 +1,172 @@
+import { motion } from 'framer-motion';
+import { Line, Pie, Bar } from 'react-chartjs-2';
+import { chartTitle, chartAxis } from '../chartTheme';
+import { t, formatNumber, formatDateLabel } from '../i18n';
+import ChartCard from './ChartCard';
+
+const formatPercent = (value) => `${formatNumber(value, 1)}%`;
+const formatHours = (hours) => t('summary.hours', { hours: formatNumber(hours, 2) });
+const formatEmployeeDays = (count) => t('team.chart.employeeDays', { count });
+
+// Team-level charts for a multi-employee search. `daily` comes from summarizeTeamByDate;
+// the distribution charts are built by App so they match the single-employee ones.
+function TeamCharts({ daily, attendanceChartData, checkInChartData, theme, containerVariants, itemVariants }) {
+  const labels = daily.map(day => formatDateLabel(day.date));
+
+  const headcountData = {
+    labels,
+    datasets: [{
+      label: t('team.chart.present'),
+      data: daily.map(day => day.present),
+      backgroundColor: '#4CAF50',
+      borderColor: '#2E7D32',
+      borderWidth: 1,
+    }]
+  };
+
+  const latePercentData = {
+    labels,
+    datasets: [{
+      label: t('team.chart.latePercent'),
+      data: daily.map(day => Number(day.latePercent.toFixed(1))),
+      borderColor: '#FF9800',
+      backgroundColor: 'rgba(255, 152, 0, 0.2)',
+      fill: true,
+      tension: 0.4,
+    }]
+  };
+
+  const avgHoursData = {
+    labels,
+    datasets: [{
+      label: t('team.chart.avgHours'),
+      data: daily.map(day => Number(day.avgHours.toFixed(2))),
+      borderColor: '#0055A4',
+      backgroundColor: 'rgba(0, 85, 164, 0.2)',
+      fill: true,
+      tension: 0.4,
+    }]
+  };
+
+  return (
+    <motion.div
+      variants={containerVariants}
+      initial="hidden"
+      animate="show"
+      className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 mb-8"
+    >
+      <ChartCard
+        title={t('team.chart.headcountTitle')}
+        type="bar"
+        data={headcountData}
+        labelHeader={t('chart.date')}
+        variants={itemVariants}
+      >
+        <Bar
+          data={headcountData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { title: chartTitle(theme, t('team.chart.headcountTitle')), tooltip: { mode: 'index', intersect: false } },
+            scales: {
+              y: chartAxis(theme, t('team.chart.employees'), { beginAtZero: true, ticks: { stepSize: 1 } }),
+              x: chartAxis(theme, t('chart.date')),
+            }
+          }}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title={t('team.chart.lateTitle')}
+        type="line"
+        data={latePercentData}
+        labelHeader={t('chart.date')}
+        format={formatPercent}
+        variants={itemVariants}
+      >
+        <Line
+          data={latePercentData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { title: chartTitle(theme, t('team.chart.lateTitle')), tooltip: { mode: 'index', intersect: false } },
+            scales: {
+              y: chartAxis(theme, t('team.chart.percentPresent'), { beginAtZero: true, max: 100 }),
+              x: chartAxis(theme, t('chart.date')),
+            }
+          }}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title={t('team.chart.avgHoursTitle')}
+        type="line"
+        data={avgHoursData}
+        labelHeader={t('chart.date')}
+        format={formatHours}
+        variants={itemVariants}
+      >
+        <Line
+          data={avgHoursData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { title: chartTitle(theme, t('team.chart.avgHoursTitle')), tooltip: { mode: 'index', intersect: false } },
+            scales: {
+              y: chartAxis(theme, t('chart.hours'), { beginAtZero: true }),
+              x: chartAxis(theme, t('chart.date')),
+            }
+          }}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title={t('team.chart.distributionTitle')}
+        type="pie"
+        data={attendanceChartData}
+        labelHeader={t('records.header.status')}
+        format={formatEmployeeDays}
+        variants={itemVariants}
+      >
+        <Pie
+          data={attendanceChartData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+              title: chartTitle(theme, t('team.chart.distributionTitle')),
+              tooltip: {
+                callbacks: {
+                  label: (context) => `${context.label}: ${t('team.chart.employeeDays', { count: context.parsed })}`
+                }
+              }
+            }
+          }}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title={t('chart.checkInDistribution')}
+        type="bar"
+        data={checkInChartData}
+        labelHeader={t('chart.timeInterval')}
+        variants={itemVariants}
+      >
+        <Bar
+          data={checkInChartData}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { title: chartTitle(theme, t('chart.checkInDistribution')), tooltip: { mode: 'index', intersect: false } },
+            scales: {
+              y: chartAxis(theme, t('chart.checkInCount'), { beginAtZero: true, ticks: { stepSize: 1 } }),
+              x: chartAxis(theme, t('chart.timeInterval'), { ticks: { autoSkip: false, maxRotation: 45, minRotation: 45 } }),
+            }
+          }}
+        />
+      </ChartCard>
+    </motion.div>
+  );
+}
+
+export default TeamCharts;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { t, formatNumber } from '../i18n';
+
+// Headings are looked up as team.column.<key>
+const COLUMNS = [
+  { key: 'employeeName', numeric: false },
+  { key: 'totalAttendance', numeric: true },
+  { key: 'totalAbsent', numeric: true },
+  { key: 'lateCount', numeric: true },
+  { key: 'avgWorkingHours', numeric: true },
+  { key: 'totalExtraWorking', numeric: true },
+];
+
+// One row per employee in a multi-employee search. Clicking a header sorts and
+// re-ranks by that column; clicking a row (or the name, from the keyboard)
+// drills into that employee.
+function TeamSummaryTable({ summaries, onSelectEmployee }) {
+  const [sortKey, setSortKey] = useState('totalAttendance');
+  const [sortDirection, setSortDirection] = useState('desc');
+
+  const handleSort = (key, numeric) => {
+    if (key === sortKey) {
+      setSortDirection(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortKey(key);
+      setSortDirection(numeric ? 'desc' : 'asc');
+    }
+  };
+
+  const sorted = [...summaries].sort((a, b) => {
+    const result = typeof a[sortKey] === 'number'
+      ? a[sortKey] - b[sortKey]
+      : String(a[sortKey]).localeCompare(String(b[sortKey]));
+    return sortDirection === 'asc' ? result : -result;
+  });
+
+  return (
+    <div className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-lg border border-gray-200 dark:border-gray-600 mb-8 overflow-x-auto">
+      <h2 className="text-2xl font-bold mb-1 text-blue-800 dark:text-yellow-300">{t('team.title')}</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        {t('team.hint', { count: summaries.length })}
+      </p>
+      <table className="w-full text-left text-sm text-gray-900 dark:text-gray-100">
+        <thead>
+          <tr className="border-b border-gray-300 dark:border-gray-500">
+            <th scope="col" className="py-2 px-3">#</th>
+            {COLUMNS.map(column => (
+              <th
+                key={column.key}
+                scope="col"
+                className="py-2 px-3 select-none"
+                aria-sort={sortKey === column.key ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
+              >
+                <button onClick={() => handleSort(column.key, column.numeric)} className="font-semibold rounded focus:outline-none focus:ring-2 focus:ring-blue-300">
+                  {t(`team.column.${column.key}`)}
+                  {sortKey === column.key && <span className="ml-1" aria-hidden="true">{sortDirection === 'asc' ? '▲' : '▼'}</span>}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((summary, index) => (
+            <tr
+              key={summary.employeeId}
+              onClick={() => onSelectEmployee(summary.employeeId)}
+              className="border-b border-gray-200 dark:border-gray-600 last:border-b-0 hover:bg-blue-50 dark:hover:bg-gray-600 cursor-pointer"
+            >
+              <td className="py-2 px-3 font-semibold">{formatNumber(index + 1)}</td>
+              <td className="py-2 px-3">
+                {/* The whole row is clickable; the button is how keyboard users get there */}
+                <button
+                  onClick={(e) => { e.stopPropagation(); onSelectEmployee(summary.employeeId); }}
+                  className="text-left hover:underline rounded focus:outline-none focus:ring-2 focus:ring-blue-300"
+                >
+                  {summary.employeeName}
+                </button>
+                {' '}<span className="text-gray-500 dark:text-gray-400">{t('team.employeeId', { id: summary.employeeId })}</span>
+              </td>
+              <td className="py-2 px-3">{formatNumber(summary.totalAttendance)}</td>
+              <td className="py-2 px-3 text-red-500">{formatNumber(summary.totalAbsent)}</td>
+              <td className="py-2 px-3">{formatNumber(summary.lateCount)}</td>
+              <td className="py-2 px-3">{formatNumber(summary.avgWorkingHours, 2)}</td>
+              <td className="py-2 px-3 text-green-600">{formatNumber(summary.totalExtraWorking)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TeamSummaryTable;
@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from 'react';
+import api, { BACKEND_URL, getErrorMessage } from '../api';
+import { formatBytes } from '../uploads';
+import { describeDateRange, getEmployeeCount, compareUploads } from '../uploadHistory';
+import { t, formatNumber, formatDateTime } from '../i18n';
+
+const formatChange = (change) => (change > 0 ? `+${formatNumber(change)}` : formatNumber(change));
+
+const changeClass = (change) => {
+  if (change > 0) return 'text-green-600 dark:text-green-400';
+  if (change < 0) return 'text-red-600 dark:text-red-400';
+  return 'text-gray-500 dark:text-gray-400';
+};
+
+// Past uploads with who/when/what, dashboard re-download, a two-version
+// comparison and rollback. Several uploads can be active at once, one for
+// each month their logs cover. `refreshKey` changes after each new upload;
+// `onActivated` runs after a rollback.
+function UploadHistory({ employees, refreshKey, onActivated }) {
+  const [uploads, setUploads] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null); // { text, error }
+  const [compareIds, setCompareIds] = useState([]);
+  const [activatingId, setActivatingId] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/api/upload-history', { timeout: 15000 });
+      setUploads(response.data.uploads || []);
+    } catch (err) {
+      console.error('Error fetching upload history:', err);
+      setMessage({ text: getErrorMessage(err, t('history.loadFailed')), error: true });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory, refreshKey]);
+
+  // Keeps at most two uploads ticked; ticking a third drops the oldest pick
+  const toggleCompare = (id) => {
+    setCompareIds(prev => {
+      if (prev.includes(id)) return prev.filter(other => other !== id);
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const handleActivate = async (entry) => {
+    const when = formatDateTime(entry.uploaded_at);
+    if (!window.confirm(t('history.confirmRollback', { when }))) return;
+    setActivatingId(entry.id);
+    try {
+      const response = await api.post(`/api/upload-history/${entry.id}/activate`, {}, { timeout: 60000 });
+      setMessage({ text: response.data.message || t('history.activated', { when }), error: false });
+      await fetchHistory();
+      onActivated();
+    } catch (err) {
+      console.error('Error rolling back upload:', err);
+      setMessage({ text: getErrorMessage(err, t('history.rollbackFailed')), error: true });
+    } finally {
+      setActivatingId(null);
+    }
+  };
+
+  const employeeName = (id) => {
+    const employee = employees.find(emp => String(emp.Employee_ID) === String(id));
+    return employee ? employee.Employee_Name : t('logPreview.employeeId', { id });
+  };
+
+  // Older upload is the base, newer the target
+  const compared = uploads
+    .filter(entry => compareIds.includes(entry.id))
+    .sort((a, b) => a.uploaded_at.localeCompare(b.uploaded_at));
+  const comparison = compared.length === 2 ? compareUploads(compared[0], compared[1]) : null;
+
+  return (
+    <div className="space-y-4 text-sm text-gray-800 dark:text-gray-100">
+      {message && <p className={message.error ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'}>{message.text}</p>}
+
+      {loading && uploads.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">{t('history.loading')}</p>
+      ) : uploads.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">{t('history.empty')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-300 dark:border-gray-500">
+                <th className="py-2 px-2">{t('history.compare')}</th>
+                <th className="py-2 px-2">{t('history.uploaded')}</th>
+                <th className="py-2 px-2">{t('history.by')}</th>
+                <th className="py-2 px-2">{t('history.files')}</th>
+                <th className="py-2 px-2">{t('logPreview.dateRange')}</th>
+                <th className="py-2 px-2">{t('history.records')}</th>
+                <th className="py-2 px-2">{t('logPreview.employees')}</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {uploads.map(entry => (
+                <tr key={entry.id} className={`border-b border-gray-200 dark:border-gray-600 last:border-b-0 ${entry.active ? 'bg-green-50 dark:bg-gray-700' : ''}`}>
+                  <td className="py-2 px-2">
+                    <input
+                      type="checkbox"
+                      checked={compareIds.includes(entry.id)}
+                      onChange={() => toggleCompare(entry.id)}
+                      aria-label={t('history.compareLabel', { when: formatDateTime(entry.uploaded_at) })}
+                    />
+                  </td>
+                  <td className="py-2 px-2 whitespace-nowrap">
+                    {formatDateTime(entry.uploaded_at)}
+                    {entry.active && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-600 text-white">{t('history.active')}</span>}
+                  </td>
+                  <td className="py-2 px-2">{entry.uploaded_by}</td>
+                  <td className="py-2 px-2">
+                    {entry.files.map(file => (
+                      <div key={`${file.kind}-${file.name}`}>{file.name} <span className="text-gray-500 dark:text-gray-400">({formatBytes(file.size)})</span></div>
+                    ))}
+                  </td>
+                  <td className="py-2 px-2 whitespace-nowrap">{describeDateRange(entry.date_range)}</td>
+                  <td className="py-2 px-2">{formatNumber(entry.record_count)}</td>
+                  <td className="py-2 px-2">{formatNumber(getEmployeeCount(entry))}</td>
+                  <td className="py-2 px-2 whitespace-nowrap space-x-3">
+                    {entry.download_url && (
+                      <a href={`${BACKEND_URL}${entry.download_url}`} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-300 hover:underline">
+                        {t('history.dashboard')}
+                      </a>
+                    )}
+                    {!entry.active && (
+                      <button
+                        onClick={() => handleActivate(entry)}
+                        disabled={!!activatingId}
+                        className="text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                      >
+                        {activatingId === entry.id ? t('history.rollingBack') : t('history.rollBack')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {compareIds.length === 1 && <p className="text-gray-500 dark:text-gray-400">{t('history.tickOneMore')}</p>}
+
+      {comparison && (
+        <div className="p-4 rounded-lg bg-blue-50 dark:bg-gray-700 space-y-3">
+          <p className="font-semibold">
+            {formatDateTime(compared[0].uploaded_at)} &rarr; {formatDateTime(compared[1].uploaded_at)}
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <p>
+              {t('history.recordsChange')} {formatNumber(compared[0].record_count)} &rarr; {formatNumber(compared[1].record_count)}
+              <span className={`ml-1 font-semibold ${changeClass(comparison.recordChange)}`}>({formatChange(comparison.recordChange)})</span>
+            </p>
+            <p>
+              {t('history.employeesChange')} {formatNumber(getEmployeeCount(compared[0]))} &rarr; {formatNumber(getEmployeeCount(compared[1]))}
+              <span className={`ml-1 font-semibold ${changeClass(comparison.employeeChange)}`}>({formatChange(comparison.employeeChange)})</span>
+            </p>
+            <p>
+              {t('history.datesChange')} {describeDateRange(compared[0].date_range)} &rarr; {describeDateRange(compared[1].date_range)}
+              {comparison.dateRangeChanged && <span className="ml-1 font-semibold text-yellow-600 dark:text-yellow-300">{t('history.changed')}</span>}
+            </p>
+          </div>
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-300 dark:border-gray-500">
+                <th className="py-1 px-2">{t('history.employee')}</th>
+                <th className="py-1 px-2">{t('history.older')}</th>
+                <th className="py-1 px-2">{t('history.newer')}</th>
+                <th className="py-1 px-2">{t('history.change')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.employees.map(row => (
+                <tr key={row.employeeId} className="border-b border-gray-200 dark:border-gray-600 last:border-b-0">
+                  <td className="py-1 px-2">{employeeName(row.employeeId)}</td>
+                  <td className="py-1 px-2">{formatNumber(row.base)}</td>
+                  <td className="py-1 px-2">{formatNumber(row.target)}</td>
+                  <td className={`py-1 px-2 font-semibold ${changeClass(row.change)}`}>{formatChange(row.change)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UploadHistory;
@@ -0,0 +1,369 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { BACKEND_URL, getErrorMessage } from '../api';
+import { parseAttendanceLog, getAttendanceLogProblem, getEmployeeFileProblem } from '../attendanceLog';
+import { uploadFile, finishUpload, startProcessing, waitForProcessing, formatBytes } from '../uploads';
+import { queueUpload } from '../offlineStore';
+import { t } from '../i18n';
+import AttendanceLogPreview from './AttendanceLogPreview';
+
+const fileInputClass = `mt-1 block w-full text-sm text-gray-500 dark:text-gray-400
+  file:mr-4 file:py-2 file:px-4
+  file:rounded-full file:border-0
+  file:text-sm file:font-semibold
+  file:bg-blue-50 file:text-blue-700
+  hover:file:bg-blue-100 dark:file:bg-gray-700 dark:file:text-gray-100
+  dark:hover:file:bg-gray-600 cursor-pointer`;
+
+const STATUS_CLASSES = {
+  pending: 'text-gray-500 dark:text-gray-400',
+  uploading: 'text-blue-600 dark:text-blue-300',
+  processing: 'text-yellow-600 dark:text-yellow-300',
+  uploaded: 'text-green-600 dark:text-green-400',
+  queued: 'text-yellow-600 dark:text-yellow-300',
+  done: 'text-green-600 dark:text-green-400',
+  failed: 'text-red-600 dark:text-red-400',
+};
+
+let nextItemId = 1;
+
+// Reads an attendance log in the browser so problems show up before anything is sent
+const previewAttendanceFile = async (file) => {
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const parsed = parseAttendanceLog(new TextDecoder().decode(bytes));
+    return { fileName: file.name, parsed, problem: getAttendanceLogProblem(file.name, bytes, parsed) };
+  } catch (err) {
+    console.error('Error reading attendance file:', err);
+    return { fileName: file.name, parsed: parseAttendanceLog(''), problem: t('upload.couldNotRead', { fileName: file.name, message: err.message }) };
+  }
+};
+
+// One row of the batch: name, bytes sent, status and an optional log preview
+function UploadItem({ item, canRemove, onRemove }) {
+  const [showPreview, setShowPreview] = useState(false);
+  const percent = item.file.size > 0 ? Math.round((item.sent / item.file.size) * 100) : 100;
+  const problem = item.problem || (item.preview && item.preview.problem);
+
+  return (
+    <li className="py-3 border-b border-gray-200 dark:border-gray-700 last:border-b-0">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-semibold text-gray-800 dark:text-gray-100 break-all">{item.file.name}</span>
+        <span className="text-gray-500 dark:text-gray-400">{item.kind === 'employee' ? t('upload.kind.employee') : t('upload.kind.attendance')}, {formatBytes(item.file.size)}</span>
+        <span className={`ml-auto font-semibold ${problem ? STATUS_CLASSES.failed : STATUS_CLASSES[item.status]}`}>
+          {problem ? t('upload.status.blocked') : t(`upload.status.${item.status}`)}
+          {item.status === 'uploading' && ` ${percent}%`}
+        </span>
+        {item.preview && (
+          <button onClick={() => setShowPreview(prev => !prev)} className="text-blue-600 dark:text-blue-300 hover:underline">
+            {showPreview ? t('upload.hidePreview') : t('upload.preview')}
+          </button>
+        )}
+        {canRemove && (
+          <button onClick={() => onRemove(item.id)} className="text-red-600 dark:text-red-400 hover:underline">{t('common.remove')}</button>
+        )}
+      </div>
+
+      {/* Bytes sent */}
+      <div
+        className="mt-2 h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden"
+        role="progressbar"
+        aria-label={t('upload.progressLabel', { fileName: item.file.name })}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div
+          className={`h-full transition-all duration-200 ${item.status === 'failed' ? 'bg-red-500' : 'bg-green-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      {/* Processing status, separate from the byte count */}
+      {item.status === 'processing' && (
+        <p className="mt-1 text-xs text-yellow-700 dark:text-yellow-300 flex items-center gap-2">
+          <svg className="animate-spin h-3 w-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"></path>
+          </svg>
+          {item.message || t('upload.processingOnServer')}
+        </p>
+      )}
+      {item.status !== 'processing' && item.message && (
+        <p className={`mt-1 text-xs ${STATUS_CLASSES[item.status]}`}>
+          {item.message}
+          {item.downloadUrl && (
+            <a href={item.downloadUrl} target="_blank" rel="noopener noreferrer" className="ml-2 text-blue-600 dark:text-blue-300 underline hover:no-underline">
+              {t('upload.downloadDashboard')}
+            </a>
+          )}
+        </p>
+      )}
+      {problem && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{t('upload.blocked', { problem })}</p>}
+
+      {showPreview && item.preview && (
+        <div className="mt-3">
+          <AttendanceLogPreview {...item.preview} />
+        </div>
+      )}
+    </li>
+  );
+}
+
+// Admin upload panel: one employee data file plus a batch of attendance logs
+// (one per terminal or per month). Files go up in resumable chunks and each
+// log is then processed on the server, with per-file progress and results.
+// Without a connection the batch is queued and sent later (see onQueued).
+function UploadPanel({ variants, onUploaded, onQueued }) {
+  const [employeeItem, setEmployeeItem] = useState(null);
+  const [attendanceItems, setAttendanceItems] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState(null); // { text, error }
+  const abortRef = useRef(null); // Aborted on unmount, so nothing keeps uploading or polling for a panel that's gone
+
+  useEffect(() => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  const updateEmployeeItem = (changes) => setEmployeeItem(prev => ({ ...prev, ...changes }));
+  const updateAttendanceItem = (id, changes) => {
+    setAttendanceItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const handleEmployeeFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    setMessage(null);
+    if (!file) return;
+    const item = { id: nextItemId++, kind: 'employee', file, status: 'pending', sent: 0, message: '', problem: '' };
+    setEmployeeItem(item);
+    try {
+      const problem = getEmployeeFileProblem(file.name, new Uint8Array(await file.slice(0, 4096).arrayBuffer()));
+      setEmployeeItem(prev => (prev && prev.id === item.id ? { ...prev, problem } : prev));
+    } catch (err) {
+      console.error('Error reading employee file:', err);
+      setEmployeeItem(prev => (prev && prev.id === item.id ? { ...prev, problem: t('upload.couldNotRead', { fileName: file.name, message: err.message }) } : prev));
+    }
+  };
+
+  // Adds the chosen logs to the batch; each is previewed as it is read
+  const handleAttendanceFilesChange = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setMessage(null);
+    const items = files.map(file => ({ id: nextItemId++, kind: 'attendance', file, status: 'pending', sent: 0, message: '', preview: null }));
+    setAttendanceItems(prev => [...prev, ...items]);
+    for (const item of items) {
+      updateAttendanceItem(item.id, { preview: await previewAttendanceFile(item.file) });
+    }
+  };
+
+  const handleRemove = (id) => {
+    setAttendanceItems(prev => prev.filter(item => item.id !== id));
+  };
+
+  const handleClear = () => {
+    setEmployeeItem(null);
+    setAttendanceItems([]);
+    setMessage(null);
+  };
+
+  const stillReading = attendanceItems.some(item => !item.preview);
+  const blockedItem = attendanceItems.find(item => item.preview && item.preview.problem);
+  const blockingProblem = (employeeItem && employeeItem.problem) || (blockedItem ? blockedItem.preview.problem : '');
+  const remaining = attendanceItems.filter(item => item.status !== 'done' && item.status !== 'queued');
+
+  // Hands the logs to the offline queue; App sends them when the connection returns
+  const queueForLater = async (items) => {
+    try {
+      await queueUpload(employeeItem.file, items.map(item => item.file));
+      items.forEach(item => updateAttendanceItem(item.id, { status: 'queued', message: t('upload.willUploadOnline') }));
+      updateEmployeeItem({ status: 'queued', message: '' });
+      setMessage({ text: t('upload.queuedOffline', { count: items.length }), error: false });
+      onQueued();
+    } catch (err) {
+      console.error('Error queueing upload:', err);
+      setMessage({ text: t('upload.queueFailed', { message: err.message }), error: true });
+    }
+  };
+
+  // Uploads the employee file once, then each attendance log in turn. Files that
+  // already finished are skipped, so running it again retries only the failures.
+  const handleUpload = async () => {
+    if (!employeeItem || attendanceItems.length === 0) {
+      setMessage({ text: t('upload.selectFiles'), error: false });
+      return;
+    }
+    if (blockingProblem) {
+      setMessage({ text: t('upload.error', { message: blockingProblem }), error: true });
+      return;
+    }
+
+    setUploading(true);
+    setMessage(null);
+    if (!navigator.onLine) {
+      await queueForLater(remaining);
+      setUploading(false);
+      return;
+    }
+    let employeeUploadId = employeeItem.uploadId;
+    try {
+      if (!employeeUploadId) {
+        updateEmployeeItem({ status: 'uploading', message: '' });
+        employeeUploadId = await uploadFile(
+          employeeItem.file,
+          'employee',
+          (sent) => updateEmployeeItem({ sent }),
+          (attempt, maxAttempts) => updateEmployeeItem({ message: t('upload.retrying', { attempt, maxAttempts }) }),
+          abortRef.current.signal
+        );
+        updateEmployeeItem({ status: 'uploaded', uploadId: employeeUploadId, sent: employeeItem.file.size, message: '' });
+      }
+    } catch (err) {
+      if (abortRef.current.signal.aborted) return;
+      console.error('Error uploading employee file:', err);
+      if (!navigator.onLine) {
+        await queueForLater(remaining);
+        setUploading(false);
+        return;
+      }
+      updateEmployeeItem({ status: 'failed', message: t('upload.retryHint', { message: getErrorMessage(err, t('upload.failed')) }) });
+      setMessage({ text: t('upload.employeeFailed'), error: true });
+      setUploading(false);
+      return;
+    }
+
+    let succeeded = 0;
+    const failedItems = [];
+    for (const item of remaining) {
+      try {
+        updateAttendanceItem(item.id, { status: 'uploading', message: '' });
+        const uploadId = item.uploadId || await uploadFile(
+          item.file,
+          'attendance',
+          (sent) => updateAttendanceItem(item.id, { sent }),
+          (attempt, maxAttempts) => updateAttendanceItem(item.id, { message: t('upload.retrying', { attempt, maxAttempts }) }),
+          abortRef.current.signal
+        );
+        updateAttendanceItem(item.id, { status: 'processing', uploadId, sent: item.file.size, message: t('upload.queuedForProcessing') });
+        const jobId = await startProcessing(employeeUploadId, uploadId);
+        const job = await waitForProcessing(jobId, (update) => updateAttendanceItem(item.id, { message: update.message }), abortRef.current.signal);
+        finishUpload(item.file);
+        updateAttendanceItem(item.id, {
+          status: 'done',
+          message: job.message || t('upload.processed'),
+          downloadUrl: job.download_url ? `${BACKEND_URL}${job.download_url}` : '',
+        });
+        succeeded++;
+      } catch (err) {
+        if (abortRef.current.signal.aborted) return;
+        console.error(`Error uploading ${item.file.name}:`, err);
+        updateAttendanceItem(item.id, { status: 'failed', message: t('upload.retryHint', { message: getErrorMessage(err, t('upload.failed')) }) });
+        failedItems.push(item);
+      }
+    }
+    const failed = failedItems.length;
+    if (failed === 0) finishUpload(employeeItem.file);
+
+    setUploading(false);
+    if (failed > 0 && !navigator.onLine) {
+      // The connection dropped partway; the resume ids let the queued files carry on where they stopped
+      await queueForLater(failedItems);
+      if (succeeded > 0) onUploaded();
+      return;
+    }
+    setMessage(failed > 0
+      ? { text: t('upload.batchFailed', { failed, count: succeeded + failed }), error: true }
+      : { text: t('upload.batchDone', { count: succeeded }), error: false });
+    if (succeeded > 0) onUploaded();
+  };
+
+  return (
+    <motion.div variants={variants} className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl mb-8">
+      <div className="flex flex-col md:flex-row items-center space-y-4 md:space-y-0 md:space-x-4">
+        <h2 className="text-xl font-semibold text-blue-700 dark:text-blue-300 mr-auto md:mr-4">{t('upload.title')}</h2>
+
+        <div className="flex flex-col sm:flex-row gap-4 w-full md:w-auto">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('upload.employeeFile')}
+            <input
+              type="file"
+              onChange={handleEmployeeFileChange}
+              disabled={uploading}
+              className={fileInputClass}
+              aria-label={t('upload.employeeFileLabel')}
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('upload.attendanceFiles')}
+            <input
+              type="file"
+              accept=".dat,.txt" // Allow both .dat and .txt for attendance
+              multiple
+              onChange={handleAttendanceFilesChange}
+              disabled={uploading}
+              className={fileInputClass}
+              aria-label={t('upload.attendanceFilesLabel')}
+            />
+          </label>
+        </div>
+
+        <motion.button
+          whileHover={{ scale: 1.05, boxShadow: "0px 8px 15px rgba(0, 0, 0, 0.2)" }}
+          whileTap={{ scale: 0.95 }}
+          onClick={handleUpload}
+          disabled={!employeeItem || remaining.length === 0 || stillReading || !!blockingProblem || uploading}
+          className="px-6 py-3 bg-green-600 text-white font-semibold rounded-xl hover:bg-green-700 focus:outline-none focus:ring-4 focus:ring-green-300 dark:bg-green-700 dark:hover:bg-green-600 dark:focus:ring-green-800 shadow-md flex items-center justify-center space-x-2 transition duration-200 ease-in-out w-full md:w-auto disabled:opacity-60"
+        >
+          {uploading ? (
+            <>
+              <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              </svg>
+              <span>{t('upload.uploading')}</span>
+            </>
+          ) : (
+            <>
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M3 17a1 1 0 01-1-1V6a1 1 0 011-1h5.172a2 2 0 011.414.586l2.828 2.828a2 2 0 001.414.586H17a1 1 0 011 1v6a1 1 0 01-1 1H3zm0-2h14V9h-3.172a2 2 0 00-1.414-.586L9.172 5.414A2 2 0 017.758 5H3v10z" clipRule="evenodd" />
+              </svg>
+              <span>{attendanceItems.some(item => item.status === 'failed') ? t('upload.retryFailed') : t('upload.submit')}</span>
+            </>
+          )}
+        </motion.button>
+      </div>
+
+      {(employeeItem || attendanceItems.length > 0) && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+              {t('upload.batch', { count: attendanceItems.length })}
+            </p>
+            {!uploading && (
+              <button onClick={handleClear} className="text-sm text-gray-600 dark:text-gray-300 hover:underline">{t('upload.clear')}</button>
+            )}
+          </div>
+          <ul>
+            {employeeItem && <UploadItem item={employeeItem} canRemove={false} onRemove={handleRemove} />}
+            {attendanceItems.map(item => (
+              <UploadItem key={item.id} item={item} canRemove={!uploading && item.status !== 'done'} onRemove={handleRemove} />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {message && (
+        <p className={`mt-4 p-3 rounded-lg text-sm ${
+          message.error ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+        }`}>
+          {message.text}
+        </p>
+      )}
+    </motion.div>
+  );
+}
+
+export default UploadPanel;
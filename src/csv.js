@@ -0,0 +1,37 @@
+// Small CSV helpers shared by the importers (holidays, leave) and the exports.
+
+// Splits one CSV line, honouring double-quoted fields
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+// Non-empty lines of a CSV file, each split into fields
+export const parseCsvRows = (text) => text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(splitCsvLine);
+
+// Quotes a field when it holds a comma, quote or line break
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsvRows = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
@@ -0,0 +1,109 @@
+import api from './api';
+import { parseCsvRows } from './csv';
+import { t } from './i18n';
+
+// Department, team, designation and reporting manager ride along on each
+// employee from /api/employees as Department, Team, Designation and
+// Manager_ID (the manager's Employee_ID). Admins edit them one at a time or
+// import a CSV; searches can be narrowed to a department and team.
+
+// What the backend takes for one employee: { department, team, designation, managerId }
+export const getEmployeeDetails = (employee) => ({
+  department: employee.Department || '',
+  team: employee.Team || '',
+  designation: employee.Designation || '',
+  managerId: employee.Manager_ID || '',
+});
+
+export const saveEmployeeDetails = async (employeeId, details) => {
+  const response = await api.put(`/api/employees/${encodeURIComponent(employeeId)}`, details, { timeout: 15000 });
+  return response.data;
+};
+
+// [{ employeeId, department, team, designation, managerId }] -> { imported, errors }
+export const importEmployeeDetails = async (rows) => {
+  const response = await api.post('/api/employees/import', { employees: rows }, { timeout: 60000 });
+  return { imported: response.data.imported, errors: response.data.errors || [] };
+};
+
+const distinctSorted = (values) => Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+
+export const getDepartments = (employees) => distinctSorted(employees.map(e => e.Department));
+
+// Teams in one department, or in all of them
+export const getTeams = (employees, department = '') =>
+  distinctSorted(employees.filter(e => !department || e.Department === department).map(e => e.Team));
+
+export const isInGroup = (employee, { department = '', team = '' } = {}) =>
+  (!department || employee.Department === department) && (!team || employee.Team === team);
+
+// `groupBy` is 'department' or 'team'; employees without one are grouped as unassigned
+export const getEmployeeGroup = (employee, groupBy) =>
+  (employee && (groupBy === 'team' ? employee.Team : employee.Department)) || t('employeeDetails.unassigned');
+
+// Index of the first header containing one of the names, trying names in order
+const findColumn = (header, names) => {
+  for (const name of names) {
+    const index = header.findIndex(h => h.includes(name));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+// Reads an HR employee export. Needs an employee ID column and at least one of
+// department, team, designation and manager; columns the file doesn't have keep
+// their current values. Managers can be given by ID or by name.
+// Returns { rows, errors } with errors naming the offending lines.
+export const parseEmployeeDetailsCsv = (text, employees) => {
+  const rows = parseCsvRows(text);
+  const parsed = [];
+  const errors = [];
+  if (rows.length === 0) return { rows: parsed, errors: [t('employeeDetails.import.empty')] };
+
+  const header = rows[0].map(h => h.toLowerCase().replace(/[_-]/g, ' '));
+  const managerIndex = findColumn(header, ['manager id', 'manager code', 'reporting manager', 'reports to', 'manager']);
+  // "Manager ID" also contains "id", so the employee column skips it
+  const employeeIndex = findColumn(header.map((h, index) => (index === managerIndex ? '' : h)), ['employee id', 'emp id', 'employee code', 'emp code', 'employee']);
+  const departmentIndex = findColumn(header, ['department', 'dept']);
+  const teamIndex = findColumn(header, ['team']);
+  const designationIndex = findColumn(header, ['designation', 'title', 'role']);
+
+  if (employeeIndex === -1 || [departmentIndex, teamIndex, designationIndex, managerIndex].every(index => index === -1)) {
+    return { rows: parsed, errors: [t('employeeDetails.import.badHeader')] };
+  }
+
+  const findManager = (value) => {
+    const text = value.toLowerCase();
+    return employees.find(e => String(e.Employee_ID).toLowerCase() === text || (e.Employee_Name || '').toLowerCase() === text);
+  };
+  const cell = (row, index, fallback) => (index === -1 ? fallback : (row[index] || '').trim());
+
+  rows.slice(1).forEach((row, index) => {
+    const lineNumber = index + 2;
+    const employeeId = (row[employeeIndex] || '').trim();
+    const employee = employees.find(e => String(e.Employee_ID) === employeeId);
+    if (!employeeId) {
+      errors.push(t('employeeDetails.import.missingEmployee', { line: lineNumber }));
+      return;
+    }
+    if (!employee) {
+      errors.push(t('employeeDetails.import.unknownEmployee', { line: lineNumber, id: employeeId }));
+      return;
+    }
+    const current = getEmployeeDetails(employee);
+    const managerText = cell(row, managerIndex, '');
+    const manager = managerText ? findManager(managerText) : null;
+    if (managerText && !manager) {
+      errors.push(t('employeeDetails.import.unknownManager', { line: lineNumber, value: managerText }));
+      return;
+    }
+    parsed.push({
+      employeeId,
+      department: cell(row, departmentIndex, current.department),
+      team: cell(row, teamIndex, current.team),
+      designation: cell(row, designationIndex, current.designation),
+      managerId: managerIndex === -1 ? current.managerId : (manager ? String(manager.Employee_ID) : ''),
+    });
+  });
+  return { rows: parsed, errors };
+};
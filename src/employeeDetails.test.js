@@ -0,0 +1,84 @@
+import { parseEmployeeDetailsCsv, getDepartments, getTeams, isInGroup, getEmployeeGroup } from './employeeDetails';
+
+// Only the parsing is tested here; nothing talks to the backend
+jest.mock('./api', () => ({ __esModule: true, default: {} }));
+
+const employees = [
+  { Employee_ID: 101, Employee_Name: 'Kavya Shetty', Department: 'Engineering', Team: '', Designation: 'Director', Manager_ID: '' },
+  { Employee_ID: 103, Employee_Name: 'Priya Menon', Department: 'Engineering', Team: 'Robotics', Designation: 'Engineer', Manager_ID: '101' },
+  { Employee_ID: 104, Employee_Name: 'Rahul Nair', Department: 'Operations', Team: 'Facilities', Designation: 'Technician', Manager_ID: '' },
+];
+
+describe('parseEmployeeDetailsCsv', () => {
+  it('reads every column and finds managers by ID or name', () => {
+    const csv = [
+      'Employee ID,Department,Team,Designation,Manager ID',
+      '103,Engineering,Vision,Senior Engineer,101',
+      '104,Operations,Facilities,Supervisor,kavya shetty',
+    ].join('\n');
+    expect(parseEmployeeDetailsCsv(csv, employees)).toEqual({
+      rows: [
+        { employeeId: '103', department: 'Engineering', team: 'Vision', designation: 'Senior Engineer', managerId: '101' },
+        { employeeId: '104', department: 'Operations', team: 'Facilities', designation: 'Supervisor', managerId: '101' },
+      ],
+      errors: [],
+    });
+  });
+
+  it('does not take the manager ID column for the employee column', () => {
+    const { rows } = parseEmployeeDetailsCsv('Manager_ID,Emp_Code,Dept\n101,104,Engineering\n', employees);
+    expect(rows).toEqual([{ employeeId: '104', department: 'Engineering', team: 'Facilities', designation: 'Technician', managerId: '101' }]);
+  });
+
+  it('keeps current values for columns the file does not have', () => {
+    const { rows } = parseEmployeeDetailsCsv('Employee Code,Title\n103,Lead Engineer\n', employees);
+    expect(rows).toEqual([{ employeeId: '103', department: 'Engineering', team: 'Robotics', designation: 'Lead Engineer', managerId: '101' }]);
+  });
+
+  it('clears the manager when the manager cell is blank', () => {
+    const { rows } = parseEmployeeDetailsCsv('Employee ID,Reports To\n103,\n', employees);
+    expect(rows[0].managerId).toBe('');
+  });
+
+  it('names the line of each bad row and keeps the good ones', () => {
+    const csv = [
+      'Employee ID,Department,Reporting Manager',
+      ',Engineering,',
+      '999,Engineering,',
+      '103,Engineering,Nobody Known',
+      '104,Operations,103',
+    ].join('\n');
+    const { rows, errors } = parseEmployeeDetailsCsv(csv, employees);
+    expect(rows.map(row => row.employeeId)).toEqual(['104']);
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch('2');
+    expect(errors[1]).toMatch('999');
+    expect(errors[2]).toMatch('Nobody Known');
+  });
+
+  it('rejects a file without an employee column or any detail column', () => {
+    expect(parseEmployeeDetailsCsv('Department,Team\nEngineering,Robotics\n', employees).errors).toHaveLength(1);
+    expect(parseEmployeeDetailsCsv('Employee ID,Name\n103,Priya\n', employees).errors).toHaveLength(1);
+    expect(parseEmployeeDetailsCsv('', employees)).toEqual({ rows: [], errors: [expect.any(String)] });
+  });
+});
+
+describe('departments and teams', () => {
+  it('lists each once, sorted, skipping blanks', () => {
+    expect(getDepartments(employees)).toEqual(['Engineering', 'Operations']);
+    expect(getTeams(employees)).toEqual(['Facilities', 'Robotics']);
+    expect(getTeams(employees, 'Engineering')).toEqual(['Robotics']);
+  });
+
+  it('matches employees to a department and team', () => {
+    expect(isInGroup(employees[1], { department: 'Engineering', team: 'Robotics' })).toBe(true);
+    expect(isInGroup(employees[0], { department: 'Engineering', team: 'Robotics' })).toBe(false);
+    expect(isInGroup(employees[2])).toBe(true);
+  });
+
+  it('groups employees without a team as unassigned', () => {
+    expect(getEmployeeGroup(employees[1], 'team')).toBe('Robotics');
+    expect(getEmployeeGroup(employees[0], 'team')).not.toBe('');
+    expect(getEmployeeGroup(employees[0], 'department')).toBe('Engineering');
+  });
+});
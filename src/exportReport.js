@@ -0,0 +1,223 @@
+import * as XLSX from 'xlsx';
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import { formatCsvRows } from './csv';
+
+// Client-side exports of what the dashboard is showing. Every file starts with
+// the filters behind the data so payroll can tell exactly what was exported.
+//
+// filters: { employeeId, employeeName, employeeIds, fromDate, toDate, department, team, generatedBy, generatedAt }
+
+const pickedSeveral = (filters) => !!filters.employeeIds && filters.employeeIds.length > 1;
+
+export const describeFilters = (filters) => [
+  pickedSeveral(filters)
+    ? ['Employees', filters.employeeIds.join(', ')]
+    : ['Employee', filters.employeeId ? `${filters.employeeName || filters.employeeId} (ID: ${filters.employeeId})` : 'All employees'],
+  ...(filters.department ? [['Department', filters.department]] : []),
+  ...(filters.team ? [['Team', filters.team]] : []),
+  ['From Date', filters.fromDate || 'Any'],
+  ['To Date', filters.toDate || 'Any'],
+  ['Generated By', filters.generatedBy || ''],
+  ['Generated At', filters.generatedAt.toLocaleString()],
+];
+
+// attendance_101_2025-01-01_to_2025-01-31.csv
+export const getExportFileName = (filters, extension) => {
+  const picked = pickedSeveral(filters) ? filters.employeeIds.join('-') : filters.employeeId;
+  const who = picked ? String(picked).replace(/[^\w-]/g, '_') : 'all';
+  const range = `${filters.fromDate || 'start'}_to_${filters.toDate || 'today'}`;
+  return `attendance_${who}_${range}.${extension}`;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Filter block, a blank line, then the table
+const buildSheetRows = (filters, headers, rows) => [
+  ...describeFilters(filters),
+  [],
+  headers,
+  ...rows,
+];
+
+export const exportCsv = (filters, headers, rows) => {
+  // Leading BOM so Excel opens the file as UTF-8
+  const csv = '\uFEFF' + formatCsvRows(buildSheetRows(filters, headers, rows));
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), getExportFileName(filters, 'csv'));
+};
+
+export const exportXlsx = (filters, headers, rows) => {
+  const sheet = XLSX.utils.aoa_to_sheet(buildSheetRows(filters, headers, rows));
+  sheet['!cols'] = headers.map(header => ({ wch: Math.max(12, header.length + 2) }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Attendance');
+  XLSX.writeFile(workbook, getExportFileName(filters, 'xlsx'));
+};
+
+// Payroll import files are the bare table with the header row first, since the
+// payroll software maps columns by position: no filter block and no BOM.
+export const exportPayroll = (format, period, headers, rows) => {
+  const fileName = `payroll_${period.fromDate}_to_${period.toDate}.${format}`;
+  if (format === 'csv') {
+    downloadBlob(new Blob([formatCsvRows([headers, ...rows])], { type: 'text/csv;charset=utf-8' }), fileName);
+    return;
+  }
+  const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  sheet['!cols'] = headers.map(header => ({ wch: Math.max(12, header.length + 2) }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Payroll');
+  XLSX.writeFile(workbook, fileName);
+};
+
+// PNG snapshots of the chart canvases inside `container`. Chart.js canvases are
+// transparent, so each one is painted onto `background` first.
+export const captureCharts = (container, background = '#FFFFFF') => {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('canvas')).map(canvas => {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const context = copy.getContext('2d');
+    context.fillStyle = background;
+    context.fillRect(0, 0, copy.width, copy.height);
+    context.drawImage(canvas, 0, 0);
+    return { image: copy.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+  });
+};
+
+// The tables of chart cards switched to "View as table" inside `container`,
+// which have no canvas for captureCharts, as { title, headers, rows }
+export const captureChartTables = (container) => {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('table[data-chart-table]')).map(table => ({
+    title: table.caption ? table.caption.textContent : '',
+    headers: Array.from(table.tHead.rows[0].cells, cell => cell.textContent),
+    rows: Array.from(table.tBodies[0].rows, row => Array.from(row.cells, cell => cell.textContent)),
+  }));
+};
+
+// A4 report: filters, summary figures, date lists, charts, then the records.
+//
+// report: {
+//   title,
+//   summary: [[label, value]],
+//   lists: [{ title, items: [string] }],
+//   tables: [{ title, headers, rows }],   // drawn before the charts
+//   charts: from captureCharts,
+//   headers, rows                        // the records table
+// }
+export const exportPdf = (filters, report) => {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 40;
+  const contentWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(30);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(text, margin, y + 12);
+    y += 22;
+  };
+
+  const keyValueTable = (rows) => {
+    autoTable(doc, {
+      startY: y,
+      body: rows,
+      theme: 'plain',
+      margin: { left: margin, right: margin },
+      styles: { fontSize: 10, cellPadding: 3 },
+      columnStyles: { 0: { fontStyle: 'bold', cellWidth: 140 } },
+    });
+    y = doc.lastAutoTable.finalY + 16;
+  };
+
+  const dataTable = (headers, rows) => {
+    autoTable(doc, {
+      startY: y,
+      head: [headers],
+      body: rows,
+      margin: { left: margin, right: margin },
+      styles: { fontSize: 8, cellPadding: 3 },
+      headStyles: { fillColor: [37, 99, 235] },
+    });
+    y = doc.lastAutoTable.finalY + 16;
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(report.title || 'Attendance Report', margin, y + 14);
+  y += 30;
+  keyValueTable(describeFilters(filters));
+
+  if (report.summary && report.summary.length > 0) {
+    heading('Summary');
+    keyValueTable(report.summary);
+  }
+
+  (report.lists || []).forEach(list => {
+    heading(`${list.title} (${list.items.length})`);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    if (list.items.length === 0) {
+      doc.text('None', margin, y + 10);
+      y += 18;
+    }
+    list.items.forEach(item => {
+      ensureSpace(14);
+      doc.text(`- ${item}`, margin, y + 10);
+      y += 14;
+    });
+    y += 8;
+  });
+
+  (report.tables || []).forEach(table => {
+    heading(table.title);
+    dataTable(table.headers, table.rows);
+  });
+
+  if (report.charts && report.charts.length > 0) {
+    heading('Charts');
+    report.charts.forEach(chart => {
+      const height = Math.min(contentWidth * (chart.height / chart.width), 280);
+      const width = height * (chart.width / chart.height);
+      ensureSpace(height + 12);
+      doc.addImage(chart.image, 'PNG', margin + (contentWidth - width) / 2, y, width, height);
+      y += height + 12;
+    });
+  }
+
+  if (report.rows && report.rows.length > 0) {
+    heading('Attendance Records');
+    dataTable(report.headers, report.rows);
+  }
+
+  // Page numbers once the page count is known
+  const pageCount = doc.getNumberOfPages();
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - 20, { align: 'right' });
+  }
+
+  doc.save(getExportFileName(filters, 'pdf'));
+};
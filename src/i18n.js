@@ -0,0 +1,116 @@
+import en from './locales/en';
+import hi from './locales/hi';
+import kn from './locales/kn';
+
+// UI strings and locale-aware formatting.
+//
+// Strings are looked up by key in the current language's dictionary under
+// src/locales, falling back to English and then to the key itself, so a
+// missing translation shows English rather than nothing. `{name}` in a string
+// is filled from params, and a numeric `count` param picks the language's
+// plural form (`key_one`, `key_other`, ...) when the dictionary has one.
+//
+// The current language is module state, like the session in auth.js, so label
+// tables and validators outside React can translate too. App mirrors it in
+// state so that switching language re-renders everything.
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', locale: 'en-IN' },
+  { id: 'hi', label: 'हिन्दी', locale: 'hi-IN' },
+  { id: 'kn', label: 'ಕನ್ನಡ', locale: 'kn-IN' },
+];
+
+const DICTIONARIES = { en, hi, kn };
+const LANGUAGE_KEY = 'biometric_language';
+
+const loadLanguage = () => {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_KEY);
+    return DICTIONARIES[stored] ? stored : 'en';
+  } catch (err) {
+    return 'en';
+  }
+};
+
+let currentLanguage = loadLanguage();
+
+const localeOf = (language) => LANGUAGES.find(l => l.id === language).locale;
+
+export const getLanguage = () => currentLanguage;
+
+export const getLocale = () => localeOf(currentLanguage);
+
+export const setLanguage = (language) => {
+  if (!DICTIONARIES[language]) return;
+  currentLanguage = language;
+  localStorage.setItem(LANGUAGE_KEY, language);
+};
+
+// Runs `build` in another language and returns its result. Exports use this
+// to stay in English whatever the UI shows.
+export const withLanguage = (language, build) => {
+  const previous = currentLanguage;
+  currentLanguage = language;
+  try {
+    return build();
+  } finally {
+    currentLanguage = previous;
+  }
+};
+
+const lookup = (language, key, count) => {
+  const dictionary = DICTIONARIES[language];
+  if (typeof count === 'number') {
+    const form = new Intl.PluralRules(localeOf(language)).select(count);
+    if (dictionary[`${key}_${form}`] !== undefined) return dictionary[`${key}_${form}`];
+    if (dictionary[`${key}_other`] !== undefined) return dictionary[`${key}_other`];
+  }
+  return dictionary[key];
+};
+
+export const t = (key, params = {}) => {
+  const template = lookup(currentLanguage, key, params.count) ?? lookup('en', key, params.count) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
+
+// --- Formatting in the current language's locale ---
+
+export const formatNumber = (value, fractionDigits) => new Intl.NumberFormat(
+  getLocale(),
+  fractionDigits === undefined ? {} : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }
+).format(value);
+
+// "YYYY-MM-DD" calendar dates are formatted at UTC midnight, so the viewer's
+// time zone can't move them to the previous day
+export const formatDate = (dateStr, options = { day: 'numeric', month: 'short', year: 'numeric' }) => (
+  new Intl.DateTimeFormat(getLocale(), { ...options, timeZone: 'UTC' }).format(new Date(`${dateStr}T00:00:00Z`))
+);
+
+// Short chart label, "Mon, 06 Apr" in English
+export const formatDateLabel = (dateStr) => formatDate(dateStr, { weekday: 'short', day: '2-digit', month: 'short' });
+
+export const formatWeekday = (dateStr) => formatDate(dateStr, { weekday: 'long' });
+
+// 0 (Sunday) to 6 (Saturday); 2023-01-01 was a Sunday. `width` is 'long',
+// 'short' or 'narrow' as in Intl.DateTimeFormat.
+export const formatWeekdayIndex = (weekday, width = 'long') => formatDate(`2023-01-0${weekday + 1}`, { weekday: width });
+
+export const formatMonth = (dateStr) => formatDate(dateStr, { month: 'long', year: 'numeric' });
+
+// Hours since midnight (9.5) or an "HH:MM[:SS]" punch as a clock time. Values
+// past midnight wrap; anything that isn't a time comes back unchanged.
+export const formatTime = (value) => {
+  let hours = value;
+  if (typeof value === 'string') {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value.trim());
+    if (!match) return value;
+    hours = Number(match[1]) + Number(match[2]) / 60;
+  }
+  if (typeof hours !== 'number' || Number.isNaN(hours)) return value;
+  const totalMinutes = Math.round((((hours % 24) + 24) % 24) * 60);
+  return new Intl.DateTimeFormat(getLocale(), { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(1970, 0, 1, 0, totalMinutes)));
+};
+
+// A moment (Date or ms) in the viewer's own time zone
+export const formatDateTime = (time) => new Date(time).toLocaleString(getLocale());
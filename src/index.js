@@ -1,7 +1,25 @@
 
 import React from 'react';
 import ReactDOM from 'react-dom';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App';
 import './index.css';
 
-ReactDOM.render(<App />, document.getElementById('root'));
+ReactDOM.render(
+  <BrowserRouter>
+    <App />
+  </BrowserRouter>,
+  document.getElementById('root')
+);
+
+// The service worker keeps the app shell loading without a network. Only in
+// production builds, where the dev server's hot reloading won't fight it.
+// REACT_APP_BUILD_ID (set by `npm run build`) names its cache, so each deploy
+// installs a fresh worker that drops the previous build's files.
+if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    const build = encodeURIComponent(process.env.REACT_APP_BUILD_ID || 'dev');
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js?build=${build}`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
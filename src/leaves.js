@@ -0,0 +1,129 @@
+import { parseCsvRows } from './csv';
+import { normalizeDate, isNonWorkingDay, DEFAULT_WORK_CALENDAR } from './workCalendar';
+import { addDays } from './calendarDates';
+import { t } from './i18n';
+
+// Leave records are { id, employeeId, type, fromDate, toDate, reason } with
+// inclusive "YYYY-MM-DD" dates. Each type draws on a yearly balance:
+// `balance` names the entitlement it uses and `days` what one day costs.
+// Labels are getters so they follow the current language.
+export const LEAVE_TYPES = [
+  { id: 'sick', get label() { return t('leave.type.sick'); }, balance: 'sick', days: 1, color: '#9C27B0' },
+  { id: 'casual', get label() { return t('leave.type.casual'); }, balance: 'casual', days: 1, color: '#3F51B5' },
+  { id: 'earned', get label() { return t('leave.type.earned'); }, balance: 'earned', days: 1, color: '#009688' },
+  { id: 'half_day', get label() { return t('leave.type.half_day'); }, balance: 'casual', days: 0.5, color: '#795548' },
+  { id: 'on_duty', get label() { return t('leave.type.on_duty'); }, balance: null, days: 1, color: '#607D8B' },
+];
+
+// Yearly entitlements used until the backend sends its own
+export const DEFAULT_LEAVE_ENTITLEMENTS = {
+  sick: 12,
+  casual: 12,
+  earned: 18,
+};
+
+export const getLeaveType = (typeId) => LEAVE_TYPES.find(type => type.id === typeId) || null;
+
+// Every working day a leave covers; weekly offs and holidays are not charged.
+export const getLeaveDates = (leave, calendar = DEFAULT_WORK_CALENDAR) => {
+  const dates = [];
+  if (!leave.fromDate || !leave.toDate) return dates;
+  for (let date = leave.fromDate; date <= leave.toDate; date = addDays(date, 1)) {
+    if (!isNonWorkingDay(date, calendar)) dates.push(date);
+  }
+  return dates;
+};
+
+// Map of "employeeId|date" -> leave, for reconciling absences
+export const indexLeavesByDate = (leaves, calendar) => {
+  const index = new Map();
+  leaves.forEach(leave => {
+    getLeaveDates(leave, calendar).forEach(date => index.set(`${leave.employeeId}|${date}`, leave));
+  });
+  return index;
+};
+
+// Used and remaining days per balance for one employee's leaves in a year.
+export const computeLeaveBalances = (leaves, year, entitlements = DEFAULT_LEAVE_ENTITLEMENTS, calendar) => {
+  const used = {};
+  leaves.forEach(leave => {
+    const type = getLeaveType(leave.type);
+    if (!type || !type.balance) return;
+    const days = getLeaveDates(leave, calendar).filter(date => date.startsWith(`${year}-`)).length * type.days;
+    used[type.balance] = (used[type.balance] || 0) + days;
+  });
+  return Object.keys(entitlements).map(balance => ({
+    balance,
+    label: getLeaveType(balance) ? getLeaveType(balance).label : balance,
+    entitlement: entitlements[balance],
+    used: used[balance] || 0,
+    remaining: entitlements[balance] - (used[balance] || 0),
+  }));
+};
+
+// Codes and names HR systems commonly use for each leave type
+const LEAVE_TYPE_ALIASES = {
+  sick: ['sick', 'sl', 'sick leave', 'medical'],
+  casual: ['casual', 'cl', 'casual leave'],
+  earned: ['earned', 'el', 'pl', 'privilege', 'privilege leave', 'earned leave', 'annual'],
+  half_day: ['half_day', 'half day', 'half-day', 'hd', 'half day leave'],
+  on_duty: ['on_duty', 'on duty', 'od', 'travel', 'on duty / travel', 'official duty'],
+};
+
+export const normalizeLeaveType = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  return Object.keys(LEAVE_TYPE_ALIASES).find(id => LEAVE_TYPE_ALIASES[id].includes(text)) || null;
+};
+
+// Index of the first header containing one of the names, trying names in order
+const findColumn = (header, names) => {
+  for (const name of names) {
+    const index = header.findIndex(h => h.includes(name));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+// Reads an HR leave export. Needs a header row with employee, leave type and
+// date columns; a single "date" column works for one-day leave.
+// Returns { leaves, errors } with errors naming the offending lines.
+export const parseLeaveCsv = (text) => {
+  const rows = parseCsvRows(text);
+  const leaves = [];
+  const errors = [];
+  if (rows.length === 0) return { leaves, errors: [t('leave.import.empty')] };
+
+  const header = rows[0].map(h => h.toLowerCase().replace(/[_-]/g, ' '));
+  const employeeIndex = findColumn(header, ['employee id', 'emp id', 'employee code', 'emp code', 'employee']);
+  const typeIndex = findColumn(header, ['leave type', 'type', 'leave']);
+  const fromIndex = findColumn(header, ['from', 'start']);
+  const toRangeIndex = findColumn(header, ['to date', 'end', 'till']);
+  const toIndex = toRangeIndex !== -1 ? toRangeIndex : header.indexOf('to'); // a bare "To" column
+  const dateIndex = findColumn(header, ['date']);
+  const reasonIndex = findColumn(header, ['reason', 'remarks', 'comment']);
+
+  if (employeeIndex === -1 || typeIndex === -1 || (fromIndex === -1 && dateIndex === -1)) {
+    return { leaves, errors: [t('leave.import.badHeader')] };
+  }
+
+  rows.slice(1).forEach((row, index) => {
+    const lineNumber = index + 2;
+    const employeeId = (row[employeeIndex] || '').trim();
+    const type = normalizeLeaveType(row[typeIndex]);
+    const fromDate = normalizeDate(row[fromIndex !== -1 ? fromIndex : dateIndex]);
+    const toDate = toIndex !== -1 && row[toIndex] ? normalizeDate(row[toIndex]) : fromDate;
+
+    if (!employeeId) {
+      errors.push(t('leave.import.missingEmployee', { line: lineNumber }));
+    } else if (!type) {
+      errors.push(t('leave.import.unknownType', { line: lineNumber, value: row[typeIndex] || '' }));
+    } else if (!fromDate || !toDate) {
+      errors.push(t('leave.import.invalidDate', { line: lineNumber }));
+    } else if (toDate < fromDate) {
+      errors.push(t('leave.import.endsBeforeStart', { line: lineNumber }));
+    } else {
+      leaves.push({ employeeId, type, fromDate, toDate, reason: reasonIndex !== -1 ? row[reasonIndex] || '' : '' });
+    }
+  });
+  return { leaves, errors };
+};
@@ -0,0 +1,89 @@
+import { parseLeaveCsv, normalizeLeaveType, getLeaveDates, indexLeavesByDate, computeLeaveBalances } from './leaves';
+import { DEFAULT_WORK_CALENDAR } from './workCalendar';
+
+describe('parseLeaveCsv', () => {
+  it('reads a from/to export with HR leave codes', () => {
+    const csv = [
+      'Employee ID,Leave Type,From Date,To Date,Reason',
+      '104,CL,2026-04-06,2026-04-07,Family function',
+      '103,Sick Leave,08/04/2026,08/04/2026,"Fever, stayed home"',
+      '102,OD,2026-04-09,,Client visit',
+    ].join('\n');
+    expect(parseLeaveCsv(csv)).toEqual({
+      leaves: [
+        { employeeId: '104', type: 'casual', fromDate: '2026-04-06', toDate: '2026-04-07', reason: 'Family function' },
+        { employeeId: '103', type: 'sick', fromDate: '2026-04-08', toDate: '2026-04-08', reason: 'Fever, stayed home' },
+        { employeeId: '102', type: 'on_duty', fromDate: '2026-04-09', toDate: '2026-04-09', reason: 'Client visit' },
+      ],
+      errors: [],
+    });
+  });
+
+  it('reads a one-day export with a single date column', () => {
+    const { leaves, errors } = parseLeaveCsv('Emp_Code,Leave,Date\n104,half day,2026-04-10\n');
+    expect(errors).toEqual([]);
+    expect(leaves).toEqual([{ employeeId: '104', type: 'half_day', fromDate: '2026-04-10', toDate: '2026-04-10', reason: '' }]);
+  });
+
+  it('takes a bare "To" column as the end date', () => {
+    const { leaves } = parseLeaveCsv('Employee,Type,From,To\n104,EL,2026-04-06,2026-04-10\n');
+    expect(leaves[0]).toMatchObject({ type: 'earned', fromDate: '2026-04-06', toDate: '2026-04-10' });
+  });
+
+  it('names the line of each bad row and keeps the good ones', () => {
+    const csv = [
+      'Employee ID,Leave Type,From Date,To Date',
+      ',CL,2026-04-06,2026-04-06',
+      '104,Sabbatical,2026-04-06,2026-04-06',
+      '104,CL,someday,2026-04-06',
+      '104,CL,2026-04-08,2026-04-06',
+      '104,CL,2026-04-08,2026-04-08',
+    ].join('\n');
+    const { leaves, errors } = parseLeaveCsv(csv);
+    expect(leaves).toHaveLength(1);
+    expect(errors).toHaveLength(4);
+    errors.forEach((error, i) => expect(error).toMatch(String(i + 2)));
+    expect(errors[1]).toMatch('Sabbatical');
+  });
+
+  it('rejects a file without the needed columns', () => {
+    expect(parseLeaveCsv('Name,Days\nRahul,2\n')).toEqual({ leaves: [], errors: [expect.any(String)] });
+    expect(parseLeaveCsv('')).toEqual({ leaves: [], errors: [expect.any(String)] });
+  });
+});
+
+describe('normalizeLeaveType', () => {
+  it('maps common codes and names, ignoring case', () => {
+    expect(normalizeLeaveType(' PL ')).toBe('earned');
+    expect(normalizeLeaveType('Half-Day')).toBe('half_day');
+    expect(normalizeLeaveType('Travel')).toBe('on_duty');
+    expect(normalizeLeaveType('comp off')).toBeNull();
+  });
+});
+
+describe('leave dates and balances', () => {
+  const calendar = { ...DEFAULT_WORK_CALENDAR, holidays: [{ date: '2026-04-14', name: 'Ambedkar Jayanti' }] };
+  // Fri 10 to Wed 15 April 2026: the weekend and the holiday are not charged
+  const leave = { employeeId: '104', type: 'casual', fromDate: '2026-04-10', toDate: '2026-04-15' };
+
+  it('charges working days only', () => {
+    expect(getLeaveDates(leave, calendar)).toEqual(['2026-04-10', '2026-04-13', '2026-04-15']);
+  });
+
+  it('indexes leave by employee and date', () => {
+    const index = indexLeavesByDate([leave], calendar);
+    expect(index.get('104|2026-04-13')).toBe(leave);
+    expect(index.has('104|2026-04-14')).toBe(false);
+  });
+
+  it('draws half days from the casual balance and counts only the given year', () => {
+    const leaves = [
+      leave,
+      { employeeId: '104', type: 'half_day', fromDate: '2026-04-16', toDate: '2026-04-16' },
+      { employeeId: '104', type: 'casual', fromDate: '2025-12-31', toDate: '2026-01-01' },
+      { employeeId: '104', type: 'on_duty', fromDate: '2026-04-17', toDate: '2026-04-17' },
+    ];
+    const casual = computeLeaveBalances(leaves, 2026, undefined, calendar).find(b => b.balance === 'casual');
+    expect(casual).toMatchObject({ entitlement: 12, used: 4.5, remaining: 7.5 });
+  });
+});
@@ -0,0 +1,736 @@
+// English strings, the fallback for every other language. Keys are grouped by
+// the screen or module that uses them; `{name}` placeholders are filled by t()
+// and `_one` / `_other` suffixes are the plural forms picked by a `count` param.
+const en = {
+  // Work calendar
+  'calendar.noWeeklyOffs': 'No weekly offs',
+  'calendar.ordinal.1': '1st',
+  'calendar.ordinal.2': '2nd',
+  'calendar.ordinal.3': '3rd',
+  'calendar.ordinal.4': '4th',
+  'calendar.ordinal.5': '5th',
+  'calendar.weeksOfWeekday': '{weeks} {weekday}',
+  'calendar.import.invalidDate': 'Line {line}: "{value}" is not a valid date.',
+
+  // Leave
+  'leave.type.sick': 'Sick Leave',
+  'leave.type.casual': 'Casual Leave',
+  'leave.type.earned': 'Earned Leave',
+  'leave.type.half_day': 'Half-Day Leave',
+  'leave.type.on_duty': 'On Duty / Travel',
+  'leave.import.empty': 'The file is empty.',
+  'leave.import.badHeader': 'Header row must name the employee ID, leave type and date columns.',
+  'leave.import.missingEmployee': 'Line {line}: missing employee ID.',
+  'leave.import.unknownType': 'Line {line}: unknown leave type "{value}".',
+  'leave.import.invalidDate': 'Line {line}: invalid date.',
+  'leave.import.endsBeforeStart': 'Line {line}: leave ends before it starts.',
+
+  // Employee details
+  'employeeDetails.unassigned': 'Unassigned',
+  'employeeDetails.import.empty': 'The file is empty.',
+  'employeeDetails.import.badHeader': 'Header row must name the employee ID column and at least one of department, team, designation or manager.',
+  'employeeDetails.import.missingEmployee': 'Line {line}: missing employee ID.',
+  'employeeDetails.import.unknownEmployee': 'Line {line}: no employee with ID {id}.',
+  'employeeDetails.import.unknownManager': 'Line {line}: no employee matches manager "{value}".',
+
+  // Roles
+  'role.admin': 'Admin',
+  'role.manager': 'Manager',
+  'role.employee': 'Employee',
+
+  // Shift policies
+  'shift.problem.name': 'Name is required.',
+  'shift.problem.start': 'Start must be a time in HH:MM.',
+  'shift.problem.end': 'End must be a time in HH:MM.',
+  'shift.problem.sameTimes': 'Start and end cannot be the same time.',
+  'shift.problem.grace': 'Grace minutes cannot be negative.',
+  'shift.problem.maxHours': 'Max countable hours must be more than 0.',
+  'shift.problem.halfDay': 'Half-day threshold cannot be negative.',
+  'shift.problem.halfDayOverMax': 'Half-day threshold cannot exceed max countable hours.',
+
+  // Check-in distribution buckets
+  'checkIn.bucket.veryEarly': 'More than 90 min early',
+  'checkIn.bucket.early': '30 - 90 min early',
+  'checkIn.bucket.slightlyEarly': 'Up to 30 min early',
+  'checkIn.bucket.upToOneHourLate': 'Up to 1 hr late',
+  'checkIn.bucket.oneToTwoHoursLate': '1 - 2 hrs late',
+  'checkIn.bucket.twoToThreeHoursLate': '2 - 3 hrs late',
+  'checkIn.bucket.veryLate': 'More than 3 hrs late',
+  'checkIn.bucket.before': 'Before {time}',
+  'checkIn.bucket.after': 'After {time}',
+  'checkIn.bucket.late': '{label} (Late)',
+  'checkIn.bucket.missing': 'Missing Check-In',
+
+  // Anomalies
+  'anomaly.checkout_before_checkin.label': 'Check-out before check-in',
+  'anomaly.checkout_before_checkin.description': 'Day shift punched out earlier than it punched in.',
+  'anomaly.checkout_before_checkin.message': '{employeeId} on {date} checked out at {checkOut}, before checking in at {checkIn}.',
+  'anomaly.long_shift.label': 'Shift over 14 hours',
+  'anomaly.long_shift.description': 'More hours than anyone should be working in one shift.',
+  'anomaly.long_shift.message': '{employeeId} on {date} worked {hours} hours.',
+  'anomaly.present_without_punches.label': 'Present with no punches',
+  'anomaly.present_without_punches.description': 'Marked PRESENT but has neither a check-in nor a check-out.',
+  'anomaly.present_without_punches.message': '{employeeId} on {date} is PRESENT with no punches.',
+  'anomaly.duplicate_rows.label': 'Duplicate rows',
+  'anomaly.duplicate_rows.description': 'More than one record for the same employee and date.',
+  'anomaly.duplicate_rows.message': '{employeeId} has {count} records on {date}.',
+  'anomaly.late_mismatch.label': 'Late flag disagrees',
+  'anomaly.late_mismatch.description': 'Backend Late_Flag or Late_Minutes differ from the lateness computed from the shift policy.',
+  'anomaly.late_mismatch.message': '{employeeId} on {date}: backend says {backend} ({backendMinutes} min), shift policy says {computed} ({computedMinutes} min).',
+  'anomaly.identical_punches.label': 'Identical punch times',
+  'anomaly.identical_punches.description': 'The same check-in and check-out several days running, which can mean buddy punching.',
+  'anomaly.identical_punches.message': '{employeeId} punched {checkIn} - {checkOut} on {count} days running, {fromDate} to {toDate}.',
+  'anomaly.late': 'late',
+  'anomaly.onTime': 'on time',
+
+  // Calendar day statuses
+  'dayStatus.on_time': 'On Time',
+  'dayStatus.late': 'Late',
+  'dayStatus.missing_punch': 'Missing Punch',
+  'dayStatus.absent': 'Absent',
+  'dayStatus.leave': 'On Leave',
+  'dayStatus.weekend_work': 'Weekend / Holiday Work',
+  'dayStatus.holiday': 'Holiday',
+  'dayStatus.weekly_off': 'Weekly Off',
+  'dayStatus.no_data': 'No Data Yet',
+
+  // Punch corrections
+  'regularization.status.pending': 'Pending',
+  'regularization.status.approved': 'Approved',
+  'regularization.status.rejected': 'Rejected',
+  'regularization.problem.employeeAndDate': 'Choose an employee and a date.',
+  'regularization.problem.times': 'Enter both corrected times as HH:MM.',
+  'regularization.problem.reason': 'Give a reason for the correction.',
+
+  // Attendance log checks
+  'log.error.columns': 'Expected tab-separated columns (employee ID, date and time).',
+  'log.error.employeeId': '"{value}" is not a numeric employee ID.',
+  'log.error.timestamp': '"{value}" is not a valid date and time (expected YYYY-MM-DD HH:MM:SS).',
+  'log.problem.binary': '{fileName} is a binary file, not a tab-separated attendance log. Did you swap the Employee Data and Attendance Data files?',
+  'log.problem.empty': '{fileName} is empty.',
+  'log.problem.noPunches': 'No punches could be read from {fileName}. Check that it is the attendance log exported from the terminal.',
+  'log.problem.mostlyBad': '{count} of {total} lines in {fileName} could not be read, so it does not look like an attendance log.',
+  'log.problem.employeeLooksLikeLog': '{fileName} looks like an attendance log, not the binary employee data. Did you swap the Employee Data and Attendance Data files?',
+
+  // Payroll settings
+  'payroll.problem.weekdayMultiplier': 'Weekday overtime multiplier must be at least 1.',
+  'payroll.problem.offDayMultiplier': 'Weekend / holiday overtime multiplier must be at least 1.',
+
+  // Upload history
+  'history.dateRange': '{from} to {to}',
+  'history.noDates': 'No dates',
+
+  // Alert rules
+  'alertRule.late_count.label': 'Late arrivals in a rolling window',
+  'alertRule.late_count.describe': '{threshold} or more late arrivals in a rolling {windowDays} days',
+  'alertRule.consecutive_absence.label': 'Consecutive unplanned absences',
+  'alertRule.consecutive_absence.describe': 'Absent {threshold} consecutive working days without leave',
+  'alertRule.low_avg_hours.label': 'Low average hours this month',
+  'alertRule.low_avg_hours.describe': 'Average hours below {threshold} this month',
+  'alertRule.problem.unknownType': 'Unknown rule type "{type}".',
+  'alertRule.problem.threshold': 'Threshold must be more than 0.',
+  'alertRule.problem.window': 'Window must be a whole number of days.',
+  'alertRule.message.forEmployee': '{name} ({id}): {message}',
+  'alertRule.message.late_one': 'Late {count} time between {from} and {to}.',
+  'alertRule.message.late_other': 'Late {count} times between {from} and {to}.',
+  'alertRule.message.absent_one': 'Absent without leave for {count} working day, {from} to {to}.',
+  'alertRule.message.absent_other': 'Absent without leave for {count} working days, {from} to {to}.',
+  'alertRule.message.lowHours_one': 'Averaging {hours} hours over {count} day this month.',
+  'alertRule.message.lowHours_other': 'Averaging {hours} hours over {count} days this month.',
+
+  // Request errors; {action} is already translated
+  'error.serverStatus': '{action}. Server responded with status {status}: {message}',
+  'error.cannotConnect': '{action}. Cannot connect to the backend server.',
+  'error.timedOut': '{action}. The request timed out.',
+  'error.other': '{action}: {message}',
+
+  // Uploads and the offline queue
+  'upload.processingFailed': 'Processing failed.',
+  'upload.processingTimedOut': 'Processing did not finish within {minutes} minutes. Check Upload History before trying again.',
+  'upload.fileFailed': '{fileName} failed',
+  'offline.noIndexedDb': 'IndexedDB is not available in this browser.',
+
+  // App shell
+  'app.titleStart': 'Employee Biometric',
+  'app.titleEnd': 'Dashboard',
+  'app.logoAlt': 'Comrdo Aerospace Logo',
+  'app.language': 'Language',
+  'app.darkMode': 'Switch to Dark Mode',
+  'app.lightMode': 'Switch to Light Mode',
+  'app.reduceMotion': 'Reduce motion',
+  'app.signedInAs': 'Signed in as',
+  'app.logout': 'Logout',
+  'app.errorTitle': 'Error!',
+  'nav.label': 'Main',
+  'nav.dashboard': 'Dashboard',
+  'nav.upload': 'Upload',
+
+  // Login
+  'login.title': 'Login',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.submit': 'Login',
+  'login.loggingIn': 'Logging in...',
+  'login.failed': 'Login failed: {message}',
+  'login.invalid': 'Invalid email or password',
+  'login.timedOut': 'Login request timed out. Backend might be busy or slow.',
+  'login.sessionExpired': 'Your session has expired. Please log in again.',
+  'login.noToken': 'Login response did not include a token.',
+
+  // Offline banner and queued uploads
+  'offline.offline': 'You are offline.',
+  'offline.serverUnreachable': 'The server cannot be reached.',
+  'offline.showingCached': 'Showing cached data from {time}.',
+  'offline.queuedUploads_one': '{count} upload queued to send when the connection returns.',
+  'offline.queuedUploads_other': '{count} uploads queued to send when the connection returns.',
+  'offline.queueSent_one': '{count} queued file uploaded and processed.',
+  'offline.queueSent_other': '{count} queued files uploaded and processed.',
+  'offline.queueFailed_one': 'Failed: {count} queued file could not be processed.',
+  'offline.queueFailed_other': 'Failed: {count} queued files could not be processed.',
+  'offline.queueError': 'Failed to send queued uploads: {message}',
+
+  // Fetch errors
+  'employees.fetchFailed': 'Failed to fetch employee list. Please ensure the backend server is running and data has been processed.',
+  'employees.timedOut': 'Request to fetch employees timed out. Backend might be busy or slow.',
+  'error.serverResponded': 'Server responded with status {status}: {message}',
+  'error.backendUnreachable': 'Cannot connect to the backend server. Please ensure it is running and accessible.',
+  'error.cors': 'CORS issue detected. Check your backend CORS configuration.',
+  'error.network': 'Network error. Please check your internet connection.',
+  'error.badResponse': 'Received a bad response from the server. Check backend logs.',
+
+  // Search
+  'search.selectEmployee': 'Select Employee',
+  'search.employeeOption': '{name} (ID: {id})',
+  'search.picker.label': 'Employees (search by name or ID)',
+  'search.picker.addMore': 'Add another…',
+  'search.picker.noMatches': 'No matching employees',
+  'search.picker.remove': 'Remove {name}',
+  'search.fromDate': 'From Date',
+  'search.toDate': 'To Date',
+  'search.department': 'Department',
+  'search.allDepartments': 'All Departments',
+  'search.team': 'Team',
+  'search.allTeams': 'All Teams',
+  'search.submit': 'Search',
+  'search.searching': 'Searching...',
+  'search.fetching': 'Fetching data...',
+  'search.backToTeam': 'Back to Team View',
+  'search.backToComparison': 'Back to Employee Comparison',
+  'search.needFilters': 'Please select an employee or a date range to search.',
+  'search.noRecords': 'No records found for the selected criteria.',
+  'search.failed': 'Failed to fetch records: {message}',
+  'search.timedOut': 'Request to fetch records timed out. Backend might be busy or slow.',
+
+  // Settings panels
+  'shift.title': 'Shift Policies',
+  'shift.open': 'Edit Shift Policies',
+  'shift.loadFailed': 'Failed to load shift policies. Using the default 09:30 - 17:00 policy.',
+  'shift.saved': 'Shift policies saved.',
+  'shift.saveFailed': 'Failed to save shift policies: {message}',
+  'shift.saveFailedStatus': 'Failed to save shift policies. Server responded with status {status}: {message}',
+  'calendar.title': 'Holiday Calendar',
+  'calendar.open': 'Edit Calendar',
+  'calendar.summary_one': 'Weekly offs: {weeklyOffs}. {count} holiday.',
+  'calendar.summary_other': 'Weekly offs: {weeklyOffs}. {count} holidays.',
+  'calendar.loadFailed': 'Failed to load the holiday calendar. Treating only Saturday and Sunday as non-working days.',
+  'calendar.saved': 'Holiday calendar saved.',
+  'calendar.saveFailed': 'Failed to save the holiday calendar: {message}',
+  'calendar.saveFailedStatus': 'Failed to save the holiday calendar. Server responded with status {status}: {message}',
+  'leave.title': 'Leave',
+  'leave.openManage': 'Manage Leave',
+  'leave.openView': 'View Leave',
+  'leave.loadFailedForSearch': 'Failed to load leave, so all absences are shown as unplanned',
+  'regularization.title': 'Punch Corrections',
+  'regularization.openReview': 'Review Corrections',
+  'regularization.openRequest': 'Request Correction',
+  'regularization.summary': 'Fix missing or wrong punches; approved corrections override the raw punches',
+  'regularization.loadFailedForSearch': 'Failed to load punch corrections, so raw punches are shown',
+  'alerts.title': 'Alert Rules',
+  'alerts.open': 'Edit Alert Rules',
+  'alerts.summary_one': '{count} active rule, checked on every search and upload',
+  'alerts.summary_other': '{count} active rules, checked on every search and upload',
+  'alerts.loadFailed': 'Failed to load alert rules, so no alerts will be raised',
+  'alerts.saved': 'Alert rules saved.',
+  'alerts.saveFailed': 'Failed to save alert rules',
+  'alerts.markReadFailed': 'Failed to mark alerts as read',
+  'alerts.digestFailed': 'Failed to email the alert digest',
+  'payroll.title': 'Payroll Summary',
+  'payroll.open': 'Open Payroll',
+  'payroll.summary': 'Paid days, overtime and late deductions per employee for a pay period',
+  'employeeDetails.title': 'Employee Details',
+  'employeeDetails.open': 'Edit Details',
+  'employeeDetails.summary': 'Department, team, designation and reporting manager for each employee',
+  'history.title': 'Upload History',
+  'history.open': 'Show History',
+  'history.summary': 'Past uploads, comparisons and rollback',
+  'anomaly.title': 'Anomalies',
+  'anomaly.open': 'Show Anomalies',
+  'anomaly.summary_one': '{count} suspicious or inconsistent punch pattern in these records',
+  'anomaly.summary_other': '{count} suspicious or inconsistent punch patterns in these records',
+  'anomaly.none': 'Nothing suspicious in these records',
+
+  // Export
+  'export.label': 'Export:',
+  'export.csv': 'CSV',
+  'export.xlsx': 'Excel',
+  'export.pdf': 'PDF Report',
+  'export.failed': 'Failed to export {format}: {message}',
+
+  // Summary card
+  'summary.title': 'Summary',
+  'summary.totalAttendance': 'Total Attendance:',
+  'summary.totalDays': 'Total Days:',
+  'summary.totalAbsent': 'Total Absent:',
+  'summary.unplanned': 'Unplanned:',
+  'summary.lateArrivals': 'Late Arrivals:',
+  'summary.holidays': 'Holidays:',
+  'summary.halfDays': 'Half Days:',
+  'summary.totalExtraWorking': 'Total Extra Working:',
+  'summary.avgWorkingHours': 'Avg Working Hours:',
+  'summary.weekdayOvertime': 'Weekday Overtime:',
+  'summary.offDayOvertime': 'Weekend / Holiday Overtime:',
+  'summary.absentDates': 'Absent Dates:',
+  'summary.extraWorkingDates': 'Extra Working Dates:',
+  'summary.days_one': '{count} day',
+  'summary.days_other': '{count} days',
+  'summary.hours': '{hours} hrs',
+
+  // Charts
+  'chart.workingHours': 'Working Hours',
+  'chart.checkInTime': 'Check In Time',
+  'chart.checkOutTime': 'Check Out Time',
+  'chart.presentOnTime': 'Present (On Time)',
+  'chart.presentLate': 'Present (Late)',
+  'chart.absentUnplanned': 'Absent (Unplanned)',
+  'chart.attendanceDistribution': 'Attendance Distribution',
+  'chart.dailyWorkingHours': 'Daily Working Hours',
+  'chart.dailyCheckInOut': 'Daily Check-In & Check-Out',
+  'chart.lateArrivalsTrend': 'Late Arrivals Trend',
+  'chart.lateArrivalCount': 'Number of Late Arrivals',
+  'chart.checkInDistribution': 'Check-In Time Distribution',
+  'chart.checkInCount': 'Number of Check-Ins',
+  'chart.hours': 'Hours',
+  'chart.time': 'Time',
+  'chart.date': 'Date',
+  'chart.timeInterval': 'Time Interval',
+  'chart.a11y.viewTable': 'View as table',
+  'chart.a11y.viewChart': 'View as chart',
+  'chart.a11y.viewTableOf': 'View {title} as a table',
+  'chart.a11y.viewChartOf': 'View {title} as a chart',
+  'chart.a11y.empty': 'No data to chart.',
+  'chart.a11y.noValues': '{label}: no values.',
+  'chart.a11y.series_one': '{label}: {count} value, {highest} ({highestAt}).',
+  'chart.a11y.series_other': '{label}: {count} values, highest {highest} ({highestAt}), lowest {lowest} ({lowestAt}), average {average}.',
+  'chart.a11y.pie': '{total} in all: {shares}.',
+  'chart.a11y.share': '{label} {value} ({percent}%)',
+
+  // Compare mode
+  'compare.label': 'Compare with:',
+  'compare.mode.off': 'Nothing',
+  'compare.mode.previous': 'Previous period',
+  'compare.mode.lastYear': 'Same period last year',
+  'compare.mode.custom': 'Custom range',
+  'compare.customFrom': 'Compare from',
+  'compare.customTo': 'Compare to',
+  'compare.needRange': 'Search with both a from and a to date to compare periods.',
+  'compare.loading': 'Loading the comparison period...',
+  'compare.loadFailed': 'Failed to load the comparison period',
+  'compare.against': 'Compared with {range}',
+  'compare.range': '{from} – {to}',
+  'compare.series': '{label} ({range})',
+  'compare.delta.up': 'Up {change} from {previous}',
+  'compare.delta.down': 'Down {change} from {previous}',
+  'compare.delta.same': 'No change from {previous}',
+
+  // Quick ranges
+  'quickRange.label': 'Quick ranges:',
+  'quickRange.today': 'Today',
+  'quickRange.thisWeek': 'This week',
+  'quickRange.lastWeek': 'Last week',
+  'quickRange.thisMonth': 'This month',
+  'quickRange.lastMonth': 'Last month',
+  'quickRange.payPeriod': 'Current pay period',
+  'quickRange.last90Days': 'Last 90 days',
+
+  // Saved views
+  'savedViews.title': 'Saved Views',
+  'savedViews.manage': 'Manage Views',
+  'savedViews.summary_one': '{count} saved view. Pin views to the top of the dashboard or open one after login.',
+  'savedViews.summary_other': '{count} saved views. Pin views to the top of the dashboard or open one after login.',
+  'savedViews.pinned': 'Pinned views:',
+  'savedViews.name': 'View name',
+  'savedViews.namePlaceholder': 'Name this view, e.g. Robotics this week',
+  'savedViews.save': 'Save Current View',
+  'savedViews.needSearch': 'Run a search first, then save it as a view.',
+  'savedViews.nameTaken': 'There is already a view called {name}.',
+  'savedViews.saved': 'Saved {name}.',
+  'savedViews.none': 'No saved views yet.',
+  'savedViews.everyone': 'Everyone',
+  'savedViews.range': '{from} – {to}',
+  'savedViews.anyDates': 'Any dates',
+  'savedViews.defaultBadge': 'Default',
+  'savedViews.openView': 'Open',
+  'savedViews.pin': 'Pin',
+  'savedViews.unpin': 'Unpin',
+  'savedViews.setDefault': 'Open after login',
+  'savedViews.unsetDefault': 'Stop opening after login',
+  'savedViews.delete': 'Delete',
+  'savedViews.deleteView': 'Delete {name}',
+  'savedViews.defaultHint': 'The default view opens by itself after you log in. Views are kept in this browser.',
+
+  // Records table
+  'records.header.employeeId': 'Employee ID',
+  'records.header.name': 'Name',
+  'records.header.date': 'Date',
+  'records.header.checkIn': 'Check In',
+  'records.header.checkOut': 'Check Out',
+  'records.header.hours': 'Hours',
+  'records.header.lateMinutes': 'Late Minutes',
+  'records.header.status': 'Status',
+  'records.header.lateFlag': 'Late Flag',
+  'records.header.computedIsLate': 'Computed Is Late',
+  'records.header.originalPunches': 'Original Punches',
+
+  // Shared
+  'common.hide': 'Hide',
+  'common.all': 'All',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.saving': 'Saving...',
+  'common.remove': 'Remove',
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+
+  // Records table filters
+  'records.nameContains': 'Name contains',
+  'records.namePlaceholder': 'e.g. Rao',
+  'records.hoursBelow': 'Hours below',
+  'records.clearFilters': 'Clear Filters',
+  'records.columns': 'Columns',
+  'records.focus': 'Only showing rows for: {label}',
+  'records.showAll': 'Show all rows',
+  'records.showing': 'Showing {shown} of {count} records',
+  'records.flagged': '(highlighted rows have anomalies)',
+  'records.noMatch': 'No records match these filters.',
+  'records.tableLabel': 'Attendance records',
+  'records.status.PRESENT': 'Present',
+  'records.status.ABSENT': 'Absent',
+
+  // Anomalies panel
+  'anomaly.noneFound': 'No anomalies in these records.',
+  'anomaly.showAllRows_one': 'Show the {count} row',
+  'anomaly.showAllRows_other': 'Show all {count} rows',
+  'anomaly.showRows_one': 'Show row',
+  'anomaly.showRows_other': 'Show rows',
+
+  // Alert inbox and rules
+  'alerts.bell': 'Alerts',
+  'alerts.bellLabel': 'Alerts, {count} unread',
+  'alerts.emailDigest': 'Email digest',
+  'alerts.markAllRead': 'Mark all read',
+  'alerts.noAlerts': 'No alerts yet.',
+  'alerts.unread': 'Unread',
+  'alerts.noRules': 'No alert rules. Add one below.',
+  'alerts.thresholdHours': 'Below (hours)',
+  'alerts.thresholdLate': 'Late arrivals',
+  'alerts.thresholdDays': 'Days',
+  'alerts.windowDays': 'Within (days)',
+  'alerts.addRule': 'Add rule:',
+  'alerts.digestOption': 'Email each recipient a digest whenever they get new alerts',
+  'alerts.save': 'Save Alert Rules',
+
+  // Upload panel
+  'upload.title': 'Upload Biometric Data Files:',
+  'upload.employeeFile': 'Employee Data (Binary .dat):',
+  'upload.employeeFileLabel': 'Upload Employee Data File',
+  'upload.attendanceFiles': 'Attendance Data (.dat/.txt, several allowed):',
+  'upload.attendanceFilesLabel': 'Upload Attendance Data Files',
+  'upload.submit': 'Upload & Process',
+  'upload.uploading': 'Uploading...',
+  'upload.retryFailed': 'Retry Failed',
+  'upload.batch_one': 'Batch: {count} attendance log',
+  'upload.batch_other': 'Batch: {count} attendance logs',
+  'upload.clear': 'Clear',
+  'upload.kind.employee': 'Employee data',
+  'upload.kind.attendance': 'Attendance log',
+  'upload.status.pending': 'Waiting',
+  'upload.status.uploading': 'Uploading',
+  'upload.status.processing': 'Processing',
+  'upload.status.uploaded': 'Uploaded',
+  'upload.status.queued': 'Queued offline',
+  'upload.status.done': 'Done',
+  'upload.status.failed': 'Failed',
+  'upload.status.blocked': 'Blocked',
+  'upload.preview': 'Preview',
+  'upload.hidePreview': 'Hide Preview',
+  'upload.progressLabel': '{fileName} upload progress',
+  'upload.processingOnServer': 'Processing on the server...',
+  'upload.downloadDashboard': 'Download Dashboard',
+  'upload.blocked': 'Upload blocked: {problem}',
+  'upload.couldNotRead': 'Could not read {fileName}: {message}',
+  'upload.willUploadOnline': 'Will upload when you are back online.',
+  'upload.queuedOffline_one': 'You are offline. {count} file is queued and will upload automatically when the connection returns.',
+  'upload.queuedOffline_other': 'You are offline. {count} files are queued and will upload automatically when the connection returns.',
+  'upload.queueFailed': 'Error: You are offline and the files could not be queued ({message}). Upload again once you are back online.',
+  'upload.selectFiles': 'Please select the Employee Data (binary) file and at least one Attendance Data (.dat/.txt) file.',
+  'upload.error': 'Error: {message}',
+  'upload.failed': 'Upload failed',
+  'upload.retryHint': '{message} Upload again to resume.',
+  'upload.employeeFailed': 'Error: The employee data file could not be uploaded, so no attendance logs were processed.',
+  'upload.queuedForProcessing': 'Queued for processing.',
+  'upload.retrying': 'Connection problem, retrying ({attempt} of {maxAttempts})...',
+  'upload.processed': 'Uploaded and processed.',
+  'upload.batchFailed': 'Failed: {failed} of {count} files did not finish. Upload again to retry them.',
+  'upload.batchDone_one': '{count} file uploaded and processed.',
+  'upload.batchDone_other': '{count} files uploaded and processed.',
+
+  // Attendance log preview
+  'logPreview.file': 'File',
+  'logPreview.punches': 'Punches',
+  'logPreview.punchesOfLines': '{count} of {total} lines',
+  'logPreview.dateRange': 'Date Range',
+  'logPreview.employees': 'Employees',
+  'logPreview.firstPunches_one': 'First punch',
+  'logPreview.firstPunches_other': 'First {count} punches',
+  'logPreview.line': 'Line',
+  'logPreview.time': 'Time',
+  'logPreview.verify': 'Verify',
+  'logPreview.state': 'State',
+  'logPreview.perEmployee': 'Punches per employee',
+  'logPreview.employeeId': 'ID {id}',
+  'logPreview.badLines_one': '{count} line could not be read',
+  'logPreview.badLines_other': '{count} lines could not be read',
+  'logPreview.lineError': 'Line {line}: {message}',
+  'logPreview.more': '...and {count} more',
+
+  // Upload history
+  'history.loadFailed': 'Failed to load upload history',
+  'history.loading': 'Loading upload history...',
+  'history.empty': 'No uploads yet.',
+  'history.compare': 'Compare',
+  'history.compareLabel': 'Compare upload from {when}',
+  'history.uploaded': 'Uploaded',
+  'history.by': 'By',
+  'history.files': 'Files',
+  'history.records': 'Records',
+  'history.active': 'Active',
+  'history.dashboard': 'Dashboard',
+  'history.rollBack': 'Roll Back',
+  'history.rollingBack': 'Rolling back...',
+  'history.confirmRollback': "Make the upload from {when} active? It replaces any active upload for the same months, and searches will show its records for them.",
+  'history.activated': 'The upload from {when} is now active.',
+  'history.rollbackFailed': 'Failed to roll back',
+  'history.tickOneMore': 'Tick one more upload to compare.',
+  'history.recordsChange': 'Records:',
+  'history.employeesChange': 'Employees:',
+  'history.datesChange': 'Dates:',
+  'history.changed': '(changed)',
+  'history.employee': 'Employee',
+  'history.older': 'Older',
+  'history.newer': 'Newer',
+  'history.change': 'Change',
+
+  // Team view
+  'team.title': 'Team Summary',
+  'team.hint_one': '{count} employee. Click a column to rank by it, or an employee to see their full view.',
+  'team.hint_other': '{count} employees. Click a column to rank by it, or an employee to see their full view.',
+  'team.column.employeeName': 'Employee',
+  'team.column.totalAttendance': 'Present',
+  'team.column.totalAbsent': 'Absent',
+  'team.column.lateCount': 'Late',
+  'team.column.avgWorkingHours': 'Avg Hours',
+  'team.column.totalExtraWorking': 'Extra Days',
+  'team.employeeId': '(ID: {id})',
+  'team.chart.present': 'Employees Present',
+  'team.chart.latePercent': 'Late Arrivals (%)',
+  'team.chart.avgHours': 'Average Working Hours',
+  'team.chart.headcountTitle': 'Daily Headcount Present',
+  'team.chart.employees': 'Employees',
+  'team.chart.lateTitle': 'Late Arrivals per Day',
+  'team.chart.percentPresent': '% of Present Employees',
+  'team.chart.avgHoursTitle': 'Average Working Hours per Day',
+  'team.chart.distributionTitle': 'Team Attendance Distribution',
+  'team.chart.employeeDays_one': '{count} employee-day',
+  'team.chart.employeeDays_other': '{count} employee-days',
+
+  // Employee comparison
+  'picked.title': 'Employee Comparison',
+  'picked.open': 'Open the full view for {name}',
+  'picked.row.totalAttendance': 'Present',
+  'picked.row.totalDays': 'Total Days',
+  'picked.row.totalAbsent': 'Absent',
+  'picked.row.unplanned': 'Unplanned Absences',
+  'picked.row.late': 'Late Arrivals',
+  'picked.row.halfDays': 'Half Days',
+  'picked.row.extraWorking': 'Extra Working',
+  'picked.row.avgWorkingHours': 'Avg Working Hours',
+  'picked.row.weekdayOvertime': 'Weekday Overtime',
+  'picked.row.offDayOvertime': 'Weekend / Holiday Overtime',
+  'picked.checkIn': '{name} – Check In',
+  'picked.checkOut': '{name} – Check Out',
+
+  // Department comparison
+  'comparison.departmentTitle': 'Department Comparison',
+  'comparison.teamTitle': 'Team Comparison',
+  'comparison.attendanceRate': 'Attendance Rate (%)',
+  'comparison.latePercent': 'Late Arrivals (%)',
+  'comparison.avgHours': 'Average Working Hours',
+  'comparison.percentAxis': 'Percent',
+  'comparison.hint_one': '{count} group over the selected range. Attendance counts working days; late arrivals are a share of present days.',
+  'comparison.hint_other': '{count} groups over the selected range. Attendance counts working days; late arrivals are a share of present days.',
+  'comparison.groupBy': 'Compare by',
+  'comparison.byDepartment': 'By Department',
+  'comparison.byTeam': 'By Team',
+
+  // Attendance calendar
+  'attendanceCalendar.title': 'Attendance Calendar',
+  'attendanceCalendar.punches': 'In {checkIn}, Out {checkOut}',
+  'attendanceCalendar.corrected': 'Corrected, was {checkIn} / {checkOut}',
+  'attendanceCalendar.hours': 'Hours {hours}',
+  'attendanceCalendar.recordFor': 'Record for {date}',
+  'attendanceCalendar.noRecord': 'No attendance record for this day.',
+  'common.close': 'Close',
+
+  // Holiday calendar editor
+  'calendar.weeklyOffs': 'Weekly Offs',
+  'calendar.day': 'Day',
+  'calendar.everyWeek': 'Every Week',
+  'calendar.offEveryWeek': '{weekday} off every week',
+  'calendar.offOnWeek': '{weeks} {weekday} off',
+  'calendar.holidays': 'Holidays',
+  'calendar.holidayDate': 'Holiday date',
+  'calendar.holidayName': 'Holiday name',
+  'calendar.defaultHolidayName': 'Holiday',
+  'calendar.addHoliday': 'Add Holiday',
+  'calendar.import': 'Import .ics / .csv',
+  'calendar.imported_one': 'Imported {count} holiday from {fileName}. Save to apply.',
+  'calendar.imported_other': 'Imported {count} holidays from {fileName}. Save to apply.',
+  'calendar.importFailed': 'Failed to read {fileName}: {message}',
+  'calendar.noHolidays': 'No holidays yet.',
+  'calendar.save': 'Save Calendar',
+
+  // Shift policy editor
+  'shift.policies': 'Policies',
+  'shift.addPolicy': 'Add Policy',
+  'shift.newShift': 'New Shift',
+  'shift.unnamedPolicy': 'Unnamed policy',
+  'shift.policyName': 'Policy name',
+  'shift.nightShift': 'Night shift',
+  'shift.field.name': 'Name',
+  'shift.field.start': 'Start',
+  'shift.field.end': 'End',
+  'shift.field.graceMinutes': 'Grace (min)',
+  'shift.field.maxHours': 'Max Countable Hrs',
+  'shift.field.halfDayHours': 'Half-Day Below (hrs)',
+  'shift.groups': 'Groups',
+  'shift.addGroup': 'Add Group',
+  'shift.newGroup': 'New Group',
+  'shift.noGroups': 'No groups yet. Employees without an assignment use the default policy.',
+  'shift.groupName': 'Group name',
+  'shift.groupPolicy': '{group} policy',
+  'shift.groupMembers': '{group} members',
+  'shift.problem.groupName': 'Every group needs a name.',
+  'shift.overrides': 'Employee Overrides',
+  'shift.groupOrDefault': 'Group / Default',
+  'shift.save': 'Save Shift Policies',
+
+  // Leave manager
+  'leave.employee': 'Leave employee',
+  'leave.year': 'Leave year',
+  'leave.import': 'Import HR CSV',
+  'leave.loadFailed': 'Failed to load leave',
+  'leave.problem.employeeAndDate': 'Choose an employee and a start date.',
+  'leave.problem.endsBeforeStart': 'Leave cannot end before it starts.',
+  'leave.problem.noWorkingDays': 'The selected dates are all holidays or weekly offs.',
+  'leave.recorded': 'Leave recorded.',
+  'leave.saveFailed': 'Failed to save leave',
+  'leave.removed': 'Leave removed.',
+  'leave.removeFailed': 'Failed to remove leave',
+  'leave.importEmpty': 'No leave could be read from {fileName}.',
+  'leave.imported_one': 'Imported {count} leave record from {fileName}.',
+  'leave.imported_other': 'Imported {count} leave records from {fileName}.',
+  'leave.importFailed': 'Failed to import {fileName}',
+  'leave.balanceLeft_one': 'of {entitlement} day left',
+  'leave.balanceLeft_other': 'of {entitlement} days left',
+  'leave.balanceUsed': '{used} used in {year}',
+  'leave.type': 'Type',
+  'leave.from': 'From',
+  'leave.to': 'To',
+  'leave.days': 'Days',
+  'leave.reason': 'Reason',
+  'leave.record': 'Record Leave',
+  'leave.loading': 'Loading leave...',
+  'leave.none': 'No leave recorded for {name} in {year}.',
+
+  // Punch corrections manager
+  'regularization.loadFailed': 'Failed to load correction requests',
+  'regularization.requested': 'Correction requested. It applies once a manager approves it.',
+  'regularization.requestFailed': 'Failed to request the correction',
+  'regularization.rejectPrompt': 'Reason for rejecting the correction for {employeeId} on {date} (optional)',
+  'regularization.approved': 'Correction approved.',
+  'regularization.rejected': 'Correction rejected.',
+  'regularization.approveFailed': 'Failed to approve the correction',
+  'regularization.rejectFailed': 'Failed to reject the correction',
+  'regularization.missingCount_one': '{count} record in this search with a missing punch',
+  'regularization.missingCount_other': '{count} records in this search with a missing punch',
+  'regularization.missingRecord': '{name} ({id}), {date}: in {checkIn}, out {checkOut}',
+  'regularization.requestFix': 'Request Fix',
+  'regularization.employee': 'Correction employee',
+  'regularization.date': 'Correction date',
+  'regularization.correctedCheckIn': 'Corrected check in',
+  'regularization.correctedCheckOut': 'Corrected check out',
+  'regularization.reason': 'Correction reason',
+  'regularization.requests': 'Requests',
+  'regularization.statusFilter': 'Request status',
+  'regularization.loading': 'Loading requests...',
+  'regularization.empty.all': 'No correction requests.',
+  'regularization.empty.pending': 'No pending correction requests.',
+  'regularization.empty.approved': 'No approved correction requests.',
+  'regularization.empty.rejected': 'No rejected correction requests.',
+  'regularization.original': 'Original',
+  'regularization.corrected': 'Corrected',
+  'regularization.requestedBy': 'Requested By',
+  'regularization.reviewedBy': 'by {reviewer}',
+  'regularization.approve': 'Approve',
+  'regularization.reject': 'Reject',
+
+  // Payroll summary
+  'payroll.settingsLoadFailed': 'Failed to load payroll settings, so the default multipliers are used',
+  'payroll.settingsSaved': 'Payroll settings saved. Calculate again to apply them.',
+  'payroll.settingsSaveFailed': 'Failed to save payroll settings',
+  'payroll.problem.period': 'Choose a pay period that ends after it starts.',
+  'payroll.problem.notStarted': 'This pay period has not started yet.',
+  'payroll.fromCache': 'Offline: calculated from cached data fetched {time}.',
+  'payroll.calculateFailed': 'Failed to calculate payroll',
+  'payroll.exportFailed': 'Failed to export payroll {format}: {message}',
+  'payroll.periodFrom': 'Period from',
+  'payroll.periodTo': 'Period to',
+  'payroll.weekdayMultiplier': 'Weekday OT ×',
+  'payroll.offDayMultiplier': 'Weekend / Holiday OT ×',
+  'payroll.saveMultipliers': 'Save Multipliers',
+  'payroll.calculate': 'Calculate Payroll',
+  'payroll.calculating': 'Calculating...',
+  'payroll.partialPeriod': "The period isn't over yet; figures run to {date}.",
+  'payroll.exportCsv': 'Export CSV',
+  'payroll.exportXlsx': 'Export XLSX',
+
+  // Employee details editor
+  'employeeDetails.employee': 'Employee',
+  'employeeDetails.department': 'Department',
+  'employeeDetails.team': 'Team',
+  'employeeDetails.designation': 'Designation',
+  'employeeDetails.manager': 'Reporting Manager',
+  'employeeDetails.noManager': 'No manager',
+  'employeeDetails.fieldFor': '{field} for {name}',
+  'employeeDetails.none': 'No employees yet. Upload attendance data first.',
+  'employeeDetails.importHint': 'Import a CSV with an employee ID column and any of department, team, designation and manager (ID or name). Columns the file leaves out are kept.',
+  'employeeDetails.import': 'Import HR CSV',
+  'employeeDetails.saved': 'Saved details for {name}.',
+  'employeeDetails.saveFailed': 'Failed to save details for {name}',
+  'employeeDetails.importEmpty': 'No employee details could be read from {fileName}.',
+  'employeeDetails.imported_one': 'Updated {count} employee from {fileName}.',
+  'employeeDetails.imported_other': 'Updated {count} employees from {fileName}.',
+  'employeeDetails.importFailed': 'Failed to import {fileName}',
+};
+
+export default en;
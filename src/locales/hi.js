@@ -0,0 +1,735 @@
+// Hindi strings. Keys match locales/en.js; anything missing here falls back to
+// English. Payroll export headers are fixed codes and stay in English.
+const hi = {
+  // Work calendar
+  'calendar.noWeeklyOffs': 'कोई साप्ताहिक अवकाश नहीं',
+  'calendar.ordinal.1': 'पहला',
+  'calendar.ordinal.2': 'दूसरा',
+  'calendar.ordinal.3': 'तीसरा',
+  'calendar.ordinal.4': 'चौथा',
+  'calendar.ordinal.5': 'पाँचवाँ',
+  'calendar.weeksOfWeekday': '{weeks} {weekday}',
+  'calendar.import.invalidDate': 'पंक्ति {line}: "{value}" मान्य तारीख नहीं है।',
+
+  // Leave
+  'leave.type.sick': 'बीमारी अवकाश',
+  'leave.type.casual': 'आकस्मिक अवकाश',
+  'leave.type.earned': 'अर्जित अवकाश',
+  'leave.type.half_day': 'आधे दिन का अवकाश',
+  'leave.type.on_duty': 'ऑन ड्यूटी / यात्रा',
+  'leave.import.empty': 'फ़ाइल खाली है।',
+  'leave.import.badHeader': 'शीर्षक पंक्ति में कर्मचारी आईडी, अवकाश प्रकार और तारीख के कॉलम होने चाहिए।',
+  'leave.import.missingEmployee': 'पंक्ति {line}: कर्मचारी आईडी नहीं है।',
+  'leave.import.unknownType': 'पंक्ति {line}: अज्ञात अवकाश प्रकार "{value}"।',
+  'leave.import.invalidDate': 'पंक्ति {line}: अमान्य तारीख।',
+  'leave.import.endsBeforeStart': 'पंक्ति {line}: अवकाश शुरू होने से पहले समाप्त होता है।',
+
+  // Employee details
+  'employeeDetails.unassigned': 'अनिर्दिष्ट',
+  'employeeDetails.import.empty': 'फ़ाइल खाली है।',
+  'employeeDetails.import.badHeader': 'शीर्षक पंक्ति में कर्मचारी आईडी का कॉलम और विभाग, टीम, पदनाम या मैनेजर में से कम से कम एक कॉलम होना चाहिए।',
+  'employeeDetails.import.missingEmployee': 'पंक्ति {line}: कर्मचारी आईडी नहीं है।',
+  'employeeDetails.import.unknownEmployee': 'पंक्ति {line}: आईडी {id} वाला कोई कर्मचारी नहीं है।',
+  'employeeDetails.import.unknownManager': 'पंक्ति {line}: मैनेजर "{value}" से कोई कर्मचारी मेल नहीं खाता।',
+
+  // Roles
+  'role.admin': 'व्यवस्थापक',
+  'role.manager': 'प्रबंधक',
+  'role.employee': 'कर्मचारी',
+
+  // Shift policies
+  'shift.problem.name': 'नाम आवश्यक है।',
+  'shift.problem.start': 'शुरुआत HH:MM प्रारूप में समय होनी चाहिए।',
+  'shift.problem.end': 'समाप्ति HH:MM प्रारूप में समय होनी चाहिए।',
+  'shift.problem.sameTimes': 'शुरुआत और समाप्ति का समय एक जैसा नहीं हो सकता।',
+  'shift.problem.grace': 'छूट के मिनट ऋणात्मक नहीं हो सकते।',
+  'shift.problem.maxHours': 'अधिकतम गिने जाने वाले घंटे 0 से अधिक होने चाहिए।',
+  'shift.problem.halfDay': 'आधे दिन की सीमा ऋणात्मक नहीं हो सकती।',
+  'shift.problem.halfDayOverMax': 'आधे दिन की सीमा अधिकतम गिने जाने वाले घंटों से अधिक नहीं हो सकती।',
+
+  // Check-in distribution buckets
+  'checkIn.bucket.veryEarly': '90 मिनट से अधिक पहले',
+  'checkIn.bucket.early': '30 - 90 मिनट पहले',
+  'checkIn.bucket.slightlyEarly': '30 मिनट तक पहले',
+  'checkIn.bucket.upToOneHourLate': '1 घंटे तक देर',
+  'checkIn.bucket.oneToTwoHoursLate': '1 - 2 घंटे देर',
+  'checkIn.bucket.twoToThreeHoursLate': '2 - 3 घंटे देर',
+  'checkIn.bucket.veryLate': '3 घंटे से अधिक देर',
+  'checkIn.bucket.before': '{time} से पहले',
+  'checkIn.bucket.after': '{time} के बाद',
+  'checkIn.bucket.late': '{label} (देर से)',
+  'checkIn.bucket.missing': 'चेक-इन नहीं',
+
+  // Anomalies
+  'anomaly.checkout_before_checkin.label': 'चेक-इन से पहले चेक-आउट',
+  'anomaly.checkout_before_checkin.description': 'दिन की पाली में चेक-आउट, चेक-इन से पहले दर्ज हुआ।',
+  'anomaly.checkout_before_checkin.message': '{employeeId} ने {date} को {checkIn} पर चेक-इन से पहले {checkOut} पर चेक-आउट किया।',
+  'anomaly.long_shift.label': '14 घंटे से लंबी पाली',
+  'anomaly.long_shift.description': 'एक पाली में जितना काम होना चाहिए उससे अधिक घंटे।',
+  'anomaly.long_shift.message': '{employeeId} ने {date} को {hours} घंटे काम किया।',
+  'anomaly.present_without_punches.label': 'बिना पंच के उपस्थित',
+  'anomaly.present_without_punches.description': 'PRESENT दर्ज है, पर न चेक-इन है न चेक-आउट।',
+  'anomaly.present_without_punches.message': '{employeeId} {date} को बिना पंच के PRESENT है।',
+  'anomaly.duplicate_rows.label': 'दोहरी पंक्तियाँ',
+  'anomaly.duplicate_rows.description': 'एक ही कर्मचारी और तारीख के लिए एक से अधिक रिकॉर्ड।',
+  'anomaly.duplicate_rows.message': '{employeeId} के {date} को {count} रिकॉर्ड हैं।',
+  'anomaly.late_mismatch.label': 'देरी का फ़्लैग मेल नहीं खाता',
+  'anomaly.late_mismatch.description': 'बैकएंड का Late_Flag या Late_Minutes, शिफ्ट नीति से गणना की गई देरी से अलग है।',
+  'anomaly.late_mismatch.message': '{employeeId}, {date}: बैकएंड के अनुसार {backend} ({backendMinutes} मिनट), शिफ्ट नीति के अनुसार {computed} ({computedMinutes} मिनट)।',
+  'anomaly.identical_punches.label': 'एक जैसे पंच समय',
+  'anomaly.identical_punches.description': 'लगातार कई दिन एक ही चेक-इन और चेक-आउट, जो किसी और से पंच करवाने का संकेत हो सकता है।',
+  'anomaly.identical_punches.message': '{employeeId} ने {fromDate} से {toDate} तक लगातार {count} दिन {checkIn} - {checkOut} पंच किया।',
+  'anomaly.late': 'देर से',
+  'anomaly.onTime': 'समय पर',
+
+  // Calendar day statuses
+  'dayStatus.on_time': 'समय पर',
+  'dayStatus.late': 'देर से',
+  'dayStatus.missing_punch': 'पंच छूटा',
+  'dayStatus.absent': 'अनुपस्थित',
+  'dayStatus.leave': 'अवकाश पर',
+  'dayStatus.weekend_work': 'सप्ताहांत / छुट्टी पर काम',
+  'dayStatus.holiday': 'छुट्टी',
+  'dayStatus.weekly_off': 'साप्ताहिक अवकाश',
+  'dayStatus.no_data': 'अभी कोई डेटा नहीं',
+
+  // Punch corrections
+  'regularization.status.pending': 'लंबित',
+  'regularization.status.approved': 'स्वीकृत',
+  'regularization.status.rejected': 'अस्वीकृत',
+  'regularization.problem.employeeAndDate': 'कर्मचारी और तारीख चुनें।',
+  'regularization.problem.times': 'दोनों सुधारे गए समय HH:MM में दर्ज करें।',
+  'regularization.problem.reason': 'सुधार का कारण बताएँ।',
+
+  // Attendance log checks
+  'log.error.columns': 'टैब से अलग कॉलम अपेक्षित थे (कर्मचारी आईडी, तारीख और समय)।',
+  'log.error.employeeId': '"{value}" संख्यात्मक कर्मचारी आईडी नहीं है।',
+  'log.error.timestamp': '"{value}" मान्य तारीख और समय नहीं है (YYYY-MM-DD HH:MM:SS अपेक्षित)।',
+  'log.problem.binary': '{fileName} एक बाइनरी फ़ाइल है, टैब से अलग उपस्थिति लॉग नहीं। क्या आपने कर्मचारी डेटा और उपस्थिति डेटा फ़ाइलें आपस में बदल दीं?',
+  'log.problem.empty': '{fileName} खाली है।',
+  'log.problem.noPunches': '{fileName} से कोई पंच नहीं पढ़ा जा सका। जाँचें कि यह टर्मिनल से निर्यात किया गया उपस्थिति लॉग है।',
+  'log.problem.mostlyBad': '{fileName} की {total} में से {count} पंक्तियाँ पढ़ी नहीं जा सकीं, इसलिए यह उपस्थिति लॉग नहीं लगता।',
+  'log.problem.employeeLooksLikeLog': '{fileName} बाइनरी कर्मचारी डेटा नहीं, बल्कि उपस्थिति लॉग लगता है। क्या आपने कर्मचारी डेटा और उपस्थिति डेटा फ़ाइलें आपस में बदल दीं?',
+
+  // Payroll settings
+  'payroll.problem.weekdayMultiplier': 'कार्यदिवस ओवरटाइम गुणक कम से कम 1 होना चाहिए।',
+  'payroll.problem.offDayMultiplier': 'सप्ताहांत / छुट्टी ओवरटाइम गुणक कम से कम 1 होना चाहिए।',
+
+  // Upload history
+  'history.dateRange': '{from} से {to}',
+  'history.noDates': 'कोई तारीख नहीं',
+
+  // Alert rules
+  'alertRule.late_count.label': 'चलती अवधि में देर से आना',
+  'alertRule.late_count.describe': 'पिछले {windowDays} दिनों में {threshold} या अधिक बार देर से आना',
+  'alertRule.consecutive_absence.label': 'लगातार बिना सूचना अनुपस्थिति',
+  'alertRule.consecutive_absence.describe': 'बिना अवकाश के लगातार {threshold} कार्यदिवस अनुपस्थित',
+  'alertRule.low_avg_hours.label': 'इस महीने कम औसत घंटे',
+  'alertRule.low_avg_hours.describe': 'इस महीने औसत घंटे {threshold} से कम',
+  'alertRule.problem.unknownType': 'अज्ञात नियम प्रकार "{type}"।',
+  'alertRule.problem.threshold': 'सीमा 0 से अधिक होनी चाहिए।',
+  'alertRule.problem.window': 'अवधि पूरे दिनों की संख्या होनी चाहिए।',
+  'alertRule.message.forEmployee': '{name} ({id}): {message}',
+  'alertRule.message.late_one': '{from} और {to} के बीच {count} बार देर से आए।',
+  'alertRule.message.late_other': '{from} और {to} के बीच {count} बार देर से आए।',
+  'alertRule.message.absent_one': '{from} से {to} तक {count} कार्य दिवस बिना छुट्टी के अनुपस्थित।',
+  'alertRule.message.absent_other': '{from} से {to} तक {count} कार्य दिवस बिना छुट्टी के अनुपस्थित।',
+  'alertRule.message.lowHours_one': 'इस महीने {count} दिन में औसतन {hours} घंटे।',
+  'alertRule.message.lowHours_other': 'इस महीने {count} दिनों में औसतन {hours} घंटे।',
+
+  // Request errors; {action} is already translated
+  'error.serverStatus': '{action}। सर्वर ने स्थिति {status} लौटाई: {message}',
+  'error.cannotConnect': '{action}। बैकएंड सर्वर से कनेक्ट नहीं हो सका।',
+  'error.timedOut': '{action}। अनुरोध का समय समाप्त हो गया।',
+  'error.other': '{action}: {message}',
+
+  // Uploads and the offline queue
+  'upload.processingFailed': 'प्रोसेसिंग विफल रही।',
+  'upload.processingTimedOut': 'प्रोसेसिंग {minutes} मिनट में पूरी नहीं हुई। फिर से प्रयास करने से पहले अपलोड इतिहास देखें।',
+  'upload.fileFailed': '{fileName} विफल रही',
+  'offline.noIndexedDb': 'इस ब्राउज़र में IndexedDB उपलब्ध नहीं है।',
+
+  // App shell
+  'app.titleStart': 'कर्मचारी बायोमेट्रिक',
+  'app.titleEnd': 'डैशबोर्ड',
+  'app.logoAlt': 'कॉमर्डो एयरोस्पेस लोगो',
+  'app.language': 'भाषा',
+  'app.darkMode': 'डार्क मोड पर जाएँ',
+  'app.lightMode': 'लाइट मोड पर जाएँ',
+  'app.reduceMotion': 'गति कम करें',
+  'app.signedInAs': 'इस रूप में साइन इन:',
+  'app.logout': 'लॉग आउट',
+  'app.errorTitle': 'त्रुटि!',
+  'nav.label': 'मुख्य',
+  'nav.dashboard': 'डैशबोर्ड',
+  'nav.upload': 'अपलोड',
+
+  // Login
+  'login.title': 'लॉगिन',
+  'login.email': 'ईमेल',
+  'login.password': 'पासवर्ड',
+  'login.submit': 'लॉगिन करें',
+  'login.loggingIn': 'लॉगिन हो रहा है...',
+  'login.failed': 'लॉगिन विफल: {message}',
+  'login.invalid': 'ईमेल या पासवर्ड गलत है',
+  'login.timedOut': 'लॉगिन अनुरोध का समय समाप्त हो गया। बैकएंड व्यस्त या धीमा हो सकता है।',
+  'login.sessionExpired': 'आपका सत्र समाप्त हो गया है। कृपया फिर से लॉगिन करें।',
+  'login.noToken': 'लॉगिन के जवाब में टोकन नहीं था।',
+
+  // Offline banner and queued uploads
+  'offline.offline': 'आप ऑफ़लाइन हैं।',
+  'offline.serverUnreachable': 'सर्वर तक नहीं पहुँचा जा सकता।',
+  'offline.showingCached': '{time} का सहेजा गया डेटा दिखाया जा रहा है।',
+  'offline.queuedUploads_one': '{count} अपलोड कतार में है, कनेक्शन लौटने पर भेजा जाएगा।',
+  'offline.queuedUploads_other': '{count} अपलोड कतार में हैं, कनेक्शन लौटने पर भेजे जाएँगे।',
+  'offline.queueSent_one': 'कतार की {count} फ़ाइल अपलोड और प्रोसेस हो गई।',
+  'offline.queueSent_other': 'कतार की {count} फ़ाइलें अपलोड और प्रोसेस हो गईं।',
+  'offline.queueFailed_one': 'विफल: कतार की {count} फ़ाइल प्रोसेस नहीं हो सकी।',
+  'offline.queueFailed_other': 'विफल: कतार की {count} फ़ाइलें प्रोसेस नहीं हो सकीं।',
+  'offline.queueError': 'कतार के अपलोड भेजने में विफल: {message}',
+
+  // Fetch errors
+  'employees.fetchFailed': 'कर्मचारी सूची नहीं मिल सकी। कृपया सुनिश्चित करें कि बैकएंड सर्वर चल रहा है और डेटा प्रोसेस हो चुका है।',
+  'employees.timedOut': 'कर्मचारी सूची के अनुरोध का समय समाप्त हो गया। बैकएंड व्यस्त या धीमा हो सकता है।',
+  'error.serverResponded': 'सर्वर ने स्थिति {status} लौटाई: {message}',
+  'error.backendUnreachable': 'बैकएंड सर्वर से कनेक्ट नहीं हो सका। कृपया सुनिश्चित करें कि वह चल रहा है और पहुँच में है।',
+  'error.cors': 'CORS समस्या मिली। अपने बैकएंड का CORS कॉन्फ़िगरेशन जाँचें।',
+  'error.network': 'नेटवर्क त्रुटि। कृपया अपना इंटरनेट कनेक्शन जाँचें।',
+  'error.badResponse': 'सर्वर से गलत जवाब मिला। बैकएंड लॉग जाँचें।',
+
+  // Search
+  'search.selectEmployee': 'कर्मचारी चुनें',
+  'search.employeeOption': '{name} (आईडी: {id})',
+  'search.picker.label': 'कर्मचारी (नाम या आईडी से खोजें)',
+  'search.picker.addMore': 'और जोड़ें…',
+  'search.picker.noMatches': 'कोई मेल खाता कर्मचारी नहीं',
+  'search.picker.remove': '{name} हटाएँ',
+  'search.fromDate': 'आरंभ तारीख',
+  'search.toDate': 'अंतिम तारीख',
+  'search.department': 'विभाग',
+  'search.allDepartments': 'सभी विभाग',
+  'search.team': 'टीम',
+  'search.allTeams': 'सभी टीमें',
+  'search.submit': 'खोजें',
+  'search.searching': 'खोज जारी है...',
+  'search.fetching': 'डेटा लाया जा रहा है...',
+  'search.backToTeam': 'टीम दृश्य पर वापस',
+  'search.backToComparison': 'कर्मचारी तुलना पर वापस',
+  'search.needFilters': 'खोजने के लिए कृपया कोई कर्मचारी या तारीख सीमा चुनें।',
+  'search.noRecords': 'चुने गए मानदंडों के लिए कोई रिकॉर्ड नहीं मिला।',
+  'search.failed': 'रिकॉर्ड नहीं मिल सके: {message}',
+  'search.timedOut': 'रिकॉर्ड के अनुरोध का समय समाप्त हो गया। बैकएंड व्यस्त या धीमा हो सकता है।',
+
+  // Settings panels
+  'shift.title': 'शिफ्ट नीतियाँ',
+  'shift.open': 'शिफ्ट नीतियाँ संपादित करें',
+  'shift.loadFailed': 'शिफ्ट नीतियाँ लोड नहीं हो सकीं। डिफ़ॉल्ट 09:30 - 17:00 नीति उपयोग की जा रही है।',
+  'shift.saved': 'शिफ्ट नीतियाँ सहेजी गईं।',
+  'shift.saveFailed': 'शिफ्ट नीतियाँ सहेजी नहीं जा सकीं: {message}',
+  'shift.saveFailedStatus': 'शिफ्ट नीतियाँ सहेजी नहीं जा सकीं। सर्वर ने स्थिति {status} लौटाई: {message}',
+  'calendar.title': 'छुट्टियों का कैलेंडर',
+  'calendar.open': 'कैलेंडर संपादित करें',
+  'calendar.summary_one': 'साप्ताहिक अवकाश: {weeklyOffs}। {count} छुट्टी।',
+  'calendar.summary_other': 'साप्ताहिक अवकाश: {weeklyOffs}। {count} छुट्टियाँ।',
+  'calendar.loadFailed': 'छुट्टियों का कैलेंडर लोड नहीं हो सका। केवल शनिवार और रविवार को गैर-कार्यदिवस माना जा रहा है।',
+  'calendar.saved': 'छुट्टियों का कैलेंडर सहेजा गया।',
+  'calendar.saveFailed': 'छुट्टियों का कैलेंडर सहेजा नहीं जा सका: {message}',
+  'calendar.saveFailedStatus': 'छुट्टियों का कैलेंडर सहेजा नहीं जा सका। सर्वर ने स्थिति {status} लौटाई: {message}',
+  'leave.title': 'अवकाश',
+  'leave.openManage': 'अवकाश प्रबंधित करें',
+  'leave.openView': 'अवकाश देखें',
+  'leave.loadFailedForSearch': 'अवकाश लोड नहीं हो सका, इसलिए सभी अनुपस्थितियाँ बिना सूचना दिखाई गई हैं',
+  'regularization.title': 'पंच सुधार',
+  'regularization.openReview': 'सुधारों की समीक्षा करें',
+  'regularization.openRequest': 'सुधार का अनुरोध करें',
+  'regularization.summary': 'छूटे या गलत पंच ठीक करें; स्वीकृत सुधार मूल पंच की जगह लेते हैं',
+  'regularization.loadFailedForSearch': 'पंच सुधार लोड नहीं हो सके, इसलिए मूल पंच दिखाए गए हैं',
+  'alerts.title': 'अलर्ट नियम',
+  'alerts.open': 'अलर्ट नियम संपादित करें',
+  'alerts.summary_one': '{count} सक्रिय नियम, हर खोज और अपलोड पर जाँचा जाता है',
+  'alerts.summary_other': '{count} सक्रिय नियम, हर खोज और अपलोड पर जाँचे जाते हैं',
+  'alerts.loadFailed': 'अलर्ट नियम लोड नहीं हो सके, इसलिए कोई अलर्ट नहीं बनेगा',
+  'alerts.saved': 'अलर्ट नियम सहेजे गए।',
+  'alerts.saveFailed': 'अलर्ट नियम सहेजे नहीं जा सके',
+  'alerts.markReadFailed': 'अलर्ट को पढ़ा हुआ चिह्नित नहीं किया जा सका',
+  'alerts.digestFailed': 'अलर्ट सारांश ईमेल नहीं हो सका',
+  'payroll.title': 'पेरोल सारांश',
+  'payroll.open': 'पेरोल खोलें',
+  'payroll.summary': 'वेतन अवधि के लिए प्रति कर्मचारी सवेतन दिन, ओवरटाइम और देरी की कटौती',
+  'employeeDetails.title': 'कर्मचारी विवरण',
+  'employeeDetails.open': 'विवरण संपादित करें',
+  'employeeDetails.summary': 'हर कर्मचारी का विभाग, टीम, पदनाम और रिपोर्टिंग मैनेजर',
+  'history.title': 'अपलोड इतिहास',
+  'history.open': 'इतिहास दिखाएँ',
+  'history.summary': 'पिछले अपलोड, तुलना और रोलबैक',
+  'anomaly.title': 'विसंगतियाँ',
+  'anomaly.open': 'विसंगतियाँ दिखाएँ',
+  'anomaly.summary_one': 'इन रिकॉर्ड में {count} संदिग्ध या असंगत पंच पैटर्न',
+  'anomaly.summary_other': 'इन रिकॉर्ड में {count} संदिग्ध या असंगत पंच पैटर्न',
+  'anomaly.none': 'इन रिकॉर्ड में कुछ संदिग्ध नहीं',
+
+  // Export
+  'export.label': 'निर्यात:',
+  'export.csv': 'CSV',
+  'export.xlsx': 'Excel',
+  'export.pdf': 'PDF रिपोर्ट',
+  'export.failed': '{format} निर्यात विफल: {message}',
+
+  // Summary card
+  'summary.title': 'सारांश',
+  'summary.totalAttendance': 'कुल उपस्थिति:',
+  'summary.totalDays': 'कुल दिन:',
+  'summary.totalAbsent': 'कुल अनुपस्थित:',
+  'summary.unplanned': 'बिना सूचना:',
+  'summary.lateArrivals': 'देर से आगमन:',
+  'summary.holidays': 'छुट्टियाँ:',
+  'summary.halfDays': 'आधे दिन:',
+  'summary.totalExtraWorking': 'कुल अतिरिक्त कार्यदिवस:',
+  'summary.avgWorkingHours': 'औसत कार्य घंटे:',
+  'summary.weekdayOvertime': 'कार्यदिवस ओवरटाइम:',
+  'summary.offDayOvertime': 'सप्ताहांत / छुट्टी ओवरटाइम:',
+  'summary.absentDates': 'अनुपस्थिति की तारीखें:',
+  'summary.extraWorkingDates': 'अतिरिक्त कार्य की तारीखें:',
+  'summary.days_one': '{count} दिन',
+  'summary.days_other': '{count} दिन',
+  'summary.hours': '{hours} घंटे',
+
+  // Charts
+  'chart.workingHours': 'कार्य घंटे',
+  'chart.checkInTime': 'चेक-इन समय',
+  'chart.checkOutTime': 'चेक-आउट समय',
+  'chart.presentOnTime': 'उपस्थित (समय पर)',
+  'chart.presentLate': 'उपस्थित (देर से)',
+  'chart.absentUnplanned': 'अनुपस्थित (बिना सूचना)',
+  'chart.attendanceDistribution': 'उपस्थिति वितरण',
+  'chart.dailyWorkingHours': 'दैनिक कार्य घंटे',
+  'chart.dailyCheckInOut': 'दैनिक चेक-इन और चेक-आउट',
+  'chart.lateArrivalsTrend': 'देर से आने का रुझान',
+  'chart.lateArrivalCount': 'देर से आने की संख्या',
+  'chart.checkInDistribution': 'चेक-इन समय वितरण',
+  'chart.checkInCount': 'चेक-इन की संख्या',
+  'chart.hours': 'घंटे',
+  'chart.time': 'समय',
+  'chart.date': 'तारीख',
+  'chart.timeInterval': 'समय अंतराल',
+  'chart.a11y.viewTable': 'तालिका के रूप में देखें',
+  'chart.a11y.viewChart': 'चार्ट के रूप में देखें',
+  'chart.a11y.viewTableOf': '{title} को तालिका के रूप में देखें',
+  'chart.a11y.viewChartOf': '{title} को चार्ट के रूप में देखें',
+  'chart.a11y.empty': 'चार्ट के लिए कोई डेटा नहीं।',
+  'chart.a11y.noValues': '{label}: कोई मान नहीं।',
+  'chart.a11y.series_one': '{label}: {count} मान, {highest} ({highestAt})।',
+  'chart.a11y.series_other': '{label}: {count} मान, सबसे अधिक {highest} ({highestAt}), सबसे कम {lowest} ({lowestAt}), औसत {average}।',
+  'chart.a11y.pie': 'कुल {total}: {shares}।',
+  'chart.a11y.share': '{label} {value} ({percent}%)',
+
+  // Compare mode
+  'compare.label': 'इससे तुलना करें:',
+  'compare.mode.off': 'कुछ नहीं',
+  'compare.mode.previous': 'पिछली अवधि',
+  'compare.mode.lastYear': 'पिछले साल की यही अवधि',
+  'compare.mode.custom': 'कस्टम अवधि',
+  'compare.customFrom': 'तुलना की शुरुआत',
+  'compare.customTo': 'तुलना का अंत',
+  'compare.needRange': 'अवधियों की तुलना के लिए शुरुआत और अंत दोनों तारीखों के साथ खोजें।',
+  'compare.loading': 'तुलना की अवधि लोड हो रही है...',
+  'compare.loadFailed': 'तुलना की अवधि लोड नहीं हो सकी',
+  'compare.against': '{range} से तुलना',
+  'compare.range': '{from} – {to}',
+  'compare.series': '{label} ({range})',
+  'compare.delta.up': '{previous} से {change} अधिक',
+  'compare.delta.down': '{previous} से {change} कम',
+  'compare.delta.same': '{previous} से कोई बदलाव नहीं',
+
+  // Quick ranges
+  'quickRange.label': 'त्वरित अवधि:',
+  'quickRange.today': 'आज',
+  'quickRange.thisWeek': 'इस सप्ताह',
+  'quickRange.lastWeek': 'पिछला सप्ताह',
+  'quickRange.thisMonth': 'इस महीने',
+  'quickRange.lastMonth': 'पिछला महीना',
+  'quickRange.payPeriod': 'वर्तमान वेतन अवधि',
+  'quickRange.last90Days': 'पिछले 90 दिन',
+
+  // Saved views
+  'savedViews.title': 'सहेजे गए दृश्य',
+  'savedViews.manage': 'दृश्य प्रबंधित करें',
+  'savedViews.summary_one': '{count} सहेजा गया दृश्य। दृश्यों को डैशबोर्ड के ऊपर पिन करें या लॉगिन के बाद एक खोलें।',
+  'savedViews.summary_other': '{count} सहेजे गए दृश्य। दृश्यों को डैशबोर्ड के ऊपर पिन करें या लॉगिन के बाद एक खोलें।',
+  'savedViews.pinned': 'पिन किए गए दृश्य:',
+  'savedViews.name': 'दृश्य का नाम',
+  'savedViews.namePlaceholder': 'इस दृश्य को नाम दें, जैसे रोबोटिक्स इस सप्ताह',
+  'savedViews.save': 'वर्तमान दृश्य सहेजें',
+  'savedViews.needSearch': 'पहले खोज करें, फिर उसे दृश्य के रूप में सहेजें।',
+  'savedViews.nameTaken': '{name} नाम का दृश्य पहले से मौजूद है।',
+  'savedViews.saved': '{name} सहेजा गया।',
+  'savedViews.none': 'अभी तक कोई सहेजा गया दृश्य नहीं।',
+  'savedViews.everyone': 'सभी',
+  'savedViews.range': '{from} – {to}',
+  'savedViews.anyDates': 'कोई भी तारीख',
+  'savedViews.defaultBadge': 'डिफ़ॉल्ट',
+  'savedViews.openView': 'खोलें',
+  'savedViews.pin': 'पिन करें',
+  'savedViews.unpin': 'पिन हटाएँ',
+  'savedViews.setDefault': 'लॉगिन के बाद खोलें',
+  'savedViews.unsetDefault': 'लॉगिन के बाद खोलना बंद करें',
+  'savedViews.delete': 'हटाएँ',
+  'savedViews.deleteView': '{name} हटाएँ',
+  'savedViews.defaultHint': 'डिफ़ॉल्ट दृश्य लॉगिन के बाद अपने आप खुलता है। दृश्य इसी ब्राउज़र में रखे जाते हैं।',
+
+  // Records table
+  'records.header.employeeId': 'कर्मचारी आईडी',
+  'records.header.name': 'नाम',
+  'records.header.date': 'तारीख',
+  'records.header.checkIn': 'चेक-इन',
+  'records.header.checkOut': 'चेक-आउट',
+  'records.header.hours': 'घंटे',
+  'records.header.lateMinutes': 'देरी (मिनट)',
+  'records.header.status': 'स्थिति',
+  'records.header.lateFlag': 'देरी फ़्लैग',
+  'records.header.computedIsLate': 'गणना से देर',
+  'records.header.originalPunches': 'मूल पंच',
+
+  // Shared
+  'common.hide': 'छिपाएँ',
+  'common.all': 'सभी',
+  'common.yes': 'हाँ',
+  'common.no': 'नहीं',
+  'common.saving': 'सहेजा जा रहा है...',
+  'common.remove': 'हटाएँ',
+  'common.save': 'सहेजें',
+  'common.cancel': 'रद्द करें',
+
+  // Records table filters
+  'records.nameContains': 'नाम में शामिल',
+  'records.namePlaceholder': 'जैसे राव',
+  'records.hoursBelow': 'इससे कम घंटे',
+  'records.clearFilters': 'फ़िल्टर हटाएँ',
+  'records.columns': 'कॉलम',
+  'records.focus': 'केवल इनकी पंक्तियाँ दिख रही हैं: {label}',
+  'records.showAll': 'सभी पंक्तियाँ दिखाएँ',
+  'records.showing': '{count} में से {shown} रिकॉर्ड दिख रहे हैं',
+  'records.flagged': '(हाइलाइट की गई पंक्तियों में विसंगतियाँ हैं)',
+  'records.noMatch': 'इन फ़िल्टर से कोई रिकॉर्ड मेल नहीं खाता।',
+  'records.tableLabel': 'उपस्थिति रिकॉर्ड',
+  'records.status.PRESENT': 'उपस्थित',
+  'records.status.ABSENT': 'अनुपस्थित',
+
+  // Anomalies panel
+  'anomaly.noneFound': 'इन रिकॉर्ड में कोई विसंगति नहीं।',
+  'anomaly.showAllRows_one': '{count} पंक्ति दिखाएँ',
+  'anomaly.showAllRows_other': 'सभी {count} पंक्तियाँ दिखाएँ',
+  'anomaly.showRows_one': 'पंक्ति दिखाएँ',
+  'anomaly.showRows_other': 'पंक्तियाँ दिखाएँ',
+
+  // Alert inbox and rules
+  'alerts.bell': 'अलर्ट',
+  'alerts.bellLabel': 'अलर्ट, {count} अपठित',
+  'alerts.emailDigest': 'सारांश ईमेल करें',
+  'alerts.markAllRead': 'सभी को पढ़ा हुआ चिह्नित करें',
+  'alerts.noAlerts': 'अभी कोई अलर्ट नहीं।',
+  'alerts.unread': 'अपठित',
+  'alerts.noRules': 'कोई अलर्ट नियम नहीं। नीचे एक जोड़ें।',
+  'alerts.thresholdHours': 'इससे कम (घंटे)',
+  'alerts.thresholdLate': 'देर से आना',
+  'alerts.thresholdDays': 'दिन',
+  'alerts.windowDays': 'इतने दिनों में',
+  'alerts.addRule': 'नियम जोड़ें:',
+  'alerts.digestOption': 'नए अलर्ट मिलने पर हर प्राप्तकर्ता को सारांश ईमेल करें',
+  'alerts.save': 'अलर्ट नियम सहेजें',
+
+  // Upload panel
+  'upload.title': 'बायोमेट्रिक डेटा फ़ाइलें अपलोड करें:',
+  'upload.employeeFile': 'कर्मचारी डेटा (बाइनरी .dat):',
+  'upload.employeeFileLabel': 'कर्मचारी डेटा फ़ाइल अपलोड करें',
+  'upload.attendanceFiles': 'उपस्थिति डेटा (.dat/.txt, एक से अधिक चलेंगी):',
+  'upload.attendanceFilesLabel': 'उपस्थिति डेटा फ़ाइलें अपलोड करें',
+  'upload.submit': 'अपलोड और प्रोसेस करें',
+  'upload.uploading': 'अपलोड हो रहा है...',
+  'upload.retryFailed': 'विफल फ़ाइलें फिर भेजें',
+  'upload.batch_one': 'बैच: {count} उपस्थिति लॉग',
+  'upload.batch_other': 'बैच: {count} उपस्थिति लॉग',
+  'upload.clear': 'साफ़ करें',
+  'upload.kind.employee': 'कर्मचारी डेटा',
+  'upload.kind.attendance': 'उपस्थिति लॉग',
+  'upload.status.pending': 'प्रतीक्षा में',
+  'upload.status.uploading': 'अपलोड हो रहा है',
+  'upload.status.processing': 'प्रोसेस हो रहा है',
+  'upload.status.uploaded': 'अपलोड हुआ',
+  'upload.status.queued': 'ऑफ़लाइन कतार में',
+  'upload.status.done': 'पूरा',
+  'upload.status.failed': 'विफल',
+  'upload.status.blocked': 'रोका गया',
+  'upload.preview': 'पूर्वावलोकन',
+  'upload.hidePreview': 'पूर्वावलोकन छिपाएँ',
+  'upload.progressLabel': '{fileName} अपलोड प्रगति',
+  'upload.processingOnServer': 'सर्वर पर प्रोसेस हो रहा है...',
+  'upload.downloadDashboard': 'डैशबोर्ड डाउनलोड करें',
+  'upload.blocked': 'अपलोड रोका गया: {problem}',
+  'upload.couldNotRead': '{fileName} पढ़ी नहीं जा सकी: {message}',
+  'upload.willUploadOnline': 'ऑनलाइन होने पर अपलोड होगी।',
+  'upload.queuedOffline_one': 'आप ऑफ़लाइन हैं। {count} फ़ाइल कतार में है और कनेक्शन लौटने पर अपने आप अपलोड होगी।',
+  'upload.queuedOffline_other': 'आप ऑफ़लाइन हैं। {count} फ़ाइलें कतार में हैं और कनेक्शन लौटने पर अपने आप अपलोड होंगी।',
+  'upload.queueFailed': 'त्रुटि: आप ऑफ़लाइन हैं और फ़ाइलें कतार में नहीं डाली जा सकीं ({message})। ऑनलाइन होने पर फिर से अपलोड करें।',
+  'upload.selectFiles': 'कृपया कर्मचारी डेटा (बाइनरी) फ़ाइल और कम से कम एक उपस्थिति डेटा (.dat/.txt) फ़ाइल चुनें।',
+  'upload.error': 'त्रुटि: {message}',
+  'upload.failed': 'अपलोड विफल',
+  'upload.retryHint': '{message} जारी रखने के लिए फिर से अपलोड करें।',
+  'upload.employeeFailed': 'त्रुटि: कर्मचारी डेटा फ़ाइल अपलोड नहीं हो सकी, इसलिए कोई उपस्थिति लॉग प्रोसेस नहीं हुआ।',
+  'upload.queuedForProcessing': 'प्रोसेसिंग की कतार में।',
+  'upload.retrying': 'कनेक्शन में समस्या, फिर से प्रयास ({attempt}/{maxAttempts})...',
+  'upload.processed': 'अपलोड और प्रोसेस हो गई।',
+  'upload.batchFailed': 'विफल: {count} में से {failed} फ़ाइलें पूरी नहीं हुईं। उन्हें फिर से भेजने के लिए दोबारा अपलोड करें।',
+  'upload.batchDone_one': '{count} फ़ाइल अपलोड और प्रोसेस हो गई।',
+  'upload.batchDone_other': '{count} फ़ाइलें अपलोड और प्रोसेस हो गईं।',
+
+  // Attendance log preview
+  'logPreview.file': 'फ़ाइल',
+  'logPreview.punches': 'पंच',
+  'logPreview.punchesOfLines': '{total} में से {count} पंक्तियाँ',
+  'logPreview.dateRange': 'तारीख सीमा',
+  'logPreview.employees': 'कर्मचारी',
+  'logPreview.firstPunches_one': 'पहला पंच',
+  'logPreview.firstPunches_other': 'पहले {count} पंच',
+  'logPreview.line': 'पंक्ति',
+  'logPreview.time': 'समय',
+  'logPreview.verify': 'सत्यापन',
+  'logPreview.state': 'अवस्था',
+  'logPreview.perEmployee': 'प्रति कर्मचारी पंच',
+  'logPreview.employeeId': 'आईडी {id}',
+  'logPreview.badLines_one': '{count} पंक्ति पढ़ी नहीं जा सकी',
+  'logPreview.badLines_other': '{count} पंक्तियाँ पढ़ी नहीं जा सकीं',
+  'logPreview.lineError': 'पंक्ति {line}: {message}',
+  'logPreview.more': '...और {count} अन्य',
+
+  // Upload history
+  'history.loadFailed': 'अपलोड इतिहास लोड नहीं हो सका',
+  'history.loading': 'अपलोड इतिहास लोड हो रहा है...',
+  'history.empty': 'अभी कोई अपलोड नहीं।',
+  'history.compare': 'तुलना',
+  'history.compareLabel': '{when} के अपलोड की तुलना करें',
+  'history.uploaded': 'अपलोड समय',
+  'history.by': 'द्वारा',
+  'history.files': 'फ़ाइलें',
+  'history.records': 'रिकॉर्ड',
+  'history.active': 'सक्रिय',
+  'history.dashboard': 'डैशबोर्ड',
+  'history.rollBack': 'रोलबैक करें',
+  'history.rollingBack': 'रोलबैक हो रहा है...',
+  'history.confirmRollback': '{when} के अपलोड को सक्रिय करें? यह उन्हीं महीनों के किसी भी सक्रिय अपलोड की जगह लेगा, और खोज में उन महीनों के लिए इसके रिकॉर्ड दिखेंगे।',
+  'history.activated': '{when} का अपलोड अब सक्रिय है।',
+  'history.rollbackFailed': 'रोलबैक विफल',
+  'history.tickOneMore': 'तुलना के लिए एक और अपलोड चुनें।',
+  'history.recordsChange': 'रिकॉर्ड:',
+  'history.employeesChange': 'कर्मचारी:',
+  'history.datesChange': 'तारीखें:',
+  'history.changed': '(बदली)',
+  'history.employee': 'कर्मचारी',
+  'history.older': 'पुराना',
+  'history.newer': 'नया',
+  'history.change': 'बदलाव',
+
+  // Team view
+  'team.title': 'टीम सारांश',
+  'team.hint_one': '{count} कर्मचारी। किसी कॉलम पर क्लिक करके उसके अनुसार क्रम बदलें, या पूरा दृश्य देखने के लिए किसी कर्मचारी पर क्लिक करें।',
+  'team.hint_other': '{count} कर्मचारी। किसी कॉलम पर क्लिक करके उसके अनुसार क्रम बदलें, या पूरा दृश्य देखने के लिए किसी कर्मचारी पर क्लिक करें।',
+  'team.column.employeeName': 'कर्मचारी',
+  'team.column.totalAttendance': 'उपस्थित',
+  'team.column.totalAbsent': 'अनुपस्थित',
+  'team.column.lateCount': 'देर से',
+  'team.column.avgWorkingHours': 'औसत घंटे',
+  'team.column.totalExtraWorking': 'अतिरिक्त दिन',
+  'team.employeeId': '(आईडी: {id})',
+  'team.chart.present': 'उपस्थित कर्मचारी',
+  'team.chart.latePercent': 'देर से आना (%)',
+  'team.chart.avgHours': 'औसत कार्य घंटे',
+  'team.chart.headcountTitle': 'दैनिक उपस्थित संख्या',
+  'team.chart.employees': 'कर्मचारी',
+  'team.chart.lateTitle': 'प्रति दिन देर से आना',
+  'team.chart.percentPresent': 'उपस्थित कर्मचारियों का %',
+  'team.chart.avgHoursTitle': 'प्रति दिन औसत कार्य घंटे',
+  'team.chart.distributionTitle': 'टीम उपस्थिति वितरण',
+  'team.chart.employeeDays_one': '{count} कर्मचारी-दिन',
+  'team.chart.employeeDays_other': '{count} कर्मचारी-दिन',
+
+  // Employee comparison
+  'picked.title': 'कर्मचारी तुलना',
+  'picked.open': '{name} का पूरा दृश्य खोलें',
+  'picked.row.totalAttendance': 'उपस्थित',
+  'picked.row.totalDays': 'कुल दिन',
+  'picked.row.totalAbsent': 'अनुपस्थित',
+  'picked.row.unplanned': 'अनियोजित अनुपस्थिति',
+  'picked.row.late': 'देर से आगमन',
+  'picked.row.halfDays': 'आधे दिन',
+  'picked.row.extraWorking': 'अतिरिक्त कार्य',
+  'picked.row.avgWorkingHours': 'औसत कार्य घंटे',
+  'picked.row.weekdayOvertime': 'कार्यदिवस ओवरटाइम',
+  'picked.row.offDayOvertime': 'सप्ताहांत / अवकाश ओवरटाइम',
+  'picked.checkIn': '{name} – चेक इन',
+  'picked.checkOut': '{name} – चेक आउट',
+
+  // Department comparison
+  'comparison.departmentTitle': 'विभागों की तुलना',
+  'comparison.teamTitle': 'टीमों की तुलना',
+  'comparison.attendanceRate': 'उपस्थिति दर (%)',
+  'comparison.latePercent': 'देर से आगमन (%)',
+  'comparison.avgHours': 'औसत कार्य घंटे',
+  'comparison.percentAxis': 'प्रतिशत',
+  'comparison.hint_one': 'चुनी गई अवधि में {count} समूह। उपस्थिति कार्य दिवसों पर गिनी जाती है; देर से आगमन उपस्थित दिनों का हिस्सा है।',
+  'comparison.hint_other': 'चुनी गई अवधि में {count} समूह। उपस्थिति कार्य दिवसों पर गिनी जाती है; देर से आगमन उपस्थित दिनों का हिस्सा है।',
+  'comparison.groupBy': 'इसके अनुसार तुलना करें',
+  'comparison.byDepartment': 'विभाग के अनुसार',
+  'comparison.byTeam': 'टीम के अनुसार',
+
+  // Attendance calendar
+  'attendanceCalendar.title': 'उपस्थिति कैलेंडर',
+  'attendanceCalendar.punches': 'आगमन {checkIn}, प्रस्थान {checkOut}',
+  'attendanceCalendar.corrected': 'सुधारा गया, पहले {checkIn} / {checkOut} था',
+  'attendanceCalendar.hours': 'घंटे {hours}',
+  'attendanceCalendar.recordFor': '{date} का रिकॉर्ड',
+  'attendanceCalendar.noRecord': 'इस दिन का कोई उपस्थिति रिकॉर्ड नहीं।',
+  'common.close': 'बंद करें',
+
+  // Holiday calendar editor
+  'calendar.weeklyOffs': 'साप्ताहिक अवकाश',
+  'calendar.day': 'दिन',
+  'calendar.everyWeek': 'हर सप्ताह',
+  'calendar.offEveryWeek': 'हर सप्ताह {weekday} अवकाश',
+  'calendar.offOnWeek': '{weeks} {weekday} अवकाश',
+  'calendar.holidays': 'छुट्टियाँ',
+  'calendar.holidayDate': 'छुट्टी की तारीख',
+  'calendar.holidayName': 'छुट्टी का नाम',
+  'calendar.defaultHolidayName': 'छुट्टी',
+  'calendar.addHoliday': 'छुट्टी जोड़ें',
+  'calendar.import': '.ics / .csv आयात करें',
+  'calendar.imported_one': '{fileName} से {count} छुट्टी आयात हुई। लागू करने के लिए सहेजें।',
+  'calendar.imported_other': '{fileName} से {count} छुट्टियाँ आयात हुईं। लागू करने के लिए सहेजें।',
+  'calendar.importFailed': '{fileName} पढ़ी नहीं जा सकी: {message}',
+  'calendar.noHolidays': 'अभी कोई छुट्टी नहीं।',
+  'calendar.save': 'कैलेंडर सहेजें',
+
+  // Shift policy editor
+  'shift.policies': 'नीतियाँ',
+  'shift.addPolicy': 'नीति जोड़ें',
+  'shift.newShift': 'नई शिफ्ट',
+  'shift.unnamedPolicy': 'बिना नाम की नीति',
+  'shift.policyName': 'नीति का नाम',
+  'shift.nightShift': 'रात की शिफ्ट',
+  'shift.field.name': 'नाम',
+  'shift.field.start': 'शुरुआत',
+  'shift.field.end': 'समाप्ति',
+  'shift.field.graceMinutes': 'छूट (मिनट)',
+  'shift.field.maxHours': 'अधिकतम गिने घंटे',
+  'shift.field.halfDayHours': 'इससे कम पर आधा दिन (घंटे)',
+  'shift.groups': 'समूह',
+  'shift.addGroup': 'समूह जोड़ें',
+  'shift.newGroup': 'नया समूह',
+  'shift.noGroups': 'अभी कोई समूह नहीं। जिन कर्मचारियों को कुछ नहीं सौंपा गया, वे डिफ़ॉल्ट नीति उपयोग करते हैं।',
+  'shift.groupName': 'समूह का नाम',
+  'shift.groupPolicy': '{group} की नीति',
+  'shift.groupMembers': '{group} के सदस्य',
+  'shift.problem.groupName': 'हर समूह का नाम होना चाहिए।',
+  'shift.overrides': 'कर्मचारी-विशेष नीति',
+  'shift.groupOrDefault': 'समूह / डिफ़ॉल्ट',
+  'shift.save': 'शिफ्ट नीतियाँ सहेजें',
+
+  // Leave manager
+  'leave.employee': 'अवकाश कर्मचारी',
+  'leave.year': 'अवकाश वर्ष',
+  'leave.import': 'HR CSV आयात करें',
+  'leave.loadFailed': 'अवकाश लोड नहीं हो सका',
+  'leave.problem.employeeAndDate': 'कर्मचारी और आरंभ तारीख चुनें।',
+  'leave.problem.endsBeforeStart': 'अवकाश शुरू होने से पहले समाप्त नहीं हो सकता।',
+  'leave.problem.noWorkingDays': 'चुनी गई सभी तारीखें छुट्टियाँ या साप्ताहिक अवकाश हैं।',
+  'leave.recorded': 'अवकाश दर्ज किया गया।',
+  'leave.saveFailed': 'अवकाश सहेजा नहीं जा सका',
+  'leave.removed': 'अवकाश हटाया गया।',
+  'leave.removeFailed': 'अवकाश हटाया नहीं जा सका',
+  'leave.importEmpty': '{fileName} से कोई अवकाश नहीं पढ़ा जा सका।',
+  'leave.imported_one': '{fileName} से {count} अवकाश रिकॉर्ड आयात हुआ।',
+  'leave.imported_other': '{fileName} से {count} अवकाश रिकॉर्ड आयात हुए।',
+  'leave.importFailed': '{fileName} आयात नहीं हो सकी',
+  'leave.balanceLeft_one': '/ {entitlement} दिन शेष',
+  'leave.balanceLeft_other': '/ {entitlement} दिन शेष',
+  'leave.balanceUsed': '{year} में {used} उपयोग हुए',
+  'leave.type': 'प्रकार',
+  'leave.from': 'से',
+  'leave.to': 'तक',
+  'leave.days': 'दिन',
+  'leave.reason': 'कारण',
+  'leave.record': 'अवकाश दर्ज करें',
+  'leave.loading': 'अवकाश लोड हो रहा है...',
+  'leave.none': '{year} में {name} का कोई अवकाश दर्ज नहीं।',
+
+  // Punch corrections manager
+  'regularization.loadFailed': 'सुधार अनुरोध लोड नहीं हो सके',
+  'regularization.requested': 'सुधार का अनुरोध किया गया। प्रबंधक की स्वीकृति के बाद यह लागू होगा।',
+  'regularization.requestFailed': 'सुधार का अनुरोध नहीं हो सका',
+  'regularization.rejectPrompt': '{date} को {employeeId} के सुधार को अस्वीकार करने का कारण (वैकल्पिक)',
+  'regularization.approved': 'सुधार स्वीकृत।',
+  'regularization.rejected': 'सुधार अस्वीकृत।',
+  'regularization.approveFailed': 'सुधार स्वीकृत नहीं हो सका',
+  'regularization.rejectFailed': 'सुधार अस्वीकृत नहीं हो सका',
+  'regularization.missingCount_one': 'इस खोज में {count} रिकॉर्ड में पंच छूटा है',
+  'regularization.missingCount_other': 'इस खोज में {count} रिकॉर्ड में पंच छूटा है',
+  'regularization.missingRecord': '{name} ({id}), {date}: आगमन {checkIn}, प्रस्थान {checkOut}',
+  'regularization.requestFix': 'सुधार माँगें',
+  'regularization.employee': 'सुधार हेतु कर्मचारी',
+  'regularization.date': 'सुधार की तारीख',
+  'regularization.correctedCheckIn': 'सुधारा गया चेक-इन',
+  'regularization.correctedCheckOut': 'सुधारा गया चेक-आउट',
+  'regularization.reason': 'सुधार का कारण',
+  'regularization.requests': 'अनुरोध',
+  'regularization.statusFilter': 'अनुरोध की स्थिति',
+  'regularization.loading': 'अनुरोध लोड हो रहे हैं...',
+  'regularization.empty.all': 'कोई सुधार अनुरोध नहीं।',
+  'regularization.empty.pending': 'कोई लंबित सुधार अनुरोध नहीं।',
+  'regularization.empty.approved': 'कोई स्वीकृत सुधार अनुरोध नहीं।',
+  'regularization.empty.rejected': 'कोई अस्वीकृत सुधार अनुरोध नहीं।',
+  'regularization.original': 'मूल',
+  'regularization.corrected': 'सुधारा गया',
+  'regularization.requestedBy': 'अनुरोधकर्ता',
+  'regularization.reviewedBy': '{reviewer} द्वारा',
+  'regularization.approve': 'स्वीकार करें',
+  'regularization.reject': 'अस्वीकार करें',
+
+  // Payroll summary
+  'payroll.settingsLoadFailed': 'पेरोल सेटिंग्स लोड नहीं हो सकीं, इसलिए डिफ़ॉल्ट गुणक उपयोग हो रहे हैं',
+  'payroll.settingsSaved': 'पेरोल सेटिंग्स सहेजी गईं। लागू करने के लिए फिर से गणना करें।',
+  'payroll.settingsSaveFailed': 'पेरोल सेटिंग्स सहेजी नहीं जा सकीं',
+  'payroll.problem.period': 'ऐसी वेतन अवधि चुनें जो शुरू होने के बाद समाप्त हो।',
+  'payroll.problem.notStarted': 'यह वेतन अवधि अभी शुरू नहीं हुई है।',
+  'payroll.fromCache': 'ऑफ़लाइन: {time} को लाए गए सहेजे डेटा से गणना की गई।',
+  'payroll.calculateFailed': 'पेरोल की गणना नहीं हो सकी',
+  'payroll.exportFailed': 'पेरोल {format} निर्यात विफल: {message}',
+  'payroll.periodFrom': 'अवधि आरंभ',
+  'payroll.periodTo': 'अवधि अंत',
+  'payroll.weekdayMultiplier': 'कार्यदिवस OT ×',
+  'payroll.offDayMultiplier': 'सप्ताहांत / छुट्टी OT ×',
+  'payroll.saveMultipliers': 'गुणक सहेजें',
+  'payroll.calculate': 'पेरोल की गणना करें',
+  'payroll.calculating': 'गणना हो रही है...',
+  'payroll.partialPeriod': 'अवधि अभी पूरी नहीं हुई है; आँकड़े {date} तक के हैं।',
+  'payroll.exportCsv': 'CSV निर्यात करें',
+  'payroll.exportXlsx': 'XLSX निर्यात करें',
+
+  // Employee details editor
+  'employeeDetails.employee': 'कर्मचारी',
+  'employeeDetails.department': 'विभाग',
+  'employeeDetails.team': 'टीम',
+  'employeeDetails.designation': 'पदनाम',
+  'employeeDetails.manager': 'रिपोर्टिंग मैनेजर',
+  'employeeDetails.noManager': 'कोई मैनेजर नहीं',
+  'employeeDetails.fieldFor': '{name} का {field}',
+  'employeeDetails.none': 'अभी कोई कर्मचारी नहीं है। पहले उपस्थिति डेटा अपलोड करें।',
+  'employeeDetails.importHint': 'कर्मचारी आईडी कॉलम और विभाग, टीम, पदनाम व मैनेजर (आईडी या नाम) में से किसी भी कॉलम वाली CSV आयात करें। फ़ाइल में न होने वाले कॉलम वैसे ही रहते हैं।',
+  'employeeDetails.import': 'HR CSV आयात करें',
+  'employeeDetails.saved': '{name} का विवरण सहेजा गया।',
+  'employeeDetails.saveFailed': '{name} का विवरण सहेजा नहीं जा सका',
+  'employeeDetails.importEmpty': '{fileName} से कोई कर्मचारी विवरण नहीं पढ़ा जा सका।',
+  'employeeDetails.imported_one': '{fileName} से {count} कर्मचारी अपडेट हुआ।',
+  'employeeDetails.imported_other': '{fileName} से {count} कर्मचारी अपडेट हुए।',
+  'employeeDetails.importFailed': '{fileName} आयात नहीं हो सकी',
+};
+
+export default hi;
@@ -0,0 +1,735 @@
+// Kannada strings. Keys match locales/en.js; anything missing here falls back
+// to English. Payroll export headers are fixed codes and stay in English.
+const kn = {
+  // Work calendar
+  'calendar.noWeeklyOffs': 'ವಾರದ ರಜೆಗಳಿಲ್ಲ',
+  'calendar.ordinal.1': 'ಮೊದಲ',
+  'calendar.ordinal.2': 'ಎರಡನೇ',
+  'calendar.ordinal.3': 'ಮೂರನೇ',
+  'calendar.ordinal.4': 'ನಾಲ್ಕನೇ',
+  'calendar.ordinal.5': 'ಐದನೇ',
+  'calendar.weeksOfWeekday': '{weeks} {weekday}',
+  'calendar.import.invalidDate': 'ಸಾಲು {line}: "{value}" ಮಾನ್ಯ ದಿನಾಂಕವಲ್ಲ.',
+
+  // Leave
+  'leave.type.sick': 'ಅನಾರೋಗ್ಯ ರಜೆ',
+  'leave.type.casual': 'ಸಾಂದರ್ಭಿಕ ರಜೆ',
+  'leave.type.earned': 'ಗಳಿಕೆ ರಜೆ',
+  'leave.type.half_day': 'ಅರ್ಧ ದಿನದ ರಜೆ',
+  'leave.type.on_duty': 'ಕರ್ತವ್ಯದ ಮೇಲೆ / ಪ್ರಯಾಣ',
+  'leave.import.empty': 'ಫೈಲ್ ಖಾಲಿಯಾಗಿದೆ.',
+  'leave.import.badHeader': 'ಶೀರ್ಷಿಕೆ ಸಾಲಿನಲ್ಲಿ ಉದ್ಯೋಗಿ ಐಡಿ, ರಜೆಯ ಪ್ರಕಾರ ಮತ್ತು ದಿನಾಂಕದ ಕಾಲಮ್‌ಗಳಿರಬೇಕು.',
+  'leave.import.missingEmployee': 'ಸಾಲು {line}: ಉದ್ಯೋಗಿ ಐಡಿ ಇಲ್ಲ.',
+  'leave.import.unknownType': 'ಸಾಲು {line}: ಅಪರಿಚಿತ ರಜೆಯ ಪ್ರಕಾರ "{value}".',
+  'leave.import.invalidDate': 'ಸಾಲು {line}: ಅಮಾನ್ಯ ದಿನಾಂಕ.',
+  'leave.import.endsBeforeStart': 'ಸಾಲು {line}: ರಜೆ ಆರಂಭವಾಗುವ ಮೊದಲೇ ಮುಗಿಯುತ್ತದೆ.',
+
+  // Employee details
+  'employeeDetails.unassigned': 'ನಿಯೋಜಿಸಿಲ್ಲ',
+  'employeeDetails.import.empty': 'ಫೈಲ್ ಖಾಲಿಯಾಗಿದೆ.',
+  'employeeDetails.import.badHeader': 'ಶೀರ್ಷಿಕೆ ಸಾಲಿನಲ್ಲಿ ಉದ್ಯೋಗಿ ಐಡಿ ಕಾಲಮ್ ಮತ್ತು ವಿಭಾಗ, ತಂಡ, ಹುದ್ದೆ ಅಥವಾ ಮ್ಯಾನೇಜರ್‌ನಲ್ಲಿ ಕನಿಷ್ಠ ಒಂದು ಕಾಲಮ್ ಇರಬೇಕು.',
+  'employeeDetails.import.missingEmployee': 'ಸಾಲು {line}: ಉದ್ಯೋಗಿ ಐಡಿ ಇಲ್ಲ.',
+  'employeeDetails.import.unknownEmployee': 'ಸಾಲು {line}: ಐಡಿ {id} ಇರುವ ಉದ್ಯೋಗಿ ಇಲ್ಲ.',
+  'employeeDetails.import.unknownManager': 'ಸಾಲು {line}: ಮ್ಯಾನೇಜರ್ "{value}" ಗೆ ಹೊಂದುವ ಉದ್ಯೋಗಿ ಇಲ್ಲ.',
+
+  // Roles
+  'role.admin': 'ನಿರ್ವಾಹಕ',
+  'role.manager': 'ವ್ಯವಸ್ಥಾಪಕ',
+  'role.employee': 'ಉದ್ಯೋಗಿ',
+
+  // Shift policies
+  'shift.problem.name': 'ಹೆಸರು ಅಗತ್ಯವಿದೆ.',
+  'shift.problem.start': 'ಆರಂಭವು HH:MM ರೂಪದ ಸಮಯವಾಗಿರಬೇಕು.',
+  'shift.problem.end': 'ಅಂತ್ಯವು HH:MM ರೂಪದ ಸಮಯವಾಗಿರಬೇಕು.',
+  'shift.problem.sameTimes': 'ಆರಂಭ ಮತ್ತು ಅಂತ್ಯದ ಸಮಯ ಒಂದೇ ಆಗಿರಬಾರದು.',
+  'shift.problem.grace': 'ರಿಯಾಯಿತಿ ನಿಮಿಷಗಳು ಋಣಾತ್ಮಕವಾಗಿರಬಾರದು.',
+  'shift.problem.maxHours': 'ಗರಿಷ್ಠ ಎಣಿಕೆಯ ಗಂಟೆಗಳು 0 ಕ್ಕಿಂತ ಹೆಚ್ಚಿರಬೇಕು.',
+  'shift.problem.halfDay': 'ಅರ್ಧ ದಿನದ ಮಿತಿ ಋಣಾತ್ಮಕವಾಗಿರಬಾರದು.',
+  'shift.problem.halfDayOverMax': 'ಅರ್ಧ ದಿನದ ಮಿತಿ ಗರಿಷ್ಠ ಎಣಿಕೆಯ ಗಂಟೆಗಳನ್ನು ಮೀರಬಾರದು.',
+
+  // Check-in distribution buckets
+  'checkIn.bucket.veryEarly': '90 ನಿಮಿಷಕ್ಕಿಂತ ಹೆಚ್ಚು ಮುಂಚೆ',
+  'checkIn.bucket.early': '30 - 90 ನಿಮಿಷ ಮುಂಚೆ',
+  'checkIn.bucket.slightlyEarly': '30 ನಿಮಿಷದವರೆಗೆ ಮುಂಚೆ',
+  'checkIn.bucket.upToOneHourLate': '1 ಗಂಟೆಯವರೆಗೆ ತಡ',
+  'checkIn.bucket.oneToTwoHoursLate': '1 - 2 ಗಂಟೆ ತಡ',
+  'checkIn.bucket.twoToThreeHoursLate': '2 - 3 ಗಂಟೆ ತಡ',
+  'checkIn.bucket.veryLate': '3 ಗಂಟೆಗಿಂತ ಹೆಚ್ಚು ತಡ',
+  'checkIn.bucket.before': '{time} ಕ್ಕಿಂತ ಮೊದಲು',
+  'checkIn.bucket.after': '{time} ನಂತರ',
+  'checkIn.bucket.late': '{label} (ತಡ)',
+  'checkIn.bucket.missing': 'ಚೆಕ್-ಇನ್ ಇಲ್ಲ',
+
+  // Anomalies
+  'anomaly.checkout_before_checkin.label': 'ಚೆಕ್-ಇನ್‌ಗಿಂತ ಮೊದಲು ಚೆಕ್-ಔಟ್',
+  'anomaly.checkout_before_checkin.description': 'ಹಗಲು ಪಾಳಿಯಲ್ಲಿ ಚೆಕ್-ಔಟ್ ಚೆಕ್-ಇನ್‌ಗಿಂತ ಮೊದಲು ದಾಖಲಾಗಿದೆ.',
+  'anomaly.checkout_before_checkin.message': '{employeeId} {date} ರಂದು {checkIn} ಕ್ಕೆ ಚೆಕ್-ಇನ್ ಮಾಡುವ ಮೊದಲು {checkOut} ಕ್ಕೆ ಚೆಕ್-ಔಟ್ ಮಾಡಿದ್ದಾರೆ.',
+  'anomaly.long_shift.label': '14 ಗಂಟೆಗಿಂತ ದೀರ್ಘ ಪಾಳಿ',
+  'anomaly.long_shift.description': 'ಒಂದು ಪಾಳಿಗೆ ಇರಬೇಕಾದುದಕ್ಕಿಂತ ಹೆಚ್ಚು ಗಂಟೆಗಳು.',
+  'anomaly.long_shift.message': '{employeeId} {date} ರಂದು {hours} ಗಂಟೆ ಕೆಲಸ ಮಾಡಿದ್ದಾರೆ.',
+  'anomaly.present_without_punches.label': 'ಪಂಚ್ ಇಲ್ಲದೆ ಹಾಜರು',
+  'anomaly.present_without_punches.description': 'PRESENT ಎಂದು ದಾಖಲಾಗಿದೆ, ಆದರೆ ಚೆಕ್-ಇನ್ ಅಥವಾ ಚೆಕ್-ಔಟ್ ಇಲ್ಲ.',
+  'anomaly.present_without_punches.message': '{employeeId} {date} ರಂದು ಪಂಚ್ ಇಲ್ಲದೆ PRESENT ಆಗಿದ್ದಾರೆ.',
+  'anomaly.duplicate_rows.label': 'ನಕಲಿ ಸಾಲುಗಳು',
+  'anomaly.duplicate_rows.description': 'ಒಂದೇ ಉದ್ಯೋಗಿ ಮತ್ತು ದಿನಾಂಕಕ್ಕೆ ಒಂದಕ್ಕಿಂತ ಹೆಚ್ಚು ದಾಖಲೆ.',
+  'anomaly.duplicate_rows.message': '{employeeId} ಗೆ {date} ರಂದು {count} ದಾಖಲೆಗಳಿವೆ.',
+  'anomaly.late_mismatch.label': 'ತಡದ ಫ್ಲ್ಯಾಗ್ ಹೊಂದಿಕೆಯಾಗುತ್ತಿಲ್ಲ',
+  'anomaly.late_mismatch.description': 'ಬ್ಯಾಕೆಂಡ್‌ನ Late_Flag ಅಥವಾ Late_Minutes, ಶಿಫ್ಟ್ ನೀತಿಯಿಂದ ಲೆಕ್ಕಹಾಕಿದ ತಡಕ್ಕಿಂತ ಭಿನ್ನವಾಗಿದೆ.',
+  'anomaly.late_mismatch.message': '{employeeId}, {date}: ಬ್ಯಾಕೆಂಡ್ ಪ್ರಕಾರ {backend} ({backendMinutes} ನಿಮಿಷ), ಶಿಫ್ಟ್ ನೀತಿಯ ಪ್ರಕಾರ {computed} ({computedMinutes} ನಿಮಿಷ).',
+  'anomaly.identical_punches.label': 'ಒಂದೇ ರೀತಿಯ ಪಂಚ್ ಸಮಯಗಳು',
+  'anomaly.identical_punches.description': 'ಸತತ ಹಲವು ದಿನ ಒಂದೇ ಚೆಕ್-ಇನ್ ಮತ್ತು ಚೆಕ್-ಔಟ್, ಬೇರೆಯವರು ಪಂಚ್ ಮಾಡಿರುವ ಸೂಚನೆಯಾಗಿರಬಹುದು.',
+  'anomaly.identical_punches.message': '{employeeId} {fromDate} ರಿಂದ {toDate} ವರೆಗೆ ಸತತ {count} ದಿನ {checkIn} - {checkOut} ಪಂಚ್ ಮಾಡಿದ್ದಾರೆ.',
+  'anomaly.late': 'ತಡ',
+  'anomaly.onTime': 'ಸಮಯಕ್ಕೆ ಸರಿಯಾಗಿ',
+
+  // Calendar day statuses
+  'dayStatus.on_time': 'ಸಮಯಕ್ಕೆ ಸರಿಯಾಗಿ',
+  'dayStatus.late': 'ತಡ',
+  'dayStatus.missing_punch': 'ಪಂಚ್ ತಪ್ಪಿದೆ',
+  'dayStatus.absent': 'ಗೈರು',
+  'dayStatus.leave': 'ರಜೆಯಲ್ಲಿ',
+  'dayStatus.weekend_work': 'ವಾರಾಂತ್ಯ / ರಜಾದಿನದ ಕೆಲಸ',
+  'dayStatus.holiday': 'ರಜಾದಿನ',
+  'dayStatus.weekly_off': 'ವಾರದ ರಜೆ',
+  'dayStatus.no_data': 'ಇನ್ನೂ ಡೇಟಾ ಇಲ್ಲ',
+
+  // Punch corrections
+  'regularization.status.pending': 'ಬಾಕಿ',
+  'regularization.status.approved': 'ಅನುಮೋದಿತ',
+  'regularization.status.rejected': 'ತಿರಸ್ಕೃತ',
+  'regularization.problem.employeeAndDate': 'ಉದ್ಯೋಗಿ ಮತ್ತು ದಿನಾಂಕವನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+  'regularization.problem.times': 'ಸರಿಪಡಿಸಿದ ಎರಡೂ ಸಮಯಗಳನ್ನು HH:MM ರೂಪದಲ್ಲಿ ನಮೂದಿಸಿ.',
+  'regularization.problem.reason': 'ತಿದ್ದುಪಡಿಗೆ ಕಾರಣ ನೀಡಿ.',
+
+  // Attendance log checks
+  'log.error.columns': 'ಟ್ಯಾಬ್‌ನಿಂದ ಬೇರ್ಪಡಿಸಿದ ಕಾಲಮ್‌ಗಳು ನಿರೀಕ್ಷಿತ (ಉದ್ಯೋಗಿ ಐಡಿ, ದಿನಾಂಕ ಮತ್ತು ಸಮಯ).',
+  'log.error.employeeId': '"{value}" ಸಂಖ್ಯಾತ್ಮಕ ಉದ್ಯೋಗಿ ಐಡಿ ಅಲ್ಲ.',
+  'log.error.timestamp': '"{value}" ಮಾನ್ಯ ದಿನಾಂಕ ಮತ್ತು ಸಮಯವಲ್ಲ (YYYY-MM-DD HH:MM:SS ನಿರೀಕ್ಷಿತ).',
+  'log.problem.binary': '{fileName} ಬೈನರಿ ಫೈಲ್ ಆಗಿದೆ, ಟ್ಯಾಬ್‌ನಿಂದ ಬೇರ್ಪಡಿಸಿದ ಹಾಜರಾತಿ ಲಾಗ್ ಅಲ್ಲ. ನೀವು ಉದ್ಯೋಗಿ ಡೇಟಾ ಮತ್ತು ಹಾಜರಾತಿ ಡೇಟಾ ಫೈಲ್‌ಗಳನ್ನು ಅದಲುಬದಲು ಮಾಡಿದ್ದೀರಾ?',
+  'log.problem.empty': '{fileName} ಖಾಲಿಯಾಗಿದೆ.',
+  'log.problem.noPunches': '{fileName} ನಿಂದ ಯಾವುದೇ ಪಂಚ್ ಓದಲು ಆಗಲಿಲ್ಲ. ಇದು ಟರ್ಮಿನಲ್‌ನಿಂದ ರಫ್ತು ಮಾಡಿದ ಹಾಜರಾತಿ ಲಾಗ್ ಎಂದು ಪರಿಶೀಲಿಸಿ.',
+  'log.problem.mostlyBad': '{fileName} ನ {total} ಸಾಲುಗಳಲ್ಲಿ {count} ಓದಲು ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಇದು ಹಾಜರಾತಿ ಲಾಗ್‌ನಂತೆ ಕಾಣುತ್ತಿಲ್ಲ.',
+  'log.problem.employeeLooksLikeLog': '{fileName} ಬೈನರಿ ಉದ್ಯೋಗಿ ಡೇಟಾ ಅಲ್ಲ, ಹಾಜರಾತಿ ಲಾಗ್‌ನಂತೆ ಕಾಣುತ್ತದೆ. ನೀವು ಉದ್ಯೋಗಿ ಡೇಟಾ ಮತ್ತು ಹಾಜರಾತಿ ಡೇಟಾ ಫೈಲ್‌ಗಳನ್ನು ಅದಲುಬದಲು ಮಾಡಿದ್ದೀರಾ?',
+
+  // Payroll settings
+  'payroll.problem.weekdayMultiplier': 'ವಾರದ ದಿನದ ಓವರ್‌ಟೈಮ್ ಗುಣಕ ಕನಿಷ್ಠ 1 ಆಗಿರಬೇಕು.',
+  'payroll.problem.offDayMultiplier': 'ವಾರಾಂತ್ಯ / ರಜಾದಿನದ ಓವರ್‌ಟೈಮ್ ಗುಣಕ ಕನಿಷ್ಠ 1 ಆಗಿರಬೇಕು.',
+
+  // Upload history
+  'history.dateRange': '{from} ರಿಂದ {to}',
+  'history.noDates': 'ದಿನಾಂಕಗಳಿಲ್ಲ',
+
+  // Alert rules
+  'alertRule.late_count.label': 'ಚಲಿಸುವ ಅವಧಿಯಲ್ಲಿ ತಡವಾದ ಆಗಮನ',
+  'alertRule.late_count.describe': 'ಕಳೆದ {windowDays} ದಿನಗಳಲ್ಲಿ {threshold} ಅಥವಾ ಹೆಚ್ಚು ಬಾರಿ ತಡ',
+  'alertRule.consecutive_absence.label': 'ಸತತ ಯೋಜಿತವಲ್ಲದ ಗೈರು',
+  'alertRule.consecutive_absence.describe': 'ರಜೆ ಇಲ್ಲದೆ ಸತತ {threshold} ಕೆಲಸದ ದಿನ ಗೈರು',
+  'alertRule.low_avg_hours.label': 'ಈ ತಿಂಗಳು ಕಡಿಮೆ ಸರಾಸರಿ ಗಂಟೆಗಳು',
+  'alertRule.low_avg_hours.describe': 'ಈ ತಿಂಗಳ ಸರಾಸರಿ ಗಂಟೆಗಳು {threshold} ಕ್ಕಿಂತ ಕಡಿಮೆ',
+  'alertRule.problem.unknownType': 'ಅಪರಿಚಿತ ನಿಯಮದ ಪ್ರಕಾರ "{type}".',
+  'alertRule.problem.threshold': 'ಮಿತಿ 0 ಕ್ಕಿಂತ ಹೆಚ್ಚಿರಬೇಕು.',
+  'alertRule.problem.window': 'ಅವಧಿ ಪೂರ್ಣ ದಿನಗಳ ಸಂಖ್ಯೆಯಾಗಿರಬೇಕು.',
+  'alertRule.message.forEmployee': '{name} ({id}): {message}',
+  'alertRule.message.late_one': '{from} ಮತ್ತು {to} ನಡುವೆ {count} ಬಾರಿ ತಡವಾಗಿ ಬಂದಿದ್ದಾರೆ.',
+  'alertRule.message.late_other': '{from} ಮತ್ತು {to} ನಡುವೆ {count} ಬಾರಿ ತಡವಾಗಿ ಬಂದಿದ್ದಾರೆ.',
+  'alertRule.message.absent_one': '{from} ರಿಂದ {to} ವರೆಗೆ {count} ಕೆಲಸದ ದಿನ ರಜೆಯಿಲ್ಲದೆ ಗೈರು.',
+  'alertRule.message.absent_other': '{from} ರಿಂದ {to} ವರೆಗೆ {count} ಕೆಲಸದ ದಿನಗಳು ರಜೆಯಿಲ್ಲದೆ ಗೈರು.',
+  'alertRule.message.lowHours_one': 'ಈ ತಿಂಗಳು {count} ದಿನದಲ್ಲಿ ಸರಾಸರಿ {hours} ಗಂಟೆಗಳು.',
+  'alertRule.message.lowHours_other': 'ಈ ತಿಂಗಳು {count} ದಿನಗಳಲ್ಲಿ ಸರಾಸರಿ {hours} ಗಂಟೆಗಳು.',
+
+  // Request errors; {action} is already translated
+  'error.serverStatus': '{action}. ಸರ್ವರ್ ಸ್ಥಿತಿ {status} ನೀಡಿದೆ: {message}',
+  'error.cannotConnect': '{action}. ಬ್ಯಾಕೆಂಡ್ ಸರ್ವರ್‌ಗೆ ಸಂಪರ್ಕಿಸಲು ಆಗಲಿಲ್ಲ.',
+  'error.timedOut': '{action}. ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ.',
+  'error.other': '{action}: {message}',
+
+  // Uploads and the offline queue
+  'upload.processingFailed': 'ಸಂಸ್ಕರಣೆ ವಿಫಲವಾಗಿದೆ.',
+  'upload.processingTimedOut': 'ಸಂಸ್ಕರಣೆ {minutes} ನಿಮಿಷಗಳಲ್ಲಿ ಮುಗಿಯಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸುವ ಮೊದಲು ಅಪ್‌ಲೋಡ್ ಇತಿಹಾಸವನ್ನು ಪರಿಶೀಲಿಸಿ.',
+  'upload.fileFailed': '{fileName} ವಿಫಲವಾಗಿದೆ',
+  'offline.noIndexedDb': 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ IndexedDB ಲಭ್ಯವಿಲ್ಲ.',
+
+  // App shell
+  'app.titleStart': 'ಉದ್ಯೋಗಿ ಬಯೋಮೆಟ್ರಿಕ್',
+  'app.titleEnd': 'ಡ್ಯಾಶ್‌ಬೋರ್ಡ್',
+  'app.logoAlt': 'ಕಾಮರ್ಡೊ ಏರೋಸ್ಪೇಸ್ ಲೋಗೊ',
+  'app.language': 'ಭಾಷೆ',
+  'app.darkMode': 'ಡಾರ್ಕ್ ಮೋಡ್‌ಗೆ ಬದಲಿಸಿ',
+  'app.lightMode': 'ಲೈಟ್ ಮೋಡ್‌ಗೆ ಬದಲಿಸಿ',
+  'app.reduceMotion': 'ಚಲನೆ ಕಡಿಮೆ ಮಾಡಿ',
+  'app.signedInAs': 'ಸೈನ್ ಇನ್ ಆಗಿರುವವರು',
+  'app.logout': 'ಲಾಗ್ ಔಟ್',
+  'app.errorTitle': 'ದೋಷ!',
+  'nav.label': 'ಮುಖ್ಯ',
+  'nav.dashboard': 'ಡ್ಯಾಶ್‌ಬೋರ್ಡ್',
+  'nav.upload': 'ಅಪ್‌ಲೋಡ್',
+
+  // Login
+  'login.title': 'ಲಾಗಿನ್',
+  'login.email': 'ಇಮೇಲ್',
+  'login.password': 'ಪಾಸ್‌ವರ್ಡ್',
+  'login.submit': 'ಲಾಗಿನ್ ಮಾಡಿ',
+  'login.loggingIn': 'ಲಾಗಿನ್ ಆಗುತ್ತಿದೆ...',
+  'login.failed': 'ಲಾಗಿನ್ ವಿಫಲ: {message}',
+  'login.invalid': 'ಇಮೇಲ್ ಅಥವಾ ಪಾಸ್‌ವರ್ಡ್ ತಪ್ಪಾಗಿದೆ',
+  'login.timedOut': 'ಲಾಗಿನ್ ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ. ಬ್ಯಾಕೆಂಡ್ ಕಾರ್ಯನಿರತವಾಗಿರಬಹುದು ಅಥವಾ ನಿಧಾನವಾಗಿರಬಹುದು.',
+  'login.sessionExpired': 'ನಿಮ್ಮ ಸೆಷನ್ ಅವಧಿ ಮುಗಿದಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಲಾಗಿನ್ ಮಾಡಿ.',
+  'login.noToken': 'ಲಾಗಿನ್ ಪ್ರತಿಕ್ರಿಯೆಯಲ್ಲಿ ಟೋಕನ್ ಇರಲಿಲ್ಲ.',
+
+  // Offline banner and queued uploads
+  'offline.offline': 'ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ.',
+  'offline.serverUnreachable': 'ಸರ್ವರ್ ತಲುಪಲು ಆಗುತ್ತಿಲ್ಲ.',
+  'offline.showingCached': '{time} ರ ಉಳಿಸಿದ ಡೇಟಾವನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ.',
+  'offline.queuedUploads_one': '{count} ಅಪ್‌ಲೋಡ್ ಸರದಿಯಲ್ಲಿದೆ, ಸಂಪರ್ಕ ಮರಳಿದಾಗ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.',
+  'offline.queuedUploads_other': '{count} ಅಪ್‌ಲೋಡ್‌ಗಳು ಸರದಿಯಲ್ಲಿವೆ, ಸಂಪರ್ಕ ಮರಳಿದಾಗ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.',
+  'offline.queueSent_one': 'ಸರದಿಯಲ್ಲಿದ್ದ {count} ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಮತ್ತು ಸಂಸ್ಕರಣೆಯಾಗಿದೆ.',
+  'offline.queueSent_other': 'ಸರದಿಯಲ್ಲಿದ್ದ {count} ಫೈಲ್‌ಗಳು ಅಪ್‌ಲೋಡ್ ಮತ್ತು ಸಂಸ್ಕರಣೆಯಾಗಿವೆ.',
+  'offline.queueFailed_one': 'ವಿಫಲ: ಸರದಿಯಲ್ಲಿದ್ದ {count} ಫೈಲ್ ಸಂಸ್ಕರಿಸಲು ಆಗಲಿಲ್ಲ.',
+  'offline.queueFailed_other': 'ವಿಫಲ: ಸರದಿಯಲ್ಲಿದ್ದ {count} ಫೈಲ್‌ಗಳನ್ನು ಸಂಸ್ಕರಿಸಲು ಆಗಲಿಲ್ಲ.',
+  'offline.queueError': 'ಸರದಿಯ ಅಪ್‌ಲೋಡ್‌ಗಳನ್ನು ಕಳುಹಿಸಲು ವಿಫಲ: {message}',
+
+  // Fetch errors
+  'employees.fetchFailed': 'ಉದ್ಯೋಗಿಗಳ ಪಟ್ಟಿ ಪಡೆಯಲು ಆಗಲಿಲ್ಲ. ಬ್ಯಾಕೆಂಡ್ ಸರ್ವರ್ ಚಾಲನೆಯಲ್ಲಿದೆ ಮತ್ತು ಡೇಟಾ ಸಂಸ್ಕರಣೆಯಾಗಿದೆ ಎಂದು ಖಚಿತಪಡಿಸಿ.',
+  'employees.timedOut': 'ಉದ್ಯೋಗಿಗಳ ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ. ಬ್ಯಾಕೆಂಡ್ ಕಾರ್ಯನಿರತವಾಗಿರಬಹುದು ಅಥವಾ ನಿಧಾನವಾಗಿರಬಹುದು.',
+  'error.serverResponded': 'ಸರ್ವರ್ ಸ್ಥಿತಿ {status} ನೀಡಿದೆ: {message}',
+  'error.backendUnreachable': 'ಬ್ಯಾಕೆಂಡ್ ಸರ್ವರ್‌ಗೆ ಸಂಪರ್ಕಿಸಲು ಆಗಲಿಲ್ಲ. ಅದು ಚಾಲನೆಯಲ್ಲಿದೆ ಮತ್ತು ತಲುಪಬಹುದಾಗಿದೆ ಎಂದು ಖಚಿತಪಡಿಸಿ.',
+  'error.cors': 'CORS ಸಮಸ್ಯೆ ಕಂಡುಬಂದಿದೆ. ನಿಮ್ಮ ಬ್ಯಾಕೆಂಡ್‌ನ CORS ಸಂರಚನೆಯನ್ನು ಪರಿಶೀಲಿಸಿ.',
+  'error.network': 'ನೆಟ್‌ವರ್ಕ್ ದೋಷ. ನಿಮ್ಮ ಇಂಟರ್ನೆಟ್ ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ.',
+  'error.badResponse': 'ಸರ್ವರ್‌ನಿಂದ ತಪ್ಪಾದ ಪ್ರತಿಕ್ರಿಯೆ. ಬ್ಯಾಕೆಂಡ್ ಲಾಗ್‌ಗಳನ್ನು ಪರಿಶೀಲಿಸಿ.',
+
+  // Search
+  'search.selectEmployee': 'ಉದ್ಯೋಗಿಯನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+  'search.employeeOption': '{name} (ಐಡಿ: {id})',
+  'search.picker.label': 'ಉದ್ಯೋಗಿಗಳು (ಹೆಸರು ಅಥವಾ ಐಡಿಯಿಂದ ಹುಡುಕಿ)',
+  'search.picker.addMore': 'ಇನ್ನೊಬ್ಬರನ್ನು ಸೇರಿಸಿ…',
+  'search.picker.noMatches': 'ಹೊಂದುವ ಉದ್ಯೋಗಿಗಳಿಲ್ಲ',
+  'search.picker.remove': '{name} ತೆಗೆದುಹಾಕಿ',
+  'search.fromDate': 'ಆರಂಭ ದಿನಾಂಕ',
+  'search.toDate': 'ಅಂತಿಮ ದಿನಾಂಕ',
+  'search.department': 'ವಿಭಾಗ',
+  'search.allDepartments': 'ಎಲ್ಲಾ ವಿಭಾಗಗಳು',
+  'search.team': 'ತಂಡ',
+  'search.allTeams': 'ಎಲ್ಲಾ ತಂಡಗಳು',
+  'search.submit': 'ಹುಡುಕಿ',
+  'search.searching': 'ಹುಡುಕಲಾಗುತ್ತಿದೆ...',
+  'search.fetching': 'ಡೇಟಾ ಪಡೆಯಲಾಗುತ್ತಿದೆ...',
+  'search.backToTeam': 'ತಂಡದ ನೋಟಕ್ಕೆ ಹಿಂತಿರುಗಿ',
+  'search.backToComparison': 'ಉದ್ಯೋಗಿ ಹೋಲಿಕೆಗೆ ಹಿಂತಿರುಗಿ',
+  'search.needFilters': 'ಹುಡುಕಲು ಉದ್ಯೋಗಿ ಅಥವಾ ದಿನಾಂಕದ ವ್ಯಾಪ್ತಿಯನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+  'search.noRecords': 'ಆಯ್ಕೆಮಾಡಿದ ಮಾನದಂಡಗಳಿಗೆ ಯಾವುದೇ ದಾಖಲೆ ಸಿಗಲಿಲ್ಲ.',
+  'search.failed': 'ದಾಖಲೆಗಳನ್ನು ಪಡೆಯಲು ಆಗಲಿಲ್ಲ: {message}',
+  'search.timedOut': 'ದಾಖಲೆಗಳ ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ. ಬ್ಯಾಕೆಂಡ್ ಕಾರ್ಯನಿರತವಾಗಿರಬಹುದು ಅಥವಾ ನಿಧಾನವಾಗಿರಬಹುದು.',
+
+  // Settings panels
+  'shift.title': 'ಶಿಫ್ಟ್ ನೀತಿಗಳು',
+  'shift.open': 'ಶಿಫ್ಟ್ ನೀತಿಗಳನ್ನು ಸಂಪಾದಿಸಿ',
+  'shift.loadFailed': 'ಶಿಫ್ಟ್ ನೀತಿಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ. ಡೀಫಾಲ್ಟ್ 09:30 - 17:00 ನೀತಿಯನ್ನು ಬಳಸಲಾಗುತ್ತಿದೆ.',
+  'shift.saved': 'ಶಿಫ್ಟ್ ನೀತಿಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+  'shift.saveFailed': 'ಶಿಫ್ಟ್ ನೀತಿಗಳನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ: {message}',
+  'shift.saveFailedStatus': 'ಶಿಫ್ಟ್ ನೀತಿಗಳನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ. ಸರ್ವರ್ ಸ್ಥಿತಿ {status} ನೀಡಿದೆ: {message}',
+  'calendar.title': 'ರಜಾದಿನಗಳ ಕ್ಯಾಲೆಂಡರ್',
+  'calendar.open': 'ಕ್ಯಾಲೆಂಡರ್ ಸಂಪಾದಿಸಿ',
+  'calendar.summary_one': 'ವಾರದ ರಜೆಗಳು: {weeklyOffs}. {count} ರಜಾದಿನ.',
+  'calendar.summary_other': 'ವಾರದ ರಜೆಗಳು: {weeklyOffs}. {count} ರಜಾದಿನಗಳು.',
+  'calendar.loadFailed': 'ರಜಾದಿನಗಳ ಕ್ಯಾಲೆಂಡರ್ ಲೋಡ್ ಆಗಲಿಲ್ಲ. ಶನಿವಾರ ಮತ್ತು ಭಾನುವಾರವನ್ನು ಮಾತ್ರ ಕೆಲಸವಿಲ್ಲದ ದಿನಗಳೆಂದು ಪರಿಗಣಿಸಲಾಗುತ್ತಿದೆ.',
+  'calendar.saved': 'ರಜಾದಿನಗಳ ಕ್ಯಾಲೆಂಡರ್ ಉಳಿಸಲಾಗಿದೆ.',
+  'calendar.saveFailed': 'ರಜಾದಿನಗಳ ಕ್ಯಾಲೆಂಡರ್ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ: {message}',
+  'calendar.saveFailedStatus': 'ರಜಾದಿನಗಳ ಕ್ಯಾಲೆಂಡರ್ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ. ಸರ್ವರ್ ಸ್ಥಿತಿ {status} ನೀಡಿದೆ: {message}',
+  'leave.title': 'ರಜೆ',
+  'leave.openManage': 'ರಜೆ ನಿರ್ವಹಿಸಿ',
+  'leave.openView': 'ರಜೆ ನೋಡಿ',
+  'leave.loadFailedForSearch': 'ರಜೆ ಲೋಡ್ ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಎಲ್ಲಾ ಗೈರುಗಳನ್ನು ಯೋಜಿತವಲ್ಲದವು ಎಂದು ತೋರಿಸಲಾಗಿದೆ',
+  'regularization.title': 'ಪಂಚ್ ತಿದ್ದುಪಡಿಗಳು',
+  'regularization.openReview': 'ತಿದ್ದುಪಡಿಗಳನ್ನು ಪರಿಶೀಲಿಸಿ',
+  'regularization.openRequest': 'ತಿದ್ದುಪಡಿಗೆ ವಿನಂತಿಸಿ',
+  'regularization.summary': 'ತಪ್ಪಿದ ಅಥವಾ ತಪ್ಪಾದ ಪಂಚ್‌ಗಳನ್ನು ಸರಿಪಡಿಸಿ; ಅನುಮೋದಿತ ತಿದ್ದುಪಡಿಗಳು ಮೂಲ ಪಂಚ್‌ಗಳ ಬದಲಿಗೆ ಬರುತ್ತವೆ',
+  'regularization.loadFailedForSearch': 'ಪಂಚ್ ತಿದ್ದುಪಡಿಗಳು ಲೋಡ್ ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಮೂಲ ಪಂಚ್‌ಗಳನ್ನು ತೋರಿಸಲಾಗಿದೆ',
+  'alerts.title': 'ಎಚ್ಚರಿಕೆ ನಿಯಮಗಳು',
+  'alerts.open': 'ಎಚ್ಚರಿಕೆ ನಿಯಮಗಳನ್ನು ಸಂಪಾದಿಸಿ',
+  'alerts.summary_one': '{count} ಸಕ್ರಿಯ ನಿಯಮ, ಪ್ರತಿ ಹುಡುಕಾಟ ಮತ್ತು ಅಪ್‌ಲೋಡ್‌ನಲ್ಲಿ ಪರಿಶೀಲಿಸಲಾಗುತ್ತದೆ',
+  'alerts.summary_other': '{count} ಸಕ್ರಿಯ ನಿಯಮಗಳು, ಪ್ರತಿ ಹುಡುಕಾಟ ಮತ್ತು ಅಪ್‌ಲೋಡ್‌ನಲ್ಲಿ ಪರಿಶೀಲಿಸಲಾಗುತ್ತದೆ',
+  'alerts.loadFailed': 'ಎಚ್ಚರಿಕೆ ನಿಯಮಗಳು ಲೋಡ್ ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಯಾವುದೇ ಎಚ್ಚರಿಕೆ ಉಂಟಾಗುವುದಿಲ್ಲ',
+  'alerts.saved': 'ಎಚ್ಚರಿಕೆ ನಿಯಮಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+  'alerts.saveFailed': 'ಎಚ್ಚರಿಕೆ ನಿಯಮಗಳನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ',
+  'alerts.markReadFailed': 'ಎಚ್ಚರಿಕೆಗಳನ್ನು ಓದಿದವು ಎಂದು ಗುರುತಿಸಲು ಆಗಲಿಲ್ಲ',
+  'alerts.digestFailed': 'ಎಚ್ಚರಿಕೆಗಳ ಸಾರಾಂಶವನ್ನು ಇಮೇಲ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ',
+  'payroll.title': 'ವೇತನ ಸಾರಾಂಶ',
+  'payroll.open': 'ವೇತನ ತೆರೆಯಿರಿ',
+  'payroll.summary': 'ವೇತನ ಅವಧಿಗೆ ಪ್ರತಿ ಉದ್ಯೋಗಿಯ ವೇತನ ಸಹಿತ ದಿನಗಳು, ಓವರ್‌ಟೈಮ್ ಮತ್ತು ತಡದ ಕಡಿತಗಳು',
+  'employeeDetails.title': 'ಉದ್ಯೋಗಿ ವಿವರಗಳು',
+  'employeeDetails.open': 'ವಿವರಗಳನ್ನು ಸಂಪಾದಿಸಿ',
+  'employeeDetails.summary': 'ಪ್ರತಿ ಉದ್ಯೋಗಿಯ ವಿಭಾಗ, ತಂಡ, ಹುದ್ದೆ ಮತ್ತು ವರದಿ ಮಾಡುವ ಮ್ಯಾನೇಜರ್',
+  'history.title': 'ಅಪ್‌ಲೋಡ್ ಇತಿಹಾಸ',
+  'history.open': 'ಇತಿಹಾಸ ತೋರಿಸಿ',
+  'history.summary': 'ಹಿಂದಿನ ಅಪ್‌ಲೋಡ್‌ಗಳು, ಹೋಲಿಕೆ ಮತ್ತು ರೋಲ್‌ಬ್ಯಾಕ್',
+  'anomaly.title': 'ಅಸಹಜತೆಗಳು',
+  'anomaly.open': 'ಅಸಹಜತೆಗಳನ್ನು ತೋರಿಸಿ',
+  'anomaly.summary_one': 'ಈ ದಾಖಲೆಗಳಲ್ಲಿ {count} ಅನುಮಾನಾಸ್ಪದ ಅಥವಾ ಅಸಂಗತ ಪಂಚ್ ಮಾದರಿ',
+  'anomaly.summary_other': 'ಈ ದಾಖಲೆಗಳಲ್ಲಿ {count} ಅನುಮಾನಾಸ್ಪದ ಅಥವಾ ಅಸಂಗತ ಪಂಚ್ ಮಾದರಿಗಳು',
+  'anomaly.none': 'ಈ ದಾಖಲೆಗಳಲ್ಲಿ ಅನುಮಾನಾಸ್ಪದವಾದುದೇನೂ ಇಲ್ಲ',
+
+  // Export
+  'export.label': 'ರಫ್ತು:',
+  'export.csv': 'CSV',
+  'export.xlsx': 'Excel',
+  'export.pdf': 'PDF ವರದಿ',
+  'export.failed': '{format} ರಫ್ತು ವಿಫಲ: {message}',
+
+  // Summary card
+  'summary.title': 'ಸಾರಾಂಶ',
+  'summary.totalAttendance': 'ಒಟ್ಟು ಹಾಜರಾತಿ:',
+  'summary.totalDays': 'ಒಟ್ಟು ದಿನಗಳು:',
+  'summary.totalAbsent': 'ಒಟ್ಟು ಗೈರು:',
+  'summary.unplanned': 'ಯೋಜಿತವಲ್ಲದ:',
+  'summary.lateArrivals': 'ತಡವಾದ ಆಗಮನಗಳು:',
+  'summary.holidays': 'ರಜಾದಿನಗಳು:',
+  'summary.halfDays': 'ಅರ್ಧ ದಿನಗಳು:',
+  'summary.totalExtraWorking': 'ಒಟ್ಟು ಹೆಚ್ಚುವರಿ ಕೆಲಸದ ದಿನಗಳು:',
+  'summary.avgWorkingHours': 'ಸರಾಸರಿ ಕೆಲಸದ ಗಂಟೆಗಳು:',
+  'summary.weekdayOvertime': 'ವಾರದ ದಿನದ ಓವರ್‌ಟೈಮ್:',
+  'summary.offDayOvertime': 'ವಾರಾಂತ್ಯ / ರಜಾದಿನದ ಓವರ್‌ಟೈಮ್:',
+  'summary.absentDates': 'ಗೈರು ದಿನಾಂಕಗಳು:',
+  'summary.extraWorkingDates': 'ಹೆಚ್ಚುವರಿ ಕೆಲಸದ ದಿನಾಂಕಗಳು:',
+  'summary.days_one': '{count} ದಿನ',
+  'summary.days_other': '{count} ದಿನಗಳು',
+  'summary.hours': '{hours} ಗಂಟೆಗಳು',
+
+  // Charts
+  'chart.workingHours': 'ಕೆಲಸದ ಗಂಟೆಗಳು',
+  'chart.checkInTime': 'ಚೆಕ್-ಇನ್ ಸಮಯ',
+  'chart.checkOutTime': 'ಚೆಕ್-ಔಟ್ ಸಮಯ',
+  'chart.presentOnTime': 'ಹಾಜರು (ಸಮಯಕ್ಕೆ ಸರಿಯಾಗಿ)',
+  'chart.presentLate': 'ಹಾಜರು (ತಡ)',
+  'chart.absentUnplanned': 'ಗೈರು (ಯೋಜಿತವಲ್ಲದ)',
+  'chart.attendanceDistribution': 'ಹಾಜರಾತಿ ವಿತರಣೆ',
+  'chart.dailyWorkingHours': 'ದೈನಂದಿನ ಕೆಲಸದ ಗಂಟೆಗಳು',
+  'chart.dailyCheckInOut': 'ದೈನಂದಿನ ಚೆಕ್-ಇನ್ ಮತ್ತು ಚೆಕ್-ಔಟ್',
+  'chart.lateArrivalsTrend': 'ತಡವಾದ ಆಗಮನಗಳ ಪ್ರವೃತ್ತಿ',
+  'chart.lateArrivalCount': 'ತಡವಾದ ಆಗಮನಗಳ ಸಂಖ್ಯೆ',
+  'chart.checkInDistribution': 'ಚೆಕ್-ಇನ್ ಸಮಯದ ವಿತರಣೆ',
+  'chart.checkInCount': 'ಚೆಕ್-ಇನ್‌ಗಳ ಸಂಖ್ಯೆ',
+  'chart.hours': 'ಗಂಟೆಗಳು',
+  'chart.time': 'ಸಮಯ',
+  'chart.date': 'ದಿನಾಂಕ',
+  'chart.timeInterval': 'ಸಮಯದ ಅಂತರ',
+  'chart.a11y.viewTable': 'ಕೋಷ್ಟಕವಾಗಿ ನೋಡಿ',
+  'chart.a11y.viewChart': 'ಚಾರ್ಟ್ ಆಗಿ ನೋಡಿ',
+  'chart.a11y.viewTableOf': '{title} ಅನ್ನು ಕೋಷ್ಟಕವಾಗಿ ನೋಡಿ',
+  'chart.a11y.viewChartOf': '{title} ಅನ್ನು ಚಾರ್ಟ್ ಆಗಿ ನೋಡಿ',
+  'chart.a11y.empty': 'ಚಾರ್ಟ್‌ಗೆ ಯಾವುದೇ ಡೇಟಾ ಇಲ್ಲ.',
+  'chart.a11y.noValues': '{label}: ಯಾವುದೇ ಮೌಲ್ಯಗಳಿಲ್ಲ.',
+  'chart.a11y.series_one': '{label}: {count} ಮೌಲ್ಯ, {highest} ({highestAt}).',
+  'chart.a11y.series_other': '{label}: {count} ಮೌಲ್ಯಗಳು, ಗರಿಷ್ಠ {highest} ({highestAt}), ಕನಿಷ್ಠ {lowest} ({lowestAt}), ಸರಾಸರಿ {average}.',
+  'chart.a11y.pie': 'ಒಟ್ಟು {total}: {shares}.',
+  'chart.a11y.share': '{label} {value} ({percent}%)',
+
+  // Compare mode
+  'compare.label': 'ಇದರೊಂದಿಗೆ ಹೋಲಿಸಿ:',
+  'compare.mode.off': 'ಯಾವುದೂ ಇಲ್ಲ',
+  'compare.mode.previous': 'ಹಿಂದಿನ ಅವಧಿ',
+  'compare.mode.lastYear': 'ಕಳೆದ ವರ್ಷದ ಇದೇ ಅವಧಿ',
+  'compare.mode.custom': 'ಕಸ್ಟಮ್ ಅವಧಿ',
+  'compare.customFrom': 'ಹೋಲಿಕೆಯ ಆರಂಭ',
+  'compare.customTo': 'ಹೋಲಿಕೆಯ ಅಂತ್ಯ',
+  'compare.needRange': 'ಅವಧಿಗಳನ್ನು ಹೋಲಿಸಲು ಆರಂಭ ಮತ್ತು ಅಂತ್ಯ ಎರಡೂ ದಿನಾಂಕಗಳೊಂದಿಗೆ ಹುಡುಕಿ.',
+  'compare.loading': 'ಹೋಲಿಕೆಯ ಅವಧಿ ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+  'compare.loadFailed': 'ಹೋಲಿಕೆಯ ಅವಧಿಯನ್ನು ಲೋಡ್ ಮಾಡಲು ಆಗಲಿಲ್ಲ',
+  'compare.against': '{range} ಜೊತೆ ಹೋಲಿಕೆ',
+  'compare.range': '{from} – {to}',
+  'compare.series': '{label} ({range})',
+  'compare.delta.up': '{previous} ಗಿಂತ {change} ಹೆಚ್ಚು',
+  'compare.delta.down': '{previous} ಗಿಂತ {change} ಕಡಿಮೆ',
+  'compare.delta.same': '{previous} ನಿಂದ ಯಾವುದೇ ಬದಲಾವಣೆ ಇಲ್ಲ',
+
+  // Quick ranges
+  'quickRange.label': 'ತ್ವರಿತ ಅವಧಿಗಳು:',
+  'quickRange.today': 'ಇಂದು',
+  'quickRange.thisWeek': 'ಈ ವಾರ',
+  'quickRange.lastWeek': 'ಕಳೆದ ವಾರ',
+  'quickRange.thisMonth': 'ಈ ತಿಂಗಳು',
+  'quickRange.lastMonth': 'ಕಳೆದ ತಿಂಗಳು',
+  'quickRange.payPeriod': 'ಪ್ರಸ್ತುತ ವೇತನ ಅವಧಿ',
+  'quickRange.last90Days': 'ಕಳೆದ 90 ದಿನಗಳು',
+
+  // Saved views
+  'savedViews.title': 'ಉಳಿಸಿದ ನೋಟಗಳು',
+  'savedViews.manage': 'ನೋಟಗಳನ್ನು ನಿರ್ವಹಿಸಿ',
+  'savedViews.summary_one': '{count} ಉಳಿಸಿದ ನೋಟ. ನೋಟಗಳನ್ನು ಡ್ಯಾಶ್‌ಬೋರ್ಡ್‌ನ ಮೇಲ್ಭಾಗಕ್ಕೆ ಪಿನ್ ಮಾಡಿ ಅಥವಾ ಲಾಗಿನ್ ನಂತರ ಒಂದನ್ನು ತೆರೆಯಿರಿ.',
+  'savedViews.summary_other': '{count} ಉಳಿಸಿದ ನೋಟಗಳು. ನೋಟಗಳನ್ನು ಡ್ಯಾಶ್‌ಬೋರ್ಡ್‌ನ ಮೇಲ್ಭಾಗಕ್ಕೆ ಪಿನ್ ಮಾಡಿ ಅಥವಾ ಲಾಗಿನ್ ನಂತರ ಒಂದನ್ನು ತೆರೆಯಿರಿ.',
+  'savedViews.pinned': 'ಪಿನ್ ಮಾಡಿದ ನೋಟಗಳು:',
+  'savedViews.name': 'ನೋಟದ ಹೆಸರು',
+  'savedViews.namePlaceholder': 'ಈ ನೋಟಕ್ಕೆ ಹೆಸರು ನೀಡಿ, ಉದಾ. ರೋಬೋಟಿಕ್ಸ್ ಈ ವಾರ',
+  'savedViews.save': 'ಪ್ರಸ್ತುತ ನೋಟವನ್ನು ಉಳಿಸಿ',
+  'savedViews.needSearch': 'ಮೊದಲು ಹುಡುಕಿ, ನಂತರ ಅದನ್ನು ನೋಟವಾಗಿ ಉಳಿಸಿ.',
+  'savedViews.nameTaken': '{name} ಹೆಸರಿನ ನೋಟ ಈಗಾಗಲೇ ಇದೆ.',
+  'savedViews.saved': '{name} ಉಳಿಸಲಾಗಿದೆ.',
+  'savedViews.none': 'ಇನ್ನೂ ಯಾವುದೇ ಉಳಿಸಿದ ನೋಟಗಳಿಲ್ಲ.',
+  'savedViews.everyone': 'ಎಲ್ಲರೂ',
+  'savedViews.range': '{from} – {to}',
+  'savedViews.anyDates': 'ಯಾವುದೇ ದಿನಾಂಕಗಳು',
+  'savedViews.defaultBadge': 'ಡೀಫಾಲ್ಟ್',
+  'savedViews.openView': 'ತೆರೆಯಿರಿ',
+  'savedViews.pin': 'ಪಿನ್ ಮಾಡಿ',
+  'savedViews.unpin': 'ಪಿನ್ ತೆಗೆಯಿರಿ',
+  'savedViews.setDefault': 'ಲಾಗಿನ್ ನಂತರ ತೆರೆಯಿರಿ',
+  'savedViews.unsetDefault': 'ಲಾಗಿನ್ ನಂತರ ತೆರೆಯುವುದನ್ನು ನಿಲ್ಲಿಸಿ',
+  'savedViews.delete': 'ಅಳಿಸಿ',
+  'savedViews.deleteView': '{name} ಅಳಿಸಿ',
+  'savedViews.defaultHint': 'ಡೀಫಾಲ್ಟ್ ನೋಟ ಲಾಗಿನ್ ನಂತರ ತಾನಾಗಿಯೇ ತೆರೆಯುತ್ತದೆ. ನೋಟಗಳನ್ನು ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಇರಿಸಲಾಗುತ್ತದೆ.',
+
+  // Records table
+  'records.header.employeeId': 'ಉದ್ಯೋಗಿ ಐಡಿ',
+  'records.header.name': 'ಹೆಸರು',
+  'records.header.date': 'ದಿನಾಂಕ',
+  'records.header.checkIn': 'ಚೆಕ್-ಇನ್',
+  'records.header.checkOut': 'ಚೆಕ್-ಔಟ್',
+  'records.header.hours': 'ಗಂಟೆಗಳು',
+  'records.header.lateMinutes': 'ತಡ (ನಿಮಿಷ)',
+  'records.header.status': 'ಸ್ಥಿತಿ',
+  'records.header.lateFlag': 'ತಡದ ಫ್ಲ್ಯಾಗ್',
+  'records.header.computedIsLate': 'ಲೆಕ್ಕದ ಪ್ರಕಾರ ತಡ',
+  'records.header.originalPunches': 'ಮೂಲ ಪಂಚ್‌ಗಳು',
+
+  // Shared
+  'common.hide': 'ಮರೆಮಾಡಿ',
+  'common.all': 'ಎಲ್ಲಾ',
+  'common.yes': 'ಹೌದು',
+  'common.no': 'ಇಲ್ಲ',
+  'common.saving': 'ಉಳಿಸಲಾಗುತ್ತಿದೆ...',
+  'common.remove': 'ತೆಗೆದುಹಾಕಿ',
+  'common.save': 'ಉಳಿಸಿ',
+  'common.cancel': 'ರದ್ದುಮಾಡಿ',
+
+  // Records table filters
+  'records.nameContains': 'ಹೆಸರಿನಲ್ಲಿ ಇರುವುದು',
+  'records.namePlaceholder': 'ಉದಾ. ರಾವ್',
+  'records.hoursBelow': 'ಇದಕ್ಕಿಂತ ಕಡಿಮೆ ಗಂಟೆಗಳು',
+  'records.clearFilters': 'ಫಿಲ್ಟರ್‌ಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ',
+  'records.columns': 'ಕಾಲಮ್‌ಗಳು',
+  'records.focus': 'ಇವುಗಳ ಸಾಲುಗಳನ್ನು ಮಾತ್ರ ತೋರಿಸಲಾಗುತ್ತಿದೆ: {label}',
+  'records.showAll': 'ಎಲ್ಲಾ ಸಾಲುಗಳನ್ನು ತೋರಿಸಿ',
+  'records.showing': '{count} ರಲ್ಲಿ {shown} ದಾಖಲೆಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+  'records.flagged': '(ಹೈಲೈಟ್ ಮಾಡಿದ ಸಾಲುಗಳಲ್ಲಿ ಅಸಹಜತೆಗಳಿವೆ)',
+  'records.noMatch': 'ಈ ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಯಾವುದೇ ದಾಖಲೆ ಹೊಂದುವುದಿಲ್ಲ.',
+  'records.tableLabel': 'ಹಾಜರಾತಿ ದಾಖಲೆಗಳು',
+  'records.status.PRESENT': 'ಹಾಜರು',
+  'records.status.ABSENT': 'ಗೈರು',
+
+  // Anomalies panel
+  'anomaly.noneFound': 'ಈ ದಾಖಲೆಗಳಲ್ಲಿ ಯಾವುದೇ ಅಸಹಜತೆ ಇಲ್ಲ.',
+  'anomaly.showAllRows_one': '{count} ಸಾಲು ತೋರಿಸಿ',
+  'anomaly.showAllRows_other': 'ಎಲ್ಲಾ {count} ಸಾಲುಗಳನ್ನು ತೋರಿಸಿ',
+  'anomaly.showRows_one': 'ಸಾಲು ತೋರಿಸಿ',
+  'anomaly.showRows_other': 'ಸಾಲುಗಳನ್ನು ತೋರಿಸಿ',
+
+  // Alert inbox and rules
+  'alerts.bell': 'ಎಚ್ಚರಿಕೆಗಳು',
+  'alerts.bellLabel': 'ಎಚ್ಚರಿಕೆಗಳು, {count} ಓದದವು',
+  'alerts.emailDigest': 'ಸಾರಾಂಶ ಇಮೇಲ್ ಮಾಡಿ',
+  'alerts.markAllRead': 'ಎಲ್ಲವನ್ನೂ ಓದಿದವು ಎಂದು ಗುರುತಿಸಿ',
+  'alerts.noAlerts': 'ಇನ್ನೂ ಯಾವುದೇ ಎಚ್ಚರಿಕೆ ಇಲ್ಲ.',
+  'alerts.unread': 'ಓದದ',
+  'alerts.noRules': 'ಯಾವುದೇ ಎಚ್ಚರಿಕೆ ನಿಯಮವಿಲ್ಲ. ಕೆಳಗೆ ಒಂದನ್ನು ಸೇರಿಸಿ.',
+  'alerts.thresholdHours': 'ಇದಕ್ಕಿಂತ ಕಡಿಮೆ (ಗಂಟೆ)',
+  'alerts.thresholdLate': 'ತಡವಾದ ಆಗಮನಗಳು',
+  'alerts.thresholdDays': 'ದಿನಗಳು',
+  'alerts.windowDays': 'ಇಷ್ಟು ದಿನಗಳಲ್ಲಿ',
+  'alerts.addRule': 'ನಿಯಮ ಸೇರಿಸಿ:',
+  'alerts.digestOption': 'ಹೊಸ ಎಚ್ಚರಿಕೆಗಳು ಬಂದಾಗ ಪ್ರತಿ ಸ್ವೀಕರಿಸುವವರಿಗೆ ಸಾರಾಂಶ ಇಮೇಲ್ ಮಾಡಿ',
+  'alerts.save': 'ಎಚ್ಚರಿಕೆ ನಿಯಮಗಳನ್ನು ಉಳಿಸಿ',
+
+  // Upload panel
+  'upload.title': 'ಬಯೋಮೆಟ್ರಿಕ್ ಡೇಟಾ ಫೈಲ್‌ಗಳನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಿ:',
+  'upload.employeeFile': 'ಉದ್ಯೋಗಿ ಡೇಟಾ (ಬೈನರಿ .dat):',
+  'upload.employeeFileLabel': 'ಉದ್ಯೋಗಿ ಡೇಟಾ ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ',
+  'upload.attendanceFiles': 'ಹಾಜರಾತಿ ಡೇಟಾ (.dat/.txt, ಒಂದಕ್ಕಿಂತ ಹೆಚ್ಚು ಆಗಬಹುದು):',
+  'upload.attendanceFilesLabel': 'ಹಾಜರಾತಿ ಡೇಟಾ ಫೈಲ್‌ಗಳನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಿ',
+  'upload.submit': 'ಅಪ್‌ಲೋಡ್ ಮತ್ತು ಸಂಸ್ಕರಿಸಿ',
+  'upload.uploading': 'ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+  'upload.retryFailed': 'ವಿಫಲವಾದ ಫೈಲ್‌ಗಳನ್ನು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+  'upload.batch_one': 'ಬ್ಯಾಚ್: {count} ಹಾಜರಾತಿ ಲಾಗ್',
+  'upload.batch_other': 'ಬ್ಯಾಚ್: {count} ಹಾಜರಾತಿ ಲಾಗ್‌ಗಳು',
+  'upload.clear': 'ತೆರವುಗೊಳಿಸಿ',
+  'upload.kind.employee': 'ಉದ್ಯೋಗಿ ಡೇಟಾ',
+  'upload.kind.attendance': 'ಹಾಜರಾತಿ ಲಾಗ್',
+  'upload.status.pending': 'ಕಾಯುತ್ತಿದೆ',
+  'upload.status.uploading': 'ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತಿದೆ',
+  'upload.status.processing': 'ಸಂಸ್ಕರಿಸಲಾಗುತ್ತಿದೆ',
+  'upload.status.uploaded': 'ಅಪ್‌ಲೋಡ್ ಆಗಿದೆ',
+  'upload.status.queued': 'ಆಫ್‌ಲೈನ್ ಸರದಿಯಲ್ಲಿ',
+  'upload.status.done': 'ಮುಗಿದಿದೆ',
+  'upload.status.failed': 'ವಿಫಲ',
+  'upload.status.blocked': 'ತಡೆಹಿಡಿಯಲಾಗಿದೆ',
+  'upload.preview': 'ಮುನ್ನೋಟ',
+  'upload.hidePreview': 'ಮುನ್ನೋಟ ಮರೆಮಾಡಿ',
+  'upload.progressLabel': '{fileName} ಅಪ್‌ಲೋಡ್ ಪ್ರಗತಿ',
+  'upload.processingOnServer': 'ಸರ್ವರ್‌ನಲ್ಲಿ ಸಂಸ್ಕರಿಸಲಾಗುತ್ತಿದೆ...',
+  'upload.downloadDashboard': 'ಡ್ಯಾಶ್‌ಬೋರ್ಡ್ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ',
+  'upload.blocked': 'ಅಪ್‌ಲೋಡ್ ತಡೆಹಿಡಿಯಲಾಗಿದೆ: {problem}',
+  'upload.couldNotRead': '{fileName} ಓದಲು ಆಗಲಿಲ್ಲ: {message}',
+  'upload.willUploadOnline': 'ಆನ್‌ಲೈನ್ ಆದಾಗ ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತದೆ.',
+  'upload.queuedOffline_one': 'ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. {count} ಫೈಲ್ ಸರದಿಯಲ್ಲಿದೆ ಮತ್ತು ಸಂಪರ್ಕ ಮರಳಿದಾಗ ತಾನಾಗಿಯೇ ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತದೆ.',
+  'upload.queuedOffline_other': 'ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. {count} ಫೈಲ್‌ಗಳು ಸರದಿಯಲ್ಲಿವೆ ಮತ್ತು ಸಂಪರ್ಕ ಮರಳಿದಾಗ ತಾನಾಗಿಯೇ ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತವೆ.',
+  'upload.queueFailed': 'ದೋಷ: ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ ಮತ್ತು ಫೈಲ್‌ಗಳನ್ನು ಸರದಿಗೆ ಸೇರಿಸಲು ಆಗಲಿಲ್ಲ ({message}). ಆನ್‌ಲೈನ್ ಆದಾಗ ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.',
+  'upload.selectFiles': 'ಉದ್ಯೋಗಿ ಡೇಟಾ (ಬೈನರಿ) ಫೈಲ್ ಮತ್ತು ಕನಿಷ್ಠ ಒಂದು ಹಾಜರಾತಿ ಡೇಟಾ (.dat/.txt) ಫೈಲ್ ಆಯ್ಕೆಮಾಡಿ.',
+  'upload.error': 'ದೋಷ: {message}',
+  'upload.failed': 'ಅಪ್‌ಲೋಡ್ ವಿಫಲ',
+  'upload.retryHint': '{message} ಮುಂದುವರಿಸಲು ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.',
+  'upload.employeeFailed': 'ದೋಷ: ಉದ್ಯೋಗಿ ಡೇಟಾ ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಯಾವುದೇ ಹಾಜರಾತಿ ಲಾಗ್ ಸಂಸ್ಕರಣೆಯಾಗಿಲ್ಲ.',
+  'upload.queuedForProcessing': 'ಸಂಸ್ಕರಣೆಗಾಗಿ ಸರದಿಯಲ್ಲಿದೆ.',
+  'upload.retrying': 'ಸಂಪರ್ಕ ಸಮಸ್ಯೆ, ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಲಾಗುತ್ತಿದೆ ({attempt}/{maxAttempts})...',
+  'upload.processed': 'ಅಪ್‌ಲೋಡ್ ಮತ್ತು ಸಂಸ್ಕರಣೆಯಾಗಿದೆ.',
+  'upload.batchFailed': 'ವಿಫಲ: {count} ಫೈಲ್‌ಗಳಲ್ಲಿ {failed} ಪೂರ್ಣಗೊಂಡಿಲ್ಲ. ಅವುಗಳನ್ನು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಲು ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.',
+  'upload.batchDone_one': '{count} ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಮತ್ತು ಸಂಸ್ಕರಣೆಯಾಗಿದೆ.',
+  'upload.batchDone_other': '{count} ಫೈಲ್‌ಗಳು ಅಪ್‌ಲೋಡ್ ಮತ್ತು ಸಂಸ್ಕರಣೆಯಾಗಿವೆ.',
+
+  // Attendance log preview
+  'logPreview.file': 'ಫೈಲ್',
+  'logPreview.punches': 'ಪಂಚ್‌ಗಳು',
+  'logPreview.punchesOfLines': '{total} ಸಾಲುಗಳಲ್ಲಿ {count}',
+  'logPreview.dateRange': 'ದಿನಾಂಕ ವ್ಯಾಪ್ತಿ',
+  'logPreview.employees': 'ಉದ್ಯೋಗಿಗಳು',
+  'logPreview.firstPunches_one': 'ಮೊದಲ ಪಂಚ್',
+  'logPreview.firstPunches_other': 'ಮೊದಲ {count} ಪಂಚ್‌ಗಳು',
+  'logPreview.line': 'ಸಾಲು',
+  'logPreview.time': 'ಸಮಯ',
+  'logPreview.verify': 'ಪರಿಶೀಲನೆ',
+  'logPreview.state': 'ಸ್ಥಿತಿ',
+  'logPreview.perEmployee': 'ಪ್ರತಿ ಉದ್ಯೋಗಿಯ ಪಂಚ್‌ಗಳು',
+  'logPreview.employeeId': 'ಐಡಿ {id}',
+  'logPreview.badLines_one': '{count} ಸಾಲು ಓದಲು ಆಗಲಿಲ್ಲ',
+  'logPreview.badLines_other': '{count} ಸಾಲುಗಳನ್ನು ಓದಲು ಆಗಲಿಲ್ಲ',
+  'logPreview.lineError': 'ಸಾಲು {line}: {message}',
+  'logPreview.more': '...ಮತ್ತು ಇನ್ನೂ {count}',
+
+  // Upload history
+  'history.loadFailed': 'ಅಪ್‌ಲೋಡ್ ಇತಿಹಾಸ ಲೋಡ್ ಆಗಲಿಲ್ಲ',
+  'history.loading': 'ಅಪ್‌ಲೋಡ್ ಇತಿಹಾಸ ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+  'history.empty': 'ಇನ್ನೂ ಯಾವುದೇ ಅಪ್‌ಲೋಡ್ ಇಲ್ಲ.',
+  'history.compare': 'ಹೋಲಿಸಿ',
+  'history.compareLabel': '{when} ರ ಅಪ್‌ಲೋಡ್ ಹೋಲಿಸಿ',
+  'history.uploaded': 'ಅಪ್‌ಲೋಡ್ ಸಮಯ',
+  'history.by': 'ಯಾರಿಂದ',
+  'history.files': 'ಫೈಲ್‌ಗಳು',
+  'history.records': 'ದಾಖಲೆಗಳು',
+  'history.active': 'ಸಕ್ರಿಯ',
+  'history.dashboard': 'ಡ್ಯಾಶ್‌ಬೋರ್ಡ್',
+  'history.rollBack': 'ರೋಲ್‌ಬ್ಯಾಕ್',
+  'history.rollingBack': 'ರೋಲ್‌ಬ್ಯಾಕ್ ಆಗುತ್ತಿದೆ...',
+  'history.confirmRollback': '{when} ರ ಅಪ್‌ಲೋಡ್ ಅನ್ನು ಸಕ್ರಿಯಗೊಳಿಸಬೇಕೆ? ಅದೇ ತಿಂಗಳುಗಳ ಯಾವುದೇ ಸಕ್ರಿಯ ಅಪ್‌ಲೋಡ್ ಬದಲಿಗೆ ಇದು ಬರುತ್ತದೆ, ಮತ್ತು ಹುಡುಕಾಟಗಳು ಆ ತಿಂಗಳುಗಳಿಗೆ ಇದರ ದಾಖಲೆಗಳನ್ನು ತೋರಿಸುತ್ತವೆ.',
+  'history.activated': '{when} ರ ಅಪ್‌ಲೋಡ್ ಈಗ ಸಕ್ರಿಯವಾಗಿದೆ.',
+  'history.rollbackFailed': 'ರೋಲ್‌ಬ್ಯಾಕ್ ವಿಫಲ',
+  'history.tickOneMore': 'ಹೋಲಿಸಲು ಇನ್ನೊಂದು ಅಪ್‌ಲೋಡ್ ಆಯ್ಕೆಮಾಡಿ.',
+  'history.recordsChange': 'ದಾಖಲೆಗಳು:',
+  'history.employeesChange': 'ಉದ್ಯೋಗಿಗಳು:',
+  'history.datesChange': 'ದಿನಾಂಕಗಳು:',
+  'history.changed': '(ಬದಲಾಗಿದೆ)',
+  'history.employee': 'ಉದ್ಯೋಗಿ',
+  'history.older': 'ಹಳೆಯದು',
+  'history.newer': 'ಹೊಸದು',
+  'history.change': 'ಬದಲಾವಣೆ',
+
+  // Team view
+  'team.title': 'ತಂಡದ ಸಾರಾಂಶ',
+  'team.hint_one': '{count} ಉದ್ಯೋಗಿ. ಕ್ರಮಗೊಳಿಸಲು ಕಾಲಮ್ ಕ್ಲಿಕ್ ಮಾಡಿ, ಅಥವಾ ಪೂರ್ಣ ನೋಟಕ್ಕಾಗಿ ಉದ್ಯೋಗಿಯನ್ನು ಕ್ಲಿಕ್ ಮಾಡಿ.',
+  'team.hint_other': '{count} ಉದ್ಯೋಗಿಗಳು. ಕ್ರಮಗೊಳಿಸಲು ಕಾಲಮ್ ಕ್ಲಿಕ್ ಮಾಡಿ, ಅಥವಾ ಪೂರ್ಣ ನೋಟಕ್ಕಾಗಿ ಉದ್ಯೋಗಿಯನ್ನು ಕ್ಲಿಕ್ ಮಾಡಿ.',
+  'team.column.employeeName': 'ಉದ್ಯೋಗಿ',
+  'team.column.totalAttendance': 'ಹಾಜರು',
+  'team.column.totalAbsent': 'ಗೈರು',
+  'team.column.lateCount': 'ತಡ',
+  'team.column.avgWorkingHours': 'ಸರಾಸರಿ ಗಂಟೆ',
+  'team.column.totalExtraWorking': 'ಹೆಚ್ಚುವರಿ ದಿನಗಳು',
+  'team.employeeId': '(ಐಡಿ: {id})',
+  'team.chart.present': 'ಹಾಜರಿರುವ ಉದ್ಯೋಗಿಗಳು',
+  'team.chart.latePercent': 'ತಡವಾದ ಆಗಮನ (%)',
+  'team.chart.avgHours': 'ಸರಾಸರಿ ಕೆಲಸದ ಗಂಟೆಗಳು',
+  'team.chart.headcountTitle': 'ದೈನಂದಿನ ಹಾಜರಾತಿ ಸಂಖ್ಯೆ',
+  'team.chart.employees': 'ಉದ್ಯೋಗಿಗಳು',
+  'team.chart.lateTitle': 'ಪ್ರತಿ ದಿನದ ತಡವಾದ ಆಗಮನಗಳು',
+  'team.chart.percentPresent': 'ಹಾಜರಿರುವ ಉದ್ಯೋಗಿಗಳ %',
+  'team.chart.avgHoursTitle': 'ಪ್ರತಿ ದಿನದ ಸರಾಸರಿ ಕೆಲಸದ ಗಂಟೆಗಳು',
+  'team.chart.distributionTitle': 'ತಂಡದ ಹಾಜರಾತಿ ವಿತರಣೆ',
+  'team.chart.employeeDays_one': '{count} ಉದ್ಯೋಗಿ-ದಿನ',
+  'team.chart.employeeDays_other': '{count} ಉದ್ಯೋಗಿ-ದಿನಗಳು',
+
+  // Employee comparison
+  'picked.title': 'ಉದ್ಯೋಗಿ ಹೋಲಿಕೆ',
+  'picked.open': '{name} ಅವರ ಪೂರ್ಣ ನೋಟ ತೆರೆಯಿರಿ',
+  'picked.row.totalAttendance': 'ಹಾಜರು',
+  'picked.row.totalDays': 'ಒಟ್ಟು ದಿನಗಳು',
+  'picked.row.totalAbsent': 'ಗೈರು',
+  'picked.row.unplanned': 'ಯೋಜಿತವಲ್ಲದ ಗೈರುಗಳು',
+  'picked.row.late': 'ತಡವಾದ ಆಗಮನಗಳು',
+  'picked.row.halfDays': 'ಅರ್ಧ ದಿನಗಳು',
+  'picked.row.extraWorking': 'ಹೆಚ್ಚುವರಿ ಕೆಲಸ',
+  'picked.row.avgWorkingHours': 'ಸರಾಸರಿ ಕೆಲಸದ ಗಂಟೆಗಳು',
+  'picked.row.weekdayOvertime': 'ವಾರದ ದಿನದ ಓವರ್‌ಟೈಮ್',
+  'picked.row.offDayOvertime': 'ವಾರಾಂತ್ಯ / ರಜೆ ಓವರ್‌ಟೈಮ್',
+  'picked.checkIn': '{name} – ಚೆಕ್ ಇನ್',
+  'picked.checkOut': '{name} – ಚೆಕ್ ಔಟ್',
+
+  // Department comparison
+  'comparison.departmentTitle': 'ವಿಭಾಗಗಳ ಹೋಲಿಕೆ',
+  'comparison.teamTitle': 'ತಂಡಗಳ ಹೋಲಿಕೆ',
+  'comparison.attendanceRate': 'ಹಾಜರಾತಿ ದರ (%)',
+  'comparison.latePercent': 'ತಡವಾಗಿ ಬಂದದ್ದು (%)',
+  'comparison.avgHours': 'ಸರಾಸರಿ ಕೆಲಸದ ಗಂಟೆಗಳು',
+  'comparison.percentAxis': 'ಶೇಕಡಾ',
+  'comparison.hint_one': 'ಆಯ್ಕೆ ಮಾಡಿದ ಅವಧಿಯಲ್ಲಿ {count} ಗುಂಪು. ಹಾಜರಾತಿಯನ್ನು ಕೆಲಸದ ದಿನಗಳಲ್ಲಿ ಎಣಿಸಲಾಗುತ್ತದೆ; ತಡವಾಗಿ ಬಂದದ್ದು ಹಾಜರಿದ್ದ ದಿನಗಳ ಪಾಲು.',
+  'comparison.hint_other': 'ಆಯ್ಕೆ ಮಾಡಿದ ಅವಧಿಯಲ್ಲಿ {count} ಗುಂಪುಗಳು. ಹಾಜರಾತಿಯನ್ನು ಕೆಲಸದ ದಿನಗಳಲ್ಲಿ ಎಣಿಸಲಾಗುತ್ತದೆ; ತಡವಾಗಿ ಬಂದದ್ದು ಹಾಜರಿದ್ದ ದಿನಗಳ ಪಾಲು.',
+  'comparison.groupBy': 'ಇದರ ಪ್ರಕಾರ ಹೋಲಿಸಿ',
+  'comparison.byDepartment': 'ವಿಭಾಗವಾರು',
+  'comparison.byTeam': 'ತಂಡವಾರು',
+
+  // Attendance calendar
+  'attendanceCalendar.title': 'ಹಾಜರಾತಿ ಕ್ಯಾಲೆಂಡರ್',
+  'attendanceCalendar.punches': 'ಒಳಗೆ {checkIn}, ಹೊರಗೆ {checkOut}',
+  'attendanceCalendar.corrected': 'ಸರಿಪಡಿಸಲಾಗಿದೆ, ಮೊದಲು {checkIn} / {checkOut} ಇತ್ತು',
+  'attendanceCalendar.hours': 'ಗಂಟೆಗಳು {hours}',
+  'attendanceCalendar.recordFor': '{date} ರ ದಾಖಲೆ',
+  'attendanceCalendar.noRecord': 'ಈ ದಿನಕ್ಕೆ ಯಾವುದೇ ಹಾಜರಾತಿ ದಾಖಲೆ ಇಲ್ಲ.',
+  'common.close': 'ಮುಚ್ಚಿ',
+
+  // Holiday calendar editor
+  'calendar.weeklyOffs': 'ವಾರದ ರಜೆಗಳು',
+  'calendar.day': 'ದಿನ',
+  'calendar.everyWeek': 'ಪ್ರತಿ ವಾರ',
+  'calendar.offEveryWeek': 'ಪ್ರತಿ ವಾರ {weekday} ರಜೆ',
+  'calendar.offOnWeek': '{weeks} {weekday} ರಜೆ',
+  'calendar.holidays': 'ರಜಾದಿನಗಳು',
+  'calendar.holidayDate': 'ರಜಾದಿನದ ದಿನಾಂಕ',
+  'calendar.holidayName': 'ರಜಾದಿನದ ಹೆಸರು',
+  'calendar.defaultHolidayName': 'ರಜಾದಿನ',
+  'calendar.addHoliday': 'ರಜಾದಿನ ಸೇರಿಸಿ',
+  'calendar.import': '.ics / .csv ಆಮದು ಮಾಡಿ',
+  'calendar.imported_one': '{fileName} ನಿಂದ {count} ರಜಾದಿನ ಆಮದಾಗಿದೆ. ಅನ್ವಯಿಸಲು ಉಳಿಸಿ.',
+  'calendar.imported_other': '{fileName} ನಿಂದ {count} ರಜಾದಿನಗಳು ಆಮದಾಗಿವೆ. ಅನ್ವಯಿಸಲು ಉಳಿಸಿ.',
+  'calendar.importFailed': '{fileName} ಓದಲು ಆಗಲಿಲ್ಲ: {message}',
+  'calendar.noHolidays': 'ಇನ್ನೂ ಯಾವುದೇ ರಜಾದಿನ ಇಲ್ಲ.',
+  'calendar.save': 'ಕ್ಯಾಲೆಂಡರ್ ಉಳಿಸಿ',
+
+  // Shift policy editor
+  'shift.policies': 'ನೀತಿಗಳು',
+  'shift.addPolicy': 'ನೀತಿ ಸೇರಿಸಿ',
+  'shift.newShift': 'ಹೊಸ ಶಿಫ್ಟ್',
+  'shift.unnamedPolicy': 'ಹೆಸರಿಲ್ಲದ ನೀತಿ',
+  'shift.policyName': 'ನೀತಿಯ ಹೆಸರು',
+  'shift.nightShift': 'ರಾತ್ರಿ ಶಿಫ್ಟ್',
+  'shift.field.name': 'ಹೆಸರು',
+  'shift.field.start': 'ಆರಂಭ',
+  'shift.field.end': 'ಅಂತ್ಯ',
+  'shift.field.graceMinutes': 'ರಿಯಾಯಿತಿ (ನಿಮಿಷ)',
+  'shift.field.maxHours': 'ಗರಿಷ್ಠ ಎಣಿಕೆಯ ಗಂಟೆಗಳು',
+  'shift.field.halfDayHours': 'ಇದಕ್ಕಿಂತ ಕಡಿಮೆಯಾದರೆ ಅರ್ಧ ದಿನ (ಗಂಟೆ)',
+  'shift.groups': 'ಗುಂಪುಗಳು',
+  'shift.addGroup': 'ಗುಂಪು ಸೇರಿಸಿ',
+  'shift.newGroup': 'ಹೊಸ ಗುಂಪು',
+  'shift.noGroups': 'ಇನ್ನೂ ಯಾವುದೇ ಗುಂಪು ಇಲ್ಲ. ಯಾವುದಕ್ಕೂ ನಿಯೋಜಿಸದ ಉದ್ಯೋಗಿಗಳು ಡೀಫಾಲ್ಟ್ ನೀತಿಯನ್ನು ಬಳಸುತ್ತಾರೆ.',
+  'shift.groupName': 'ಗುಂಪಿನ ಹೆಸರು',
+  'shift.groupPolicy': '{group} ನೀತಿ',
+  'shift.groupMembers': '{group} ಸದಸ್ಯರು',
+  'shift.problem.groupName': 'ಪ್ರತಿ ಗುಂಪಿಗೂ ಹೆಸರು ಇರಬೇಕು.',
+  'shift.overrides': 'ಉದ್ಯೋಗಿ-ನಿರ್ದಿಷ್ಟ ನೀತಿ',
+  'shift.groupOrDefault': 'ಗುಂಪು / ಡೀಫಾಲ್ಟ್',
+  'shift.save': 'ಶಿಫ್ಟ್ ನೀತಿಗಳನ್ನು ಉಳಿಸಿ',
+
+  // Leave manager
+  'leave.employee': 'ರಜೆಯ ಉದ್ಯೋಗಿ',
+  'leave.year': 'ರಜೆಯ ವರ್ಷ',
+  'leave.import': 'HR CSV ಆಮದು ಮಾಡಿ',
+  'leave.loadFailed': 'ರಜೆ ಲೋಡ್ ಆಗಲಿಲ್ಲ',
+  'leave.problem.employeeAndDate': 'ಉದ್ಯೋಗಿ ಮತ್ತು ಆರಂಭ ದಿನಾಂಕವನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+  'leave.problem.endsBeforeStart': 'ರಜೆ ಆರಂಭವಾಗುವ ಮೊದಲೇ ಮುಗಿಯಲು ಸಾಧ್ಯವಿಲ್ಲ.',
+  'leave.problem.noWorkingDays': 'ಆಯ್ಕೆಮಾಡಿದ ಎಲ್ಲಾ ದಿನಾಂಕಗಳು ರಜಾದಿನಗಳು ಅಥವಾ ವಾರದ ರಜೆಗಳು.',
+  'leave.recorded': 'ರಜೆ ದಾಖಲಿಸಲಾಗಿದೆ.',
+  'leave.saveFailed': 'ರಜೆ ಉಳಿಸಲು ಆಗಲಿಲ್ಲ',
+  'leave.removed': 'ರಜೆ ತೆಗೆದುಹಾಕಲಾಗಿದೆ.',
+  'leave.removeFailed': 'ರಜೆ ತೆಗೆದುಹಾಕಲು ಆಗಲಿಲ್ಲ',
+  'leave.importEmpty': '{fileName} ನಿಂದ ಯಾವುದೇ ರಜೆ ಓದಲು ಆಗಲಿಲ್ಲ.',
+  'leave.imported_one': '{fileName} ನಿಂದ {count} ರಜೆ ದಾಖಲೆ ಆಮದಾಗಿದೆ.',
+  'leave.imported_other': '{fileName} ನಿಂದ {count} ರಜೆ ದಾಖಲೆಗಳು ಆಮದಾಗಿವೆ.',
+  'leave.importFailed': '{fileName} ಆಮದು ಮಾಡಲು ಆಗಲಿಲ್ಲ',
+  'leave.balanceLeft_one': '/ {entitlement} ದಿನ ಬಾಕಿ',
+  'leave.balanceLeft_other': '/ {entitlement} ದಿನಗಳು ಬಾಕಿ',
+  'leave.balanceUsed': '{year} ರಲ್ಲಿ {used} ಬಳಸಲಾಗಿದೆ',
+  'leave.type': 'ಪ್ರಕಾರ',
+  'leave.from': 'ಇಂದ',
+  'leave.to': 'ವರೆಗೆ',
+  'leave.days': 'ದಿನಗಳು',
+  'leave.reason': 'ಕಾರಣ',
+  'leave.record': 'ರಜೆ ದಾಖಲಿಸಿ',
+  'leave.loading': 'ರಜೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+  'leave.none': '{year} ರಲ್ಲಿ {name} ಅವರ ಯಾವುದೇ ರಜೆ ದಾಖಲಾಗಿಲ್ಲ.',
+
+  // Punch corrections manager
+  'regularization.loadFailed': 'ತಿದ್ದುಪಡಿ ವಿನಂತಿಗಳು ಲೋಡ್ ಆಗಲಿಲ್ಲ',
+  'regularization.requested': 'ತಿದ್ದುಪಡಿಗೆ ವಿನಂತಿಸಲಾಗಿದೆ. ವ್ಯವಸ್ಥಾಪಕರು ಅನುಮೋದಿಸಿದ ನಂತರ ಇದು ಅನ್ವಯವಾಗುತ್ತದೆ.',
+  'regularization.requestFailed': 'ತಿದ್ದುಪಡಿಗೆ ವಿನಂತಿಸಲು ಆಗಲಿಲ್ಲ',
+  'regularization.rejectPrompt': '{date} ರಂದು {employeeId} ಅವರ ತಿದ್ದುಪಡಿಯನ್ನು ತಿರಸ್ಕರಿಸಲು ಕಾರಣ (ಐಚ್ಛಿಕ)',
+  'regularization.approved': 'ತಿದ್ದುಪಡಿ ಅನುಮೋದಿಸಲಾಗಿದೆ.',
+  'regularization.rejected': 'ತಿದ್ದುಪಡಿ ತಿರಸ್ಕರಿಸಲಾಗಿದೆ.',
+  'regularization.approveFailed': 'ತಿದ್ದುಪಡಿ ಅನುಮೋದಿಸಲು ಆಗಲಿಲ್ಲ',
+  'regularization.rejectFailed': 'ತಿದ್ದುಪಡಿ ತಿರಸ್ಕರಿಸಲು ಆಗಲಿಲ್ಲ',
+  'regularization.missingCount_one': 'ಈ ಹುಡುಕಾಟದಲ್ಲಿ {count} ದಾಖಲೆಯಲ್ಲಿ ಪಂಚ್ ತಪ್ಪಿದೆ',
+  'regularization.missingCount_other': 'ಈ ಹುಡುಕಾಟದಲ್ಲಿ {count} ದಾಖಲೆಗಳಲ್ಲಿ ಪಂಚ್ ತಪ್ಪಿದೆ',
+  'regularization.missingRecord': '{name} ({id}), {date}: ಒಳಗೆ {checkIn}, ಹೊರಗೆ {checkOut}',
+  'regularization.requestFix': 'ತಿದ್ದುಪಡಿ ಕೇಳಿ',
+  'regularization.employee': 'ತಿದ್ದುಪಡಿಯ ಉದ್ಯೋಗಿ',
+  'regularization.date': 'ತಿದ್ದುಪಡಿಯ ದಿನಾಂಕ',
+  'regularization.correctedCheckIn': 'ಸರಿಪಡಿಸಿದ ಚೆಕ್-ಇನ್',
+  'regularization.correctedCheckOut': 'ಸರಿಪಡಿಸಿದ ಚೆಕ್-ಔಟ್',
+  'regularization.reason': 'ತಿದ್ದುಪಡಿಯ ಕಾರಣ',
+  'regularization.requests': 'ವಿನಂತಿಗಳು',
+  'regularization.statusFilter': 'ವಿನಂತಿಯ ಸ್ಥಿತಿ',
+  'regularization.loading': 'ವಿನಂತಿಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ...',
+  'regularization.empty.all': 'ಯಾವುದೇ ತಿದ್ದುಪಡಿ ವಿನಂತಿ ಇಲ್ಲ.',
+  'regularization.empty.pending': 'ಬಾಕಿ ಇರುವ ತಿದ್ದುಪಡಿ ವಿನಂತಿಗಳಿಲ್ಲ.',
+  'regularization.empty.approved': 'ಅನುಮೋದಿತ ತಿದ್ದುಪಡಿ ವಿನಂತಿಗಳಿಲ್ಲ.',
+  'regularization.empty.rejected': 'ತಿರಸ್ಕೃತ ತಿದ್ದುಪಡಿ ವಿನಂತಿಗಳಿಲ್ಲ.',
+  'regularization.original': 'ಮೂಲ',
+  'regularization.corrected': 'ಸರಿಪಡಿಸಿದ',
+  'regularization.requestedBy': 'ವಿನಂತಿಸಿದವರು',
+  'regularization.reviewedBy': '{reviewer} ಅವರಿಂದ',
+  'regularization.approve': 'ಅನುಮೋದಿಸಿ',
+  'regularization.reject': 'ತಿರಸ್ಕರಿಸಿ',
+
+  // Payroll summary
+  'payroll.settingsLoadFailed': 'ವೇತನ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಲೋಡ್ ಆಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಡೀಫಾಲ್ಟ್ ಗುಣಕಗಳನ್ನು ಬಳಸಲಾಗುತ್ತಿದೆ',
+  'payroll.settingsSaved': 'ವೇತನ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ. ಅನ್ವಯಿಸಲು ಮತ್ತೆ ಲೆಕ್ಕಹಾಕಿ.',
+  'payroll.settingsSaveFailed': 'ವೇತನ ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ',
+  'payroll.problem.period': 'ಆರಂಭದ ನಂತರ ಮುಗಿಯುವ ವೇತನ ಅವಧಿಯನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+  'payroll.problem.notStarted': 'ಈ ವೇತನ ಅವಧಿ ಇನ್ನೂ ಆರಂಭವಾಗಿಲ್ಲ.',
+  'payroll.fromCache': 'ಆಫ್‌ಲೈನ್: {time} ರಂದು ಪಡೆದ ಉಳಿಸಿದ ಡೇಟಾದಿಂದ ಲೆಕ್ಕಹಾಕಲಾಗಿದೆ.',
+  'payroll.calculateFailed': 'ವೇತನ ಲೆಕ್ಕಹಾಕಲು ಆಗಲಿಲ್ಲ',
+  'payroll.exportFailed': 'ವೇತನ {format} ರಫ್ತು ವಿಫಲ: {message}',
+  'payroll.periodFrom': 'ಅವಧಿ ಆರಂಭ',
+  'payroll.periodTo': 'ಅವಧಿ ಅಂತ್ಯ',
+  'payroll.weekdayMultiplier': 'ವಾರದ ದಿನ OT ×',
+  'payroll.offDayMultiplier': 'ವಾರಾಂತ್ಯ / ರಜಾದಿನ OT ×',
+  'payroll.saveMultipliers': 'ಗುಣಕಗಳನ್ನು ಉಳಿಸಿ',
+  'payroll.calculate': 'ವೇತನ ಲೆಕ್ಕಹಾಕಿ',
+  'payroll.calculating': 'ಲೆಕ್ಕಹಾಕಲಾಗುತ್ತಿದೆ...',
+  'payroll.partialPeriod': 'ಅವಧಿ ಇನ್ನೂ ಮುಗಿದಿಲ್ಲ; ಅಂಕಿಅಂಶಗಳು {date} ವರೆಗಿನವು.',
+  'payroll.exportCsv': 'CSV ರಫ್ತು ಮಾಡಿ',
+  'payroll.exportXlsx': 'XLSX ರಫ್ತು ಮಾಡಿ',
+
+  // Employee details editor
+  'employeeDetails.employee': 'ಉದ್ಯೋಗಿ',
+  'employeeDetails.department': 'ವಿಭಾಗ',
+  'employeeDetails.team': 'ತಂಡ',
+  'employeeDetails.designation': 'ಹುದ್ದೆ',
+  'employeeDetails.manager': 'ವರದಿ ಮಾಡುವ ಮ್ಯಾನೇಜರ್',
+  'employeeDetails.noManager': 'ಮ್ಯಾನೇಜರ್ ಇಲ್ಲ',
+  'employeeDetails.fieldFor': '{name} ಅವರ {field}',
+  'employeeDetails.none': 'ಇನ್ನೂ ಯಾವುದೇ ಉದ್ಯೋಗಿಗಳಿಲ್ಲ. ಮೊದಲು ಹಾಜರಾತಿ ಡೇಟಾ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.',
+  'employeeDetails.importHint': 'ಉದ್ಯೋಗಿ ಐಡಿ ಕಾಲಮ್ ಮತ್ತು ವಿಭಾಗ, ತಂಡ, ಹುದ್ದೆ ಹಾಗೂ ಮ್ಯಾನೇಜರ್ (ಐಡಿ ಅಥವಾ ಹೆಸರು) ಯಾವುದಾದರೂ ಕಾಲಮ್ ಇರುವ CSV ಆಮದು ಮಾಡಿ. ಫೈಲ್‌ನಲ್ಲಿ ಇಲ್ಲದ ಕಾಲಮ್‌ಗಳು ಹಾಗೆಯೇ ಉಳಿಯುತ್ತವೆ.',
+  'employeeDetails.import': 'HR CSV ಆಮದು ಮಾಡಿ',
+  'employeeDetails.saved': '{name} ಅವರ ವಿವರಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ.',
+  'employeeDetails.saveFailed': '{name} ಅವರ ವಿವರಗಳನ್ನು ಉಳಿಸಲು ಆಗಲಿಲ್ಲ',
+  'employeeDetails.importEmpty': '{fileName} ನಿಂದ ಯಾವುದೇ ಉದ್ಯೋಗಿ ವಿವರ ಓದಲು ಆಗಲಿಲ್ಲ.',
+  'employeeDetails.imported_one': '{fileName} ನಿಂದ {count} ಉದ್ಯೋಗಿಯನ್ನು ನವೀಕರಿಸಲಾಗಿದೆ.',
+  'employeeDetails.imported_other': '{fileName} ನಿಂದ {count} ಉದ್ಯೋಗಿಗಳನ್ನು ನವೀಕರಿಸಲಾಗಿದೆ.',
+  'employeeDetails.importFailed': '{fileName} ಆಮದು ಮಾಡಲು ಆಗಲಿಲ್ಲ',
+};
+
+export default kn;
@@ -0,0 +1,47 @@
+// Reduced-motion mode turns off the Vanta background, framer-motion and
+// chart.js animations. It follows the OS `prefers-reduced-motion` setting until
+// the user flips the toggle, after which their choice is remembered in this
+// browser.
+
+const MOTION_KEY = 'biometric_reduce_motion';
+const MEDIA_QUERY = '(prefers-reduced-motion: reduce)';
+
+const mediaQuery = () => (typeof window.matchMedia === 'function' ? window.matchMedia(MEDIA_QUERY) : null);
+
+export const systemPrefersReducedMotion = () => {
+  const query = mediaQuery();
+  return Boolean(query && query.matches);
+};
+
+// true / false once the user has chosen, null while the OS setting decides
+export const getStoredMotionPreference = () => {
+  try {
+    const stored = localStorage.getItem(MOTION_KEY);
+    return stored === null ? null : stored === 'reduce';
+  } catch (err) {
+    return null;
+  }
+};
+
+export const storeMotionPreference = (reduce) => {
+  localStorage.setItem(MOTION_KEY, reduce ? 'reduce' : 'full');
+};
+
+export const shouldReduceMotion = () => {
+  const stored = getStoredMotionPreference();
+  return stored === null ? systemPrefersReducedMotion() : stored;
+};
+
+// Calls onChange(matches) when the OS setting changes; returns the unsubscribe
+export const watchSystemMotionPreference = (onChange) => {
+  const query = mediaQuery();
+  if (!query) return () => {};
+  const listener = (event) => onChange(event.matches);
+  // Safari before 14 only has the older addListener
+  if (query.addEventListener) {
+    query.addEventListener('change', listener);
+    return () => query.removeEventListener('change', listener);
+  }
+  query.addListener(listener);
+  return () => query.removeListener(listener);
+};
@@ -0,0 +1,72 @@
+import api from './api';
+import { addDays } from './calendarDates';
+import { indexLeavesByDate } from './leaves';
+import { indexApprovedRegularizations, applyRegularizations } from './regularizations';
+import { DEFAULT_ALERT_RULES, evaluateAlertRules } from './alertRules';
+
+// The notification inbox. Alerts found by the rules in alertRules are sent to
+// the backend, which keeps them per user with their read state, ignores keys
+// it has already seen and, when the email digest is on, mails the new ones
+// through whichever sender it is configured with.
+
+// { rules, emailDigest }
+export const fetchAlertConfig = async () => {
+  const response = await api.get('/api/alert-rules', { timeout: 15000 });
+  return { rules: response.data.rules || DEFAULT_ALERT_RULES, emailDigest: !!response.data.emailDigest };
+};
+
+export const saveAlertConfig = async (config) => {
+  const response = await api.put('/api/alert-rules', config, { timeout: 15000 });
+  return { rules: response.data.rules, emailDigest: !!response.data.emailDigest };
+};
+
+// Newest first: [{ id, key, ruleId, employeeId, message, link, createdAt, read }]
+export const fetchNotifications = async () => {
+  const response = await api.get('/api/notifications', { timeout: 15000 });
+  return response.data.notifications || [];
+};
+
+// Returns how many of the alerts were new
+export const publishAlerts = async (alerts) => {
+  if (alerts.length === 0) return 0;
+  const response = await api.post('/api/notifications', { alerts }, { timeout: 15000 });
+  return response.data.added;
+};
+
+// No ids marks everything read
+export const markNotificationsRead = async (ids) => {
+  await api.post('/api/notifications/read', ids ? { ids } : { all: true }, { timeout: 15000 });
+};
+
+export const sendDigestNow = async () => {
+  const response = await api.post('/api/notifications/digest', {}, { timeout: 30000 });
+  return response.data.message;
+};
+
+// Runs the rules over the last 30 days for everyone the user can see, which
+// covers the rolling windows and the current month. Used after new data
+// arrives from an upload rather than a search. `employees` is everyone the
+// user can see, including those with no records in the 30 days.
+export const checkRecentAlerts = async ({ rules, calendar, getPolicy, today, employees }) => {
+  const params = { from_date: addDays(today, -30), to_date: today };
+  const [recordsResponse, leavesResponse, regularizationsResponse] = await Promise.all([
+    api.get('/api/search', { params, timeout: 60000 }),
+    api.get('/api/leaves', { params, timeout: 15000 }),
+    api.get('/api/regularizations', { params: { ...params, status: 'approved' }, timeout: 15000 }),
+  ]);
+  const records = applyRegularizations(
+    recordsResponse.data.records || [],
+    indexApprovedRegularizations(regularizationsResponse.data.regularizations || []),
+    getPolicy
+  );
+  const alerts = evaluateAlertRules(rules, records, {
+    fromDate: params.from_date,
+    toDate: today,
+    today,
+    calendar,
+    leaveIndex: indexLeavesByDate(leavesResponse.data.leaves || [], calendar),
+    getPolicy,
+    employees,
+  });
+  return publishAlerts(alerts);
+};
@@ -0,0 +1,123 @@
+import api from './api';
+import { getSession } from './auth';
+import { t } from './i18n';
+
+// Offline support backed by IndexedDB.
+//
+// Every GET made through cachedGet is stored against the user, the path and
+// its query, so when the backend can't be reached the last answer for the
+// same query is served instead, along with when it was fetched. Uploads tried
+// while offline are kept in a queue of their own (the File objects go into
+// IndexedDB as they are) until uploads.js sends them.
+
+const DB_NAME = 'biometric_offline';
+const DB_VERSION = 1;
+const RESPONSES = 'responses';
+const UPLOAD_QUEUE = 'uploadQueue';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error(t('offline.noIndexedDb')));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RESPONSES)) db.createObjectStore(RESPONSES, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(UPLOAD_QUEUE)) db.createObjectStore(UPLOAD_QUEUE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after private browsing blocked the first one
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Runs `work(store)` in a transaction and resolves with the request it returns
+const withStore = async (storeName, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const currentOwner = () => {
+  const session = getSession();
+  return (session && session.user && session.user.email) || '';
+};
+
+// The request never got an answer, as opposed to the backend saying no
+export const isNetworkError = (err) => !err.response && err.code !== 'ERR_CANCELED';
+
+const getCacheKey = (path, params = {}) => {
+  const query = Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map(name => `${name}=${params[name]}`)
+    .join('&');
+  return `${currentOwner()}|${path}?${query}`;
+};
+
+// GET that falls back to the last stored answer for the same query when the
+// backend can't be reached. Resolves to { data, cachedAt }, where cachedAt is
+// null for a live answer and the fetch time (ms) for a cached one. Errors from
+// the backend itself, and network errors with nothing cached, are rethrown.
+export const cachedGet = async (path, config = {}) => {
+  const key = getCacheKey(path, config.params);
+  try {
+    const response = await api.get(path, config);
+    withStore(RESPONSES, 'readwrite', store => store.put({ key, data: response.data, cachedAt: Date.now() }))
+      .catch(err => console.warn(`Could not cache ${path}:`, err.message));
+    return { data: response.data, cachedAt: null };
+  } catch (err) {
+    if (!isNetworkError(err)) throw err;
+    const cached = await withStore(RESPONSES, 'readonly', store => store.get(key)).catch(() => undefined);
+    if (!cached) throw err;
+    return { data: cached.data, cachedAt: cached.cachedAt };
+  }
+};
+
+// Drops every stored answer, so the next user of a shared machine can't read them offline
+export const clearCachedResponses = () => withStore(RESPONSES, 'readwrite', store => store.clear())
+  .catch(err => console.warn('Could not clear the offline cache:', err.message));
+
+// --- Upload queue: { id, owner, queuedAt, employeeFile, attendanceFiles } ---
+
+export const queueUpload = (employeeFile, attendanceFiles) => withStore(UPLOAD_QUEUE, 'readwrite', store => store.add({
+  owner: currentOwner(),
+  queuedAt: Date.now(),
+  employeeFile,
+  attendanceFiles,
+}));
+
+// The current user's queued batches, oldest first
+export const listQueuedUploads = async () => {
+  const owner = currentOwner();
+  const batches = await withStore(UPLOAD_QUEUE, 'readonly', store => store.getAll()).catch(() => []);
+  return batches.filter(batch => batch.owner === owner);
+};
+
+export const updateQueuedUpload = (batch) => withStore(UPLOAD_QUEUE, 'readwrite', store => store.put(batch));
+
+export const removeQueuedUpload = (id) => withStore(UPLOAD_QUEUE, 'readwrite', store => store.delete(id));
+
+// Drops the current user's queued batches. Call it before the session is
+// cleared: the batches are found by the signed-in user.
+export const clearQueuedUploads = async () => {
+  try {
+    const batches = await listQueuedUploads();
+    await Promise.all(batches.map(batch => removeQueuedUpload(batch.id)));
+  } catch (err) {
+    console.warn('Could not clear the upload queue:', err.message);
+  }
+};
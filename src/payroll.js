@@ -0,0 +1,121 @@
+import { DEFAULT_POLICY, getWorkingHours, isHalfDay } from './shiftPolicies';
+import { DEFAULT_WORK_CALENDAR, isNonWorkingDay } from './workCalendar';
+import { summarizeAttendance, groupRecordsByEmployee } from './attendance';
+import { parseDate, makeDate, addDays } from './calendarDates';
+import { t } from './i18n';
+
+// Payroll figures per employee for a pay period. Hours up to the shift
+// policy's max countable hours are regular; anything past that on a working
+// day is weekday overtime, and every hour on a weekly off or holiday is
+// off-day overtime. Multipliers come from the organisation's payroll settings.
+
+// Day of the month pay periods start on, set with REACT_APP_PAY_PERIOD_START_DAY.
+// The default of 1 makes each pay period a calendar month; anything past the
+// 28th would skip February, so it's capped there.
+export const PAY_PERIOD_START_DAY = Math.min(28, Math.max(1, Math.floor(Number(process.env.REACT_APP_PAY_PERIOD_START_DAY)) || 1));
+
+// { fromDate, toDate } of the pay period `dateStr` falls in
+export const getPayPeriod = (dateStr, startDay = PAY_PERIOD_START_DAY) => {
+  const { year, month, day } = parseDate(dateStr);
+  const startMonth = day >= startDay ? month : month - 1;
+  return {
+    fromDate: makeDate(year, startMonth, startDay),
+    toDate: addDays(makeDate(year, startMonth + 1, startDay), -1),
+  };
+};
+
+export const DEFAULT_PAYROLL_SETTINGS = {
+  weekdayOvertimeMultiplier: 1.5,
+  offDayOvertimeMultiplier: 2,
+};
+
+// The import layout the payroll software expects. Keep the order and headers
+// stable: the importer maps columns by position.
+export const PAYROLL_COLUMNS = [
+  { key: 'employeeId', header: 'EMP_CODE' },
+  { key: 'employeeName', header: 'EMP_NAME' },
+  { key: 'fromDate', header: 'PERIOD_FROM' },
+  { key: 'toDate', header: 'PERIOD_TO' },
+  { key: 'paidDays', header: 'PAID_DAYS', decimals: 1 },
+  { key: 'lopDays', header: 'LOP_DAYS', decimals: 1 },
+  { key: 'regularHours', header: 'REGULAR_HOURS', decimals: 2 },
+  { key: 'weekdayOvertimeHours', header: 'WEEKDAY_OT_HOURS', decimals: 2 },
+  { key: 'weekdayOvertimeMultiplier', header: 'WEEKDAY_OT_RATE', decimals: 2 },
+  { key: 'offDayOvertimeHours', header: 'OFFDAY_OT_HOURS', decimals: 2 },
+  { key: 'offDayOvertimeMultiplier', header: 'OFFDAY_OT_RATE', decimals: 2 },
+  { key: 'payableOvertimeHours', header: 'PAYABLE_OT_HOURS', decimals: 2 },
+  { key: 'lateDeductionMinutes', header: 'LATE_DEDUCTION_MIN', decimals: 0 },
+];
+
+// Problems with the settings, empty when they are valid
+export const validatePayrollSettings = (settings) => {
+  const problems = [];
+  if (!(Number(settings.weekdayOvertimeMultiplier) >= 1)) problems.push(t('payroll.problem.weekdayMultiplier'));
+  if (!(Number(settings.offDayOvertimeMultiplier) >= 1)) problems.push(t('payroll.problem.offDayMultiplier'));
+  return problems;
+};
+
+// Regular and overtime hours across records; absent days count for nothing
+export const sumOvertime = (records, { calendar = DEFAULT_WORK_CALENDAR, getPolicy = () => DEFAULT_POLICY } = {}) => {
+  const totals = { regularHours: 0, weekdayOvertimeHours: 0, offDayOvertimeHours: 0 };
+  records.filter(r => r.Status === 'PRESENT').forEach(record => {
+    const policy = getPolicy(record);
+    const hours = getWorkingHours(record, policy, false);
+    if (isNonWorkingDay(record.Date, calendar)) {
+      totals.offDayOvertimeHours += hours;
+      return;
+    }
+    const regular = getWorkingHours(record, policy, true);
+    totals.regularHours += regular;
+    totals.weekdayOvertimeHours += Math.max(0, hours - regular);
+  });
+  return totals;
+};
+
+// One employee's payroll row. Loss of pay is every unplanned absence plus half
+// of each half day not covered by half-day leave; the rest of the period is paid.
+export const computePayrollRow = (records, options) => {
+  const { fromDate, toDate, employeeId, employeeName, calendar = DEFAULT_WORK_CALENDAR, leaveIndex = new Map(), getPolicy = () => DEFAULT_POLICY } = options;
+  const settings = { ...DEFAULT_PAYROLL_SETTINGS, ...options.settings };
+  const summary = summarizeAttendance(records, { fromDate, toDate, employeeId, calendar, leaveIndex, getPolicy });
+
+  const unpaidHalfDays = records.filter(r => {
+    if (isNonWorkingDay(r.Date, calendar) || !isHalfDay(r, getPolicy(r))) return false;
+    const leave = leaveIndex.get(`${employeeId}|${r.Date}`);
+    return !leave || leave.type !== 'half_day';
+  }).length;
+  const lopDays = summary.totalUnplannedAbsent + unpaidHalfDays / 2;
+
+  const overtime = sumOvertime(records, { calendar, getPolicy });
+  const weekdayOvertimeMultiplier = Number(settings.weekdayOvertimeMultiplier);
+  const offDayOvertimeMultiplier = Number(settings.offDayOvertimeMultiplier);
+
+  return {
+    employeeId,
+    employeeName,
+    fromDate,
+    toDate,
+    paidDays: summary.totalDays - lopDays,
+    lopDays,
+    ...overtime,
+    weekdayOvertimeMultiplier,
+    offDayOvertimeMultiplier,
+    payableOvertimeHours: overtime.weekdayOvertimeHours * weekdayOvertimeMultiplier + overtime.offDayOvertimeHours * offDayOvertimeMultiplier,
+    lateDeductionMinutes: records
+      .filter(r => r.Status === 'PRESENT' && !isNonWorkingDay(r.Date, calendar))
+      .reduce((sum, r) => sum + (Number(r.Late_Minutes) || 0), 0),
+  };
+};
+
+// Rows for every employee in `employees`, including those with no records in the period
+export const computePayroll = (records, employees, options) => {
+  const groups = groupRecordsByEmployee(records);
+  return employees.map(employee => {
+    const employeeId = String(employee.Employee_ID);
+    return computePayrollRow(groups.get(employeeId) || [], { ...options, employeeId, employeeName: employee.Employee_Name });
+  });
+};
+
+// Payroll rows as arrays in PAYROLL_COLUMNS order, numbers fixed to each column's decimals
+export const getPayrollTableRows = (payroll) =>
+  payroll.map(row => PAYROLL_COLUMNS.map(({ key, decimals }) => (decimals === undefined ? row[key] : row[key].toFixed(decimals))));
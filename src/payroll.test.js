@@ -0,0 +1,104 @@
+import { getPayPeriod, sumOvertime, computePayrollRow, computePayroll, getPayrollTableRows } from './payroll';
+import { DEFAULT_WORK_CALENDAR } from './workCalendar';
+
+// Mon 6 to Sun 12 April 2026 under the default policy (09:30 - 17:00, 7.5
+// countable hours, half day under 4) with weekends off.
+
+const day = (date, checkIn, checkOut, lateMinutes = 0) => ({
+  Employee_ID: '104',
+  Employee_Name: 'Rahul Nair',
+  Date: date,
+  Check_In: checkIn,
+  Check_Out: checkOut,
+  Working_Hours: 'N/A',
+  Late_Minutes: lateMinutes,
+  Status: 'PRESENT',
+});
+
+const week = [
+  day('2026-04-06', '09:00', '17:00'), // 8h: 7.5 regular, 0.5 overtime
+  day('2026-04-07', '09:30', '19:30'), // 10h: 7.5 regular, 2.5 overtime
+  { ...day('2026-04-08', 'N/A', 'N/A'), Status: 'ABSENT' },
+  day('2026-04-09', '09:45', '12:45', 15), // 3h, a half day
+  // Friday has no record at all
+  day('2026-04-11', '10:00', '14:00', 30), // Saturday, all off-day overtime
+];
+
+const options = { fromDate: '2026-04-06', toDate: '2026-04-12', employeeId: '104', employeeName: 'Rahul Nair' };
+
+describe('getPayPeriod', () => {
+  it('is the calendar month by default', () => {
+    expect(getPayPeriod('2026-02-14', 1)).toEqual({ fromDate: '2026-02-01', toDate: '2026-02-28' });
+  });
+
+  it('runs from the start day to the day before it next month', () => {
+    expect(getPayPeriod('2026-04-25', 26)).toEqual({ fromDate: '2026-03-26', toDate: '2026-04-25' });
+    expect(getPayPeriod('2026-12-26', 26)).toEqual({ fromDate: '2026-12-26', toDate: '2027-01-25' });
+  });
+});
+
+describe('sumOvertime', () => {
+  it('splits regular, weekday overtime and off-day hours', () => {
+    expect(sumOvertime(week)).toEqual({ regularHours: 18, weekdayOvertimeHours: 3, offDayOvertimeHours: 4 });
+  });
+
+  it('counts every hour on a holiday as off-day overtime', () => {
+    const calendar = { ...DEFAULT_WORK_CALENDAR, holidays: [{ date: '2026-04-07', name: 'Holiday' }] };
+    expect(sumOvertime(week, { calendar })).toEqual({ regularHours: 10.5, weekdayOvertimeHours: 0.5, offDayOvertimeHours: 14 });
+  });
+
+  it('uses each record\'s own policy', () => {
+    const longShift = { id: 'long', start: '09:00', end: '19:00', graceMinutes: 0, maxHours: 10, halfDayHours: 4 };
+    const totals = sumOvertime(week, { getPolicy: () => longShift });
+    expect(totals.regularHours).toBe(21);
+    expect(totals.weekdayOvertimeHours).toBe(0);
+  });
+});
+
+describe('computePayrollRow', () => {
+  it('takes unplanned absences and half of each half day as loss of pay', () => {
+    const row = computePayrollRow(week, options);
+    expect(row.lopDays).toBe(2.5); // Wednesday, Friday and half of Thursday
+    expect(row.paidDays).toBe(4.5);
+    expect(row.payableOvertimeHours).toBe(3 * 1.5 + 4 * 2);
+  });
+
+  it('pays days covered by leave', () => {
+    const leaveIndex = new Map([
+      ['104|2026-04-08', { type: 'casual' }],
+      ['104|2026-04-09', { type: 'half_day' }],
+    ]);
+    const row = computePayrollRow(week, { ...options, leaveIndex });
+    expect(row.lopDays).toBe(1);
+    expect(row.paidDays).toBe(6);
+  });
+
+  it('applies the organisation\'s multipliers', () => {
+    const row = computePayrollRow(week, { ...options, settings: { weekdayOvertimeMultiplier: '1.25' } });
+    expect(row.weekdayOvertimeMultiplier).toBe(1.25);
+    expect(row.offDayOvertimeMultiplier).toBe(2);
+    expect(row.payableOvertimeHours).toBe(3 * 1.25 + 4 * 2);
+  });
+
+  it('deducts late minutes on working days only', () => {
+    expect(computePayrollRow(week, options).lateDeductionMinutes).toBe(15);
+  });
+});
+
+describe('computePayroll', () => {
+  it('gives employees with no records a row of absences', () => {
+    const employees = [
+      { Employee_ID: 104, Employee_Name: 'Rahul Nair' },
+      { Employee_ID: 105, Employee_Name: 'Anita Rao' },
+    ];
+    const [rahul, anita] = computePayroll(week, employees, { fromDate: options.fromDate, toDate: options.toDate });
+    expect(rahul.employeeId).toBe('104');
+    expect(rahul.lopDays).toBe(2.5);
+    expect(anita).toMatchObject({ employeeId: '105', employeeName: 'Anita Rao', lopDays: 5, paidDays: 2, payableOvertimeHours: 0 });
+  });
+
+  it('fixes each column to its decimals for the export', () => {
+    const [row] = getPayrollTableRows([computePayrollRow(week, options)]);
+    expect(row.slice(0, 7)).toEqual(['104', 'Rahul Nair', '2026-04-06', '2026-04-12', '4.5', '2.5', '18.00']);
+  });
+});
@@ -0,0 +1,58 @@
+import { addDays, countDays, parseDate, makeDate, startOfMonth, endOfMonth } from './calendarDates';
+import { t, formatDate } from './i18n';
+
+// Compare mode puts a second date range next to the searched one: the period
+// of the same length just before it, the same dates a year earlier, or any
+// custom range. Dates in the two ranges are paired by their position, so day 1
+// of one lines up with day 1 of the other on the charts.
+
+export const COMPARISON_MODES = [
+  { id: 'previous', get label() { return t('compare.mode.previous'); } },
+  { id: 'lastYear', get label() { return t('compare.mode.lastYear'); } },
+  { id: 'custom', get label() { return t('compare.mode.custom'); } },
+];
+
+// The same day a year earlier; 29 February falls back to the 28th
+const yearEarlier = (dateStr) => {
+  const { year, month, day } = parseDate(dateStr);
+  return day > 28 && month === 2 ? endOfMonth(makeDate(year - 1, month, 1)) : makeDate(year - 1, month, day);
+};
+
+const isWholeMonth = ({ fromDate, toDate }) => fromDate === startOfMonth(fromDate) && toDate === endOfMonth(fromDate);
+
+// { fromDate, toDate } to compare `search` with, or null when it can't be compared.
+// Needs a searched range with both ends; `custom` is { fromDate, toDate }.
+export const getComparisonRange = (mode, search, custom = {}) => {
+  if (!mode || !search || !search.fromDate || !search.toDate || search.toDate < search.fromDate) return null;
+  if (mode === 'previous') {
+    const toDate = addDays(search.fromDate, -1);
+    // A whole month is compared with the whole month before it
+    if (isWholeMonth(search)) return { fromDate: startOfMonth(toDate), toDate };
+    return { fromDate: addDays(toDate, 1 - countDays(search.fromDate, search.toDate)), toDate };
+  }
+  if (mode === 'lastYear') {
+    // Month ends stay month ends, so February keeps its 28 or 29 days
+    const toDate = search.toDate === endOfMonth(search.toDate) ? endOfMonth(yearEarlier(search.toDate)) : yearEarlier(search.toDate);
+    return { fromDate: yearEarlier(search.fromDate), toDate };
+  }
+  if (mode === 'custom' && custom.fromDate && custom.toDate && custom.toDate >= custom.fromDate) {
+    return { fromDate: custom.fromDate, toDate: custom.toDate };
+  }
+  return null;
+};
+
+// The date as far into the range starting `toStart` as `date` is into the one starting `fromStart`
+export const pairDate = (date, fromStart, toStart) => addDays(toStart, countDays(fromStart, date) - 1);
+
+export const describeRange = (range) => t('compare.range', { from: formatDate(range.fromDate), to: formatDate(range.toDate) });
+
+// How a metric moved from the comparison period to the searched one.
+// `higherIsBetter` is true, false, or null for metrics that are neither.
+// Returns { delta, direction: 'up' | 'down' | 'same', better: true | false | null }.
+export const compareValues = (current, previous, higherIsBetter = null) => {
+  const delta = current - previous;
+  // Rounding noise in averaged hours shouldn't read as a change
+  const direction = Math.abs(delta) < 0.005 ? 'same' : delta > 0 ? 'up' : 'down';
+  const better = direction === 'same' || higherIsBetter === null ? null : (direction === 'up') === higherIsBetter;
+  return { delta, direction, better };
+};
@@ -0,0 +1,39 @@
+import { addDays, getWeekday, startOfMonth, endOfMonth, todayIn } from './calendarDates';
+import { getPayPeriod } from './payroll';
+import { t } from './i18n';
+
+// One-click date ranges for the search bar. Ranges that include today stop at
+// today, since later days have no punches yet and would read as absences.
+// Weeks run Monday to Sunday.
+
+const startOfWeek = (dateStr) => addDays(dateStr, -((getWeekday(dateStr) + 6) % 7));
+
+const RANGES = {
+  today: (today) => ({ fromDate: today, toDate: today }),
+  thisWeek: (today) => ({ fromDate: startOfWeek(today), toDate: today }),
+  lastWeek: (today) => {
+    const fromDate = addDays(startOfWeek(today), -7);
+    return { fromDate, toDate: addDays(fromDate, 6) };
+  },
+  thisMonth: (today) => ({ fromDate: startOfMonth(today), toDate: today }),
+  lastMonth: (today) => {
+    const toDate = addDays(startOfMonth(today), -1);
+    return { fromDate: startOfMonth(toDate), toDate: endOfMonth(toDate) };
+  },
+  payPeriod: (today) => ({ fromDate: getPayPeriod(today).fromDate, toDate: today }),
+  last90Days: (today) => ({ fromDate: addDays(today, -89), toDate: today }),
+};
+
+export const QUICK_RANGES = Object.keys(RANGES).map(id => ({
+  id,
+  get label() { return t(`quickRange.${id}`); },
+}));
+
+// { fromDate, toDate } for a quick range id, or null for an unknown one
+export const getQuickRange = (id, today = todayIn()) => (RANGES[id] ? RANGES[id](today) : null);
+
+// True when from..to is still what the quick range gives today
+export const isQuickRange = (id, fromDate, toDate, today = todayIn()) => {
+  const range = getQuickRange(id, today);
+  return !!range && range.fromDate === fromDate && range.toDate === toDate;
+};
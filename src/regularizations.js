@@ -0,0 +1,64 @@
+import { DEFAULT_POLICY, isMissingTime, isLate, getLateMinutes, getWorkingHours } from './shiftPolicies';
+import { t } from './i18n';
+
+// Regularization requests correct the punches on one attendance record:
+// { id, employeeId, date, checkIn, checkOut, reason, status, requestedBy,
+//   reviewedBy, reviewNote, originalCheckIn, originalCheckOut }
+// Times are "HH:MM". Only approved requests change what the dashboard shows;
+// the backend keeps returning the raw punches.
+
+export const REGULARIZATION_STATUSES = {
+  pending: { get label() { return t('regularization.status.pending'); }, className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+  approved: { get label() { return t('regularization.status.approved'); }, className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+  rejected: { get label() { return t('regularization.status.rejected'); }, className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' },
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// A present day with a check-in or check-out missing
+export const hasMissingPunch = (record) =>
+  record.Status === 'PRESENT' && (isMissingTime(record.Check_In) || isMissingTime(record.Check_Out));
+
+// Why a request can't be sent yet, or '' when it can
+export const validateRegularization = ({ employeeId, date, checkIn, checkOut, reason }) => {
+  if (!employeeId || !date) return t('regularization.problem.employeeAndDate');
+  if (!TIME_PATTERN.test(checkIn || '') || !TIME_PATTERN.test(checkOut || '')) return t('regularization.problem.times');
+  if (!reason || !reason.trim()) return t('regularization.problem.reason');
+  return '';
+};
+
+// Map of "employeeId|date" -> approved request. A later approval for the same day wins.
+export const indexApprovedRegularizations = (regularizations) => {
+  const index = new Map();
+  regularizations
+    .filter(r => r.status === 'approved')
+    .forEach(r => index.set(`${r.employeeId}|${r.date}`, r));
+  return index;
+};
+
+// The record with an approved correction applied. Hours, lateness and status
+// are worked out again from the corrected punches, and the raw punches are
+// kept in Original_Check_In / Original_Check_Out.
+export const applyRegularization = (record, regularization, policy = DEFAULT_POLICY) => {
+  if (!regularization) return record;
+  const corrected = { ...record, Check_In: regularization.checkIn, Check_Out: regularization.checkOut };
+  return {
+    ...corrected,
+    Working_Hours: getWorkingHours(corrected, policy, false).toFixed(2),
+    Late_Minutes: getLateMinutes(corrected.Check_In, policy),
+    Late_Flag: isLate(corrected.Check_In, policy),
+    Status: 'PRESENT',
+    Original_Check_In: record.Check_In,
+    Original_Check_Out: record.Check_Out,
+    Regularization_ID: regularization.id,
+  };
+};
+
+export const applyRegularizations = (records, index, getPolicy = () => DEFAULT_POLICY) =>
+  records.map(record => applyRegularization(record, index.get(`${record.Employee_ID}|${record.Date}`), getPolicy(record)));
+
+export const isRegularized = (record) => !!record.Regularization_ID;
+
+// "N/A - 18:02" for a corrected record, '' otherwise
+export const describeOriginalPunches = (record) =>
+  (isRegularized(record) ? `${record.Original_Check_In} - ${record.Original_Check_Out}` : '');
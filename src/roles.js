@@ -0,0 +1,53 @@
+import { t } from './i18n';
+
+// Role checks for the logged-in user. The backend enforces the same rules on
+// every endpoint; these only decide what the dashboard shows.
+export const ROLES = {
+  ADMIN: 'admin',
+  MANAGER: 'manager',
+  EMPLOYEE: 'employee',
+};
+
+// Users without a role get the least privileged view.
+export const getRole = (user) => {
+  const role = user && user.role;
+  return Object.values(ROLES).includes(role) ? role : ROLES.EMPLOYEE;
+};
+
+export const canUpload = (user) => getRole(user) === ROLES.ADMIN;
+
+// Shift policies and other organisation-wide settings
+export const canManageSettings = (user) => getRole(user) === ROLES.ADMIN;
+
+// Department, team, designation and reporting manager; managers change who sees whom
+export const canEditEmployeeDetails = (user) => getRole(user) === ROLES.ADMIN;
+
+// Managers record leave for their reports; employees can only view their own
+export const canManageLeave = (user) => getRole(user) === ROLES.ADMIN || getRole(user) === ROLES.MANAGER;
+
+// Anyone can ask for a punch correction; managers and admins approve them
+export const canReviewRegularizations = (user) => getRole(user) === ROLES.ADMIN || getRole(user) === ROLES.MANAGER;
+
+// Alert rules watch whole teams; managers and admins set them and get the inbox
+export const canManageAlerts = (user) => getRole(user) === ROLES.ADMIN || getRole(user) === ROLES.MANAGER;
+
+// Payroll figures cover whole teams, so employees don't get them
+export const canViewPayroll = (user) => getRole(user) === ROLES.ADMIN || getRole(user) === ROLES.MANAGER;
+
+// Employees only ever see their own records, so the selector is locked for them.
+export const canSelectEmployee = (user) => getRole(user) !== ROLES.EMPLOYEE;
+
+export const isSelfService = (user) => getRole(user) === ROLES.EMPLOYEE;
+
+// The employee ID a self-service user is locked to, or null for everyone else.
+export const getOwnEmployeeId = (user) => {
+  if (!isSelfService(user) || !user || user.employee_id === undefined || user.employee_id === null) return null;
+  return String(user.employee_id);
+};
+
+// Getters, so the labels follow the current language
+export const ROLE_LABELS = {
+  get [ROLES.ADMIN]() { return t('role.admin'); },
+  get [ROLES.MANAGER]() { return t('role.manager'); },
+  get [ROLES.EMPLOYEE]() { return t('role.employee'); },
+};
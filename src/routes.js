@@ -0,0 +1,65 @@
+import { matchPath } from 'react-router-dom';
+
+// App routes. A search lives in the URL so it can be bookmarked, shared and
+// stepped through with back/forward:
+//
+//   /?fromDate=2026-04-01&toDate=2026-04-30                  everyone in range
+//   /employees/104?fromDate=2026-04-01&toDate=2026-04-30     one employee
+//   /?employees=102,103&fromDate=2026-04-01&toDate=...       several picked employees side by side
+//
+//   /?department=Engineering&team=Robotics&fromDate=...     one department or team
+//
+// `?employee=104` on the dashboard is read the same as the employee route.
+
+export const ROUTES = {
+  login: '/login',
+  dashboard: '/',
+  employee: '/employees/:employeeId',
+  upload: '/upload',
+};
+
+// Where to go after logging in: the ?redirect= path the login page was
+// opened with, as long as it stays on this site, else the dashboard
+export const getLoginRedirect = (search) => {
+  const redirect = new URLSearchParams(search).get('redirect') || '';
+  return redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : ROUTES.dashboard;
+};
+
+export const employeePath = (employeeId) => `/employees/${encodeURIComponent(employeeId)}`;
+
+// True for the pages that show search results
+export const isSearchPage = (pathname) => pathname === ROUTES.dashboard || !!matchPath(ROUTES.employee, pathname);
+
+// The search a location describes, or null when it has no filters.
+// `employeeIds` lists every picked employee; `employeeId` is set only when there is exactly one.
+export const readSearchFromLocation = ({ pathname, search }) => {
+  const params = new URLSearchParams(search);
+  const employeeMatch = matchPath(ROUTES.employee, pathname);
+  const single = employeeMatch ? employeeMatch.params.employeeId : (params.get('employee') || '');
+  const employeeIds = single ? [single] : (params.get('employees') || '').split(',').map(id => id.trim()).filter(Boolean);
+  const filters = {
+    employeeId: employeeIds.length === 1 ? employeeIds[0] : '',
+    employeeIds,
+    fromDate: params.get('fromDate') || '',
+    toDate: params.get('toDate') || '',
+    department: params.get('department') || '',
+    team: params.get('team') || '',
+  };
+  return employeeIds.length > 0 || filters.fromDate || filters.toDate || filters.department || filters.team ? filters : null;
+};
+
+// URL for a search: the employee route when one employee is picked, the
+// dashboard listing them when several are, else the dashboard, where a
+// department and team can narrow it
+export const searchPath = ({ employeeId, employeeIds = [], fromDate, toDate, department, team }) => {
+  const params = new URLSearchParams();
+  const several = employeeIds.length > 1;
+  if (several) params.set('employees', employeeIds.join(','));
+  if (!employeeId && !several && department) params.set('department', department);
+  if (!employeeId && !several && team) params.set('team', team);
+  if (fromDate) params.set('fromDate', fromDate);
+  if (toDate) params.set('toDate', toDate);
+  const query = params.toString();
+  const path = employeeId && !several ? employeePath(employeeId) : ROUTES.dashboard;
+  return query ? `${path}?${query}` : path;
+};
@@ -0,0 +1,60 @@
+import { getQuickRange } from './quickRanges';
+
+// Named dashboard searches, remembered per user in this browser. A view keeps
+// the picked employees or department and team plus the date range; a range
+// picked from the quick ranges is stored by its id, so "This week" stays this
+// week. Pinned views get a button above the search bar, and the one default
+// view opens by itself after login.
+//
+// A view is { id, name, employeeIds, department, team, rangeId, fromDate, toDate, pinned, isDefault }.
+
+const SAVED_VIEWS_KEY = 'biometric_saved_views';
+
+const userKey = (user) => (user && (user.email || user.employee_id)) || 'anonymous';
+
+const loadAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const getSavedViews = (user) => loadAll()[userKey(user)] || [];
+
+export const storeSavedViews = (user, views) => {
+  localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify({ ...loadAll(), [userKey(user)]: views }));
+};
+
+// A view of `search` (what the dashboard is showing). `rangeId` is the quick
+// range the dates came from, if any.
+export const createView = (name, search, rangeId = '') => ({
+  id: `view-${Date.now().toString(36)}`,
+  name,
+  employeeIds: search.employeeIds || [],
+  department: search.department || '',
+  team: search.team || '',
+  rangeId,
+  fromDate: rangeId ? '' : search.fromDate,
+  toDate: rangeId ? '' : search.toDate,
+  pinned: false,
+  isDefault: false,
+});
+
+// The search filters a view opens, with a quick range worked out for today
+export const getViewSearch = (view, today) => {
+  const range = (view.rangeId && getQuickRange(view.rangeId, today)) || { fromDate: view.fromDate, toDate: view.toDate };
+  return {
+    employeeId: view.employeeIds.length === 1 ? view.employeeIds[0] : '',
+    employeeIds: view.employeeIds,
+    department: view.department,
+    team: view.team,
+    fromDate: range.fromDate,
+    toDate: range.toDate,
+  };
+};
+
+export const getDefaultView = (views) => views.find(view => view.isDefault) || null;
+
+// Only one view can be the default; passing the current default clears it
+export const setDefaultView = (views, id) => views.map(view => ({ ...view, isDefault: view.id === id && !view.isDefault }));
@@ -0,0 +1,189 @@
+// Shift policies decide when an employee counts as late, how many hours of a
+// day are countable and what counts as a half day. Times are "HH:MM" strings;
+// a policy whose end is at or before its start is a night shift that crosses
+// midnight.
+import { t, formatTime } from './i18n';
+
+export const DEFAULT_POLICY_ID = 'default';
+
+export const DEFAULT_POLICY = {
+  id: DEFAULT_POLICY_ID,
+  name: 'General (09:30 - 17:00)',
+  start: '09:30',
+  end: '17:00',
+  graceMinutes: 0,
+  maxHours: 7.5,
+  halfDayHours: 4,
+};
+
+// { policies, assignments: { employees: { [employeeId]: policyId }, groups: [{ id, name, employeeIds, policyId }] } }
+export const EMPTY_SHIFT_CONFIG = {
+  policies: [DEFAULT_POLICY],
+  assignments: { employees: {}, groups: [] },
+};
+
+export const isMissingTime = (time) => !time || time === 'N/A' || time === '';
+
+export const timeToHours = (time) => {
+  if (isMissingTime(time)) return 0;
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return hours + (minutes || 0) / 60 + (seconds || 0) / 3600;
+};
+
+// 9.5 -> "09:30"; values past midnight wrap, so 30 -> "06:00"
+export const hoursToTime = (value) => {
+  const totalMinutes = Math.round((((value % 24) + 24) % 24) * 60);
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+export const isOvernight = (policy) => timeToHours(policy.end) <= timeToHours(policy.start);
+
+// Shift start and end in hours from the shift day's midnight; end can exceed 24.
+const getShiftBounds = (policy) => {
+  const start = timeToHours(policy.start);
+  let end = timeToHours(policy.end);
+  if (end <= start) end += 24;
+  return { start, end };
+};
+
+// On a night shift, punches before the shift start belong to the next
+// morning, so a 06:30 check-out on a 22:00-06:00 shift is 30.5. Only the half
+// of the off hours nearest the start counts as arriving early instead.
+const toShiftHours = (time, policy) => {
+  const hours = timeToHours(time);
+  if (!isOvernight(policy)) return hours;
+  const { start, end } = getShiftBounds(policy);
+  const earlyFrom = (start + end - 24) / 2;
+  return hours < earlyFrom ? hours + 24 : hours;
+};
+
+export const getLateThreshold = (policy) => getShiftBounds(policy).start + (Number(policy.graceMinutes) || 0) / 60;
+
+export const isLate = (checkIn, policy = DEFAULT_POLICY) => {
+  if (isMissingTime(checkIn)) return false;
+  return toShiftHours(checkIn, policy) > getLateThreshold(policy);
+};
+
+// Minutes past the late threshold, 0 when on time or missing.
+export const getLateMinutes = (checkIn, policy = DEFAULT_POLICY) => {
+  if (!isLate(checkIn, policy)) return 0;
+  return Math.round((toShiftHours(checkIn, policy) - getLateThreshold(policy)) * 60);
+};
+
+// Hours worked for a record. A missing punch is filled in with the shift
+// start or end; `cap` limits the result to the policy's countable hours.
+export const getWorkingHours = (record, policy = DEFAULT_POLICY, cap = true) => {
+  const { start, end } = getShiftBounds(policy);
+  const maxHours = Number(policy.maxHours) || end - start;
+  const limit = (hours) => (cap ? Math.max(0, Math.min(hours, maxHours)) : hours);
+
+  const hasCheckIn = !isMissingTime(record.Check_In);
+  const hasCheckOut = !isMissingTime(record.Check_Out);
+
+  if (!hasCheckIn) {
+    if (hasCheckOut) return limit(toShiftHours(record.Check_Out, policy) - start);
+    return 0;
+  }
+
+  const checkInHours = toShiftHours(record.Check_In, policy);
+  if (!hasCheckOut) return limit(end - checkInHours);
+
+  let checkOutHours = toShiftHours(record.Check_Out, policy);
+  if (checkOutHours < checkInHours) checkOutHours += 24; // punched out after midnight
+  const rawHours = checkOutHours - checkInHours;
+
+  // Prefer the backend's figure, unless it went negative on a shift across midnight
+  const actualWorkingHours = parseFloat(record.Working_Hours);
+  if (!isNaN(actualWorkingHours) && record.Working_Hours !== 'N/A' && actualWorkingHours >= 0) {
+    return cap ? Math.min(actualWorkingHours, maxHours) : actualWorkingHours;
+  }
+  return limit(rawHours);
+};
+
+export const isHalfDay = (record, policy = DEFAULT_POLICY) => {
+  if (record.Status !== 'PRESENT') return false;
+  const threshold = Number(policy.halfDayHours) || 0;
+  return threshold > 0 && getWorkingHours(record, policy, false) < threshold;
+};
+
+// Employee assignment wins over group assignment, which wins over the default.
+export const resolvePolicy = (config, employeeId) => {
+  const policies = (config && config.policies) || [];
+  const findPolicy = (id) => policies.find(p => p.id === id);
+  const assignments = (config && config.assignments) || {};
+  const id = String(employeeId);
+
+  const direct = assignments.employees && assignments.employees[id];
+  if (direct && findPolicy(direct)) return findPolicy(direct);
+
+  const group = (assignments.groups || []).find(g => (g.employeeIds || []).map(String).includes(id));
+  if (group && findPolicy(group.policyId)) return findPolicy(group.policyId);
+
+  return findPolicy(DEFAULT_POLICY_ID) || policies[0] || DEFAULT_POLICY;
+};
+
+// Returns a list of problems with a policy, empty when it is valid.
+export const validatePolicy = (policy) => {
+  const problems = [];
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!policy.name || !policy.name.trim()) problems.push(t('shift.problem.name'));
+  if (!timePattern.test(policy.start || '')) problems.push(t('shift.problem.start'));
+  if (!timePattern.test(policy.end || '')) problems.push(t('shift.problem.end'));
+  if (policy.start && policy.start === policy.end) problems.push(t('shift.problem.sameTimes'));
+  if (!(Number(policy.graceMinutes) >= 0)) problems.push(t('shift.problem.grace'));
+  if (!(Number(policy.maxHours) > 0)) problems.push(t('shift.problem.maxHours'));
+  if (!(Number(policy.halfDayHours) >= 0)) problems.push(t('shift.problem.halfDay'));
+  if (Number(policy.halfDayHours) > Number(policy.maxHours)) problems.push(t('shift.problem.halfDayOverMax'));
+  return problems;
+};
+
+// Check-in buckets, as offsets in hours from the late threshold.
+// `relativeLabel` is a translation key.
+const CHECK_IN_BUCKETS = [
+  { from: -Infinity, to: -1.5, relativeLabel: 'checkIn.bucket.veryEarly' },
+  { from: -1.5, to: -0.5, relativeLabel: 'checkIn.bucket.early' },
+  { from: -0.5, to: 0, relativeLabel: 'checkIn.bucket.slightlyEarly' },
+  { from: 0, to: 1, relativeLabel: 'checkIn.bucket.upToOneHourLate', late: true },
+  { from: 1, to: 2, relativeLabel: 'checkIn.bucket.oneToTwoHoursLate', late: true },
+  { from: 2, to: 3, relativeLabel: 'checkIn.bucket.twoToThreeHoursLate', late: true },
+  { from: 3, to: Infinity, relativeLabel: 'checkIn.bucket.veryLate', late: true },
+];
+
+// Bucket labels: clock times when every record uses the same policy,
+// otherwise offsets from each shift's late cutoff so different shifts line up.
+const getBucketLabel = (bucket, policy) => {
+  if (!policy) return t(bucket.relativeLabel);
+  const threshold = getLateThreshold(policy);
+  const oneMinute = 1 / 60;
+  let label;
+  if (bucket.from === -Infinity) label = t('checkIn.bucket.before', { time: formatTime(threshold + bucket.to) });
+  else if (bucket.to === Infinity) label = t('checkIn.bucket.after', { time: formatTime(threshold + bucket.from) });
+  else label = `${formatTime(threshold + bucket.from)} - ${formatTime(threshold + bucket.to - oneMinute)}`;
+  return bucket.late ? t('checkIn.bucket.late', { label }) : label;
+};
+
+// Counts check-ins per bucket; `getPolicy(record)` gives each record's policy.
+export const getCheckInDistribution = (records, getPolicy) => {
+  const counts = CHECK_IN_BUCKETS.map(() => 0);
+  let missing = 0;
+  const policyIds = new Set();
+  records.forEach(record => {
+    const policy = getPolicy(record);
+    policyIds.add(policy.id);
+    if (isMissingTime(record.Check_In)) {
+      missing++;
+      return;
+    }
+    const offset = toShiftHours(record.Check_In, policy) - getLateThreshold(policy);
+    // Exactly on the threshold still counts as on time, matching isLate
+    const index = CHECK_IN_BUCKETS.findIndex(b => offset >= b.from && (offset < b.to || (offset === 0 && b.to === 0)));
+    counts[index]++;
+  });
+  const sharedPolicy = policyIds.size === 1 ? getPolicy(records[0]) : null;
+  return {
+    labels: [...CHECK_IN_BUCKETS.map(b => getBucketLabel(b, sharedPolicy)), t('checkIn.bucket.missing')],
+    counts: [...counts, missing],
+  };
+};
@@ -0,0 +1,109 @@
+import { DEFAULT_POLICY, isLate, getLateMinutes, getWorkingHours, isHalfDay, resolvePolicy } from './shiftPolicies';
+
+const NIGHT_POLICY = {
+  id: 'night',
+  name: 'Night (22:00 - 06:00)',
+  start: '22:00',
+  end: '06:00',
+  graceMinutes: 10,
+  maxHours: 8,
+  halfDayHours: 4,
+};
+
+const record = (checkIn, checkOut, workingHours = 'N/A') => ({
+  Employee_ID: '104',
+  Date: '2026-04-06',
+  Check_In: checkIn,
+  Check_Out: checkOut,
+  Working_Hours: workingHours,
+  Status: 'PRESENT',
+});
+
+describe('isLate and getLateMinutes', () => {
+  it('count from the end of the grace period on a day shift', () => {
+    expect(isLate('09:30', DEFAULT_POLICY)).toBe(false);
+    expect(isLate('09:31', DEFAULT_POLICY)).toBe(true);
+    expect(getLateMinutes('10:15', DEFAULT_POLICY)).toBe(45);
+  });
+
+  it('treat an early arrival for a night shift as on time', () => {
+    expect(isLate('21:30', NIGHT_POLICY)).toBe(false);
+    expect(isLate('22:10', NIGHT_POLICY)).toBe(false);
+    expect(getLateMinutes('22:40', NIGHT_POLICY)).toBe(30);
+  });
+
+  it('carry night shift check-ins after midnight into the next day', () => {
+    expect(getLateMinutes('00:10', NIGHT_POLICY)).toBe(120);
+    // Shift end and later is still the morning after, not early for 22:00
+    expect(isLate('06:00', NIGHT_POLICY)).toBe(true);
+    expect(getLateMinutes('06:00', NIGHT_POLICY)).toBe(470);
+  });
+
+  it('ignore a missing check-in', () => {
+    expect(isLate('N/A', NIGHT_POLICY)).toBe(false);
+    expect(getLateMinutes('', NIGHT_POLICY)).toBe(0);
+  });
+});
+
+describe('getWorkingHours', () => {
+  it('counts a night shift across midnight', () => {
+    expect(getWorkingHours(record('22:00', '06:00'), NIGHT_POLICY)).toBe(8);
+    expect(getWorkingHours(record('23:00', '05:30'), NIGHT_POLICY)).toBe(6.5);
+  });
+
+  it('is never negative when a night shift checks out after its end', () => {
+    const missingCheckIn = record('N/A', '06:30');
+    expect(getWorkingHours(missingCheckIn, NIGHT_POLICY, false)).toBe(8.5);
+    expect(getWorkingHours(missingCheckIn, NIGHT_POLICY)).toBe(8);
+    expect(getWorkingHours(record('22:00', '07:00'), NIGHT_POLICY, false)).toBe(9);
+  });
+
+  it('fills a missing check-out with the shift end', () => {
+    expect(getWorkingHours(record('02:00', 'N/A'), NIGHT_POLICY)).toBe(4);
+  });
+
+  it('prefers the backend figure unless it went negative', () => {
+    expect(getWorkingHours(record('22:00', '06:00', '7.25'), NIGHT_POLICY)).toBe(7.25);
+    expect(getWorkingHours(record('22:00', '06:00', '-16'), NIGHT_POLICY)).toBe(8);
+  });
+
+  it('caps a day shift at its countable hours', () => {
+    expect(getWorkingHours(record('09:00', '19:00'), DEFAULT_POLICY)).toBe(7.5);
+    expect(getWorkingHours(record('09:00', '19:00'), DEFAULT_POLICY, false)).toBe(10);
+  });
+});
+
+describe('isHalfDay', () => {
+  it('does not flag a full night shift with a missing check-in', () => {
+    expect(isHalfDay(record('N/A', '06:30'), NIGHT_POLICY)).toBe(false);
+  });
+
+  it('flags a short night shift', () => {
+    expect(isHalfDay(record('22:00', '01:00'), NIGHT_POLICY)).toBe(true);
+  });
+
+  it('only looks at present days', () => {
+    expect(isHalfDay({ ...record('22:00', '01:00'), Status: 'ABSENT' }, NIGHT_POLICY)).toBe(false);
+  });
+});
+
+describe('resolvePolicy', () => {
+  const config = {
+    policies: [DEFAULT_POLICY, NIGHT_POLICY, { ...NIGHT_POLICY, id: 'late-night' }],
+    assignments: {
+      employees: { 104: 'late-night' },
+      groups: [{ id: 'security', name: 'Security', employeeIds: ['103', '104'], policyId: 'night' }],
+    },
+  };
+
+  it('prefers the employee, then the group, then the default', () => {
+    expect(resolvePolicy(config, 104).id).toBe('late-night');
+    expect(resolvePolicy(config, '103').id).toBe('night');
+    expect(resolvePolicy(config, '105').id).toBe(DEFAULT_POLICY.id);
+  });
+
+  it('skips an assignment to a deleted policy', () => {
+    const stale = { ...config, assignments: { employees: { 105: 'gone' }, groups: [] } };
+    expect(resolvePolicy(stale, '105').id).toBe(DEFAULT_POLICY.id);
+  });
+});
@@ -0,0 +1,33 @@
+import { t, formatDate } from './i18n';
+
+// Helpers for the upload history returned by GET /api/upload-history.
+//
+// Each entry: { id, uploaded_at, uploaded_by, files: [{ name, size, kind }],
+//   date_range: { from, to } | null, record_count, records_by_employee, active }
+
+export const describeDateRange = (range) => (range ? t('history.dateRange', { from: formatDate(range.from), to: formatDate(range.to) }) : t('history.noDates'));
+
+export const getEmployeeCount = (entry) => Object.keys(entry.records_by_employee || {}).length;
+
+// Side-by-side comparison of two uploads: overall figures plus record counts per
+// employee, with target minus base as the change. Employees missing from one
+// side count as zero there.
+export const compareUploads = (base, target) => {
+  const baseCounts = base.records_by_employee || {};
+  const targetCounts = target.records_by_employee || {};
+  const employeeIds = Array.from(new Set([...Object.keys(baseCounts), ...Object.keys(targetCounts)]))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const employees = employeeIds.map(employeeId => {
+    const baseCount = baseCounts[employeeId] || 0;
+    const targetCount = targetCounts[employeeId] || 0;
+    return { employeeId, base: baseCount, target: targetCount, change: targetCount - baseCount };
+  });
+
+  return {
+    recordChange: target.record_count - base.record_count,
+    employeeChange: employeeIds.filter(id => id in targetCounts).length - employeeIds.filter(id => id in baseCounts).length,
+    dateRangeChanged: describeDateRange(base.date_range) !== describeDateRange(target.date_range),
+    employees,
+  };
+};
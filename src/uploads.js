@@ -0,0 +1,211 @@
+import api, { getErrorMessage } from './api';
+import { isNetworkError, listQueuedUploads, updateQueuedUpload, removeQueuedUpload } from './offlineStore';
+import { t, formatNumber } from './i18n';
+
+// Chunked, resumable uploads of the biometric files.
+//
+// A file is registered with POST /api/uploads, then sent in CHUNK_SIZE pieces
+// with PUT /api/uploads/:id/chunk?offset=N. The upload id is kept in
+// localStorage against the file's name, size and modification time, so after
+// a dropped connection the next attempt asks the backend how much it already
+// has and carries on from there instead of starting over.
+//
+// Once uploaded, each attendance log is processed together with the employee
+// file as a background job that is polled until it finishes, or until
+// MAX_PROCESSING_WAIT has passed and the job is given up as stuck or lost.
+//
+// Batches started while offline wait in the offline store's queue and are
+// sent by sendQueuedUploads once the connection is back.
+
+export const CHUNK_SIZE = 1024 * 1024;
+const RESUME_KEY = 'biometric_uploads';
+const CHUNK_RETRIES = 5;
+const POLL_INTERVAL = 2000;
+const MAX_PROCESSING_WAIT = 10 * 60 * 1000;
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${formatNumber(bytes)} B`;
+  if (bytes < 1024 * 1024) return `${formatNumber(bytes / 1024, 1)} KB`;
+  return `${formatNumber(bytes / (1024 * 1024), 1)} MB`;
+};
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  }
+});
+
+const getFileKey = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+
+const loadResumeIds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RESUME_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const saveResumeId = (file, uploadId) => {
+  const ids = loadResumeIds();
+  if (uploadId) {
+    ids[getFileKey(file)] = uploadId;
+  } else {
+    delete ids[getFileKey(file)];
+  }
+  localStorage.setItem(RESUME_KEY, JSON.stringify(ids));
+};
+
+// Dropped connections and server hiccups are worth another try; 4xx answers
+// and cancelled requests are not
+const isRetryable = (err) => isNetworkError(err) || (!!err.response && err.response.status >= 500);
+
+// How many bytes the backend already holds for an earlier upload of this file,
+// or null when there is nothing to resume.
+const findResumableUpload = async (file, signal) => {
+  const uploadId = loadResumeIds()[getFileKey(file)];
+  if (!uploadId) return null;
+  try {
+    const response = await api.get(`/api/uploads/${uploadId}`, { timeout: 15000, signal });
+    return { uploadId, received: response.data.received };
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      saveResumeId(file, null);
+      return null;
+    }
+    throw err;
+  }
+};
+
+// Sends one chunk, retrying with backoff. Returns the backend's byte count,
+// which can differ from what we sent if an earlier attempt got through.
+const sendChunk = async (uploadId, file, offset, onChunkProgress, onRetry, signal) => {
+  const chunk = file.slice(offset, Math.min(offset + CHUNK_SIZE, file.size));
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await api.put(`/api/uploads/${uploadId}/chunk`, chunk, {
+        params: { offset },
+        headers: { 'Content-Type': 'application/octet-stream' },
+        timeout: 60000,
+        signal,
+        onUploadProgress: (event) => onChunkProgress(event.loaded),
+      });
+      return response.data.received;
+    } catch (err) {
+      // The backend has a different offset than we thought; continue from its count
+      if (err.response && err.response.status === 409 && typeof err.response.data.received === 'number') {
+        return err.response.data.received;
+      }
+      if (!isRetryable(err) || attempt >= CHUNK_RETRIES) throw err;
+      onRetry(attempt + 1, CHUNK_RETRIES);
+      onChunkProgress(0);
+      await wait(1000 * 2 ** attempt, signal);
+    }
+  }
+};
+
+// Uploads `file` as `kind` ('employee' or 'attendance'), resuming an earlier
+// attempt when possible. onProgress(bytesSent) is called as bytes go out, and
+// onRetry(attempt, maxAttempts) before a failed chunk is sent again. Aborting
+// `signal` cancels the request in flight; the resume id stays for next time.
+// Returns the upload id to process.
+export const uploadFile = async (file, kind, onProgress = () => {}, onRetry = () => {}, signal) => {
+  let resumable = await findResumableUpload(file, signal);
+  if (!resumable) {
+    const response = await api.post('/api/uploads', { file_name: file.name, size: file.size, kind }, { timeout: 15000, signal });
+    resumable = { uploadId: response.data.upload_id, received: 0 };
+    saveResumeId(file, resumable.uploadId);
+  }
+
+  const { uploadId } = resumable;
+  let offset = resumable.received;
+  onProgress(offset);
+  while (offset < file.size) {
+    const start = offset;
+    offset = await sendChunk(uploadId, file, start, (loaded) => onProgress(start + loaded), onRetry, signal);
+    onProgress(offset);
+  }
+  return uploadId;
+};
+
+// Forgets the resume id once the file has been processed
+export const finishUpload = (file) => saveResumeId(file, null);
+
+// Starts processing an attendance log against the employee file; returns the job id
+export const startProcessing = async (employeeUploadId, attendanceUploadId) => {
+  const response = await api.post('/api/uploads/process', {
+    employee_upload_id: employeeUploadId,
+    attendance_upload_id: attendanceUploadId,
+  }, { timeout: 30000 });
+  return response.data.job_id;
+};
+
+// Polls a processing job until it is done or failed. onStatus(job) sees every update.
+// Gives up with an error after MAX_PROCESSING_WAIT; aborting `signal` stops
+// polling straight away, e.g. when the upload panel goes.
+export const waitForProcessing = async (jobId, onStatus = () => {}, signal) => {
+  const deadline = Date.now() + MAX_PROCESSING_WAIT;
+  for (;;) {
+    const response = await api.get(`/api/upload-jobs/${jobId}`, { timeout: 15000, signal });
+    const job = response.data;
+    onStatus(job);
+    if (job.status === 'done') return job;
+    if (job.status === 'failed') throw new Error(job.message || t('upload.processingFailed'));
+    if (Date.now() + POLL_INTERVAL > deadline) {
+      throw new Error(t('upload.processingTimedOut', { minutes: MAX_PROCESSING_WAIT / 60000 }));
+    }
+    await wait(POLL_INTERVAL, signal);
+  }
+};
+
+// Sends the current user's queued batches, oldest first. Each processed log is
+// dropped from its batch straight away, so a connection lost halfway through
+// only repeats what hadn't finished. A network error stops the run and leaves
+// the rest queued; a file the backend rejects is reported and dropped.
+// Returns { processed, failures: [message], stillQueued }.
+export const sendQueuedUploads = async () => {
+  const batches = await listQueuedUploads();
+  let processed = 0;
+  const failures = [];
+  for (let b = 0; b < batches.length; b++) {
+    const batch = batches[b];
+    try {
+      const employeeUploadId = await uploadFile(batch.employeeFile, 'employee');
+      while (batch.attendanceFiles.length > 0) {
+        const file = batch.attendanceFiles[0];
+        try {
+          const jobId = await startProcessing(employeeUploadId, await uploadFile(file, 'attendance'));
+          await waitForProcessing(jobId);
+          finishUpload(file);
+          processed++;
+        } catch (err) {
+          if (isNetworkError(err)) throw err;
+          console.error(`Error processing queued ${file.name}:`, err);
+          failures.push(getErrorMessage(err, t('upload.fileFailed', { fileName: file.name })));
+        }
+        batch.attendanceFiles.shift();
+        await updateQueuedUpload(batch);
+      }
+      finishUpload(batch.employeeFile);
+      await removeQueuedUpload(batch.id);
+    } catch (err) {
+      // Connection lost; the rest stays queued and stillQueued tells the caller
+      if (isNetworkError(err)) {
+        return { processed, failures, stillQueued: batches.length - b };
+      }
+      // The employee file itself was refused, so nothing in the batch can go through
+      console.error('Error uploading queued employee file:', err);
+      failures.push(getErrorMessage(err, t('upload.fileFailed', { fileName: batch.employeeFile.name })));
+      await removeQueuedUpload(batch.id);
+    }
+  }
+  return { processed, failures, stillQueued: 0 };
+};
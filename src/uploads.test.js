@@ -0,0 +1,99 @@
+import api from './api';
+import { CHUNK_SIZE, uploadFile, finishUpload } from './uploads';
+
+jest.mock('./api', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), put: jest.fn() },
+  getErrorMessage: (err, fallback) => fallback,
+}));
+
+// Two and a half chunks
+const makeFile = () => new File([new Uint8Array(CHUNK_SIZE * 2.5)], 'attlog.dat', { lastModified: 1775459400000 });
+
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+// The backend keeps whatever it is sent
+const acceptChunks = () => api.put.mockImplementation((url, chunk, { params }) => Promise.resolve({ data: { received: params.offset + chunk.size } }));
+
+const sentOffsets = () => api.put.mock.calls.map(([, , config]) => config.params.offset);
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  localStorage.clear();
+  api.post.mockResolvedValue({ data: { upload_id: 'up-1' } });
+});
+
+describe('uploadFile', () => {
+  it('registers a new upload and sends it in chunks', async () => {
+    acceptChunks();
+    const file = makeFile();
+    const progress = [];
+    await expect(uploadFile(file, 'attendance', sent => progress.push(sent))).resolves.toBe('up-1');
+    expect(api.post).toHaveBeenCalledWith('/api/uploads', { file_name: 'attlog.dat', size: file.size, kind: 'attendance' }, expect.any(Object));
+    expect(sentOffsets()).toEqual([0, CHUNK_SIZE, CHUNK_SIZE * 2]);
+    expect(progress[progress.length - 1]).toBe(file.size);
+  });
+
+  it('resumes from what the backend already has', async () => {
+    acceptChunks();
+    const file = makeFile();
+    api.put.mockRejectedValueOnce(httpError(400));
+    await expect(uploadFile(file, 'attendance')).rejects.toThrow('400');
+
+    api.get.mockResolvedValue({ data: { received: CHUNK_SIZE } });
+    await expect(uploadFile(file, 'attendance')).resolves.toBe('up-1');
+    expect(api.get).toHaveBeenCalledWith('/api/uploads/up-1', expect.any(Object));
+    expect(api.post).toHaveBeenCalledTimes(1);
+    expect(sentOffsets()).toEqual([0, CHUNK_SIZE, CHUNK_SIZE * 2]);
+  });
+
+  it('starts over when the backend no longer knows the upload', async () => {
+    acceptChunks();
+    const file = makeFile();
+    await uploadFile(file, 'attendance');
+    api.get.mockRejectedValue(httpError(404));
+    api.post.mockResolvedValue({ data: { upload_id: 'up-2' } });
+    await expect(uploadFile(file, 'attendance')).resolves.toBe('up-2');
+    expect(sentOffsets().slice(3)).toEqual([0, CHUNK_SIZE, CHUNK_SIZE * 2]);
+  });
+
+  it('carries on from the backend\'s count when the offsets disagree', async () => {
+    acceptChunks();
+    api.put.mockRejectedValueOnce(httpError(409, { received: CHUNK_SIZE * 2 }));
+    await uploadFile(makeFile(), 'attendance');
+    expect(sentOffsets()).toEqual([0, CHUNK_SIZE * 2]);
+  });
+
+  it('retries a chunk after a server error and reports the attempt', async () => {
+    acceptChunks();
+    api.put.mockRejectedValueOnce(httpError(503));
+    const onRetry = jest.fn();
+    await uploadFile(makeFile(), 'attendance', undefined, onRetry);
+    expect(onRetry).toHaveBeenCalledWith(1, 5);
+    expect(sentOffsets()).toEqual([0, 0, CHUNK_SIZE, CHUNK_SIZE * 2]);
+  });
+
+  it('cancels the chunk in flight without retrying', async () => {
+    const controller = new AbortController();
+    api.put.mockImplementation((url, chunk, config) => new Promise((resolve, reject) => {
+      config.signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+    }));
+    const onRetry = jest.fn();
+    const upload = uploadFile(makeFile(), 'attendance', undefined, onRetry, controller.signal);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+    await expect(upload).rejects.toThrow('canceled');
+    expect(api.put).toHaveBeenCalledTimes(1);
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+
+  it('forgets the resume id once the file is finished', async () => {
+    acceptChunks();
+    const file = makeFile();
+    await uploadFile(file, 'attendance');
+    finishUpload(file);
+    await uploadFile(file, 'attendance');
+    expect(api.get).not.toHaveBeenCalled();
+    expect(api.post).toHaveBeenCalledTimes(2);
+  });
+});
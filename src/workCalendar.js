@@ -0,0 +1,161 @@
+import { parseCsvRows } from './csv';
+import { getWeekday, addDays } from './calendarDates';
+import { t, formatWeekday, formatWeekdayIndex } from './i18n';
+
+// Organisation work calendar: public holidays plus weekly-off patterns.
+// Dates are "YYYY-MM-DD" strings and weekdays are 0 (Sunday) to 6 (Saturday).
+//
+// A weekly off is { weekday, weeks }, where weeks is 'all' or a list of the
+// weekday's occurrences in the month, e.g. { weekday: 6, weeks: [2, 4] } for
+// the 2nd and 4th Saturday.
+
+// Sunday first, in the current language
+export const getWeekdayNames = () => [0, 1, 2, 3, 4, 5, 6].map(formatWeekdayIndex);
+
+export const DEFAULT_WORK_CALENDAR = {
+  holidays: [],
+  weeklyOffs: [
+    { weekday: 0, weeks: 'all' },
+    { weekday: 6, weeks: 'all' },
+  ],
+};
+
+export const getWeekdayName = formatWeekday;
+
+// Which occurrence of its weekday the date is within the month (1-5)
+export const getWeekOfMonth = (dateStr) => Math.ceil(Number(dateStr.split('-')[2]) / 7);
+
+export const isWeeklyOff = (dateStr, calendar = DEFAULT_WORK_CALENDAR) => {
+  const weekday = getWeekday(dateStr);
+  const weekOfMonth = getWeekOfMonth(dateStr);
+  return (calendar.weeklyOffs || []).some(off =>
+    off.weekday === weekday && (off.weeks === 'all' || (off.weeks || []).includes(weekOfMonth))
+  );
+};
+
+export const getHoliday = (dateStr, calendar = DEFAULT_WORK_CALENDAR) => {
+  return (calendar.holidays || []).find(h => h.date === dateStr) || null;
+};
+
+export const isNonWorkingDay = (dateStr, calendar = DEFAULT_WORK_CALENDAR) => {
+  return isWeeklyOff(dateStr, calendar) || !!getHoliday(dateStr, calendar);
+};
+
+// "Sunday, 2nd & 4th Saturday"
+export const describeWeeklyOffs = (weeklyOffs) => {
+  if (!weeklyOffs || weeklyOffs.length === 0) return t('calendar.noWeeklyOffs');
+  return [...weeklyOffs]
+    .sort((a, b) => a.weekday - b.weekday)
+    .map(off => {
+      if (off.weeks === 'all') return formatWeekdayIndex(off.weekday);
+      const weeks = [...off.weeks].sort((a, b) => a - b).map(w => t(`calendar.ordinal.${w}`));
+      return t('calendar.weeksOfWeekday', { weeks: weeks.join(' & '), weekday: formatWeekdayIndex(off.weekday) });
+    })
+    .join(', ');
+};
+
+// Adds imported holidays to the list; an imported date replaces an existing one.
+export const mergeHolidays = (existing, imported) => {
+  const byDate = new Map(existing.map(h => [h.date, h]));
+  imported.forEach(h => byDate.set(h.date, h));
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Accepts YYYY-MM-DD, YYYYMMDD, DD-MM-YYYY and DD/MM/YYYY; returns YYYY-MM-DD or null.
+export const normalizeDate = (value) => {
+  const text = (value || '').trim();
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  let year;
+  let month;
+  let day;
+  if (match) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  }
+  if (!isValidDate(year, month, day)) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Minimal iCalendar reader: one holiday per VEVENT date, taking DTSTART,
+// the exclusive DTEND for multi-day events, and SUMMARY as the name.
+export const parseIcs = (text) => {
+  // Continuation lines start with a space or tab
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const lastDay = event.end ? addDays(event.end, -1) : event.start;
+        for (let date = event.start; date <= lastDay; date = addDays(date, 1)) {
+          holidays.push({ date, name: event.name || 'Holiday' });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const key = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+    if (key === 'DTSTART') event.start = normalizeDate(value.slice(0, 8));
+    if (key === 'DTEND') event.end = normalizeDate(value.slice(0, 8));
+    if (key === 'SUMMARY') event.name = value.replace(/\\,/g, ',').replace(/\\;/g, ';').trim();
+  });
+  return holidays;
+};
+
+// CSV with a date column and a name column, in either order; a header row is optional.
+// Returns { holidays, errors } where errors name the lines that could not be read.
+export const parseHolidayCsv = (text) => {
+  const rows = parseCsvRows(text);
+  const holidays = [];
+  const errors = [];
+  if (rows.length === 0) return { holidays, errors };
+
+  const header = rows[0].map(h => h.toLowerCase());
+  const hasHeader = header.some(h => h.includes('date'));
+  const dateIndex = hasHeader ? header.findIndex(h => h.includes('date')) : 0;
+  // "Holiday Date,Holiday Name" has "holiday" in both, so the date column is
+  // skipped and a "name" column wins over a "holiday" or "description" one
+  const findNameColumn = (matches) => header.findIndex((h, index) => index !== dateIndex && matches(h));
+  const nameIndex = !hasHeader ? 1 : [
+    h => h === 'name' || h === 'holiday',
+    h => h.includes('name'),
+    h => h.includes('holiday') || h.includes('description'),
+  ].map(findNameColumn).find(index => index >= 0) ?? -1;
+
+  rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+    const lineNumber = index + (hasHeader ? 2 : 1);
+    const date = normalizeDate(row[dateIndex]);
+    if (!date) {
+      errors.push(t('calendar.import.invalidDate', { line: lineNumber, value: row[dateIndex] || '' }));
+      return;
+    }
+    holidays.push({ date, name: (nameIndex >= 0 && row[nameIndex]) || 'Holiday' });
+  });
+  return { holidays, errors };
+};
+
+// Picks the parser from the file name, falling back to sniffing the contents.
+export const parseHolidayFile = (fileName, text) => {
+  if (/\.ics$/i.test(fileName) || text.includes('BEGIN:VCALENDAR')) {
+    return { holidays: parseIcs(text), errors: [] };
+  }
+  return parseHolidayCsv(text);
+};
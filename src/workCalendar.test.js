@@ -0,0 +1,33 @@
+import { parseHolidayCsv } from './workCalendar';
+
+describe('parseHolidayCsv', () => {
+  it('reads the name column when both headers mention the holiday', () => {
+    const { holidays, errors } = parseHolidayCsv('Holiday Date,Holiday Name\n2026-01-26,Republic Day\n2026-08-15,Independence Day\n');
+    expect(errors).toEqual([]);
+    expect(holidays).toEqual([
+      { date: '2026-01-26', name: 'Republic Day' },
+      { date: '2026-08-15', name: 'Independence Day' },
+    ]);
+  });
+
+  it('takes the columns in either order', () => {
+    const { holidays } = parseHolidayCsv('Description,Date\nDiwali,08/11/2026\n');
+    expect(holidays).toEqual([{ date: '2026-11-08', name: 'Diwali' }]);
+  });
+
+  it('prefers a name column over a description', () => {
+    const { holidays } = parseHolidayCsv('Date,Description,Name\n2026-10-02,National holiday,Gandhi Jayanti\n');
+    expect(holidays).toEqual([{ date: '2026-10-02', name: 'Gandhi Jayanti' }]);
+  });
+
+  it('reads date then name without a header', () => {
+    const { holidays } = parseHolidayCsv('2026-01-26,Republic Day\n');
+    expect(holidays).toEqual([{ date: '2026-01-26', name: 'Republic Day' }]);
+  });
+
+  it('reports lines with a bad date', () => {
+    const { holidays, errors } = parseHolidayCsv('Date,Name\nsoon,Pongal\n');
+    expect(holidays).toEqual([]);
+    expect(errors).toHaveLength(1);
+  });
+});